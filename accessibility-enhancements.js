@@ -834,16 +834,19 @@ class AccessibilityEnhancer {
       restartButton.setAttribute('aria-label', '重新開始遊戲');
     }
 
-    // Enhance random move button
-    const randomButton = document.getElementById('random-computer-move');
-    if (randomButton) {
-      randomButton.setAttribute('aria-label', '讓電腦隨機選擇位置');
+    // Enhance computer move button
+    const computerMoveButton = document.getElementById('computer-move');
+    if (computerMoveButton) {
+      computerMoveButton.setAttribute('aria-label', '讓電腦依選擇的策略下棋');
     }
 
-    // Enhance auto random checkbox
-    const autoCheckbox = document.getElementById('auto-random-move');
+    // Enhance auto computer move checkbox
+    const autoCheckbox = document.getElementById('auto-computer-move');
     if (autoCheckbox) {
-      autoCheckbox.setAttribute('aria-describedby', 'auto-random-description');
+      autoCheckbox.setAttribute(
+        'aria-describedby',
+        'auto-computer-description'
+      );
     }
   }
 
@@ -0,0 +1,181 @@
+/**
+ * AILearningSystem 玩家行為指標測試
+ */
+const AILearningSystem = require('./aiLearningSystem.js');
+const GameEngine = require('./gameEngine.js');
+
+const toMoves = cells => cells.map(([row, col]) => ({ row, col }));
+
+// 第 2、3 步延伸了連線；第 2 步與電腦的上一步在同一條對角線上
+function createGame(options = {}) {
+  return {
+    board: [],
+    playerMoves: toMoves([
+      [2, 2],
+      [0, 0],
+      [4, 0]
+    ]),
+    computerMoves: toMoves([
+      [1, 1],
+      [0, 3],
+      [3, 3]
+    ]),
+    suggestions: [
+      { row: 2, col: 2 },
+      { row: 1, col: 0 },
+      { row: 4, col: 0 }
+    ],
+    finalScore: 2,
+    completedLines: [],
+    gameOutcome: 'average',
+    ...options
+  };
+}
+
+const positions = cells =>
+  new Map(cells.map(([row, col]) => [`${row},${col}`, 1]));
+
+describe('AILearningSystem player behaviour', () => {
+  test('should measure the moves of a game', () => {
+    const system = new AILearningSystem({}, { random: 1 });
+
+    expect(system.calculatePlayerPerformance(createGame())).toEqual({
+      efficiency: 2 / 3,
+      strategicThinking: 2 / 3,
+      adaptability: 0.5,
+      consistency: null
+    });
+
+    // 沒有記錄建議的遊戲不計算採用建議的比例
+    const performance = system.calculatePlayerPerformance(
+      createGame({ suggestions: undefined })
+    );
+    expect(performance.strategicThinking).toBe(null);
+    expect(system.scorePerformance(performance)).toBe((2 / 3 + 0.5) / 2);
+  });
+
+  test('should measure consistency across games', () => {
+    const system = new AILearningSystem({}, { random: 1 });
+    system.recordGameData(createGame());
+
+    // 兩局都是 2 條連線
+    expect(system.calculateConsistency(createGame())).toBe(1);
+    // 0 與 6 條連線（共 12 條線）：標準差 0.25
+    expect(system.calculateConsistency(createGame({ finalScore: 8 }))).toBe(
+      0.5
+    );
+  });
+
+  test('should classify the play style from preferred regions', () => {
+    const system = new AILearningSystem({}, { random: 1 });
+
+    expect(
+      system.classifyPlayStyle(
+        positions([
+          [2, 2],
+          [1, 2],
+          [2, 1],
+          [3, 2],
+          [2, 3]
+        ])
+      )
+    ).toBe('aggressive');
+    expect(
+      system.classifyPlayStyle(
+        positions([
+          [0, 0],
+          [4, 4],
+          [0, 4],
+          [4, 0]
+        ])
+      )
+    ).toBe('strategic');
+    expect(
+      system.classifyPlayStyle(
+        positions([
+          [0, 2],
+          [2, 0],
+          [4, 2],
+          [2, 4]
+        ])
+      )
+    ).toBe('defensive');
+
+    const everyCell = [];
+    for (let row = 0; row < 5; row++) {
+      for (let col = 0; col < 5; col++) {
+        everyCell.push([row, col]);
+      }
+    }
+    expect(system.classifyPlayStyle(positions(everyCell))).toBe('balanced');
+    expect(system.classifyPlayStyle(new Map())).toBe('balanced');
+  });
+
+  test('should update the skill level and play style from real games', () => {
+    const system = new AILearningSystem({}, { random: 1 });
+    for (let i = 0; i < 3; i++) {
+      system.recordGameData(createGame());
+    }
+
+    expect(system.gameHistory[0].playerPerformance.efficiency).toBe(2 / 3);
+    expect(system.getLearningStats().currentSkillLevel).toBeGreaterThan(0.5);
+    // 中心、兩個角落：對角線上的格子最多
+    expect(system.getLearningStats().playStyle).toBe('strategic');
+    expect(
+      system.personalizationSystem.userPreferences.get('favoritePositions')
+    ).toEqual(['2,2', '0,0', '4,0']);
+  });
+
+  test('should pass the shown suggestions from the game engine', () => {
+    const engine = new GameEngine();
+    const recorded = [];
+    engine.aiLearningSystem.recordGameData = gameData =>
+      recorded.push(gameData);
+
+    engine.startGame();
+    engine.recordSuggestion({ row: 2, col: 2, value: 10 });
+    engine.makePlayerMove(2, 2);
+    engine.makeComputerMove(0, 0);
+    engine.recordSuggestion(null);
+    engine.makePlayerMove(1, 1);
+    engine.makeComputerMove(0, 1);
+    engine.recordGameDataForLearning(engine.getGameStats());
+
+    expect(recorded[0].suggestions).toEqual([{ row: 2, col: 2 }, null]);
+  });
+
+  test('should update the player model from games played in the engine', () => {
+    const engine = new GameEngine();
+    const system = engine.aiLearningSystem;
+    // 中心、對角線與角落
+    const cells = [
+      [2, 2],
+      [0, 0],
+      [4, 4],
+      [1, 1],
+      [3, 3],
+      [0, 4],
+      [4, 0],
+      [1, 3]
+    ];
+
+    for (let game = 0; game < 3; game++) {
+      engine.startGame();
+      cells.forEach(([row, col]) => {
+        engine.makePlayerMove(row, col);
+        const computer = engine
+          .getEmptyCells()
+          .find(
+            cell => !cells.some(([r, c]) => r === cell.row && c === cell.col)
+          );
+        engine.makeComputerMove(computer.row, computer.col);
+      });
+    }
+
+    const stats = system.getLearningStats();
+    expect(stats.gamesPlayed).toBe(3);
+    // 不再是初始值（0.5、balanced）
+    expect(stats.currentSkillLevel !== 0.5).toBe(true);
+    expect(stats.playStyle).toBe('strategic');
+  });
+});
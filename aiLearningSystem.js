@@ -1,10 +1,58 @@
+// 載入隨機數來源、工具函數、策略註冊表、學習狀態儲存與特徵編碼
+let LearningRandom,
+  LearningUtils,
+  LearningRegistry,
+  LearningStoreClass,
+  LearningEncoder;
+if (typeof require !== 'undefined') {
+  LearningRandom = require('./utils/random.js');
+  LearningUtils = require('./utils/common.js').Utils;
+  LearningRegistry = require('./strategyRegistry.js');
+  LearningStoreClass = require('./learningStore.js');
+  LearningEncoder = require('./featureEncoder.js');
+} else if (typeof window !== 'undefined') {
+  LearningRandom = window.SeededRandom;
+  LearningUtils = window.Utils;
+  LearningRegistry = window.StrategyRegistry;
+  LearningStoreClass = window.LearningStore;
+  LearningEncoder = window.FeatureEncoder;
+}
+
 /**
  * AILearningSystem - 進階 AI 和機器學習功能
  * 實作基於歷史數據的學習、對手行為預測和自適應難度調整
  */
 class AILearningSystem {
-  constructor() {
-    this.BOARD_SIZE = 5;
+  /**
+   * @param {Object} [gameConfig] - 遊戲配置（使用其中的 boardSize）
+   * @param {Object} [options] - 其他選項
+   * @param {SeededRandom|number|string} [options.random] - 隨機數來源或種子，相同種子會產生相同的初始權重
+   * @param {Object} [options.training] - 神經網絡訓練選項（覆蓋 trainingConfig 的預設值）
+   * @param {Object} [options.teacher] - target 為 'calculator' 時提供目標移動的計算器，預設為 standard 策略
+   * @param {number} [options.encoder] - 網絡輸入的特徵編碼版本（預設為 FeatureEncoder.LATEST）
+   */
+  constructor(gameConfig = {}, options = {}) {
+    this.gameConfig = LearningUtils.createGameConfig(gameConfig);
+    this.BOARD_SIZE = this.gameConfig.boardSize;
+    this.MAX_ROUNDS = this.gameConfig.maxRounds;
+    this.lines = LearningUtils.generateLines(
+      this.BOARD_SIZE,
+      this.gameConfig.lineLength
+    );
+    this.LINE_COUNT = this.lines.length;
+    // 每個格子經過的線（索引），用於分析玩家的移動
+    this.cellLines = Array.from(
+      { length: this.BOARD_SIZE * this.BOARD_SIZE },
+      () => []
+    );
+    this.lines.forEach((line, index) => {
+      line.cells.forEach(([row, col]) => {
+        this.cellLines[row * this.BOARD_SIZE + col].push(index);
+      });
+    });
+    this.random = LearningRandom.from(options.random);
+    // 網絡輸入的特徵編碼；還原的模型改用它保存時的編碼（見 setState）
+    this.encoder = LearningEncoder.create(options.encoder, this.gameConfig);
     this.CELL_STATES = {
       EMPTY: 0,
       PLAYER: 1,
@@ -18,8 +66,29 @@ class AILearningSystem {
       adaptationThreshold: 0.7,
       predictionWindow: 5,
       difficultyLevels: ['easy', 'medium', 'hard', 'expert'],
-      personalityTypes: ['aggressive', 'defensive', 'balanced', 'strategic']
+      personalityTypes: ['aggressive', 'defensive', 'balanced', 'strategic'],
+      consistencyWindow: 10, // 計算一致性使用的最近遊戲數
+      styleThreshold: 1.2 // 區域的落子比例達到均勻分佈的幾倍時判定為該風格
+    };
+
+    // 神經網絡訓練配置（每記錄一場遊戲，以最近的遊戲訓練一次）
+    this.trainingConfig = {
+      learningRate: 0.5, // 梯度下降的步長
+      batchSize: 16, // 每次更新權重使用的移動數
+      epochs: 1, // 每次訓練走過訓練資料的次數
+      windowSize: 50, // 訓練使用的最近遊戲數
+      validationSplit: 0.2, // 不參與訓練、用於計算驗證損失的遊戲比例
+      target: 'outcome', // 'outcome'：最終連線數；'calculator'：計算器的最佳移動
+      maxMetrics: 100, // performanceMetrics.learningEfficiency 保留的記錄數
+      ...options.training
     };
+    this.teacher = options.teacher || null;
+    // 遊戲記錄 -> { examples, validation }，避免每次訓練重新計算
+    this.trainingExamples = new WeakMap();
+    this.trainingGames = 0;
+
+    // 學習狀態儲存（見 attachStore），每記錄一場遊戲自動保存
+    this.store = null;
 
     // 歷史數據存儲
     this.gameHistory = [];
@@ -71,7 +140,7 @@ class AILearningSystem {
    * @returns {Object} 權重矩陣
    */
   initializeWeights() {
-    const inputSize = this.BOARD_SIZE * this.BOARD_SIZE + 10; // 棋盤 + 額外特徵
+    const inputSize = this.encoder.size;
     const hiddenSize = 64;
     const outputSize = this.BOARD_SIZE * this.BOARD_SIZE;
 
@@ -87,10 +156,12 @@ class AILearningSystem {
    */
   initializeBiases() {
     return {
-      hidden: new Array(64).fill(0).map(() => Math.random() * 0.1 - 0.05),
+      hidden: new Array(64)
+        .fill(0)
+        .map(() => this.random.nextRange(-0.05, 0.05)),
       output: new Array(this.BOARD_SIZE * this.BOARD_SIZE)
         .fill(0)
-        .map(() => Math.random() * 0.1 - 0.05)
+        .map(() => this.random.nextRange(-0.05, 0.05))
     };
   }
 
@@ -103,7 +174,9 @@ class AILearningSystem {
   createRandomMatrix(rows, cols) {
     return new Array(rows)
       .fill(0)
-      .map(() => new Array(cols).fill(0).map(() => Math.random() * 0.2 - 0.1));
+      .map(() =>
+        new Array(cols).fill(0).map(() => this.random.nextRange(-0.1, 0.1))
+      );
   }
 
   /**
@@ -119,6 +192,7 @@ class AILearningSystem {
       finalScore: gameData.finalScore,
       completedLines: gameData.completedLines,
       gameOutcome: gameData.gameOutcome,
+      suggestions: gameData.suggestions ? [...gameData.suggestions] : [],
       playerPerformance: this.calculatePlayerPerformance(gameData)
     };
 
@@ -130,60 +204,324 @@ class AILearningSystem {
     }
 
     // 更新玩家行為模式
-    this.updatePlayerBehaviorModel(gameData);
+    this.updatePlayerBehaviorModel(gameData, gameRecord.playerPerformance);
 
     // 更新移動模式
     this.updateMovePatterns(gameData);
 
     // 觸發學習過程
     this.learnFromGameData(gameRecord);
+
+    // 保存學習狀態
+    this.save();
   }
 
   /**
-   * 計算玩家表現指標
-   * @param {Object} gameData - 遊戲數據
+   * 取得完整的學習狀態（包含 Map，直接引用目前的資料）
+   * @returns {Object} 學習狀態，可以 LearningStore 保存
+   */
+  getState() {
+    return {
+      gameHistory: this.gameHistory,
+      playerBehaviorHistory: this.playerBehaviorHistory,
+      movePatterns: this.movePatterns,
+      successRates: this.successRates,
+      playerModel: this.playerModel,
+      predictionModel: {
+        encoder: this.encoder.describe(),
+        weights: this.predictionModel.weights,
+        biases: this.predictionModel.biases
+      },
+      difficultySystem: this.difficultySystem,
+      personalizationSystem: this.personalizationSystem,
+      performanceMetrics: this.performanceMetrics
+    };
+  }
+
+  /**
+   * 還原學習狀態
+   * 只還原狀態中存在的欄位。預測模型連同它需要的特徵編碼一起還原；
+   * 編碼版本未知或網絡大小與目前的遊戲板不符時保留目前的預測模型。
+   * @param {Object} state - getState 的結果（或 LearningStore 載入的狀態）
+   */
+  setState(state) {
+    const fields = [
+      'gameHistory',
+      'playerBehaviorHistory',
+      'movePatterns',
+      'successRates',
+      'playerModel',
+      'difficultySystem',
+      'personalizationSystem',
+      'performanceMetrics'
+    ];
+    for (const field of fields) {
+      if (state[field] !== undefined) {
+        this[field] = state[field];
+      }
+    }
+
+    const model = state.predictionModel;
+    const version = model && model.encoder && model.encoder.version;
+    const encoder = LearningEncoder.TYPES[version]
+      ? LearningEncoder.create(version, this.gameConfig)
+      : null;
+    if (encoder && this.matchesNetwork(model.weights, encoder)) {
+      this.encoder = encoder;
+      this.predictionModel.weights = model.weights;
+      this.predictionModel.biases = model.biases;
+    }
+
+    // 訓練樣本依遊戲記錄物件快取，還原後重新建立
+    this.trainingExamples = new WeakMap();
+    this.trainingGames = 0;
+  }
+
+  /**
+   * 權重的形狀是否符合編碼的輸入大小與目前網絡的其他層
+   * @private
+   * @param {Object} weights - 權重矩陣
+   * @param {FeatureEncoder} [encoder] - 權重使用的特徵編碼
+   * @returns {boolean} 是否相同
+   */
+  matchesNetwork(weights, encoder = this.encoder) {
+    const current = this.predictionModel.weights;
+    return Boolean(
+      weights &&
+      weights.inputToHidden &&
+      weights.hiddenToOutput &&
+      weights.inputToHidden.length === encoder.size &&
+      weights.hiddenToOutput.length === current.hiddenToOutput.length &&
+      weights.hiddenToOutput[0].length === current.hiddenToOutput[0].length
+    );
+  }
+
+  /**
+   * 匯出學習狀態（Map 已編碼，可直接 JSON.stringify）
+   * @returns {Object} 學習狀態記錄 { schemaVersion, savedAt, state }
+   */
+  exportState() {
+    return LearningStoreClass.serialize(this.getState());
+  }
+
+  /**
+   * 匯入 exportState 的結果或舊版匯出的學習數據，並保存
+   * @param {Object} record - 學習狀態記錄
+   * @throws {GameError} 記錄無效或版本比目前新時拋出
+   */
+  importState(record) {
+    this.setState(LearningStoreClass.deserialize(record));
+    this.save();
+  }
+
+  /**
+   * 使用學習狀態儲存：載入上次保存的狀態，之後每記錄一場遊戲自動保存
+   * 載入完成前已記錄新遊戲時保留記憶體中的狀態（下一次保存會覆蓋舊的狀態）。
+   * @param {LearningStore} store - 學習狀態儲存
+   * @param {Object} [options] - 選項
+   * @param {boolean} [options.load=true] - 是否載入保存的狀態
+   * @returns {Promise<boolean>} 是否還原了保存的狀態
+   */
+  attachStore(store, options = {}) {
+    this.store = store;
+    if (!store || options.load === false) {
+      return Promise.resolve(false);
+    }
+
+    const recorded = this.gameHistory.length;
+    return store
+      .load()
+      .then(state => {
+        // 載入期間已記錄新遊戲或改用其他儲存時保留記憶體中的狀態
+        if (
+          !state ||
+          this.store !== store ||
+          this.gameHistory.length !== recorded
+        ) {
+          return false;
+        }
+        this.setState(state);
+        return true;
+      })
+      .catch(error => {
+        console.warn('Failed to load AI learning state:', error.message);
+        return false;
+      });
+  }
+
+  /**
+   * 保存學習狀態到儲存（沒有儲存時不做任何事）
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  save() {
+    if (!this.store) {
+      return Promise.resolve(false);
+    }
+    return this.store
+      .save(this.getState())
+      .then(() => true)
+      .catch(error => {
+        console.warn('Failed to save AI learning state:', error.message);
+        return false;
+      });
+  }
+
+  /**
+   * 計算玩家表現指標（0-1，由遊戲記錄計算；資料不足的指標為 null）
+   * - efficiency：延伸了連線的移動比例（見 moveContributesToLine）
+   * - strategicThinking：與當時顯示的建議相同的移動比例
+   * - adaptability：與電腦上一步下在同一條線上的移動比例
+   * - consistency：最近遊戲最終連線數的穩定程度
+   * @param {Object} gameData - 遊戲數據（suggestions 與 playerMoves 對齊，沒有建議的回合為 null）
    * @returns {Object} 表現指標
    */
   calculatePlayerPerformance(gameData) {
     const totalMoves = gameData.playerMoves.length;
-    const effectiveMoves = this.countEffectiveMoves(gameData);
-    const strategicMoves = this.countStrategicMoves(gameData);
-
     return {
-      efficiency: effectiveMoves / totalMoves,
-      strategicThinking: strategicMoves / totalMoves,
+      efficiency: totalMoves
+        ? this.countEffectiveMoves(gameData) / totalMoves
+        : null,
+      strategicThinking: this.calculateSuggestionAgreement(gameData),
       adaptability: this.calculateAdaptability(gameData),
       consistency: this.calculateConsistency(gameData)
     };
   }
 
   /**
-   * 計算有效移動數量
+   * 表現指標的平均值（略過 null）
+   * @param {Object} performance - calculatePlayerPerformance 的結果
+   * @returns {number|null} 平均值，沒有任何指標時為 null
+   */
+  scorePerformance(performance) {
+    const values = Object.values(performance || {}).filter(
+      value => typeof value === 'number' && Number.isFinite(value)
+    );
+    return values.length
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : null;
+  }
+
+  /**
+   * 依移動順序重播遊戲，每次在玩家落子之後、電腦回應之前呼叫 visit
+   * 無效的移動（超出遊戲板或格子已被佔用）會被略過。
    * @param {Object} gameData - 遊戲數據
-   * @returns {number} 有效移動數量
+   * @param {Function} visit - (board, move, round) => void
    */
-  countEffectiveMoves(gameData) {
-    let effectiveCount = 0;
+  replayGame(gameData, visit) {
     const board = Array(this.BOARD_SIZE)
       .fill()
-      .map(() => Array(this.BOARD_SIZE).fill(0));
+      .map(() => Array(this.BOARD_SIZE).fill(this.CELL_STATES.EMPTY));
 
-    for (let i = 0; i < gameData.playerMoves.length; i++) {
-      const move = gameData.playerMoves[i];
-      board[move.row][move.col] = this.CELL_STATES.PLAYER;
-
-      if (i < gameData.computerMoves.length) {
-        const computerMove = gameData.computerMoves[i];
+    gameData.playerMoves.forEach((move, round) => {
+      if (this.isEmptyCell(board, move)) {
+        board[move.row][move.col] = this.CELL_STATES.PLAYER;
+        visit(board, move, round);
+      }
+      const computerMove = gameData.computerMoves[round];
+      if (computerMove && this.isEmptyCell(board, computerMove)) {
         board[computerMove.row][computerMove.col] = this.CELL_STATES.COMPUTER;
       }
+    });
+  }
 
-      // 檢查這個移動是否有助於完成連線
+  /**
+   * 計算有效移動數量（延伸了連線的玩家移動）
+   * @param {Object} gameData - 遊戲數據
+   * @returns {number} 有效移動數量
+   */
+  countEffectiveMoves(gameData) {
+    let effectiveCount = 0;
+    this.replayGame(gameData, (board, move) => {
       if (this.moveContributesToLine(board, move)) {
         effectiveCount++;
       }
+    });
+    return effectiveCount;
+  }
+
+  /**
+   * 移動是否延伸了連線：經過該格的線中，有一條在落子前已有其他已填的格子
+   * @param {number[][]} board - 落子之後的遊戲板
+   * @param {{row: number, col: number}} move - 玩家移動
+   * @returns {boolean} 是否延伸了連線
+   */
+  moveContributesToLine(board, move) {
+    return this.cellLines[move.row * this.BOARD_SIZE + move.col].some(
+      index =>
+        this.lines[index].cells.filter(
+          ([row, col]) => board[row][col] !== this.CELL_STATES.EMPTY
+        ).length > 1
+    );
+  }
+
+  /**
+   * 與當時顯示的建議相同的移動比例
+   * @param {Object} gameData - 遊戲數據
+   * @returns {number|null} 比例，沒有記錄建議時為 null
+   */
+  calculateSuggestionAgreement(gameData) {
+    let suggested = 0;
+    let agreed = 0;
+    gameData.playerMoves.forEach((move, round) => {
+      const suggestion = gameData.suggestions && gameData.suggestions[round];
+      if (suggestion) {
+        suggested++;
+        if (suggestion.row === move.row && suggestion.col === move.col) {
+          agreed++;
+        }
+      }
+    });
+    return suggested ? agreed / suggested : null;
+  }
+
+  /**
+   * 玩家回應電腦的比例：與電腦上一步下在同一條線上的移動比例
+   * @param {Object} gameData - 遊戲數據
+   * @returns {number|null} 比例，電腦沒有下過棋時為 null
+   */
+  calculateAdaptability(gameData) {
+    let responses = 0;
+    let adapted = 0;
+    this.replayGame(gameData, (board, move, round) => {
+      const previous = gameData.computerMoves[round - 1];
+      if (!previous) {
+        return;
+      }
+      responses++;
+      const previousLines =
+        this.cellLines[previous.row * this.BOARD_SIZE + previous.col] || [];
+      if (
+        this.cellLines[move.row * this.BOARD_SIZE + move.col].some(index =>
+          previousLines.includes(index)
+        )
+      ) {
+        adapted++;
+      }
+    });
+    return responses ? adapted / responses : null;
+  }
+
+  /**
+   * 最近遊戲（含本局）最終連線數的穩定程度：1 - 2 × 標準差（連線數以總線數正規化，標準差最大為 0.5）
+   * @param {Object} gameData - 本局遊戲數據（尚未加入 gameHistory）
+   * @returns {number|null} 0-1，少於兩局時為 null
+   */
+  calculateConsistency(gameData) {
+    const scores = this.gameHistory
+      .slice(-(this.config.consistencyWindow - 1))
+      .map(record => record.finalScore)
+      .concat(gameData.finalScore)
+      .filter(score => typeof score === 'number')
+      .map(score => Math.min(1, score / this.LINE_COUNT));
+    if (scores.length < 2) {
+      return null;
     }
 
-    return effectiveCount;
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const variance =
+      scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) /
+      scores.length;
+    return Math.max(0, 1 - 2 * Math.sqrt(variance));
   }
 
   /**
@@ -226,6 +564,15 @@ class AILearningSystem {
    * @returns {Array} 輸出向量
    */
   forwardPass(input) {
+    return this.forwardLayers(input).output;
+  }
+
+  /**
+   * 前向傳播並保留隱藏層的激活值（反向傳播使用）
+   * @param {Array} input - 輸入向量
+   * @returns {{hidden: number[], output: number[]}} 隱藏層與輸出層的激活值
+   */
+  forwardLayers(input) {
     // 隱藏層計算
     const hiddenLayer = new Array(
       this.predictionModel.weights.inputToHidden[0].length
@@ -251,7 +598,265 @@ class AILearningSystem {
       outputLayer[i] = this.sigmoid(sum);
     }
 
-    return outputLayer;
+    return { hidden: hiddenLayer, output: outputLayer };
+  }
+
+  /**
+   * 以最近記錄的遊戲訓練神經網絡
+   * 以小批次梯度下降最小化有目標的輸出的均方誤差；部分遊戲保留為驗證資料，不參與訓練。
+   * 訓練後的損失記錄在 performanceMetrics.learningEfficiency。
+   * @param {Object} [options] - 覆蓋 trainingConfig 的選項
+   * @returns {Object|null} 訓練記錄 { timestamp, games, trainingExamples, validationExamples, trainLoss, validationLoss }，
+   *   沒有可訓練的移動時返回 null
+   */
+  train(options = {}) {
+    const settings = { ...this.trainingConfig, ...options };
+    const training = [];
+    const validation = [];
+    const games = this.gameHistory.slice(-settings.windowSize);
+
+    for (const gameRecord of games) {
+      const { examples, validation: heldOut } =
+        this.getTrainingExamples(gameRecord);
+      (heldOut ? validation : training).push(...examples);
+    }
+
+    if (training.length === 0) {
+      return null;
+    }
+
+    for (let epoch = 0; epoch < settings.epochs; epoch++) {
+      const order = this.shuffle(training);
+      for (let i = 0; i < order.length; i += settings.batchSize) {
+        this.trainBatch(
+          order.slice(i, i + settings.batchSize),
+          settings.learningRate
+        );
+      }
+    }
+
+    const metric = {
+      timestamp: Date.now(),
+      games: games.length,
+      trainingExamples: training.length,
+      validationExamples: validation.length,
+      trainLoss: this.calculateLoss(training),
+      validationLoss: validation.length ? this.calculateLoss(validation) : null
+    };
+
+    const history = this.performanceMetrics.learningEfficiency;
+    history.push(metric);
+    if (history.length > settings.maxMetrics) {
+      history.splice(0, history.length - settings.maxMetrics);
+    }
+
+    return metric;
+  }
+
+  /**
+   * 以一個小批次的平均梯度更新權重與偏置（反向傳播）
+   * @param {Array} batch - 訓練樣本 { board, indices, targets }
+   * @param {number} learningRate - 學習率
+   */
+  trainBatch(batch, learningRate) {
+    const { weights, biases } = this.predictionModel;
+    const hiddenSize = biases.hidden.length;
+    const gradients = {
+      inputToHidden: weights.inputToHidden.map(row => row.map(() => 0)),
+      hiddenToOutput: weights.hiddenToOutput.map(row => row.map(() => 0)),
+      hidden: new Array(hiddenSize).fill(0),
+      output: new Array(biases.output.length).fill(0)
+    };
+
+    for (const example of batch) {
+      const input = this.boardToVector(example.board);
+      const { hidden, output } = this.forwardLayers(input);
+
+      // 只有有目標的輸出產生誤差：均方誤差經過 sigmoid 的導數
+      const hiddenError = new Array(hiddenSize).fill(0);
+      example.indices.forEach((index, k) => {
+        const delta =
+          (output[index] - example.targets[k]) *
+          output[index] *
+          (1 - output[index]);
+        gradients.output[index] += delta;
+        for (let j = 0; j < hiddenSize; j++) {
+          gradients.hiddenToOutput[j][index] += delta * hidden[j];
+          hiddenError[j] += delta * weights.hiddenToOutput[j][index];
+        }
+      });
+
+      for (let j = 0; j < hiddenSize; j++) {
+        const delta = hiddenError[j] * hidden[j] * (1 - hidden[j]);
+        gradients.hidden[j] += delta;
+        for (let i = 0; i < input.length; i++) {
+          gradients.inputToHidden[i][j] += delta * input[i];
+        }
+      }
+    }
+
+    const step = learningRate / batch.length;
+    const apply = (values, grads) =>
+      values.forEach((value, i) => {
+        values[i] = value - step * grads[i];
+      });
+    weights.inputToHidden.forEach((row, i) =>
+      apply(row, gradients.inputToHidden[i])
+    );
+    weights.hiddenToOutput.forEach((row, i) =>
+      apply(row, gradients.hiddenToOutput[i])
+    );
+    apply(biases.hidden, gradients.hidden);
+    apply(biases.output, gradients.output);
+  }
+
+  /**
+   * 計算樣本的平均均方誤差
+   * @param {Array} examples - 訓練樣本
+   * @returns {number} 損失
+   */
+  calculateLoss(examples) {
+    let total = 0;
+    let count = 0;
+    for (const example of examples) {
+      const output = this.forwardPass(this.boardToVector(example.board));
+      example.indices.forEach((index, k) => {
+        total += (output[index] - example.targets[k]) ** 2;
+        count++;
+      });
+    }
+    return count ? total / count : 0;
+  }
+
+  /**
+   * 取得一場遊戲的訓練樣本（快取）
+   * 依記錄順序，每 1 / validationSplit 場遊戲中有一場保留為驗證資料。
+   * @param {Object} gameRecord - gameHistory 中的遊戲記錄
+   * @returns {{examples: Array, validation: boolean}} 樣本與是否為驗證資料
+   */
+  getTrainingExamples(gameRecord) {
+    let entry = this.trainingExamples.get(gameRecord);
+    if (!entry) {
+      const split = this.trainingConfig.validationSplit;
+      const index = this.trainingGames++;
+      entry = {
+        examples: this.createTrainingExamples(gameRecord),
+        validation: Math.floor((index + 1) * split) > Math.floor(index * split)
+      };
+      this.trainingExamples.set(gameRecord, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * 依遊戲的移動順序重建每一步之前的遊戲板，建立訓練樣本
+   * - 'outcome'：玩家下的格子的目標為最終連線數佔所有連線的比例（結果好的移動提高分數）
+   * - 'calculator'：計算器的最佳移動目標為 1，其他空格為 0
+   * 無效的移動（超出遊戲板或格子已被佔用）會被略過。
+   * @param {Object} gameRecord - 遊戲記錄（playerMoves、computerMoves、finalScore）
+   * @returns {Array<{board: number[][], indices: number[], targets: number[]}>} 訓練樣本
+   */
+  createTrainingExamples(gameRecord) {
+    const examples = [];
+    const board = Array(this.BOARD_SIZE)
+      .fill()
+      .map(() => Array(this.BOARD_SIZE).fill(this.CELL_STATES.EMPTY));
+    const reward = Math.min(1, (gameRecord.finalScore || 0) / this.LINE_COUNT);
+    const place = (move, state) => {
+      if (this.isEmptyCell(board, move)) {
+        board[move.row][move.col] = state;
+      }
+    };
+
+    gameRecord.playerMoves.forEach((move, round) => {
+      if (this.isEmptyCell(board, move)) {
+        const snapshot = board.map(row => [...row]);
+        const target =
+          this.trainingConfig.target === 'calculator'
+            ? this.createTeacherTarget(snapshot, round)
+            : {
+                indices: [move.row * this.BOARD_SIZE + move.col],
+                targets: [reward]
+              };
+        if (target) {
+          examples.push({ board: snapshot, ...target });
+        }
+      }
+
+      place(move, this.CELL_STATES.PLAYER);
+      const computerMove = gameRecord.computerMoves[round];
+      if (computerMove) {
+        place(computerMove, this.CELL_STATES.COMPUTER);
+      }
+    });
+
+    return examples;
+  }
+
+  /**
+   * 以計算器的最佳移動建立目標：最佳移動為 1，其他空格為 0
+   * @param {number[][]} board - 玩家移動前的遊戲板
+   * @param {number} round - 回合索引（從 0 開始）
+   * @returns {{indices: number[], targets: number[]}|null} 目標，計算器沒有建議時返回 null
+   */
+  createTeacherTarget(board, round) {
+    if (!this.teacher) {
+      this.teacher = LearningRegistry.default.createStrategy(
+        'standard',
+        this.gameConfig
+      );
+    }
+
+    const suggestion = this.teacher.getBestSuggestion(board, {
+      currentRound: round + 1,
+      roundsLeft: Math.max(1, this.MAX_ROUNDS - round),
+      turn: 'player'
+    });
+    if (!suggestion) {
+      return null;
+    }
+
+    const indices = [];
+    const targets = [];
+    board.forEach((cells, row) =>
+      cells.forEach((cell, col) => {
+        if (cell === this.CELL_STATES.EMPTY) {
+          indices.push(row * this.BOARD_SIZE + col);
+          targets.push(
+            row === suggestion.row && col === suggestion.col ? 1 : 0
+          );
+        }
+      })
+    );
+    return { indices, targets };
+  }
+
+  /**
+   * 格子是否在遊戲板內且為空
+   * @param {number[][]} board - 遊戲板
+   * @param {{row: number, col: number}} move - 位置
+   * @returns {boolean} 是否為空格
+   */
+  isEmptyCell(board, move) {
+    return Boolean(
+      move &&
+      board[move.row] !== undefined &&
+      board[move.row][move.col] === this.CELL_STATES.EMPTY
+    );
+  }
+
+  /**
+   * 以 Fisher-Yates 洗牌返回新陣列
+   * @param {Array} items - 項目
+   * @returns {Array} 洗牌後的陣列
+   */
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = this.random.nextInt(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
   }
 
   /**
@@ -300,6 +905,7 @@ class AILearningSystem {
       adaptationCount: this.difficultySystem.adaptationCounter,
       averagePerformance: this.calculateAveragePerformance(),
       learningProgress: this.calculateLearningProgress(),
+      training: this.performanceMetrics.learningEfficiency.slice(-1)[0] || null,
       personalizedStrategies: this.personalizationSystem.customStrategies.length
     };
   }
@@ -309,40 +915,19 @@ class AILearningSystem {
     return JSON.parse(JSON.stringify(obj));
   }
 
+  /**
+   * 以目前的特徵編碼將遊戲板轉為網絡的輸入向量
+   * @param {number[][]} board - 遊戲板
+   * @returns {number[]} 輸入向量（長度為 encoder.size）
+   */
   boardToVector(board) {
-    const vector = [];
-    for (let row = 0; row < this.BOARD_SIZE; row++) {
-      for (let col = 0; col < this.BOARD_SIZE; col++) {
-        vector.push(board[row][col]);
-      }
-    }
-
-    // 添加額外特徵
-    vector.push(this.playerModel.skillLevel);
-    vector.push(this.difficultySystem.adaptationCounter / 100);
-    // 添加更多上下文特徵...
-
-    return vector;
-  }
-
-  moveContributesToLine(board, move) {
-    // 簡化實現：檢查移動是否有助於形成連線
-    return Math.random() > 0.5; // 簡化為隨機
-  }
-
-  countStrategicMoves(gameData) {
-    return Math.floor(gameData.playerMoves.length * 0.6); // 簡化實現
-  }
-
-  calculateAdaptability(gameData) {
-    return 0.7; // 簡化實現
-  }
-
-  calculateConsistency(gameData) {
-    return 0.8; // 簡化實現
+    return this.encoder.encode(board, {
+      skillLevel: this.playerModel.skillLevel,
+      adaptationCounter: this.difficultySystem.adaptationCounter
+    });
   }
 
-  updatePlayerBehaviorModel(gameData) {
+  updatePlayerBehaviorModel(gameData, performance) {
     // 更新偏好位置
     for (const move of gameData.playerMoves) {
       const key = `${move.row},${move.col}`;
@@ -351,10 +936,10 @@ class AILearningSystem {
     }
 
     // 更新技能等級
-    this.updateSkillLevel(gameData);
+    this.updateSkillLevel(performance);
 
     // 更新遊戲風格
-    this.updatePlayStyle(gameData);
+    this.updatePlayStyle();
   }
 
   updateMovePatterns(gameData) {
@@ -369,6 +954,9 @@ class AILearningSystem {
   }
 
   learnFromGameData(gameRecord) {
+    // 訓練預測模型
+    this.train();
+
     // 調整難度系統
     this.adjustDifficulty(gameRecord);
 
@@ -376,14 +964,15 @@ class AILearningSystem {
     this.updatePersonalization(gameRecord);
   }
 
-  updateSkillLevel(gameData) {
-    const performance = this.calculatePlayerPerformance(gameData);
-    const overallScore =
-      (performance.efficiency +
-        performance.strategicThinking +
-        performance.adaptability +
-        performance.consistency) /
-      4;
+  /**
+   * 以本局的表現更新技能等級
+   * @param {Object} performance - calculatePlayerPerformance 的結果
+   */
+  updateSkillLevel(performance) {
+    const overallScore = this.scorePerformance(performance);
+    if (overallScore === null) {
+      return;
+    }
 
     // 使用指數移動平均更新技能等級
     const alpha = this.config.learningRate;
@@ -391,21 +980,79 @@ class AILearningSystem {
       alpha * overallScore + (1 - alpha) * this.playerModel.skillLevel;
   }
 
-  updatePlayStyle(gameData) {
-    // 簡化的風格更新
-    const styles = ['aggressive', 'defensive', 'balanced', 'strategic'];
-    this.playerModel.playStyle =
-      styles[Math.floor(Math.random() * styles.length)];
+  /**
+   * 依所有記錄的落子位置更新遊戲風格（見 classifyPlayStyle）
+   */
+  updatePlayStyle() {
+    this.playerModel.playStyle = this.classifyPlayStyle(
+      this.playerModel.preferredPositions
+    );
+  }
+
+  /**
+   * 依玩家偏好的區域判定遊戲風格
+   * 每個區域的偏好為落子比例除以該區域佔遊戲板的比例（均勻落子時為 1）：
+   * - aggressive：偏好中心（與中心距離 1 以內的格子，經過的線最多）
+   * - strategic：偏好兩條對角線
+   * - defensive：偏好邊緣
+   * 偏好最高的區域達到 styleThreshold 時判定為該風格，否則為 balanced。
+   * @param {Map<string, number>} positions - 'row,col' -> 落子次數
+   * @returns {string} 'aggressive'、'strategic'、'defensive' 或 'balanced'
+   */
+  classifyPlayStyle(positions) {
+    const last = this.BOARD_SIZE - 1;
+    const center = last / 2;
+    const regions = {
+      aggressive: (row, col) =>
+        Math.max(Math.abs(row - center), Math.abs(col - center)) <= 1,
+      strategic: (row, col) => row === col || row + col === last,
+      defensive: (row, col) =>
+        row === 0 || col === 0 || row === last || col === last
+    };
+
+    let total = 0;
+    const counts = { aggressive: 0, strategic: 0, defensive: 0 };
+    for (const [key, count] of positions) {
+      const [row, col] = key.split(',').map(Number);
+      if (!LearningUtils.isValidPosition(row, col, this.BOARD_SIZE)) {
+        continue;
+      }
+      total += count;
+      for (const style of Object.keys(regions)) {
+        if (regions[style](row, col)) {
+          counts[style] += count;
+        }
+      }
+    }
+    if (total === 0) {
+      return 'balanced';
+    }
+
+    const cellCount = this.BOARD_SIZE * this.BOARD_SIZE;
+    let best = 'balanced';
+    let bestPreference = this.config.styleThreshold;
+    for (const style of Object.keys(regions)) {
+      let cells = 0;
+      for (let row = 0; row <= last; row++) {
+        for (let col = 0; col <= last; col++) {
+          if (regions[style](row, col)) cells++;
+        }
+      }
+      const preference = counts[style] / total / (cells / cellCount);
+      if (preference >= bestPreference) {
+        best = style;
+        bestPreference = preference;
+      }
+    }
+    return best;
   }
 
   adjustDifficulty(gameRecord) {
-    const performance = gameRecord.playerPerformance;
-    const overallScore =
-      (performance.efficiency +
-        performance.strategicThinking +
-        performance.adaptability +
-        performance.consistency) /
-      4;
+    const overallScore = this.scorePerformance(gameRecord.playerPerformance);
+    if (overallScore === null) {
+      this.difficultySystem.adaptationCounter++;
+      return;
+    }
 
     this.difficultySystem.performanceMetrics.push(overallScore);
 
@@ -470,7 +1117,11 @@ class AILearningSystem {
 
   analyzeUserPreferences(gameRecord) {
     return {
-      favoritePositions: ['2,2', '1,1', '3,3'], // 簡化實現
+      // 落子次數最多的三個位置
+      favoritePositions: [...this.playerModel.preferredPositions]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([key]) => key),
       gameRhythm: 'medium',
       riskTolerance: 0.5
     };
@@ -505,11 +1156,12 @@ class AILearningSystem {
 
     const reasons = [];
 
-    if (move.row === 2 && move.col === 2) {
+    const center = Math.floor(this.BOARD_SIZE / 2);
+    if (move.row === center && move.col === center) {
       reasons.push('中心位置具有戰略優勢');
     }
 
-    if (move.row === move.col) {
+    if (move.row === move.col || move.row + move.col === this.BOARD_SIZE - 1) {
       reasons.push('位於對角線上');
     }
 
@@ -598,6 +1250,102 @@ class AILearningSystem {
 
     return { improvement, trend };
   }
+
+  /**
+   * 建立以學習系統提供建議的策略工廠（見 StrategyRegistry）
+   * @param {string} method - 提供建議的方法（'getPersonalizedSuggestion' 或 'predictBestMove'）
+   * @returns {Function} (config, {aiLearningSystem}) => 提供 getBestSuggestion 的策略
+   */
+  static createStrategyFactory(method) {
+    return (config, options = {}) => {
+      const system = options.aiLearningSystem || new AILearningSystem(config);
+      return {
+        aiLearningSystem: system,
+        getBestSuggestion: (board, context) =>
+          AILearningSystem.toSuggestion(system[method](board, context))
+      };
+    };
+  }
+
+  /**
+   * 將學習系統的預測轉為計算器的建議格式（與 getBestSuggestion 相同）
+   * @param {Object} prediction - predictBestMove 或 getPersonalizedSuggestion 的結果
+   * @returns {Object|null} 建議 { row, col, value, confidence, alternatives, reasoning, source: 'learning' }，
+   *   value 為網絡輸出（0-1），沒有空格時返回 null
+   */
+  static toSuggestion(prediction) {
+    if (!prediction || !prediction.move) {
+      return null;
+    }
+
+    const value = prediction.confidence;
+    return {
+      row: prediction.move.row,
+      col: prediction.move.col,
+      value,
+      confidence:
+        value >= 0.9
+          ? 'very-high'
+          : value >= 0.7
+            ? 'high'
+            : value >= 0.5
+              ? 'medium'
+              : 'low',
+      alternatives: (prediction.alternatives || []).map(
+        ({ row, col, confidence }) => ({ row, col, value: confidence })
+      ),
+      reasoning: prediction.reasoning,
+      source: 'learning'
+    };
+  }
+}
+
+// 註冊為建議策略，對應 GameEngine 的 personalized 與 adaptive 學習模式
+if (LearningRegistry) {
+  LearningRegistry.default.registerStrategy(
+    'ai-learning',
+    AILearningSystem.createStrategyFactory('getPersonalizedSuggestion'),
+    {
+      order: 40,
+      kind: 'learning',
+      learningMode: 'personalized',
+      script: './aiLearningSystem.js',
+      i18n: {
+        'zh-TW': {
+          name: 'AI 學習演算法',
+          description: '基於機器學習的智能建議系統',
+          features: [
+            '歷史數據學習',
+            '行為模式預測',
+            '自適應難度調整',
+            '個性化遊戲體驗'
+          ]
+        },
+        'en-US': {
+          name: 'AI Learning Algorithm',
+          description:
+            'Intelligent suggestion system based on machine learning',
+          features: [
+            'Historical data learning',
+            'Behavior pattern prediction',
+            'Adaptive difficulty adjustment',
+            'Personalized gaming experience'
+          ]
+        }
+      }
+    }
+  );
+  LearningRegistry.default.registerStrategy(
+    'ai-adaptive',
+    AILearningSystem.createStrategyFactory('predictBestMove'),
+    {
+      order: 50,
+      kind: 'learning',
+      learningMode: 'adaptive',
+      selectable: false,
+      script: './aiLearningSystem.js'
+    }
+  );
 }
 
 // 如果在 Node.js 環境中，導出模塊
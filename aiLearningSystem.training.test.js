@@ -0,0 +1,135 @@
+/**
+ * AILearningSystem 神經網絡訓練測試
+ */
+const AILearningSystem = require('./aiLearningSystem.js');
+const GameEngine = require('./gameEngine.js');
+
+const toMoves = cells => cells.map(([row, col]) => ({ row, col }));
+
+// 玩家完成兩條對角線的遊戲
+function createGame(finalScore = 2) {
+  return {
+    board: [],
+    playerMoves: toMoves([
+      [2, 2],
+      [0, 0],
+      [1, 1],
+      [3, 3],
+      [4, 4],
+      [0, 4],
+      [1, 3],
+      [3, 1]
+    ]),
+    computerMoves: toMoves([
+      [0, 1],
+      [0, 2],
+      [0, 3],
+      [1, 0],
+      [1, 2],
+      [1, 4],
+      [2, 0],
+      [2, 1]
+    ]),
+    finalScore,
+    completedLines: [],
+    gameOutcome: 'average'
+  };
+}
+
+const emptyBoard = () =>
+  Array(5)
+    .fill()
+    .map(() => Array(5).fill(0));
+
+describe('AILearningSystem training', () => {
+  test('should lower the loss as games are recorded', () => {
+    const system = new AILearningSystem({}, { random: 1 });
+    for (let i = 0; i < 10; i++) {
+      system.recordGameData(createGame());
+    }
+
+    const metrics = system.performanceMetrics.learningEfficiency;
+    expect(metrics).toHaveLength(10);
+    expect(metrics[9].trainLoss).toBeLessThan(metrics[0].trainLoss);
+
+    // 每五場遊戲中有一場保留為驗證資料
+    expect(metrics[9].games).toBe(10);
+    expect(metrics[9].validationExamples).toBe(16);
+    expect(metrics[9].trainingExamples).toBe(64);
+    expect(metrics[9].validationLoss).toBeLessThan(metrics[0].trainLoss);
+    expect(system.getLearningStats().training).toEqual(metrics[9]);
+  });
+
+  test('should learn the calculator moves', () => {
+    const system = new AILearningSystem(
+      {},
+      { random: 1, training: { target: 'calculator' } }
+    );
+    const untrained = system.forwardPass(system.boardToVector(emptyBoard()));
+
+    for (let i = 0; i < 10; i++) {
+      system.recordGameData(createGame());
+    }
+
+    // 計算器在空遊戲板上建議中心
+    const prediction = system.predictBestMove(emptyBoard());
+    expect(prediction.move.row).toBe(2);
+    expect(prediction.move.col).toBe(2);
+    expect(prediction.confidence).toBeGreaterThan(untrained[12]);
+  });
+
+  test('should use the configured learning rate and batch size', () => {
+    const system = new AILearningSystem(
+      {},
+      { random: 1, training: { learningRate: 0, batchSize: 3 } }
+    );
+    const weights = JSON.stringify(system.predictionModel.weights);
+    const batches = [];
+    const trainBatch = system.trainBatch.bind(system);
+    system.trainBatch = (batch, learningRate) => {
+      batches.push(batch.length);
+      trainBatch(batch, learningRate);
+    };
+
+    system.recordGameData(createGame());
+    expect(batches).toEqual([3, 3, 2]);
+    expect(JSON.stringify(system.predictionModel.weights)).toBe(weights);
+
+    // 個別呼叫可以覆蓋配置
+    batches.length = 0;
+    system.train({ batchSize: 8, epochs: 2 });
+    expect(batches).toEqual([8, 8]);
+  });
+
+  test('should skip moves that cannot be replayed', () => {
+    const system = new AILearningSystem({}, { random: 1 });
+    const game = createGame(12);
+    // 重複的移動與超出遊戲板的移動
+    game.playerMoves[1] = { row: 2, col: 2 };
+    game.playerMoves[2] = { row: 5, col: 0 };
+
+    const examples = system.createTrainingExamples(game);
+    expect(examples).toHaveLength(6);
+    expect(examples[0].indices).toEqual([12]);
+    expect(examples[0].targets).toEqual([1]);
+    expect(system.train()).toBe(null);
+  });
+
+  test('should train on games played through the game engine', () => {
+    const engine = new GameEngine();
+    const system = engine.aiLearningSystem;
+    const before = JSON.stringify(system.predictionModel.weights);
+
+    engine.startGame();
+    while (!engine.isGameComplete()) {
+      const [player, computer] = engine.getEmptyCells();
+      engine.makePlayerMove(player.row, player.col);
+      engine.makeComputerMove(computer.row, computer.col);
+    }
+
+    expect(system.performanceMetrics.learningEfficiency).toHaveLength(1);
+    expect(JSON.stringify(system.predictionModel.weights) !== before).toBe(
+      true
+    );
+  });
+});
@@ -1,6 +1,6 @@
 /**
  * 算法比較工具
- * 比較標準和增強版算法的性能和建議質量
+ * 比較標準和增強版算法的性能和建議質量，註冊表中其他已載入的計算器（如蒙地卡羅算法）一併比較
  *
  * 功能：
  * 1. 測量兩種算法在相同遊戲狀態下的執行時間
@@ -13,10 +13,31 @@
 if (typeof SafeDOM === 'undefined' && typeof require !== 'undefined') {
   const SafeDOM = require('./safe-dom.js');
 }
+
+// 載入隨機數來源與策略註冊表
+let ComparisonRandom, ComparisonRegistry;
+if (typeof require !== 'undefined') {
+  ComparisonRandom = require('./utils/random.js');
+  ComparisonRegistry = require('./strategyRegistry.js');
+} else if (typeof window !== 'undefined') {
+  ComparisonRandom = window.SeededRandom;
+  ComparisonRegistry = window.StrategyRegistry;
+}
+
 class AlgorithmComparison {
-  constructor() {
-    this.standardCalculator = new ProbabilityCalculator();
-    this.enhancedCalculator = new EnhancedProbabilityCalculator();
+  /**
+   * @param {Object} [options] - 比較選項
+   * @param {SeededRandom|number|string} [options.random] - 隨機數來源或種子，相同種子會產生相同的測試遊戲板
+   * @param {Object} [options.strategies] - 策略 id -> 計算器選項（如 'monte-carlo' 的 playouts、timeBudget）
+   */
+  constructor(options = {}) {
+    this.random = ComparisonRandom.from(options.random);
+    this.standardCalculator =
+      ComparisonRegistry.default.createStrategy('standard');
+    this.enhancedCalculator =
+      ComparisonRegistry.default.createStrategy('enhanced');
+    this.strategyOptions = options.strategies || {};
+    this.additionalCalculators = new Map();
     this.comparisonResults = [];
     this.isComparing = false;
     this.memorySnapshots = [];
@@ -37,7 +58,8 @@ class AlgorithmComparison {
     this.performanceMetrics = {
       executionTime: {
         standard: [],
-        enhanced: []
+        enhanced: [],
+        additional: {}
       },
       memoryUsage: {
         standard: [],
@@ -102,6 +124,41 @@ class AlgorithmComparison {
     });
   }
 
+  /**
+   * 取得與標準、增強算法一併比較的其他計算器
+   * 包含註冊表中已載入且可比較的計算器策略；瀏覽器中延遲載入的算法尚未載入時不參與比較
+   * @returns {Map<string, Object>} 策略 id -> 計算器
+   */
+  getAdditionalCalculators() {
+    const strategies = ComparisonRegistry.default.listStrategies({
+      kind: 'calculator',
+      loaded: true
+    });
+
+    for (const { id, metadata } of strategies) {
+      if (
+        id === 'standard' ||
+        id === 'enhanced' ||
+        metadata.comparable === false ||
+        this.additionalCalculators.has(id)
+      ) {
+        continue;
+      }
+
+      // 以比較工具的種子建立獨立的隨機數來源，使模擬結果可重現
+      this.additionalCalculators.set(
+        id,
+        ComparisonRegistry.default.createStrategy(
+          id,
+          {},
+          { random: this.random.seed, ...this.strategyOptions[id] }
+        )
+      );
+    }
+
+    return this.additionalCalculators;
+  }
+
   /**
    * 比較兩種算法在特定遊戲板上的表現
    * @param {number[][]} board - 遊戲板狀態
@@ -182,6 +239,37 @@ class AlgorithmComparison {
       };
     }
 
+    // 測量其他算法性能（已載入時）
+    const additionalCalculators = this.getAdditionalCalculators();
+    const additionalPerformance = {};
+    const additionalSuggestions = {};
+    const additionalMetrics = {};
+    for (const [id, calculator] of additionalCalculators) {
+      const start = performance.now();
+      const suggestion = calculator.getBestSuggestion(board);
+      const time = performance.now() - start;
+
+      additionalPerformance[id] = { time: time.toFixed(2), rawTime: time };
+      additionalSuggestions[id] = {
+        suggestion,
+        agreement: {
+          standard: this.isSameMove(suggestion, standardSuggestion),
+          enhanced: this.isSameMove(suggestion, enhancedSuggestion)
+        }
+      };
+      additionalMetrics[id] = calculator.getPerformanceMetrics
+        ? calculator.getPerformanceMetrics()
+        : null;
+
+      // 保存執行時間到性能指標（限制歷史記錄大小）
+      const times = (this.performanceMetrics.executionTime.additional[id] =
+        this.performanceMetrics.executionTime.additional[id] || []);
+      times.push(time);
+      if (times.length > 50) {
+        times.shift();
+      }
+    }
+
     // 計算記憶體使用量差異
     let memoryUsage = null;
     if (
@@ -266,6 +354,7 @@ class AlgorithmComparison {
         enhancedTime: enhancedTime.toFixed(2),
         rawStandardTime: standardTime,
         rawEnhancedTime: enhancedTime,
+        additional: additionalPerformance,
         improvement: (
           ((standardTime - enhancedTime) / standardTime) *
           100
@@ -275,13 +364,15 @@ class AlgorithmComparison {
       suggestions: {
         standard: standardSuggestion,
         enhanced: enhancedSuggestion,
-        qualityComparison
+        qualityComparison,
+        additional: additionalSuggestions
       },
       metrics: {
         standard: this.standardCalculator.getPerformanceMetrics
           ? this.standardCalculator.getPerformanceMetrics()
           : null,
-        enhanced: this.enhancedCalculator.getPerformanceMetrics()
+        enhanced: this.enhancedCalculator.getPerformanceMetrics(),
+        additional: additionalMetrics
       }
     };
 
@@ -297,6 +388,16 @@ class AlgorithmComparison {
     return result;
   }
 
+  /**
+   * 判斷兩個建議是否為同一格
+   * @param {Object|null} a - 建議
+   * @param {Object|null} b - 建議
+   * @returns {boolean} 是否相同
+   */
+  isSameMove(a, b) {
+    return Boolean(a && b && a.row === b.row && a.col === b.col);
+  }
+
   /**
    * 格式化記憶體大小為人類可讀格式
    * @param {number} bytes - 位元組數
@@ -714,12 +815,19 @@ class AlgorithmComparison {
    * @param {Function|Array} boardGenerator - 生成測試遊戲板的函數或預定義測試案例
    * @param {Function} callback - 完成後的回調函數
    * @param {Object} options - 測試選項
+   * @param {number|string} [options.seed] - 隨機種子，指定時以此種子重新產生隨機遊戲板
    */
   runBenchmark(iterations = 10, boardGenerator, callback, options = {}) {
     const results = [];
     let completed = 0;
     let testBoards = [];
 
+    if (options.seed !== undefined) {
+      this.random = ComparisonRandom.from(options.seed);
+      // 以新種子重新建立其他計算器
+      this.additionalCalculators.clear();
+    }
+
     // 準備測試遊戲板
     if (Array.isArray(boardGenerator)) {
       // 使用提供的遊戲板陣列
@@ -730,7 +838,7 @@ class AlgorithmComparison {
     } else {
       // 生成隨機遊戲板
       for (let i = 0; i < iterations; i++) {
-        const filledCells = Math.floor(Math.random() * 20) + 1; // 1-20個已填充的格子
+        const filledCells = this.random.nextInt(20) + 1; // 1-20個已填充的格子
         testBoards.push(
           boardGenerator
             ? boardGenerator()
@@ -862,6 +970,9 @@ class AlgorithmComparison {
     let totalCacheHitRate = 0;
     let cacheResultsCount = 0;
 
+    // 其他算法統計：策略 id -> {totalTime, count, agreesWithStandard, agreesWithEnhanced}
+    const additionalTotals = {};
+
     for (const result of results) {
       // 時間性能
       totalStandardTime += result.performance.rawStandardTime;
@@ -905,6 +1016,26 @@ class AlgorithmComparison {
         totalCacheHitRate += parseFloat(result.metrics.enhanced.cacheHitRate);
         cacheResultsCount++;
       }
+
+      // 其他算法
+      for (const [id, { agreement }] of Object.entries(
+        result.suggestions.additional || {}
+      )) {
+        const totals = (additionalTotals[id] = additionalTotals[id] || {
+          totalTime: 0,
+          count: 0,
+          agreesWithStandard: 0,
+          agreesWithEnhanced: 0
+        });
+        totals.totalTime += result.performance.additional[id].rawTime;
+        totals.count++;
+        if (agreement.standard) {
+          totals.agreesWithStandard++;
+        }
+        if (agreement.enhanced) {
+          totals.agreesWithEnhanced++;
+        }
+      }
     }
 
     const avgStandardTime = totalStandardTime / results.length;
@@ -940,6 +1071,18 @@ class AlgorithmComparison {
       };
     }
 
+    // 其他算法平均值
+    const additionalStats = {};
+    for (const [id, totals] of Object.entries(additionalTotals)) {
+      additionalStats[id] = {
+        avgTime: (totals.totalTime / totals.count).toFixed(2) + 'ms',
+        agreesWithStandardPercent:
+          ((totals.agreesWithStandard / totals.count) * 100).toFixed(2) + '%',
+        agreesWithEnhancedPercent:
+          ((totals.agreesWithEnhanced / totals.count) * 100).toFixed(2) + '%'
+      };
+    }
+
     return {
       iterations: results.length,
       performance: {
@@ -966,7 +1109,8 @@ class AlgorithmComparison {
           ).toFixed(2) + '%',
         avgQualityScore: (totalQualityScore / results.length).toFixed(2)
       },
-      cache: cacheStats
+      cache: cacheStats,
+      additional: additionalStats
     };
   }
 
@@ -994,12 +1138,12 @@ class AlgorithmComparison {
     let filled = 0;
 
     while (filled < filledCells) {
-      const row = Math.floor(Math.random() * 5);
-      const col = Math.floor(Math.random() * 5);
+      const row = this.random.nextInt(5);
+      const col = this.random.nextInt(5);
 
       if (board[row][col] === 0) {
         // 隨機分配玩家或電腦的棋子
-        board[row][col] = Math.random() < 0.5 ? 1 : 2;
+        board[row][col] = this.random.next() < 0.5 ? 1 : 2;
         filled++;
       }
     }
@@ -0,0 +1,505 @@
+#!/usr/bin/env node
+/**
+ * bingo-sim - 命令列批次模擬工具
+ *
+ * 用法：
+ *   bingo-sim simulate --games 10000 --algorithm enhanced --seed 42 --computer random
+ *   bingo-sim tune --algorithm enhanced --games 200 --generations 10 --output weights.json
+ *   bingo-sim book --book-rounds 3 --output openingBook.data.js
+ *   bingo-sim train --games 1000 --evaluate-every 100 --output learning.json
+ *
+ * simulate 在瀏覽器之外以 GameEngine 進行完整遊戲，輸出最終連線數分佈、平均值與標準差、
+ * 每回合計算時間，並可將每局結果導出為 CSV 或 JSON。
+ * tune 以 WeightTuner 搜尋平均連線數最高的演算法權重，並寫成權重檔案；
+ * simulate --weights --no-book 可用該檔案比較調整後的表現（tune 評分時不使用開局庫）。
+ * book 以 OptimalSolver 求解前幾回合的所有局面，產生計算器使用的開局庫資料檔。
+ * train 以 SelfPlayTrainer 自我對弈訓練 AI 學習系統，輸出學習曲線，
+ * 並可寫出能在 AI 學習面板導入的學習狀態。
+ */
+const fs = require('fs');
+const path = require('path');
+const GameSimulator = require('../gameSimulator.js');
+const WeightTuner = require('../weightTuner.js');
+const OpeningBook = require('../openingBook.js');
+const SelfPlayTrainer = require('../selfPlayTrainer.js');
+const BaseProbabilityCalculator = require('../utils/baseProbabilityCalculator.js');
+const { logger } = require('../production-logger.js');
+
+const USAGE = `Usage: bingo-sim <simulate|tune|book|train> [options]
+
+Commands:
+  simulate             Play games and report the final line counts
+  tune                 Search for algorithm weights with the most final lines
+  book                 Solve the opening rounds exactly and write the opening book
+  train                Train the AI learning system with self-play games
+
+Options:
+  --games <n>          Number of games to play; per weight set for tune (default: 100)
+  --algorithm <name>   Suggestion algorithm: ${GameSimulator.ALGORITHMS.join(', ')} (default: standard; tune: enhanced)
+                       train: calculator to compare against (default: enhanced)
+  --computer <policy>  Computer policy: ${GameSimulator.COMPUTER_POLICIES.join(', ')} (default: random)
+  --seed <seed>        Random seed; the same seed replays the same computer moves
+  --playouts <n>       Monte Carlo playouts per cell (default: 200)
+  --time-budget <ms>   Monte Carlo time budget per suggestion, 0 for none (default: 0);
+                       a budget makes results depend on machine speed, not only the seed
+  --board-size <n>     Board size (default: 5)
+  --rounds <n>         Rounds per game (default: 8)
+  --line-length <n>    Cells needed for a line (default: board size)
+  --weights <file>     Weights file to play with (simulate) or start from (tune)
+  --no-book            simulate: play the opening rounds without the opening book,
+                       as tune scores weights
+  --generations <n>    tune: generations to evolve (default: 10)
+  --population <n>     tune: weight sets per generation (default: 12)
+  --book-rounds <n>    book: opening rounds to solve (default: 3)
+  --evaluate-every <n> train: games between evaluations (default: 100)
+  --evaluation-games <n>
+                       train: games per evaluation (default: 50)
+  --output <file>      simulate: write per-game results to a .csv or .json file
+                       tune: write the tuned weights file (.json)
+                       book: opening book data file (default: openingBook.data.js)
+                       train: write the learning state (.json) with the learning curve
+  --format <csv|json>  Output format (default: from the file extension)
+  --verbose            Show game engine logs
+  -h, --help           Show this help
+`;
+
+// 選項名稱 -> [屬性名稱, 是否需要值]
+const OPTIONS = {
+  '--games': ['games', true],
+  '--algorithm': ['algorithm', true],
+  '--computer': ['computer', true],
+  '--seed': ['seed', true],
+  '--playouts': ['playouts', true],
+  '--time-budget': ['timeBudget', true],
+  '--board-size': ['boardSize', true],
+  '--rounds': ['maxRounds', true],
+  '--line-length': ['lineLength', true],
+  '--weights': ['weights', true],
+  '--no-book': ['noBook', false],
+  '--generations': ['generations', true],
+  '--population': ['population', true],
+  '--book-rounds': ['bookRounds', true],
+  '--evaluate-every': ['evaluateEvery', true],
+  '--evaluation-games': ['evaluationGames', true],
+  '--output': ['output', true],
+  '--format': ['format', true],
+  '--verbose': ['verbose', false],
+  '--help': ['help', false],
+  '-h': ['help', false]
+};
+
+/**
+ * 解析命令列參數
+ * @param {string[]} argv - 參數（不含 node 與腳本路徑）
+ * @returns {{command: string|undefined, options: Object}} 指令與選項
+ * @throws {Error} 參數無效時拋出
+ */
+function parseArgs(argv) {
+  const options = { games: 100 };
+  let command;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const option = OPTIONS[flag];
+
+    if (!option) {
+      if (flag.startsWith('-') || command) {
+        throw new Error(`Unknown argument: ${argv[i]}`);
+      }
+      command = flag;
+      continue;
+    }
+
+    const [key, takesValue] = option;
+    if (!takesValue) {
+      options[key] = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    options[key] = value;
+  }
+
+  [
+    'games',
+    'boardSize',
+    'maxRounds',
+    'lineLength',
+    'playouts',
+    'generations',
+    'population',
+    'bookRounds',
+    'evaluateEvery',
+    'evaluationGames'
+  ].forEach(key => {
+    options[key] = parseInteger(options, key, 1);
+  });
+  options.timeBudget = parseInteger(options, 'timeBudget', 0);
+
+  return { command, options };
+}
+
+/**
+ * 將選項轉為整數
+ * @param {Object} options - 已解析的選項
+ * @param {string} key - 屬性名稱
+ * @param {number} min - 最小值
+ * @returns {number|undefined} 整數值（未指定時為 undefined）
+ * @throws {Error} 不是整數或小於最小值時拋出
+ */
+function parseInteger(options, key, min) {
+  if (options[key] === undefined) return undefined;
+  const number = Number(options[key]);
+  if (!Number.isInteger(number) || number < min) {
+    const flag = `--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+    throw new Error(
+      min > 0
+        ? `${flag} must be a positive integer`
+        : `${flag} must be a non-negative integer`
+    );
+  }
+  return number;
+}
+
+/**
+ * 格式化統計摘要
+ * @param {Object} result - GameSimulator.run() 的結果
+ * @returns {string} 文字報告
+ */
+function formatSummary(result) {
+  const { options, summary } = result;
+  const lines = [
+    `Games:     ${summary.games}`,
+    `Algorithm: ${options.algorithm}`,
+    `Computer:  ${options.computer}`,
+    `Seed:      ${options.seed}`,
+    `Board:     ${options.config.boardSize}x${options.config.boardSize}, ${options.config.maxRounds} rounds, lines of ${options.config.lineLength}`,
+    '',
+    `Lines:     mean ${summary.mean.toFixed(3)}, stdev ${summary.stdev.toFixed(3)}, min ${summary.min}, max ${summary.max}`,
+    '',
+    'Distribution of final line counts:'
+  ];
+
+  Object.keys(summary.distribution)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .forEach(count => {
+      const games = summary.distribution[count];
+      const share = (games / summary.games) * 100;
+      const bar = '#'.repeat(Math.round(share / 2));
+      lines.push(
+        `  ${String(count).padStart(2)} lines: ${String(games).padStart(7)} (${share.toFixed(1).padStart(5)}%) ${bar}`
+      );
+    });
+
+  lines.push('', 'Suggestion time per round (ms):');
+  summary.roundTimes.forEach(round => {
+    lines.push(
+      `  round ${String(round.round).padStart(2)}: mean ${round.mean.toFixed(3)}, max ${round.max.toFixed(3)}`
+    );
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * 決定輸出格式
+ * @param {string} file - 檔案路徑
+ * @param {string} [format] - 指定的格式（預設依副檔名判斷，無副檔名時為 json）
+ * @returns {string} 'csv' 或 'json'
+ * @throws {Error} 格式未知時拋出
+ */
+function getOutputFormat(file, format) {
+  const type = (format || path.extname(file).slice(1) || 'json').toLowerCase();
+  if (type !== 'csv' && type !== 'json') {
+    throw new Error(`Unknown output format: ${type} (expected csv or json)`);
+  }
+  return type;
+}
+
+/**
+ * 格式化權重調整結果
+ * @param {Object} result - WeightTuner.run() 的結果
+ * @param {Object<string, number>} baseWeights - 起始權重
+ * @returns {string} 文字報告
+ */
+function formatTuneSummary(result, baseWeights) {
+  const lines = [
+    `Algorithm:  ${result.algorithm}`,
+    `Computer:   ${result.computer}`,
+    `Seed:       ${result.seed}`,
+    `Games:      ${result.games} per weight set`,
+    `Evaluated:  ${result.evaluations} weight sets in ${result.history.length} generations`,
+    '',
+    `Mean lines: baseline ${result.baseline.toFixed(3)} -> tuned ${result.score.toFixed(3)}`,
+    `Holdout:    baseline ${result.holdout.baseline.toFixed(3)} -> tuned ${result.holdout.score.toFixed(3)} (seed ${result.holdout.seed})`,
+    '',
+    'Weights:'
+  ];
+
+  Object.keys(result.weights).forEach(name => {
+    lines.push(
+      `  ${name.padEnd(20)} ${String(baseWeights[name]).padStart(8)} -> ${result.weights[name]}`
+    );
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * 格式化自我對弈訓練結果
+ * @param {Object} result - SelfPlayTrainer.run() 的結果
+ * @returns {string} 文字報告
+ */
+function formatTrainSummary(result) {
+  const { options, baseline, curve } = result;
+  const lines = [
+    `Games:      ${options.games}`,
+    `Computer:   ${options.computer}`,
+    `Seed:       ${options.seed}`,
+    `Evaluation: ${options.evaluationGames} games every ${options.evaluateEvery} games, ${baseline.algorithm} mean lines ${baseline.mean.toFixed(3)}`,
+    '',
+    'Learning curve:',
+    '    games  mean lines  train loss'
+  ];
+
+  curve.forEach(point => {
+    const loss = point.trainLoss === null ? '-' : point.trainLoss.toFixed(5);
+    lines.push(
+      `  ${String(point.games).padStart(7)}  ${point.mean.toFixed(3).padStart(10)}  ${loss.padStart(10)}`
+    );
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * 建立遊戲配置選項
+ * @param {Object} options - 已解析的選項
+ * @returns {Object} 遊戲配置
+ */
+function getConfig(options) {
+  return {
+    boardSize: options.boardSize,
+    maxRounds: options.maxRounds,
+    lineLength: options.lineLength
+  };
+}
+
+/**
+ * 寫出進度（只在終端機中顯示）
+ * @param {string} message - 進度訊息
+ * @param {boolean} done - 是否已完成
+ */
+function writeProgress(message, done) {
+  if (process.stderr.isTTY) {
+    process.stderr.write(`\r${message}`);
+    if (done) process.stderr.write('\n');
+  }
+}
+
+/**
+ * 執行 simulate 指令
+ * @param {Object} options - 已解析的選項
+ * @param {string} [outputFormat] - 輸出格式
+ */
+function simulate(options, outputFormat) {
+  const simulator = new GameSimulator({
+    config: getConfig(options),
+    algorithm: options.algorithm,
+    computer: options.computer,
+    seed: options.seed,
+    calculator: {
+      playouts: options.playouts,
+      timeBudget: options.timeBudget,
+      weights: options.weights
+        ? BaseProbabilityCalculator.loadWeights(options.weights)
+        : undefined,
+      openingBook: options.noBook ? null : undefined
+    }
+  });
+
+  const result = simulator.run(options.games, (done, total) => {
+    if (done % 100 === 0 || done === total) {
+      writeProgress(`Simulated ${done}/${total} games`, done === total);
+    }
+  });
+
+  console.log(formatSummary(result));
+
+  if (options.output) {
+    fs.writeFileSync(
+      options.output,
+      outputFormat === 'csv'
+        ? GameSimulator.toCSV(result.games)
+        : JSON.stringify(result, null, 2)
+    );
+    console.log(`\nResults written to ${options.output}`);
+  }
+}
+
+/**
+ * 執行 tune 指令
+ * @param {Object} options - 已解析的選項
+ */
+function tune(options) {
+  const tuner = new WeightTuner({
+    config: getConfig(options),
+    algorithm: options.algorithm,
+    computer: options.computer,
+    seed: options.seed,
+    games: options.games,
+    generations: options.generations,
+    populationSize: options.population,
+    weights: options.weights
+      ? BaseProbabilityCalculator.loadWeights(options.weights)
+      : undefined
+  });
+
+  const result = tuner.run((done, total, best) => {
+    writeProgress(
+      `Generation ${done}/${total}: best mean lines ${best.score.toFixed(3)}`,
+      done === total
+    );
+  });
+
+  console.log(formatTuneSummary(result, tuner.baseWeights));
+
+  if (options.output) {
+    fs.writeFileSync(
+      options.output,
+      JSON.stringify(WeightTuner.toWeightsFile(result), null, 2) + '\n'
+    );
+    console.log(`\nWeights written to ${options.output}`);
+  }
+}
+
+/**
+ * 執行 book 指令
+ * 第一回合的求解需要數分鐘與數百 MB 記憶體（5x5、8 回合）。
+ * @param {Object} options - 已解析的選項
+ */
+function book(options) {
+  const output = options.output || 'openingBook.data.js';
+  const start = Date.now();
+
+  const data = OpeningBook.build({
+    config: getConfig(options),
+    rounds: options.bookRounds,
+    onProgress: (round, total, positions) => {
+      writeProgress(
+        `Solved round ${round}/${total} (${positions} positions)`,
+        round === total
+      );
+    }
+  });
+
+  fs.writeFileSync(output, OpeningBook.toSource(data));
+  console.log(
+    `Opening book: ${Object.keys(data.positions).length} positions in ${data.rounds} rounds (${((Date.now() - start) / 1000).toFixed(1)} s)`
+  );
+  console.log(`Written to ${output}`);
+}
+
+/**
+ * 執行 train 指令
+ * @param {Object} options - 已解析的選項
+ */
+function train(options) {
+  const trainer = new SelfPlayTrainer({
+    config: getConfig(options),
+    computer: options.computer,
+    seed: options.seed,
+    baseline: options.algorithm,
+    evaluateEvery: options.evaluateEvery,
+    evaluationGames: options.evaluationGames
+  });
+
+  const result = trainer.run(options.games, (done, total, point) => {
+    if (done % 10 === 0 || done === total) {
+      writeProgress(
+        `Trained ${done}/${total} games${point ? `: mean lines ${point.mean.toFixed(3)}` : ''}`,
+        done === total
+      );
+    }
+  });
+
+  console.log(formatTrainSummary(result));
+
+  if (options.output) {
+    // 學習狀態記錄可直接導入；學習曲線放在記錄之外的欄位
+    const record = { ...trainer.system.exportState(), training: result };
+    fs.writeFileSync(options.output, JSON.stringify(record, null, 2) + '\n');
+    console.log(`\nLearning state written to ${options.output}`);
+  }
+}
+
+// 指令 -> [執行函數, 失敗訊息的動作名稱]
+const COMMANDS = {
+  simulate: [simulate, 'Simulation'],
+  tune: [tune, 'Tuning'],
+  book: [book, 'Building the opening book'],
+  train: [train, 'Training']
+};
+
+/**
+ * 執行命令列工具
+ * @param {string[]} argv - 參數（不含 node 與腳本路徑）
+ * @returns {number} 結束代碼
+ */
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { command, options } = parsed;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  let outputFormat;
+  if (options.output && command === 'simulate') {
+    try {
+      outputFormat = getOutputFormat(options.output, options.format);
+    } catch (error) {
+      console.error(error.message);
+      return 2;
+    }
+  }
+
+  // 引擎在 Node.js 中預設輸出每一步的日誌，批次模擬時關閉
+  logger.isDevelopment = Boolean(options.verbose);
+
+  const [run, action] = COMMANDS[command];
+  try {
+    run(options, outputFormat);
+    return 0;
+  } catch (error) {
+    console.error(`${action} failed: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  formatSummary,
+  formatTuneSummary,
+  formatTrainSummary
+};
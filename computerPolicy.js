@@ -0,0 +1,461 @@
+// 載入依賴模組
+let PolicyCalculator,
+  PolicyRandom,
+  PolicyConstants,
+  PolicyUtils,
+  PolicyGameError;
+if (typeof require !== 'undefined') {
+  const common = require('./utils/common.js');
+  PolicyConstants = common.CONSTANTS;
+  PolicyUtils = common.Utils;
+  PolicyGameError = common.GameError;
+  PolicyCalculator = require('./probabilityCalculator.js');
+  PolicyRandom = require('./utils/random.js');
+} else if (typeof window !== 'undefined') {
+  PolicyConstants = window.CONSTANTS;
+  PolicyUtils = window.Utils;
+  PolicyGameError = window.GameError;
+  PolicyCalculator = window.ProbabilityCalculator;
+  PolicyRandom = window.SeededRandom;
+}
+
+/**
+ * ComputerPolicy - 電腦下棋策略（預測模型）的基底類別
+ *
+ * 每個策略以 predict(board, context) 返回電腦下一步落在各空格的機率分佈，
+ * chooseMove 依分佈抽出一步。計算器透過 setComputerPolicy 使用目前的策略，
+ * 以預測的分佈評估玩家移動之後電腦的回應（見 BaseProbabilityCalculator.calculateReplyValue）。
+ *
+ * 內建策略：
+ * - random：所有空格機率相同（預設，計算器的評估不變）
+ * - heuristic：電腦使用與建議相同的啟發式，下在評價最高的格子
+ * - frequency：依過去遊戲中電腦的落子次數（可依回合區分）預測
+ * - adversarial：電腦下在評價最低的格子
+ * - obstructive：電腦避開快要完成的線
+ * - center：電腦偏好靠近中心的格子
+ *
+ * @class ComputerPolicy
+ * @version 1.0.0
+ */
+class ComputerPolicy {
+  /**
+   * @param {Object} [config] - 遊戲配置（boardSize、maxRounds、lineLength）
+   * @param {Object} [options] - 策略選項
+   * @param {SeededRandom|number|string} [options.random] - 隨機數來源或種子
+   */
+  constructor(config = {}, options = {}) {
+    this.config = PolicyUtils.createGameConfig(config);
+    this.BOARD_SIZE = this.config.boardSize;
+    this.random = PolicyRandom.from(options.random);
+    this.name = 'base';
+    // 預測為均勻分佈時，計算器不需要額外評估電腦的回應
+    this.isUniform = false;
+    // 預測改變時遞增（例如學習新的遊戲後），計算器以此判斷快取是否有效
+    this.version = 0;
+  }
+
+  /**
+   * 依名稱建立策略
+   * @param {string} name - 策略名稱（見 ComputerPolicy.NAMES）
+   * @param {Object} [config] - 遊戲配置
+   * @param {Object} [options] - 策略選項（依策略而定）
+   * @returns {ComputerPolicy} 策略實例
+   * @throws {GameError} 策略名稱未知時拋出
+   */
+  static create(name, config = {}, options = {}) {
+    const Policy = ComputerPolicy.TYPES[name];
+    if (!Policy) {
+      throw new PolicyGameError(
+        `Unknown computer policy: ${name} (expected ${ComputerPolicy.NAMES.join(', ')})`,
+        PolicyConstants.ERROR_TYPES.INVALID_CONFIG
+      );
+    }
+    return new Policy(config, options);
+  }
+
+  /**
+   * 預測電腦下一步的機率分佈
+   * @abstract
+   * @param {number[][]} board - 目前遊戲板（輪到電腦下棋）
+   * @param {Object} [context] - 遊戲上下文（見 GameEngine.getGameContext）
+   * @returns {number[][]} 與遊戲板同大小的機率表，已佔用的格子為 0，總和為 1
+   */
+  predict() {
+    throw new Error('predict must be implemented by subclass');
+  }
+
+  /**
+   * 依預測分佈選擇電腦移動
+   * @param {number[][]} board - 目前遊戲板
+   * @param {Object} [context] - 遊戲上下文
+   * @returns {{row: number, col: number}|null} 電腦移動，沒有空格時為 null
+   */
+  chooseMove(board, context) {
+    const emptyCells = PolicyUtils.getEmptyCells(board);
+    if (emptyCells.length === 0) {
+      return null;
+    }
+
+    const distribution = this.predict(board, context);
+    let target = this.random.next();
+    for (const cell of emptyCells) {
+      target -= distribution[cell.row][cell.col];
+      if (target < 0) {
+        return cell;
+      }
+    }
+
+    // 浮點誤差時退回最後一個機率不為 0 的格子
+    return (
+      emptyCells.filter(({ row, col }) => distribution[row][col] > 0).pop() ||
+      emptyCells[emptyCells.length - 1]
+    );
+  }
+
+  /**
+   * 觀察一局完整遊戲的電腦移動（預設不處理）
+   * @param {Array<{row: number, col: number, round?: number}>} computerMoves - 電腦移動記錄
+   */
+  observeGame() {}
+
+  /**
+   * 將每個空格的分數轉為機率分佈
+   * 分數總和為 0 時退回均勻分佈。
+   * @protected
+   * @param {number[][]} board - 遊戲板
+   * @param {Function} scoreCell - (row, col) => 非負分數
+   * @returns {number[][]} 機率表
+   */
+  createDistribution(board, scoreCell) {
+    const distribution = Array.from({ length: this.BOARD_SIZE }, () =>
+      new Array(this.BOARD_SIZE).fill(0)
+    );
+    const emptyCells = PolicyUtils.getEmptyCells(board);
+
+    let total = 0;
+    for (const { row, col } of emptyCells) {
+      distribution[row][col] = Math.max(0, scoreCell(row, col));
+      total += distribution[row][col];
+    }
+
+    for (const { row, col } of emptyCells) {
+      distribution[row][col] =
+        total > 0 ? distribution[row][col] / total : 1 / emptyCells.length;
+    }
+
+    return distribution;
+  }
+}
+
+/**
+ * RandomComputerPolicy - 電腦在所有空格中均勻隨機選擇
+ * @class RandomComputerPolicy
+ * @extends ComputerPolicy
+ */
+class RandomComputerPolicy extends ComputerPolicy {
+  constructor(config = {}, options = {}) {
+    super(config, options);
+    this.name = 'random';
+    this.isUniform = true;
+  }
+
+  /**
+   * @param {number[][]} board - 目前遊戲板
+   * @returns {number[][]} 均勻分佈
+   */
+  predict(board) {
+    return this.createDistribution(board, () => 1);
+  }
+
+  /**
+   * 直接隨機挑選空格（與 GameEngine.makeRandomComputerMove 相同的抽樣方式）
+   * @param {number[][]} board - 目前遊戲板
+   * @returns {{row: number, col: number}|null} 電腦移動
+   */
+  chooseMove(board) {
+    return this.random.pick(PolicyUtils.getEmptyCells(board)) || null;
+  }
+}
+
+/**
+ * HeuristicComputerPolicy - 電腦使用與建議相同的啟發式
+ * 以計算器評價所有空格，機率平均分配給評價最高的格子（同分時並列）。
+ * @class HeuristicComputerPolicy
+ * @extends ComputerPolicy
+ */
+class HeuristicComputerPolicy extends ComputerPolicy {
+  /**
+   * @param {Object} [config] - 遊戲配置
+   * @param {Object} [options] - 策略選項
+   * @param {BaseProbabilityCalculator} [options.calculator] - 用來評價格子的計算器，預設為新的 ProbabilityCalculator；
+   *   不可與使用此策略的計算器相同，否則評估會互相遞迴
+   * @param {SeededRandom|number|string} [options.random] - 隨機數來源或種子
+   */
+  constructor(config = {}, options = {}) {
+    super(config, options);
+    this.name = 'heuristic';
+    this.calculator = options.calculator || new PolicyCalculator(this.config);
+  }
+
+  /**
+   * @param {number[][]} board - 目前遊戲板
+   * @param {Object} [context] - 遊戲上下文
+   * @returns {number[][]} 集中在目標格子的分佈
+   */
+  predict(board, context) {
+    const ranked = this.calculator.simulateAllPossibleMoves(board, context);
+    if (ranked.length === 0) {
+      return this.createDistribution(board, () => 0);
+    }
+
+    const target = this.selectValue(ranked.map(move => move.value));
+    const targets = new Set(
+      ranked
+        .filter(move => move.value === target)
+        .map(move => move.row * this.BOARD_SIZE + move.col)
+    );
+    return this.createDistribution(board, (row, col) =>
+      targets.has(row * this.BOARD_SIZE + col) ? 1 : 0
+    );
+  }
+
+  /**
+   * 選出電腦偏好的評價
+   * @protected
+   * @param {number[]} values - 所有空格的評價
+   * @returns {number} 目標評價
+   */
+  selectValue(values) {
+    return Math.max(...values);
+  }
+}
+
+/**
+ * AdversarialComputerPolicy - 電腦下在評價最低的格子
+ * @class AdversarialComputerPolicy
+ * @extends HeuristicComputerPolicy
+ */
+class AdversarialComputerPolicy extends HeuristicComputerPolicy {
+  constructor(config = {}, options = {}) {
+    super(config, options);
+    this.name = 'adversarial';
+  }
+
+  /**
+   * @protected
+   * @param {number[]} values - 所有空格的評價
+   * @returns {number} 最低評價
+   */
+  selectValue(values) {
+    return Math.min(...values);
+  }
+}
+
+/**
+ * FrequencyComputerPolicy - 依過去遊戲中電腦的落子次數預測
+ * 每個空格的分數為 平滑值 + 所有回合的次數 + 同一回合的次數，
+ * 因此固定在某回合下某格的電腦會被優先預測到。
+ * @class FrequencyComputerPolicy
+ * @extends ComputerPolicy
+ */
+class FrequencyComputerPolicy extends ComputerPolicy {
+  /**
+   * @param {Object} [config] - 遊戲配置
+   * @param {Object} [options] - 策略選項
+   * @param {Array<Object>} [options.history] - 遊戲記錄（如 AILearningSystem.gameHistory），使用其中的 computerMoves
+   * @param {number} [options.smoothing=1] - 每個空格的基本分數
+   * @param {SeededRandom|number|string} [options.random] - 隨機數來源或種子
+   */
+  constructor(config = {}, options = {}) {
+    super(config, options);
+    this.name = 'frequency';
+    this.smoothing = options.smoothing !== undefined ? options.smoothing : 1;
+    this.learn(options.history || []);
+  }
+
+  /**
+   * 以遊戲記錄重新計算落子次數
+   * @param {Array<Object>} history - 含 computerMoves 的遊戲記錄
+   */
+  learn(history) {
+    const cellCount = this.BOARD_SIZE * this.BOARD_SIZE;
+    this.counts = new Array(cellCount).fill(0);
+    this.roundCounts = new Map();
+    this.gamesObserved = 0;
+    this.version++;
+
+    history.forEach(game => this.observeGame(game.computerMoves || []));
+  }
+
+  /**
+   * 累加一局遊戲的電腦落子次數
+   * 移動沒有 round 欄位時以其順序推算回合。
+   * @param {Array<{row: number, col: number, round?: number}>} computerMoves - 電腦移動記錄
+   */
+  observeGame(computerMoves) {
+    computerMoves.forEach((move, index) => {
+      if (!PolicyUtils.isValidPosition(move.row, move.col, this.BOARD_SIZE)) {
+        return;
+      }
+
+      const cell = move.row * this.BOARD_SIZE + move.col;
+      const round = move.round || index + 1;
+      if (!this.roundCounts.has(round)) {
+        this.roundCounts.set(
+          round,
+          new Array(this.BOARD_SIZE * this.BOARD_SIZE).fill(0)
+        );
+      }
+
+      this.counts[cell]++;
+      this.roundCounts.get(round)[cell]++;
+    });
+    this.gamesObserved++;
+    this.version++;
+  }
+
+  /**
+   * @param {number[][]} board - 目前遊戲板
+   * @param {Object} [context] - 遊戲上下文，使用其中的 currentRound
+   * @returns {number[][]} 依次數加權的分佈
+   */
+  predict(board, context) {
+    const round = (context && context.currentRound) || this.inferRound(board);
+    const roundCounts = this.roundCounts.get(round);
+
+    return this.createDistribution(board, (row, col) => {
+      const cell = row * this.BOARD_SIZE + col;
+      return (
+        this.smoothing +
+        this.counts[cell] +
+        (roundCounts ? roundCounts[cell] : 0)
+      );
+    });
+  }
+
+  /**
+   * 由已填格子數推算目前回合（每回合玩家與電腦各下一步）
+   * @private
+   * @param {number[][]} board - 遊戲板
+   * @returns {number} 回合（從 1 開始）
+   */
+  inferRound(board) {
+    const filled =
+      this.BOARD_SIZE * this.BOARD_SIZE -
+      PolicyUtils.getEmptyCells(board).length;
+    return Math.floor(filled / 2) + 1;
+  }
+}
+
+/**
+ * ObstructiveComputerPolicy - 電腦避開快要完成的線
+ * 合作模式中任何一方的格子都算在線上，電腦無法真正封鎖一條線；
+ * 此策略改為不幫忙：機率平均分配給「經過的線中已填格子最多者」最少的空格。
+ * @class ObstructiveComputerPolicy
+ * @extends ComputerPolicy
+ */
+class ObstructiveComputerPolicy extends ComputerPolicy {
+  constructor(config = {}, options = {}) {
+    super(config, options);
+    this.name = 'obstructive';
+    this.lines = PolicyUtils.generateLines(
+      this.BOARD_SIZE,
+      this.config.lineLength
+    );
+  }
+
+  /**
+   * @param {number[][]} board - 目前遊戲板
+   * @returns {number[][]} 集中在最不接近完成線的格子的分佈
+   */
+  predict(board) {
+    const emptyCells = PolicyUtils.getEmptyCells(board);
+    const progress = new Map();
+    for (const { row, col } of emptyCells) {
+      progress.set(
+        row * this.BOARD_SIZE + col,
+        this.getLineProgress(board, row, col)
+      );
+    }
+
+    const target = Math.min(...progress.values());
+    return this.createDistribution(board, (row, col) =>
+      progress.get(row * this.BOARD_SIZE + col) === target ? 1 : 0
+    );
+  }
+
+  /**
+   * 經過指定格子的線中，已填格子數的最大值
+   * @private
+   * @param {number[][]} board - 遊戲板
+   * @param {number} row - 列
+   * @param {number} col - 行
+   * @returns {number} 已填格子數
+   */
+  getLineProgress(board, row, col) {
+    let progress = 0;
+    for (const line of this.lines) {
+      if (!line.cells.some(([r, c]) => r === row && c === col)) {
+        continue;
+      }
+      const filled = line.cells.filter(
+        ([r, c]) => board[r][c] !== PolicyConstants.CELL_STATES.EMPTY
+      ).length;
+      progress = Math.max(progress, filled);
+    }
+    return progress;
+  }
+}
+
+/**
+ * CenterBiasedComputerPolicy - 電腦偏好靠近中心的格子
+ * 每個空格的分數為 1 / (1 + 與中心距離的平方)，依分數隨機抽樣。
+ * @class CenterBiasedComputerPolicy
+ * @extends ComputerPolicy
+ */
+class CenterBiasedComputerPolicy extends ComputerPolicy {
+  constructor(config = {}, options = {}) {
+    super(config, options);
+    this.name = 'center';
+  }
+
+  /**
+   * @param {number[][]} board - 目前遊戲板
+   * @returns {number[][]} 依中心距離加權的分佈
+   */
+  predict(board) {
+    const center = (this.BOARD_SIZE - 1) / 2;
+    return this.createDistribution(
+      board,
+      (row, col) => 1 / (1 + (row - center) ** 2 + (col - center) ** 2)
+    );
+  }
+}
+
+// 策略名稱 -> 類別
+ComputerPolicy.TYPES = {
+  random: RandomComputerPolicy,
+  heuristic: HeuristicComputerPolicy,
+  frequency: FrequencyComputerPolicy,
+  adversarial: AdversarialComputerPolicy,
+  obstructive: ObstructiveComputerPolicy,
+  center: CenterBiasedComputerPolicy
+};
+ComputerPolicy.NAMES = Object.keys(ComputerPolicy.TYPES);
+
+ComputerPolicy.Random = RandomComputerPolicy;
+ComputerPolicy.Heuristic = HeuristicComputerPolicy;
+ComputerPolicy.Frequency = FrequencyComputerPolicy;
+ComputerPolicy.Adversarial = AdversarialComputerPolicy;
+ComputerPolicy.Obstructive = ObstructiveComputerPolicy;
+ComputerPolicy.CenterBiased = CenterBiasedComputerPolicy;
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ComputerPolicy;
+}
+
+// 在瀏覽器環境中，將 ComputerPolicy 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.ComputerPolicy = ComputerPolicy;
+}
@@ -0,0 +1,288 @@
+/**
+ * ComputerPolicy 與計算器使用電腦策略預測的單元測試
+ */
+const ComputerPolicy = require('./computerPolicy.js');
+const ProbabilityCalculator = require('./probabilityCalculator.js');
+const MonteCarloProbabilityCalculator = require('./probabilityCalculator.montecarlo.js');
+const GameEngine = require('./gameEngine.js');
+
+function createEmptyBoard() {
+  return Array(5)
+    .fill()
+    .map(() => Array(5).fill(0));
+}
+
+function sumDistribution(distribution) {
+  return distribution.flat().reduce((sum, value) => sum + value, 0);
+}
+
+// 每局電腦都依序下在第 5 列
+function createColumnHistory(games) {
+  return Array.from({ length: games }, () => ({
+    computerMoves: [0, 1, 2, 3, 4].map(row => ({
+      row,
+      col: 4,
+      round: row + 1
+    }))
+  }));
+}
+
+describe('ComputerPolicy', () => {
+  test('should create policies by name and reject unknown names', () => {
+    expect(ComputerPolicy.NAMES).toEqual([
+      'random',
+      'heuristic',
+      'frequency',
+      'adversarial',
+      'obstructive',
+      'center'
+    ]);
+    expect(ComputerPolicy.create('frequency').name).toBe('frequency');
+
+    let error = null;
+    try {
+      ComputerPolicy.create('mirror');
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeTruthy();
+    expect(error.type).toBe('invalid-config');
+  });
+
+  test('should predict a uniform distribution over empty cells', () => {
+    const board = createEmptyBoard();
+    board[2][2] = 1;
+
+    const distribution = ComputerPolicy.create('random').predict(board);
+
+    expect(distribution[2][2]).toBe(0);
+    expect(distribution[0][0]).toBe(1 / 24);
+    expect(Math.abs(sumDistribution(distribution) - 1)).toBeLessThan(1e-9);
+  });
+
+  test('should learn computer move frequencies by round', () => {
+    const policy = ComputerPolicy.create(
+      'frequency',
+      {},
+      { history: createColumnHistory(10) }
+    );
+    const board = createEmptyBoard();
+    board[0][4] = 2;
+    board[2][2] = 1;
+
+    const distribution = policy.predict(board, { currentRound: 2 });
+
+    // 第 2 回合最常下在 (1, 4)
+    expect(distribution[1][4]).toBeGreaterThan(distribution[2][4]);
+    expect(distribution[2][4]).toBeGreaterThan(distribution[0][0]);
+    expect(distribution[0][4]).toBe(0);
+    expect(Math.abs(sumDistribution(distribution) - 1)).toBeLessThan(1e-9);
+  });
+
+  test('should update frequencies after observing a game', () => {
+    const policy = ComputerPolicy.create('frequency');
+    const version = policy.version;
+
+    policy.observeGame([{ row: 3, col: 1, round: 1 }]);
+
+    expect(policy.gamesObserved).toBe(1);
+    expect(policy.version).toBeGreaterThan(version);
+    const distribution = policy.predict(createEmptyBoard(), {
+      currentRound: 1
+    });
+    expect(distribution[3][1]).toBeGreaterThan(distribution[0][0]);
+  });
+
+  test('should predict the best and worst cells for heuristic policies', () => {
+    const board = [
+      [1, 2, 1, 2, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0]
+    ];
+
+    const heuristic = ComputerPolicy.create('heuristic').predict(board);
+    const adversarial = ComputerPolicy.create('adversarial').predict(board);
+
+    expect(heuristic[0][4]).toBe(1);
+    expect(adversarial[0][4]).toBe(0);
+    expect(Math.abs(sumDistribution(adversarial) - 1)).toBeLessThan(1e-9);
+  });
+
+  test('should avoid cells on nearly complete lines when obstructive', () => {
+    const board = [
+      [1, 2, 1, 2, 0],
+      [1, 0, 0, 0, 0],
+      [2, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0]
+    ];
+
+    const distribution = ComputerPolicy.create('obstructive').predict(board);
+
+    // 只有 (3, 4) 經過的線上都沒有已填的格子
+    expect(distribution[3][4]).toBe(1);
+    expect(distribution[0][4]).toBe(0);
+    expect(distribution[3][0]).toBe(0);
+    expect(Math.abs(sumDistribution(distribution) - 1)).toBeLessThan(1e-9);
+  });
+
+  test('should prefer the center when center-biased', () => {
+    const distribution =
+      ComputerPolicy.create('center').predict(createEmptyBoard());
+
+    expect(distribution[2][2]).toBeGreaterThan(distribution[1][2]);
+    expect(distribution[1][2]).toBeGreaterThan(distribution[1][1]);
+    expect(distribution[1][1]).toBeGreaterThan(distribution[0][0]);
+    expect(Math.abs(sumDistribution(distribution) - 1)).toBeLessThan(1e-9);
+  });
+
+  test('should choose reproducible moves from a seed', () => {
+    const board = createEmptyBoard();
+    const first = ComputerPolicy.create('random', {}, { random: 5 });
+    const second = ComputerPolicy.create('random', {}, { random: 5 });
+
+    expect(first.chooseMove(board)).toEqual(second.chooseMove(board));
+
+    const learned = ComputerPolicy.create(
+      'frequency',
+      {},
+      { history: createColumnHistory(20), random: 5 }
+    );
+    const move = learned.chooseMove(board, { currentRound: 1 });
+    expect(board[move.row][move.col]).toBe(0);
+  });
+});
+
+describe('Calculators with a computer policy', () => {
+  test('should keep move values unchanged with the random policy', () => {
+    const calculator = new ProbabilityCalculator();
+    const board = createEmptyBoard();
+    board[0][0] = 1;
+    board[1][1] = 2;
+    const context = { currentRound: 2, turn: 'player' };
+    const before = calculator.simulateAllPossibleMoves(board, context);
+
+    calculator.setComputerPolicy(ComputerPolicy.create('random'));
+
+    expect(calculator.hasComputerModel()).toBeFalsy();
+    expect(calculator.simulateAllPossibleMoves(board, context)).toEqual(before);
+  });
+
+  test('should value cells the computer is expected to take lower', () => {
+    const calculator = new ProbabilityCalculator();
+    const board = createEmptyBoard();
+    board[2][2] = 1;
+    board[0][0] = 2;
+    const context = { currentRound: 2, turn: 'player' };
+    const before = calculator.calculateMoveValue(board, 1, 4, context);
+
+    calculator.setComputerPolicy(
+      ComputerPolicy.create(
+        'frequency',
+        {},
+        { history: createColumnHistory(20) }
+      )
+    );
+
+    // 電腦預期會下在 (1, 4)，玩家不需要自己填這格
+    expect(calculator.hasComputerModel()).toBeTruthy();
+    expect(calculator.calculateMoveValue(board, 1, 4, context)).toBeLessThan(
+      before
+    );
+  });
+
+  test('should sample the computer reply from the policy in playouts', () => {
+    const calculator = new MonteCarloProbabilityCalculator(
+      {},
+      { random: 2, playouts: 20, timeBudget: 0 }
+    );
+    // 第 8 回合，電腦一定會下在 (1, 4) 完成第 2 行
+    const board = [
+      [1, 0, 2, 0, 1],
+      [1, 2, 1, 2, 0],
+      [0, 1, 0, 2, 0],
+      [2, 0, 1, 0, 2],
+      [0, 2, 0, 1, 0]
+    ];
+    const context = { currentRound: 8, turn: 'player' };
+    calculator.setComputerPolicy(ComputerPolicy.create('heuristic'));
+
+    const [move] = calculator.evaluateMoves(
+      board,
+      [{ row: 0, col: 1 }],
+      context
+    );
+
+    expect(move.value).toBeGreaterThanOrEqual(1);
+  });
+
+  test('should pass the engine policy to the calculator and learn after the game', () => {
+    const engine = new GameEngine();
+    engine.useAILearning = false;
+    const policy = ComputerPolicy.create('frequency');
+    engine.setComputerPolicy(policy);
+
+    expect(engine.probabilityCalculator.computerPolicy).toBe(policy);
+
+    engine.startGame();
+    for (let round = 0; round < 8; round++) {
+      const [player, computer] = engine.getEmptyCells();
+      engine.processPlayerTurn(player.row, player.col);
+      engine.processComputerTurn(computer.row, computer.col);
+    }
+
+    expect(engine.isGameComplete()).toBeTruthy();
+    expect(policy.gamesObserved).toBe(1);
+  });
+
+  test('should learn the computer moves recorded by the AI learning system', () => {
+    const engine = new GameEngine();
+    // 電腦前五回合依序下在第 5 欄
+    const computerCells = [
+      [0, 4],
+      [1, 4],
+      [2, 4],
+      [3, 4],
+      [4, 4],
+      [0, 3],
+      [1, 3],
+      [2, 3]
+    ];
+    const playGame = () => {
+      engine.startGame();
+      computerCells.forEach(([row, col]) => {
+        const player = engine
+          .getEmptyCells()
+          .find(
+            cell => cell.col < 3 && !(cell.row === row && cell.col === col)
+          );
+        engine.makePlayerMove(player.row, player.col);
+        engine.makeComputerMove(row, col);
+      });
+    };
+    playGame();
+    playGame();
+    expect(engine.aiLearningSystem.gameHistory).toHaveLength(2);
+
+    const policy = engine.useLearnedComputerPolicy();
+    expect(policy.name).toBe('frequency');
+    expect(policy.gamesObserved).toBe(2);
+    expect(engine.probabilityCalculator.computerPolicy).toBe(policy);
+
+    const board = createEmptyBoard();
+    board[0][4] = 2;
+    board[2][2] = 1;
+    const distribution = policy.predict(board, { currentRound: 2 });
+    expect(distribution[1][4]).toBeGreaterThan(distribution[2][4]);
+    expect(distribution[2][4]).toBeGreaterThan(distribution[0][0]);
+
+    // 每局結束加入本局，下一局開始時依學習系統目前的記錄重新計算
+    playGame();
+    expect(policy.gamesObserved).toBe(3);
+    engine.resetAILearning();
+    engine.startGame();
+    expect(policy.gamesObserved).toBe(0);
+  });
+});
@@ -20,8 +20,17 @@ module.exports = [
         location: 'readonly',
         localStorage: 'readonly',
         sessionStorage: 'readonly',
+        indexedDB: 'readonly',
         fetch: 'readonly',
         URL: 'readonly',
+        URLSearchParams: 'readonly',
+        Blob: 'readonly',
+        FileReader: 'readonly',
+
+        // Web Worker globals
+        Worker: 'readonly',
+        self: 'readonly',
+        importScripts: 'readonly',
 
         // Node.js globals (for test files)
         require: 'readonly',
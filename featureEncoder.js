@@ -0,0 +1,218 @@
+// 載入工具函數
+let EncoderUtils, EncoderConstants, EncoderGameError;
+if (typeof require !== 'undefined') {
+  const common = require('./utils/common.js');
+  EncoderUtils = common.Utils;
+  EncoderConstants = common.CONSTANTS;
+  EncoderGameError = common.GameError;
+} else if (typeof window !== 'undefined') {
+  EncoderUtils = window.Utils;
+  EncoderConstants = window.CONSTANTS;
+  EncoderGameError = window.GameError;
+}
+
+/**
+ * FeatureEncoder - 將遊戲板編碼為學習模型的輸入向量的基底類別
+ *
+ * 每種編碼有固定的 version 與向量長度 size。保存的模型記錄所需的編碼（describe() 的結果），
+ * 載入時以 FeatureEncoder.create(version) 建立相同的編碼，因此改進編碼不會讓舊模型失效。
+ * 編碼只依賴遊戲配置，任何學習模型都可以使用（見 AILearningSystem.boardToVector）。
+ *
+ * 內建編碼：
+ * - 1 raw-cells：格子的原始值 0/1/2 與兩個玩家模型特徵（早期的 boardToVector，供舊模型使用）
+ * - 2 line-features：格子狀態的 one-hot、每條線的已填/空格數、交叉點、剩餘回合與已完成連線數
+ *
+ * @class FeatureEncoder
+ * @version 1.0.0
+ */
+class FeatureEncoder {
+  /**
+   * @param {Object} [config] - 遊戲配置（boardSize、maxRounds、lineLength）
+   */
+  constructor(config = {}) {
+    this.config = EncoderUtils.createGameConfig(config);
+    this.BOARD_SIZE = this.config.boardSize;
+    this.CELL_COUNT = this.BOARD_SIZE * this.BOARD_SIZE;
+    this.name = 'base';
+    this.version = 0;
+    this.size = 0;
+  }
+
+  /**
+   * 依版本建立編碼
+   * @param {number} [version=FeatureEncoder.LATEST] - 編碼版本（見 FeatureEncoder.TYPES）
+   * @param {Object} [config] - 遊戲配置
+   * @returns {FeatureEncoder} 編碼實例
+   * @throws {GameError} 版本未知時拋出
+   */
+  static create(version = FeatureEncoder.LATEST, config = {}) {
+    const Encoder = FeatureEncoder.TYPES[version];
+    if (!Encoder) {
+      throw new EncoderGameError(
+        `Unknown feature encoder version: ${version} (expected ${Object.keys(FeatureEncoder.TYPES).join(', ')})`,
+        EncoderConstants.ERROR_TYPES.INVALID_CONFIG
+      );
+    }
+    return new Encoder(config);
+  }
+
+  /**
+   * 模型保存時記錄的編碼描述
+   * @returns {{name: string, version: number, size: number}} 編碼描述
+   */
+  describe() {
+    return { name: this.name, version: this.version, size: this.size };
+  }
+
+  /**
+   * 編碼遊戲板
+   * @abstract
+   * @param {number[][]} board - 遊戲板（0 空格、1 玩家、2 電腦）
+   * @param {Object} [context] - 模型提供的其他特徵（依編碼而定）
+   * @returns {number[]} 長度為 size 的輸入向量
+   */
+  encode() {
+    throw new Error('encode must be implemented by subclass');
+  }
+}
+
+/**
+ * 版本 1：格子的原始值，加上玩家技能等級與適應計數器
+ * 網絡的輸入大小多保留了 8 個從未使用的特徵，以 0 填滿。
+ */
+class RawCellEncoder extends FeatureEncoder {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'raw-cells';
+    this.version = 1;
+    this.size = this.CELL_COUNT + 10;
+  }
+
+  /**
+   * @param {number[][]} board - 遊戲板
+   * @param {Object} [context] - 玩家模型特徵
+   * @param {number} [context.skillLevel=0] - 玩家技能等級（0-1）
+   * @param {number} [context.adaptationCounter=0] - 難度適應計數器
+   * @returns {number[]} 輸入向量
+   */
+  encode(board, context = {}) {
+    const vector = new Array(this.size).fill(0);
+    for (let row = 0; row < this.BOARD_SIZE; row++) {
+      for (let col = 0; col < this.BOARD_SIZE; col++) {
+        vector[row * this.BOARD_SIZE + col] = board[row][col];
+      }
+    }
+    vector[this.CELL_COUNT] = context.skillLevel || 0;
+    vector[this.CELL_COUNT + 1] = (context.adaptationCounter || 0) / 100;
+    return vector;
+  }
+}
+
+/**
+ * 版本 2：由遊戲板計算的特徵，所有值都在 0 到 1 之間
+ *
+ * 向量依序為：
+ * - 每個格子 3 個值：空格、玩家、電腦的 one-hot
+ * - 每條線 2 個值：已填的格子數與空格數（除以連線長度）
+ * - 每個格子 1 個值：經過該格且尚未完成的線數（除以經過單一格子的最多線數），交叉點較高
+ * - 剩餘回合數（除以最大回合數）：玩家每回合先下，因此由玩家的格子數推算
+ * - 已完成的連線數（除以總線數）
+ */
+class LineFeatureEncoder extends FeatureEncoder {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'line-features';
+    this.version = 2;
+    this.MAX_ROUNDS = this.config.maxRounds;
+    this.LINE_LENGTH = this.config.lineLength;
+    this.lines = EncoderUtils.generateLines(this.BOARD_SIZE, this.LINE_LENGTH);
+
+    // 每個格子經過的線
+    this.cellLines = Array.from({ length: this.CELL_COUNT }, () => []);
+    this.lines.forEach((line, index) => {
+      line.cells.forEach(([row, col]) => {
+        this.cellLines[row * this.BOARD_SIZE + col].push(index);
+      });
+    });
+    this.maxCellLines = Math.max(
+      1,
+      ...this.cellLines.map(lines => lines.length)
+    );
+
+    this.offsets = {
+      cells: 0,
+      lines: 3 * this.CELL_COUNT,
+      intersections: 3 * this.CELL_COUNT + 2 * this.lines.length,
+      horizon: 4 * this.CELL_COUNT + 2 * this.lines.length,
+      completedLines: 4 * this.CELL_COUNT + 2 * this.lines.length + 1
+    };
+    this.size = this.offsets.completedLines + 1;
+  }
+
+  /**
+   * @param {number[][]} board - 遊戲板
+   * @returns {number[]} 輸入向量
+   */
+  encode(board) {
+    const vector = new Array(this.size).fill(0);
+    const { offsets } = this;
+
+    let playerCells = 0;
+    for (let row = 0; row < this.BOARD_SIZE; row++) {
+      for (let col = 0; col < this.BOARD_SIZE; col++) {
+        const state = board[row][col];
+        vector[offsets.cells + 3 * (row * this.BOARD_SIZE + col) + state] = 1;
+        if (state === EncoderConstants.CELL_STATES.PLAYER) {
+          playerCells++;
+        }
+      }
+    }
+
+    let completedLines = 0;
+    const open = this.lines.map((line, index) => {
+      const filled = line.cells.filter(
+        ([row, col]) => board[row][col] !== EncoderConstants.CELL_STATES.EMPTY
+      ).length;
+      vector[offsets.lines + 2 * index] = filled / this.LINE_LENGTH;
+      vector[offsets.lines + 2 * index + 1] =
+        (this.LINE_LENGTH - filled) / this.LINE_LENGTH;
+      if (filled === this.LINE_LENGTH) {
+        completedLines++;
+      }
+      return filled < this.LINE_LENGTH;
+    });
+
+    this.cellLines.forEach((lines, cell) => {
+      vector[offsets.intersections + cell] =
+        lines.filter(index => open[index]).length / this.maxCellLines;
+    });
+
+    vector[offsets.horizon] =
+      Math.max(this.MAX_ROUNDS - playerCells, 0) / this.MAX_ROUNDS;
+    vector[offsets.completedLines] = this.lines.length
+      ? completedLines / this.lines.length
+      : 0;
+    return vector;
+  }
+}
+
+// 編碼版本 -> 類別
+FeatureEncoder.TYPES = {
+  1: RawCellEncoder,
+  2: LineFeatureEncoder
+};
+// 新模型使用的編碼版本
+FeatureEncoder.LATEST = 2;
+
+FeatureEncoder.RawCells = RawCellEncoder;
+FeatureEncoder.LineFeatures = LineFeatureEncoder;
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FeatureEncoder;
+}
+
+// 在瀏覽器環境中，將 FeatureEncoder 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.FeatureEncoder = FeatureEncoder;
+}
@@ -0,0 +1,91 @@
+/**
+ * FeatureEncoder 單元測試
+ */
+const FeatureEncoder = require('./featureEncoder.js');
+
+function captureError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+const emptyBoard = (size = 5) =>
+  Array(size)
+    .fill()
+    .map(() => Array(size).fill(0));
+
+describe('FeatureEncoder', () => {
+  test('should size the line features for the board', () => {
+    const encoder = FeatureEncoder.create();
+    // 25 格 x 3 + 12 條線 x 2 + 25 個交叉點 + 剩餘回合 + 已完成連線
+    expect(encoder.describe()).toEqual({
+      name: 'line-features',
+      version: FeatureEncoder.LATEST,
+      size: 126
+    });
+    expect(encoder.encode(emptyBoard())).toHaveLength(126);
+
+    // 連線長度 4：每個方向有更多線
+    const shortLines = FeatureEncoder.create(2, { lineLength: 4 });
+    expect(shortLines.lines).toHaveLength(28);
+    expect(shortLines.size).toBe(75 + 56 + 25 + 2);
+  });
+
+  test('should encode an empty board', () => {
+    const encoder = FeatureEncoder.create();
+    const vector = encoder.encode(emptyBoard());
+    const { offsets } = encoder;
+
+    expect(vector.slice(0, 6)).toEqual([1, 0, 0, 1, 0, 0]);
+    expect(vector.slice(offsets.lines, offsets.lines + 2)).toEqual([0, 1]);
+    // 中心在 4 條線上，角落 3 條，邊上 2 條
+    expect(vector[offsets.intersections + 12]).toBe(1);
+    expect(vector[offsets.intersections]).toBe(0.75);
+    expect(vector[offsets.intersections + 1]).toBe(0.5);
+    expect(vector[offsets.horizon]).toBe(1);
+    expect(vector[offsets.completedLines]).toBe(0);
+  });
+
+  test('should encode filled lines, the horizon and completed lines', () => {
+    const encoder = FeatureEncoder.create();
+    const board = emptyBoard();
+    board[0] = [1, 2, 1, 2, 1];
+    board[1][1] = 2;
+    const vector = encoder.encode(board);
+    const { offsets } = encoder;
+
+    expect(vector.slice(0, 6)).toEqual([0, 1, 0, 0, 0, 1]);
+    // 第 1 行已完成，第 2 行有一格
+    expect(vector.slice(offsets.lines, offsets.lines + 4)).toEqual([
+      1, 0, 0.2, 0.8
+    ]);
+    // 角落剩下第 1 列與主對角線
+    expect(vector[offsets.intersections]).toBe(0.5);
+    expect(vector[offsets.horizon]).toBe(5 / 8);
+    expect(vector[offsets.completedLines]).toBe(1 / 12);
+    expect(vector.every(value => value >= 0 && value <= 1)).toBeTruthy();
+  });
+
+  test('should keep the raw cell encoding for older models', () => {
+    const encoder = FeatureEncoder.create(1, { boardSize: 3 });
+    const board = emptyBoard(3);
+    board[1][1] = 1;
+    board[0][2] = 2;
+
+    expect(encoder.size).toBe(19);
+    expect(
+      encoder.encode(board, { skillLevel: 0.5, adaptationCounter: 20 })
+    ).toEqual([0, 0, 2, 0, 1, 0, 0, 0, 0, 0.5, 0.2, 0, 0, 0, 0, 0, 0, 0, 0]);
+  });
+
+  test('should reject unknown versions', () => {
+    const error = captureError(() => FeatureEncoder.create(99));
+    expect(error.type).toBe('invalid-config');
+    expect(error.message).toBe(
+      'Unknown feature encoder version: 99 (expected 1, 2)'
+    );
+  });
+});
@@ -0,0 +1,278 @@
+// 載入依賴模組
+let AnalyzerGameRecord,
+  AnalyzerLineDetector,
+  AnalyzerStandardCalculator,
+  AnalyzerEnhancedCalculator;
+if (typeof require !== 'undefined') {
+  AnalyzerGameRecord = require('./gameRecord.js');
+  AnalyzerLineDetector = require('./lineDetector.js');
+  AnalyzerStandardCalculator = require('./probabilityCalculator.js');
+  AnalyzerEnhancedCalculator = require('./probabilityCalculator.enhanced.js');
+} else if (typeof window !== 'undefined') {
+  AnalyzerGameRecord = window.GameRecord;
+  AnalyzerLineDetector = window.LineDetector;
+  AnalyzerStandardCalculator = window.ProbabilityCalculator;
+  AnalyzerEnhancedCalculator = window.EnhancedProbabilityCalculator;
+}
+
+/**
+ * GameAnalyzer - 賽後分析
+ *
+ * 以標準與增強計算器的 simulateAllPossibleMoves 重新評估每一步玩家移動：
+ * - 價值損失 = 最佳移動價值 - 實際移動價值，並以最佳價值正規化為相對損失
+ * - 兩個計算器的價值尺度不同，因此取相對損失的平均值來分類移動
+ *   （best / good / inaccuracy / blunder，門檻見 GameAnalyzer.THRESHOLDS）
+ * - 準確率為各步 (1 - 相對損失) 的平均值
+ * - 當回合有可立即完成連線的格子而玩家沒有完成任何連線時，記錄為錯失連線
+ *
+ * @class GameAnalyzer
+ * @version 1.0.0
+ */
+class GameAnalyzer {
+  /**
+   * 創建分析器
+   * @param {Object} [options] - 分析選項
+   * @param {Object} [options.calculators] - 計算器類別表（名稱 -> 類別），預設使用標準與增強計算器
+   */
+  constructor(options = {}) {
+    this.calculatorClasses =
+      options.calculators || GameAnalyzer.getDefaultCalculators();
+
+    if (Object.keys(this.calculatorClasses).length === 0) {
+      throw new Error('GameAnalyzer requires at least one calculator');
+    }
+  }
+
+  /**
+   * 取得目前環境中可用的計算器類別
+   * @returns {Object} 名稱 -> 計算器類別
+   */
+  static getDefaultCalculators() {
+    const calculators = {};
+    const standard =
+      AnalyzerStandardCalculator ||
+      (typeof window !== 'undefined' && window.ProbabilityCalculator);
+    const enhanced =
+      AnalyzerEnhancedCalculator ||
+      (typeof window !== 'undefined' && window.EnhancedProbabilityCalculator);
+
+    if (standard) calculators.standard = standard;
+    if (enhanced) calculators.enhanced = enhanced;
+    return calculators;
+  }
+
+  /**
+   * 分析一場遊戲
+   * @param {Object} record - 遊戲記錄（格式見 GameRecord）
+   * @returns {Object} 分析報告
+   * @throws {GameError} 記錄無效時拋出
+   */
+  analyze(record) {
+    const validRecord = AnalyzerGameRecord.validate(record);
+    const { config } = validRecord;
+    const lineDetector = new AnalyzerLineDetector(config);
+    const calculators = Object.entries(this.calculatorClasses).map(
+      ([name, Calculator]) => ({ name, calculator: new Calculator(config) })
+    );
+
+    const board = Array(config.boardSize)
+      .fill()
+      .map(() => Array(config.boardSize).fill(0));
+    const moves = [];
+    const missedLines = [];
+
+    validRecord.moves.forEach(move => {
+      if (move.type === 'player') {
+        const linesBefore = lineDetector.countCompletedLines(board);
+        const analysis = this.analyzeMove(board, move, calculators, config);
+        const completingMoves = this.findCompletingMoves(
+          board,
+          lineDetector,
+          linesBefore
+        );
+
+        board[move.row][move.col] = 1;
+        analysis.completedLine =
+          lineDetector.countCompletedLines(board) > linesBefore;
+        moves.push(analysis);
+
+        if (completingMoves.length > 0 && !analysis.completedLine) {
+          missedLines.push({
+            round: move.round,
+            move: { row: move.row, col: move.col },
+            completingMoves
+          });
+        }
+      } else {
+        board[move.row][move.col] = 2;
+      }
+    });
+
+    const summary = { best: 0, good: 0, inaccuracy: 0, blunder: 0 };
+    moves.forEach(move => summary[move.classification]++);
+
+    const accuracy =
+      moves.length === 0
+        ? 100
+        : Math.round(
+            (moves.reduce((sum, move) => sum + (1 - move.relativeLoss), 0) /
+              moves.length) *
+              1000
+          ) / 10;
+
+    return {
+      format: GameAnalyzer.FORMAT,
+      version: GameAnalyzer.VERSION,
+      generatedAt: new Date().toISOString(),
+      config,
+      algorithm: validRecord.algorithm,
+      calculators: calculators.map(({ name }) => name),
+      accuracy,
+      summary,
+      totalLines: lineDetector.countCompletedLines(board),
+      missedLines,
+      moves
+    };
+  }
+
+  /**
+   * 以所有計算器評估單一玩家移動
+   * @private
+   * @param {number[][]} board - 移動前的遊戲板
+   * @param {Object} move - 玩家移動
+   * @param {Array<Object>} calculators - { name, calculator } 列表
+   * @param {Object} config - 遊戲配置
+   * @returns {Object} 移動分析
+   */
+  analyzeMove(board, move, calculators, config) {
+    const evaluations = {};
+    let totalRelativeLoss = 0;
+
+    // 以當時的回合評估，剩餘步數內無法完成的連線不計分
+    const context = {
+      currentRound: move.round,
+      maxRounds: config.maxRounds,
+      turn: 'player'
+    };
+
+    calculators.forEach(({ name, calculator }) => {
+      const ranked = calculator.simulateAllPossibleMoves(board, context);
+      const rank = ranked.findIndex(
+        candidate => candidate.row === move.row && candidate.col === move.col
+      );
+      const bestValue = ranked[0].value;
+      const value = ranked[rank].value;
+      const loss = bestValue - value;
+      const relativeLoss = GameAnalyzer.getRelativeLoss(loss, bestValue);
+
+      evaluations[name] = {
+        value,
+        bestValue,
+        bestMove: { row: ranked[0].row, col: ranked[0].col },
+        rank: rank + 1,
+        loss,
+        relativeLoss
+      };
+      totalRelativeLoss += relativeLoss;
+    });
+
+    const relativeLoss = totalRelativeLoss / calculators.length;
+
+    return {
+      round: move.round,
+      row: move.row,
+      col: move.col,
+      classification: GameAnalyzer.classify(relativeLoss),
+      relativeLoss,
+      evaluations
+    };
+  }
+
+  /**
+   * 找出可立即完成至少一條連線的空格
+   * @private
+   * @param {number[][]} board - 遊戲板
+   * @param {LineDetector} lineDetector - 連線檢測器
+   * @param {number} linesBefore - 目前完成的連線數
+   * @returns {Array<{row: number, col: number, lines: number}>} 可完成連線的格子及新增連線數
+   */
+  findCompletingMoves(board, lineDetector, linesBefore) {
+    const completing = [];
+
+    board.forEach((cells, row) =>
+      cells.forEach((cell, col) => {
+        if (cell !== 0) return;
+
+        board[row][col] = 1;
+        const lines = lineDetector.countCompletedLines(board) - linesBefore;
+        board[row][col] = 0;
+
+        if (lines > 0) {
+          completing.push({ row, col, lines });
+        }
+      })
+    );
+
+    return completing;
+  }
+
+  /**
+   * 將價值損失正規化為 0 到 1 的相對損失
+   * @param {number} loss - 價值損失
+   * @param {number} bestValue - 最佳移動價值
+   * @returns {number} 相對損失
+   */
+  static getRelativeLoss(loss, bestValue) {
+    if (loss <= 0) {
+      return 0;
+    }
+    if (bestValue <= 0) {
+      return 1;
+    }
+    return Math.min(1, loss / bestValue);
+  }
+
+  /**
+   * 依相對損失分類移動
+   * @param {number} relativeLoss - 相對損失（0 到 1）
+   * @returns {string} 'best' | 'good' | 'inaccuracy' | 'blunder'
+   */
+  static classify(relativeLoss) {
+    if (relativeLoss <= GameAnalyzer.THRESHOLDS.BEST) return 'best';
+    if (relativeLoss <= GameAnalyzer.THRESHOLDS.GOOD) return 'good';
+    if (relativeLoss <= GameAnalyzer.THRESHOLDS.INACCURACY) {
+      return 'inaccuracy';
+    }
+    return 'blunder';
+  }
+
+  /**
+   * 將分析報告轉為 JSON 文字（用於導出）
+   * @param {Object} report - 分析報告
+   * @returns {string} JSON 文字
+   */
+  static stringify(report) {
+    return JSON.stringify(report, null, 2);
+  }
+}
+
+// 分類門檻（相對損失上限）
+GameAnalyzer.THRESHOLDS = {
+  BEST: 0.02,
+  GOOD: 0.1,
+  INACCURACY: 0.3
+};
+
+// 報告格式識別字與版本
+GameAnalyzer.FORMAT = 'bingo-game-analysis';
+GameAnalyzer.VERSION = 1;
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameAnalyzer;
+}
+
+// 在瀏覽器環境中，將 GameAnalyzer 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.GameAnalyzer = GameAnalyzer;
+}
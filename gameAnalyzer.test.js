@@ -0,0 +1,128 @@
+/**
+ * GameAnalyzer 單元測試
+ */
+const GameAnalyzer = require('./gameAnalyzer.js');
+const GameRecord = require('./gameRecord.js');
+
+/**
+ * 測試用計算器：越上方的列價值越高（第 0 列為 100，每往下一列減 10）
+ */
+class RowValueCalculator {
+  simulateAllPossibleMoves(board) {
+    const moves = [];
+    board.forEach((cells, row) =>
+      cells.forEach((cell, col) => {
+        if (cell === 0) moves.push({ row, col, value: 100 - row * 10 });
+      })
+    );
+    return moves.sort((a, b) => b.value - a.value);
+  }
+}
+
+describe('GameAnalyzer', () => {
+  // 4x4 遊戲：第 3 回合玩家沒有下在 (0,3) 完成第一行
+  const missedLineRecord = GameRecord.create({
+    config: { boardSize: 4, maxRounds: 4 },
+    moves: [
+      { type: 'player', row: 0, col: 0 },
+      { type: 'computer', row: 0, col: 1 },
+      { type: 'player', row: 0, col: 2 },
+      { type: 'computer', row: 3, col: 3 },
+      { type: 'player', row: 2, col: 2 },
+      { type: 'computer', row: 1, col: 1 },
+      { type: 'player', row: 0, col: 3 },
+      { type: 'computer', row: 1, col: 0 }
+    ]
+  });
+
+  test('should classify moves by relative value loss', () => {
+    expect(GameAnalyzer.getRelativeLoss(0, 50)).toBe(0);
+    expect(GameAnalyzer.getRelativeLoss(5, 0)).toBe(1);
+    expect(GameAnalyzer.getRelativeLoss(200, 100)).toBe(1);
+    expect(GameAnalyzer.classify(0)).toBe('best');
+    expect(GameAnalyzer.classify(0.1)).toBe('good');
+    expect(GameAnalyzer.classify(0.3)).toBe('inaccuracy');
+    expect(GameAnalyzer.classify(0.31)).toBe('blunder');
+  });
+
+  test('should grade every player move and compute accuracy', () => {
+    const analyzer = new GameAnalyzer({
+      calculators: { rows: RowValueCalculator }
+    });
+    const report = analyzer.analyze(
+      GameRecord.create({
+        config: { boardSize: 5, maxRounds: 4 },
+        moves: [
+          { type: 'player', row: 0, col: 0 },
+          { type: 'computer', row: 4, col: 4 },
+          { type: 'player', row: 1, col: 0 },
+          { type: 'computer', row: 4, col: 3 },
+          { type: 'player', row: 2, col: 0 },
+          { type: 'computer', row: 4, col: 2 },
+          { type: 'player', row: 4, col: 0 },
+          { type: 'computer', row: 4, col: 1 }
+        ]
+      })
+    );
+
+    expect(report.moves.map(move => move.classification)).toEqual([
+      'best',
+      'good',
+      'inaccuracy',
+      'blunder'
+    ]);
+    expect(report.summary).toEqual({
+      best: 1,
+      good: 1,
+      inaccuracy: 1,
+      blunder: 1
+    });
+    expect(report.accuracy).toBe(82.5);
+    expect(report.moves[1].evaluations.rows.bestMove).toEqual({
+      row: 0,
+      col: 1
+    });
+    expect(report.moves[3].evaluations.rows.loss).toBe(40);
+  });
+
+  test('should report rounds where a line could have been completed', () => {
+    const analyzer = new GameAnalyzer({
+      calculators: { rows: RowValueCalculator }
+    });
+    const report = analyzer.analyze(missedLineRecord);
+
+    expect(report.missedLines).toHaveLength(1);
+    expect(report.missedLines[0].round).toBe(3);
+    expect(report.missedLines[0].move).toEqual({ row: 2, col: 2 });
+    expect(report.missedLines[0].completingMoves).toEqual([
+      { row: 0, col: 3, lines: 1 }
+    ]);
+    expect(report.moves[3].completedLine).toBeTruthy();
+    expect(report.totalLines).toBe(2);
+  });
+
+  test('should evaluate moves with both standard and enhanced calculators', () => {
+    const report = new GameAnalyzer().analyze(missedLineRecord);
+
+    expect(report.calculators).toEqual(['standard', 'enhanced']);
+    report.moves.forEach(move => {
+      expect(move.evaluations.standard.rank).toBeGreaterThanOrEqual(1);
+      expect(move.evaluations.enhanced.rank).toBeGreaterThanOrEqual(1);
+    });
+    expect(report.accuracy).toBeGreaterThanOrEqual(0);
+    expect(report.accuracy).toBeLessThan(100.1);
+  });
+
+  test('should export the report as JSON', () => {
+    const analyzer = new GameAnalyzer({
+      calculators: { rows: RowValueCalculator }
+    });
+    const report = analyzer.analyze(missedLineRecord);
+    const parsed = JSON.parse(GameAnalyzer.stringify(report));
+
+    expect(parsed.format).toBe('bingo-game-analysis');
+    expect(parsed.version).toBe(1);
+    expect(parsed.moves).toHaveLength(4);
+    expect(parsed.config.boardSize).toBe(4);
+  });
+});
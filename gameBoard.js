@@ -52,6 +52,7 @@ class GameBoard {
     this.cells = []; // 存儲所有格子的 DOM 元素
     this.currentSuggestion = null; // 當前顯示的建議位置
     this.highlightedLines = []; // 當前高亮的連線
+    this.plannedCells = []; // 目標連線計畫中還需要的格子
     this.clickHandler = null; // 點擊事件處理器
 
     // 遊戲狀態常數（與 GameEngine 保持一致）
@@ -91,7 +92,13 @@ class GameBoard {
     SafeDOM.clearContent(this.container);
     this.cells = [];
 
-    // 創建5x5網格
+    // 依遊戲板大小設定網格欄列數
+    if (this.container.style) {
+      this.container.style.gridTemplateColumns = `repeat(${this.size}, 1fr)`;
+      this.container.style.gridTemplateRows = `repeat(${this.size}, 1fr)`;
+    }
+
+    // 創建 size x size 網格
     for (let row = 0; row < this.size; row++) {
       const rowCells = [];
       for (let col = 0; col < this.size; col++) {
@@ -103,6 +110,23 @@ class GameBoard {
     }
   }
 
+  /**
+   * 變更遊戲板大小並重建所有格子
+   * 用於切換不同配置的遊戲（例如 4x4 或 7x7）
+   * @param {number} size - 新的遊戲板大小
+   */
+  setSize(size) {
+    if (size === this.size) {
+      return;
+    }
+
+    this.size = size;
+    this.currentSuggestion = null;
+    this.highlightedLines = [];
+    this.plannedCells = [];
+    this.createBoard();
+  }
+
   /**
    * 創建單個格子元素
    * @param {number} row - 行位置
@@ -185,8 +209,8 @@ class GameBoard {
 
     const cell = this.cells[row][col];
 
-    // 移除所有狀態類別
-    cell.classList.remove('empty', 'player', 'computer');
+    // 移除所有狀態類別（已填的格子不再屬於計畫）
+    cell.classList.remove('empty', 'player', 'computer', 'planned');
 
     // 添加新狀態類別
     switch (state) {
@@ -427,6 +451,50 @@ class GameBoard {
     this.clearAlternativeHighlights();
   }
 
+  /**
+   * 標示目標連線計畫中還需要的格子（見 MovePlanner）
+   * 計畫標示與建議高亮可以同時存在：建議的格子通常也是計畫中的格子。
+   * @param {Array<{row: number, col: number}>} cells - 還需要的格子
+   */
+  highlightPlan(cells) {
+    this.clearPlanHighlight();
+
+    (cells || []).forEach(({ row, col }, index) => {
+      if (!this.isValidPosition(row, col)) {
+        return;
+      }
+
+      const cell = this.cells[row][col];
+      if (cell.classList.contains('empty')) {
+        cell.classList.add('planned');
+        cell.setAttribute('data-plan-order', index + 1);
+        this.plannedCells.push({ row, col });
+      }
+    });
+  }
+
+  /**
+   * 清除目標連線計畫的標示
+   */
+  clearPlanHighlight() {
+    this.plannedCells.forEach(({ row, col }) => {
+      const cell = this.cells[row] && this.cells[row][col];
+      if (cell) {
+        cell.classList.remove('planned');
+        cell.removeAttribute('data-plan-order');
+      }
+    });
+    this.plannedCells = [];
+  }
+
+  /**
+   * 獲取目標連線計畫中標示的格子
+   * @returns {Array<{row: number, col: number}>} 標示的格子
+   */
+  getPlannedCells() {
+    return [...this.plannedCells];
+  }
+
   /**
    * 高亮顯示完成的連線
    * @param {Array} lines - 完成的連線陣列
@@ -592,6 +660,7 @@ class GameBoard {
   clearAllHighlights() {
     this.clearSuggestionHighlight();
     this.clearLineHighlights();
+    this.clearPlanHighlight();
   }
 
   /**
@@ -331,4 +331,27 @@ describe('GameBoard', () => {
     expect(gameBoard.isValidPosition(5, 0)).toBeFalsy();
     expect(gameBoard.isValidPosition(0, 5)).toBeFalsy();
   });
+
+  test('should mark planned cells until they are filled', () => {
+    gameBoard.updateCell(1, 1, 0);
+    gameBoard.updateCell(3, 3, 0);
+    gameBoard.updateCell(2, 2, 1);
+
+    // 已填的格子不標示
+    gameBoard.highlightPlan([
+      { row: 1, col: 1 },
+      { row: 2, col: 2 },
+      { row: 3, col: 3 }
+    ]);
+    expect(gameBoard.getCell(1, 1).classList.contains('planned')).toBeTruthy();
+    expect(gameBoard.getCell(2, 2).classList.contains('planned')).toBeFalsy();
+    expect(gameBoard.getPlannedCells()).toHaveLength(2);
+
+    gameBoard.updateCell(1, 1, 2);
+    expect(gameBoard.getCell(1, 1).classList.contains('planned')).toBeFalsy();
+
+    gameBoard.clearAllHighlights();
+    expect(gameBoard.getCell(3, 3).classList.contains('planned')).toBeFalsy();
+    expect(gameBoard.getPlannedCells()).toHaveLength(0);
+  });
 });
@@ -2,20 +2,38 @@
 let LineDetectorClass,
   ProbabilityCalculatorClass,
   AILearningSystemClass,
+  GameRecordClass,
+  StrategyRegistryClass,
+  MovePlannerClass,
+  EngineLearningStore,
+  EngineComputerPolicy,
+  EngineUtils,
   logger;
 
 if (typeof require !== 'undefined') {
+  EngineUtils = require('./utils/common.js').Utils;
   LineDetectorClass = require('./lineDetector.js');
   ProbabilityCalculatorClass = require('./probabilityCalculator.js');
   AILearningSystemClass = require('./aiLearningSystem.js');
+  GameRecordClass = require('./gameRecord.js');
+  StrategyRegistryClass = require('./strategyRegistry.js');
+  MovePlannerClass = require('./movePlanner.js');
+  EngineLearningStore = require('./learningStore.js');
+  EngineComputerPolicy = require('./computerPolicy.js');
   const { logger: prodLogger } = require('./production-logger.js');
   logger = prodLogger;
 } else if (typeof window !== 'undefined' && window.logger) {
   logger = window.logger;
   // In browser environment, classes are available globally
+  EngineUtils = window.Utils;
   LineDetectorClass = window.LineDetector;
   ProbabilityCalculatorClass = window.ProbabilityCalculator;
   AILearningSystemClass = window.AILearningSystem;
+  GameRecordClass = window.GameRecord;
+  StrategyRegistryClass = window.StrategyRegistry;
+  MovePlannerClass = window.MovePlanner;
+  EngineLearningStore = window.LearningStore;
+  EngineComputerPolicy = window.ComputerPolicy;
 }
 
 /**
@@ -41,11 +59,20 @@ class GameEngine {
   /**
    * 創建遊戲引擎實例
    * 初始化所有必要的組件和狀態
+   * @param {Object} [config] - 遊戲配置
+   * @param {number} [config.boardSize=5] - 遊戲板大小（3 到 9）
+   * @param {number} [config.maxRounds] - 最大遊戲回合數（預設 8，小棋盤會自動縮減）
+   * @param {number} [config.lineLength] - 完成連線所需的連續格子數（預設等於遊戲板大小）
+   * @throws {GameError} 配置值超出範圍時拋出
    */
-  constructor() {
-    // 遊戲配置常數
-    this.BOARD_SIZE = 5; // 遊戲板大小（5x5）
-    this.MAX_ROUNDS = 8; // 最大遊戲回合數
+  constructor(config = {}) {
+    // 遊戲配置（經過驗證並補上預設值）
+    this.config = EngineUtils
+      ? EngineUtils.createGameConfig(config)
+      : { boardSize: 5, maxRounds: 8, lineLength: 5 };
+    this.BOARD_SIZE = this.config.boardSize; // 遊戲板大小
+    this.MAX_ROUNDS = this.config.maxRounds; // 最大遊戲回合數
+    this.LINE_LENGTH = this.config.lineLength; // 連線長度
 
     // 遊戲狀態常數定義
     this.CELL_STATES = {
@@ -65,28 +92,39 @@ class GameEngine {
     // 初始化遊戲狀態對象
     // 包含所有遊戲進行中需要追蹤的數據
     this.gameState = {
-      board: this.createEmptyBoard(), // 5x5 遊戲板
+      board: this.createEmptyBoard(), // BOARD_SIZE x BOARD_SIZE 遊戲板
       currentRound: 1, // 當前回合數
       gamePhase: this.GAME_PHASES.WAITING_START, // 當前遊戲階段
       playerMoves: [], // 玩家移動記錄
       computerMoves: [], // 電腦移動記錄
       completedLines: [], // 完成的連線
       isGameComplete: false, // 遊戲是否完成
-      lastSuggestion: null // 最後一次建議
+      lastSuggestion: null, // 最後一次建議
+      lastPlan: null // 最後一次的目標連線計畫（見 getPlan）
     };
 
     // 初始化核心遊戲組件
-    this.lineDetector = new (LineDetectorClass || LineDetector)(); // 連線檢測器
+    this.lineDetector = new (LineDetectorClass || LineDetector)(this.config); // 連線檢測器
     this.probabilityCalculator = new (ProbabilityCalculatorClass ||
-      ProbabilityCalculator)(); // 機率計算器
+      ProbabilityCalculator)(this.config); // 機率計算器
+    this.suggestionStrategy = 'standard'; // 建議策略 id，見 setSuggestionStrategy
+    // 學習狀態儲存（IndexedDB、localStorage 或記憶體），AI 學習系統建立時載入保存的狀態
+    this.learningStore = EngineLearningStore
+      ? EngineLearningStore.createDefault()
+      : null;
     // Initialize AI Learning System only if available
-    if (AILearningSystemClass || (typeof AILearningSystem !== 'undefined')) {
-      this.aiLearningSystem = new (AILearningSystemClass || AILearningSystem)();
-    } else {
-      this.aiLearningSystem = null;
+    this.aiLearningSystem = null;
+    if (!this.ensureAILearningSystem()) {
       console.warn('AILearningSystem not available, continuing without AI learning features');
     }
     this.gameBoard = null; // 將由外部設置
+    this.movePlanner = null; // 目標連線規劃器，第一次呼叫 getPlan 時建立
+    this.computerPolicy = null; // 電腦策略（預測模型），見 setComputerPolicy
+    this.learnedComputerPolicy = null; // 依學習記錄預測的電腦策略，見 useLearnedComputerPolicy
+
+    // 移動歷史（命令模式），支援復原、重做與跳轉
+    this.history = []; // 已記錄的移動命令
+    this.historyIndex = 0; // 目前位置：已套用的命令數量
 
     // AI 學習系統配置
     this.useAILearning = true;
@@ -101,7 +139,7 @@ class GameEngine {
 
   /**
    * 創建空的遊戲板
-   * @returns {number[][]} 5x5的空遊戲板
+   * @returns {number[][]} BOARD_SIZE x BOARD_SIZE 的空遊戲板
    */
   createEmptyBoard() {
     return Array(this.BOARD_SIZE)
@@ -116,6 +154,15 @@ class GameEngine {
   setGameBoard(gameBoard) {
     this.gameBoard = gameBoard;
 
+    // 確保 UI 遊戲板與引擎配置大小一致
+    if (
+      this.gameBoard &&
+      this.gameBoard.size !== this.BOARD_SIZE &&
+      typeof this.gameBoard.setSize === 'function'
+    ) {
+      this.gameBoard.setSize(this.BOARD_SIZE);
+    }
+
     // 設置點擊處理器
     if (this.gameBoard) {
       this.gameBoard.setClickHandler((row, col) => {
@@ -139,8 +186,19 @@ class GameEngine {
       isGameComplete: false,
       gameStarted: true,
       gameEnded: false,
-      lastSuggestion: null
+      resultRecorded: false,
+      lastSuggestion: null,
+      lastPlan: null
     };
+    this.clearHistory();
+
+    // 學習狀態可能已導入、重置或載入，依目前的遊戲記錄重新計算電腦的落子次數
+    if (
+      this.computerPolicy &&
+      this.computerPolicy === this.learnedComputerPolicy
+    ) {
+      this.computerPolicy.learn(this.getRecordedGames());
+    }
 
     // 更新UI
     if (this.gameBoard) {
@@ -195,6 +253,8 @@ class GameEngine {
       throw new Error(`無效的移動位置 (${row}, ${col})`);
     }
 
+    const before = this.captureHistoryState();
+
     // 執行玩家移動
     this.gameState.board[row][col] = this.CELL_STATES.PLAYER;
     this.gameState.playerMoves.push({
@@ -214,6 +274,7 @@ class GameEngine {
 
     // 轉換到電腦輸入階段
     this.gameState.gamePhase = this.GAME_PHASES.COMPUTER_TURN;
+    this.recordHistoryCommand('player', row, col, before);
 
     if (logger) {
       logger.info(`玩家選擇了位置 (${row}, ${col})`);
@@ -241,6 +302,8 @@ class GameEngine {
         throw new Error(`無效的電腦移動位置 (${row}, ${col})`);
       }
 
+      const before = this.captureHistoryState();
+
       // 執行電腦移動
       this.gameState.board[row][col] = this.CELL_STATES.COMPUTER;
       this.gameState.computerMoves.push({
@@ -257,8 +320,12 @@ class GameEngine {
       // 檢查連線
       this.updateCompletedLines();
 
+      // 先記錄命令，讓狀態變更回調能看到可復原的歷史
+      const command = this.recordHistoryCommand('computer', row, col, before);
+
       // 完成當前回合
       this.completeRound();
+      command.after = this.captureHistoryState();
 
       if (logger) {
         logger.info(`電腦選擇了位置 (${row}, ${col})`);
@@ -304,10 +371,18 @@ class GameEngine {
 
   /**
    * 結束遊戲
+   * 結果交給 AI 學習、電腦策略與 onGameComplete 後即不能再復原（見 canUndo），
+   * 以免同一局再次結束時重複記錄。
    */
   endGame() {
+    if (this.gameState.resultRecorded) {
+      return;
+    }
     this.gameState.gamePhase = this.GAME_PHASES.GAME_OVER;
     this.gameState.isGameComplete = true;
+    this.gameState.gameEnded = true;
+    // 不在歷史快照中，復原時不會被還原
+    this.gameState.resultRecorded = true;
 
     // 清除建議高亮
     if (this.gameBoard) {
@@ -316,11 +391,16 @@ class GameEngine {
 
     const finalStats = this.getGameStats();
 
-    // 記錄遊戲數據用於AI學習
-    if (this.useAILearning && this.aiLearningSystem) {
+    // 記錄遊戲數據用於AI學習（瀏覽器中學習系統的腳本可能在引擎建立後才載入）
+    if (this.useAILearning && this.ensureAILearningSystem()) {
       this.recordGameDataForLearning(finalStats);
     }
 
+    // 讓電腦策略（例如依次數預測的策略）學習本局的電腦移動
+    if (this.computerPolicy) {
+      this.computerPolicy.observeGame(this.gameState.computerMoves);
+    }
+
     // 觸發遊戲完成事件
     if (this.onGameComplete) {
       this.onGameComplete(finalStats);
@@ -335,7 +415,7 @@ class GameEngine {
     }
 
     // 顯示學習統計
-    if (this.useAILearning) {
+    if (this.useAILearning && this.aiLearningSystem) {
       const learningStats = this.aiLearningSystem.getLearningStats();
       if (logger) {
         logger.info('AI學習統計:', learningStats);
@@ -351,33 +431,10 @@ class GameEngine {
       return;
     }
 
-    let suggestion;
-
-    // 根據學習模式選擇建議算法
-    if (this.useAILearning && this.aiLearningSystem) {
-      switch (this.learningMode) {
-        case 'personalized':
-          suggestion = this.aiLearningSystem.getPersonalizedSuggestion(
-            this.gameState.board,
-            this.getGameContext()
-          );
-          break;
-        case 'adaptive':
-          suggestion = this.aiLearningSystem.predictBestMove(
-            this.gameState.board,
-            this.getGameContext()
-          );
-          break;
-        default:
-          suggestion = this.probabilityCalculator.getBestSuggestion(
-            this.gameState.board
-          );
-      }
-    } else {
-      suggestion = this.probabilityCalculator.getBestSuggestion(
-        this.gameState.board
-      );
-    }
+    const suggestion = this.getSuggestionProvider().getBestSuggestion(
+      this.gameState.board,
+      this.getGameContext()
+    );
 
     if (suggestion) {
       this.gameState.lastSuggestion = suggestion;
@@ -500,12 +557,125 @@ class GameEngine {
     };
   }
 
+  /**
+   * 設定電腦策略，機率計算器會以其預測的分佈評估電腦的回應
+   * @param {ComputerPolicy|null} policy - 電腦策略，null 表示假設電腦隨機下棋
+   */
+  setComputerPolicy(policy) {
+    this.computerPolicy = policy || null;
+    if (typeof this.probabilityCalculator.setComputerPolicy === 'function') {
+      this.probabilityCalculator.setComputerPolicy(this.computerPolicy);
+    }
+  }
+
+  /**
+   * 使用依 AI 學習系統記錄的電腦移動預測的電腦策略（ComputerPolicy 'frequency'）
+   * 每局開始時以 AILearningSystem.gameHistory 重新計算，結束時由 endGame 加入本局的電腦移動。
+   * @param {Object} [options] - ComputerPolicy 選項（如 random、smoothing）
+   * @returns {ComputerPolicy|null} 電腦策略，沒有 ComputerPolicy 時為 null
+   */
+  useLearnedComputerPolicy(options = {}) {
+    if (!EngineComputerPolicy) {
+      return null;
+    }
+
+    this.ensureAILearningSystem();
+    this.learnedComputerPolicy = EngineComputerPolicy.create(
+      'frequency',
+      this.config,
+      { ...options, history: this.getRecordedGames() }
+    );
+    this.setComputerPolicy(this.learnedComputerPolicy);
+    return this.learnedComputerPolicy;
+  }
+
+  /**
+   * AI 學習系統記錄的遊戲（含 computerMoves）
+   * @private
+   * @returns {Array<Object>} 遊戲記錄，沒有 AI 學習系統時為空陣列
+   */
+  getRecordedGames() {
+    return this.aiLearningSystem ? this.aiLearningSystem.gameHistory : [];
+  }
+
+  /**
+   * 設置建議策略（見 StrategyRegistry）
+   * 計算器策略會取代機率計算器並停用 AI 學習；學習策略會啟用 AI 學習並切換到對應的學習模式。
+   * @param {string} id - 策略 id
+   * @param {Object} [options] - 策略選項（如蒙地卡羅的 playouts、timeBudget）
+   * @throws {GameError} 策略未知（或在瀏覽器中尚未載入）時拋出
+   */
+  setSuggestionStrategy(id, options = {}) {
+    const registry = StrategyRegistryClass.default;
+    const entry = registry.getStrategy(id);
+
+    if (entry && entry.metadata.kind === 'learning') {
+      this.ensureAILearningSystem();
+      this.setAILearningEnabled(true);
+      this.setLearningMode(entry.metadata.learningMode);
+    } else {
+      this.probabilityCalculator = registry.createStrategy(
+        id,
+        this.config,
+        options
+      );
+      this.setComputerPolicy(this.computerPolicy);
+      this.setAILearningEnabled(false);
+    }
+
+    this.suggestionStrategy = id;
+  }
+
+  /**
+   * 取得目前提供建議的策略
+   * AI 學習啟用時使用與學習模式對應、且已載入的學習策略，否則使用機率計算器。
+   * @returns {{getBestSuggestion: Function}} 提供建議的策略
+   */
+  getSuggestionProvider() {
+    if (this.useAILearning && this.aiLearningSystem && StrategyRegistryClass) {
+      const learning = StrategyRegistryClass.default
+        .listStrategies({ kind: 'learning' })
+        .find(entry => entry.metadata.learningMode === this.learningMode);
+      if (learning) {
+        return learning.factory(this.config, {
+          aiLearningSystem: this.aiLearningSystem
+        });
+      }
+    }
+
+    return this.probabilityCalculator;
+  }
+
   /**
    * 獲取最佳移動建議
    * @returns {Object|null} 最佳移動建議
    */
   getBestMove() {
-    return this.probabilityCalculator.getBestSuggestion(this.gameState.board);
+    return this.probabilityCalculator.getBestSuggestion(
+      this.gameState.board,
+      this.getGameContext()
+    );
+  }
+
+  /**
+   * 規劃剩餘回合的目標連線（見 MovePlanner）
+   * 每次都以上一個計畫重新規劃：目標保持穩定，電腦填入的格子從還需要的格子中移除。
+   * @returns {Object|null} 計畫 { lines, cells, movesLeft, spareMoves, nextMove }，沒有 MovePlanner 時返回 null
+   */
+  getPlan() {
+    if (!MovePlannerClass) {
+      return null;
+    }
+
+    if (!this.movePlanner) {
+      this.movePlanner = new MovePlannerClass(this.config);
+    }
+    this.gameState.lastPlan = this.movePlanner.createPlan(
+      this.gameState.board,
+      this.getGameContext(),
+      this.gameState.lastPlan
+    );
+    return this.gameState.lastPlan;
   }
 
   /**
@@ -599,8 +769,10 @@ class GameEngine {
       computerMoves: [],
       completedLines: [],
       isGameComplete: false,
-      lastSuggestion: null
+      lastSuggestion: null,
+      lastPlan: null
     };
+    this.clearHistory();
 
     if (this.gameBoard) {
       this.gameBoard.reset();
@@ -611,6 +783,288 @@ class GameEngine {
     }
   }
 
+  /**
+   * 復原上一步移動
+   * @returns {boolean} 是否成功復原
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return false;
+    }
+
+    this.stepBack();
+    this.refreshAfterHistoryChange();
+    return true;
+  }
+
+  /**
+   * 重做下一步已復原的移動
+   * @returns {boolean} 是否成功重做
+   */
+  redo() {
+    if (!this.canRedo()) {
+      return false;
+    }
+
+    this.stepForward();
+    this.refreshAfterHistoryChange();
+    return true;
+  }
+
+  /**
+   * 跳轉到歷史中的指定位置
+   * @param {number} moveIndex - 要保留的移動數量（0 表示遊戲開始時）
+   * @returns {boolean} 是否成功跳轉（遊戲結果已記錄時不跳轉）
+   * @throws {Error} 位置超出歷史範圍時拋出
+   */
+  jumpTo(moveIndex) {
+    if (
+      !Number.isInteger(moveIndex) ||
+      moveIndex < 0 ||
+      moveIndex > this.history.length
+    ) {
+      throw new Error(`無效的歷史位置：${moveIndex}`);
+    }
+
+    if (moveIndex === this.historyIndex || this.gameState.resultRecorded) {
+      return false;
+    }
+
+    while (this.historyIndex > moveIndex) {
+      this.stepBack();
+    }
+    while (this.historyIndex < moveIndex) {
+      this.stepForward();
+    }
+
+    this.refreshAfterHistoryChange();
+    return true;
+  }
+
+  /**
+   * 檢查是否可以復原
+   * endGame 已記錄遊戲結果後不能復原。
+   * @returns {boolean} 是否有可復原的移動
+   */
+  canUndo() {
+    return this.historyIndex > 0 && !this.gameState.resultRecorded;
+  }
+
+  /**
+   * 檢查是否可以重做
+   * @returns {boolean} 是否有可重做的移動
+   */
+  canRedo() {
+    return this.historyIndex < this.history.length;
+  }
+
+  /**
+   * 獲取移動歷史
+   * @returns {{moves: Array<Object>, currentIndex: number}} 移動列表（type、row、col、round）及目前位置
+   */
+  getHistory() {
+    return {
+      moves: this.history.map(({ type, row, col, round }) => ({
+        type,
+        row,
+        col,
+        round
+      })),
+      currentIndex: this.historyIndex
+    };
+  }
+
+  /**
+   * 記錄外部 UI 顯示給玩家的建議，使其與移動一起保存在歷史與遊戲記錄中
+   * @param {Object|null} suggestion - 建議物件（至少包含 row、col）
+   */
+  recordSuggestion(suggestion) {
+    this.gameState.lastSuggestion = suggestion || null;
+  }
+
+  /**
+   * 將目前遊戲序列化為可攜式遊戲記錄
+   * 只包含已套用的移動；已復原但尚未重做的移動不會被保存。
+   * @param {Object} [options] - 序列化選項
+   * @param {string} [options.algorithm] - 使用的演算法名稱
+   * @returns {Object} 遊戲記錄（格式見 GameRecord）
+   */
+  serialize(options = {}) {
+    const moves = this.history
+      .slice(0, this.historyIndex)
+      .map(({ type, row, col, round, before }) => {
+        const move = { type, row, col, round };
+        if (type === 'player' && before.lastSuggestion) {
+          move.suggestion = before.lastSuggestion;
+        }
+        return move;
+      });
+
+    return GameRecordClass.create({
+      config: this.getConfig(),
+      algorithm:
+        options.algorithm ||
+        (this.useAILearning && this.aiLearningSystem
+          ? 'ai-learning'
+          : this.suggestionStrategy),
+      moves
+    });
+  }
+
+  /**
+   * 從遊戲記錄恢復遊戲
+   * 移動會依序重播並記錄在歷史中，因此恢復後仍可復原；重播不會觸發 AI 學習記錄。
+   * @param {Object} record - 遊戲記錄
+   * @returns {GameEngine} 恢復後的遊戲引擎
+   * @throws {GameError} 記錄無效時拋出
+   */
+  static fromRecord(record) {
+    const validRecord = GameRecordClass.validate(record);
+    const engine = new GameEngine(validRecord.config);
+    engine.startGame();
+
+    validRecord.moves.forEach(move => {
+      if (move.type === 'player') {
+        engine.recordSuggestion(move.suggestion);
+        engine.makePlayerMove(move.row, move.col);
+      } else {
+        engine.placeComputerMove(move.row, move.col);
+      }
+    });
+
+    // 為目前局面重新產生建議
+    if (engine.gameState.gamePhase === engine.GAME_PHASES.PLAYER_TURN) {
+      engine.recordSuggestion(null);
+      engine.provideSuggestion();
+    }
+
+    return engine;
+  }
+
+  /**
+   * 清除移動歷史
+   */
+  clearHistory() {
+    this.history = [];
+    this.historyIndex = 0;
+  }
+
+  /**
+   * 記錄移動命令，並捨棄已復原的分支
+   * @private
+   * @param {string} type - 'player' 或 'computer'
+   * @param {number} row - 行位置
+   * @param {number} col - 列位置
+   * @param {Object} before - 移動前的狀態快照
+   * @returns {Object} 移動命令
+   */
+  recordHistoryCommand(type, row, col, before) {
+    const command = {
+      type,
+      row,
+      col,
+      round: before.currentRound,
+      before,
+      after: this.captureHistoryState()
+    };
+
+    this.history.length = this.historyIndex;
+    this.history.push(command);
+    this.historyIndex = this.history.length;
+    return command;
+  }
+
+  /**
+   * 擷取可被移動改變的遊戲狀態（遊戲板除外，由命令本身還原）
+   * @private
+   * @returns {Object} 狀態快照
+   */
+  captureHistoryState() {
+    return {
+      currentRound: this.gameState.currentRound,
+      gamePhase: this.gameState.gamePhase,
+      completedLines: [...this.gameState.completedLines],
+      isGameComplete: this.gameState.isGameComplete,
+      gameEnded: Boolean(this.gameState.gameEnded),
+      lastSuggestion: this.gameState.lastSuggestion
+    };
+  }
+
+  /**
+   * 套用狀態快照
+   * @private
+   * @param {Object} snapshot - 狀態快照
+   */
+  restoreHistoryState(snapshot) {
+    this.gameState.currentRound = snapshot.currentRound;
+    this.gameState.gamePhase = snapshot.gamePhase;
+    this.gameState.completedLines = [...snapshot.completedLines];
+    this.gameState.isGameComplete = snapshot.isGameComplete;
+    this.gameState.gameEnded = snapshot.gameEnded;
+    this.gameState.lastSuggestion = snapshot.lastSuggestion;
+  }
+
+  /**
+   * 撤銷目前位置前的一個命令（不更新UI）
+   * @private
+   */
+  stepBack() {
+    const command = this.history[--this.historyIndex];
+    const moves =
+      command.type === 'player'
+        ? this.gameState.playerMoves
+        : this.gameState.computerMoves;
+
+    this.gameState.board[command.row][command.col] = this.CELL_STATES.EMPTY;
+    moves.pop();
+    this.restoreHistoryState(command.before);
+  }
+
+  /**
+   * 重新套用目前位置後的一個命令（不更新UI）
+   * @private
+   */
+  stepForward() {
+    const command = this.history[this.historyIndex++];
+    const isPlayer = command.type === 'player';
+    const moves = isPlayer
+      ? this.gameState.playerMoves
+      : this.gameState.computerMoves;
+
+    this.gameState.board[command.row][command.col] = isPlayer
+      ? this.CELL_STATES.PLAYER
+      : this.CELL_STATES.COMPUTER;
+    moves.push({ row: command.row, col: command.col, round: command.round });
+    this.restoreHistoryState(command.after);
+  }
+
+  /**
+   * 歷史變更後重新渲染遊戲板並通知監聽者
+   * @private
+   */
+  refreshAfterHistoryChange() {
+    if (this.gameBoard) {
+      this.gameBoard.updateBoard(this.gameState.board);
+
+      if (typeof this.gameBoard.forceRefreshLines === 'function') {
+        this.gameBoard.forceRefreshLines(this.gameState.completedLines);
+      } else {
+        this.gameBoard.highlightLines(this.gameState.completedLines);
+      }
+
+      this.gameBoard.clearSuggestionHighlight();
+      const suggestion = this.gameState.lastSuggestion;
+      if (
+        suggestion &&
+        this.gameState.gamePhase === this.GAME_PHASES.PLAYER_TURN
+      ) {
+        this.gameBoard.highlightSuggestion(suggestion.row, suggestion.col);
+      }
+    }
+
+    this.triggerStateChange();
+  }
+
   /**
    * 獲取遊戲進度百分比
    * @returns {number} 遊戲進度百分比 (0-100)
@@ -686,6 +1140,15 @@ class GameEngine {
       board: this.gameState.board,
       playerMoves: this.gameState.playerMoves,
       computerMoves: this.gameState.computerMoves,
+      // 每次玩家移動時顯示的建議（與 playerMoves 對齊），用於計算玩家採用建議的比例
+      suggestions: this.history
+        .slice(0, this.historyIndex)
+        .filter(command => command.type === 'player')
+        .map(({ before }) =>
+          before.lastSuggestion
+            ? { row: before.lastSuggestion.row, col: before.lastSuggestion.col }
+            : null
+        ),
       finalScore: finalStats.totalLines,
       completedLines: finalStats.completedLines,
       gameOutcome: this.determineGameOutcome(finalStats),
@@ -710,12 +1173,19 @@ class GameEngine {
 
   /**
    * 獲取遊戲上下文信息
+   * 機率計算器以 currentRound、roundsLeft 與 turn 計算剩餘步數，
+   * 剩餘步數內無法完成的連線不再計分
    * @returns {Object} 遊戲上下文
    */
   getGameContext() {
     return {
       currentRound: this.gameState.currentRound,
       maxRounds: this.MAX_ROUNDS,
+      roundsLeft: this.MAX_ROUNDS - this.gameState.currentRound + 1,
+      turn:
+        this.gameState.gamePhase === this.GAME_PHASES.COMPUTER_TURN
+          ? 'computer'
+          : 'player',
       playerMoves: this.gameState.playerMoves.length,
       computerMoves: this.gameState.computerMoves.length,
       completedLines: this.gameState.completedLines.length,
@@ -742,6 +1212,28 @@ class GameEngine {
     }
   }
 
+  /**
+   * 建立 AI 學習系統（尚未建立時）並載入保存的學習狀態
+   * 瀏覽器中 aiLearningSystem.js 在選擇學習策略時才載入，因此也會在 setSuggestionStrategy 中呼叫。
+   * @returns {boolean} AI 學習系統是否可用
+   */
+  ensureAILearningSystem() {
+    if (this.aiLearningSystem) {
+      return true;
+    }
+
+    const LearningSystem =
+      AILearningSystemClass ||
+      (typeof window !== 'undefined' ? window.AILearningSystem : null);
+    if (!LearningSystem) {
+      return false;
+    }
+
+    this.aiLearningSystem = new LearningSystem(this.config);
+    this.aiLearningSystem.attachStore(this.learningStore);
+    return true;
+  }
+
   /**
    * 啟用或禁用AI學習
    * @param {boolean} enabled - 是否啟用
@@ -768,8 +1260,17 @@ class GameEngine {
    * 重置AI學習數據
    */
   resetAILearning() {
-    if (this.aiLearningSystem && (typeof AILearningSystem !== 'undefined')) {
-      this.aiLearningSystem = new AILearningSystem();
+    if (this.aiLearningSystem) {
+      this.aiLearningSystem = new this.aiLearningSystem.constructor(
+        this.config
+      );
+      // 清除保存的狀態，之後的遊戲繼續保存到同一個儲存
+      if (this.learningStore) {
+        this.learningStore.clear().catch(error => {
+          console.warn('Failed to clear AI learning state:', error.message);
+        });
+        this.aiLearningSystem.attachStore(this.learningStore, { load: false });
+      }
       if (logger) {
         logger.info('AI學習數據已重置');
       }
@@ -811,55 +1312,37 @@ class GameEngine {
 
   /**
    * 導出學習數據
-   * @returns {Object} 學習數據
+   * 包含預測模型的權重，Map 欄位已編碼，可直接 JSON.stringify（見 LearningStore）
+   * @returns {Object|null} 學習狀態記錄 { schemaVersion, savedAt, state }
    */
   exportLearningData() {
     if (this.useAILearning && this.aiLearningSystem) {
-      return {
-        gameHistory: this.aiLearningSystem.gameHistory,
-        playerModel: this.aiLearningSystem.playerModel,
-        difficultySystem: this.aiLearningSystem.difficultySystem,
-        personalizationSystem: this.aiLearningSystem.personalizationSystem,
-        performanceMetrics: this.aiLearningSystem.performanceMetrics
-      };
+      return this.aiLearningSystem.exportState();
     }
     return null;
   }
 
   /**
-   * 導入學習數據
+   * 導入學習數據並保存
+   * 接受 exportLearningData 的結果，以及舊版沒有 schemaVersion 的匯出檔案。
    * @param {Object} learningData - 學習數據
+   * @returns {boolean} 是否導入成功
    */
   importLearningData(learningData) {
     if (this.useAILearning && this.aiLearningSystem && learningData) {
       try {
-        if (learningData.gameHistory) {
-          this.aiLearningSystem.gameHistory = learningData.gameHistory;
-        }
-        if (learningData.playerModel) {
-          this.aiLearningSystem.playerModel = learningData.playerModel;
-        }
-        if (learningData.difficultySystem) {
-          this.aiLearningSystem.difficultySystem =
-            learningData.difficultySystem;
-        }
-        if (learningData.personalizationSystem) {
-          this.aiLearningSystem.personalizationSystem =
-            learningData.personalizationSystem;
-        }
-        if (learningData.performanceMetrics) {
-          this.aiLearningSystem.performanceMetrics =
-            learningData.performanceMetrics;
-        }
+        this.aiLearningSystem.importState(learningData);
         if (logger) {
           logger.info('學習數據導入成功');
         }
+        return true;
       } catch (error) {
         if (logger) {
           logger.error('學習數據導入失敗:', error);
         }
       }
     }
+    return false;
   }
 
   /**
@@ -877,10 +1360,19 @@ class GameEngine {
       completedLines: [...this.gameState.completedLines],
       isGameComplete: this.gameState.isGameComplete,
       lastSuggestion: this.gameState.lastSuggestion,
-      boardSize: this.BOARD_SIZE
+      boardSize: this.BOARD_SIZE,
+      lineLength: this.LINE_LENGTH
     };
   }
 
+  /**
+   * 獲取遊戲配置
+   * @returns {{boardSize: number, maxRounds: number, lineLength: number}} 配置副本
+   */
+  getConfig() {
+    return { ...this.config };
+  }
+
   /**
    * 檢查位置是否有效
    * @param {number} row - 行索引
@@ -951,6 +1443,8 @@ class GameEngine {
         return false;
       }
 
+      const before = this.captureHistoryState();
+
       // 執行移動
       this.gameState.board[row][col] = this.CELL_STATES.PLAYER;
       this.gameState.playerMoves.push({
@@ -958,9 +1452,13 @@ class GameEngine {
         col,
         round: this.gameState.currentRound
       });
+      this.gameState.completedLines = this.lineDetector.getAllLines(
+        this.gameState.board
+      );
 
       // 切換到電腦回合
       this.gameState.gamePhase = this.GAME_PHASES.COMPUTER_TURN;
+      this.recordHistoryCommand('player', row, col, before);
 
       return true;
     } catch (error) {
@@ -968,6 +1466,95 @@ class GameEngine {
       return false;
     }
   }
+
+  /**
+   * 執行電腦移動（不觸發 UI 更新與建議計算，供外部 UI 流程使用）
+   * 最後一回合的移動以 endGame 結束遊戲，記錄遊戲結果。
+   * @param {number} row - 行索引
+   * @param {number} col - 列索引
+   * @returns {boolean} 移動是否成功
+   */
+  makeComputerMove(row, col) {
+    if (!this.placeComputerMove(row, col)) {
+      return false;
+    }
+
+    if (this.gameState.isGameComplete) {
+      this.endGame();
+    }
+    return true;
+  }
+
+  /**
+   * 放置電腦移動並進入下一回合；最後一回合只標記遊戲結束，不經過 endGame 記錄遊戲結果
+   * （供重播與自行記錄結果的批次模擬使用）
+   * @param {number} row - 行索引
+   * @param {number} col - 列索引
+   * @returns {boolean} 移動是否成功
+   */
+  placeComputerMove(row, col) {
+    try {
+      // 檢查遊戲狀態
+      if (!this.gameState || !this.gameState.gameStarted || this.gameState.gameEnded) {
+        return false;
+      }
+
+      // 檢查是否為電腦回合
+      if (this.gameState.gamePhase !== this.GAME_PHASES.COMPUTER_TURN) {
+        return false;
+      }
+
+      // 檢查位置是否有效且為空
+      if (!this.isValidPosition(row, col) || !this.isCellEmpty(row, col)) {
+        return false;
+      }
+
+      const before = this.captureHistoryState();
+
+      // 執行移動
+      this.gameState.board[row][col] = this.CELL_STATES.COMPUTER;
+      this.gameState.computerMoves.push({
+        row,
+        col,
+        round: this.gameState.currentRound
+      });
+      this.gameState.completedLines = this.lineDetector.getAllLines(
+        this.gameState.board
+      );
+
+      // 進入下一回合或結束遊戲
+      if (this.gameState.currentRound >= this.MAX_ROUNDS) {
+        this.gameState.gamePhase = this.GAME_PHASES.GAME_OVER;
+        this.gameState.isGameComplete = true;
+        this.gameState.gameEnded = true;
+      } else {
+        this.gameState.currentRound++;
+        this.gameState.gamePhase = this.GAME_PHASES.PLAYER_TURN;
+      }
+      this.recordHistoryCommand('computer', row, col, before);
+
+      return true;
+    } catch (error) {
+      console.error('Error making computer move:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 獲取所有空格子
+   * @returns {Array<{row: number, col: number}>} 空格子位置
+   */
+  getEmptyCells() {
+    const emptyCells = [];
+    for (let row = 0; row < this.BOARD_SIZE; row++) {
+      for (let col = 0; col < this.BOARD_SIZE; col++) {
+        if (this.gameState.board[row][col] === this.CELL_STATES.EMPTY) {
+          emptyCells.push({ row, col });
+        }
+      }
+    }
+    return emptyCells;
+  }
 }
 
 // 如果在Node.js環境中，導出模組
@@ -102,6 +102,24 @@ describe('GameEngine', () => {
     expect(move.col >= 0 && move.col < 5).toBeTruthy();
   });
 
+  test('should pass the game context to the calculator', () => {
+    let receivedContext = null;
+    const calculator = engine.probabilityCalculator;
+    const original = calculator.getBestSuggestion.bind(calculator);
+    calculator.getBestSuggestion = (board, context) => {
+      receivedContext = context;
+      return original(board, context);
+    };
+    engine.useAILearning = false;
+
+    engine.processPlayerTurn(0, 0);
+    engine.processComputerTurn(1, 1);
+
+    expect(receivedContext.currentRound).toBe(2);
+    expect(receivedContext.roundsLeft).toBe(7);
+    expect(receivedContext.turn).toBe('player');
+  });
+
   test('should detect completed lines', () => {
     // 創建一條水平線
     engine.processPlayerTurn(0, 0);
@@ -167,3 +185,316 @@ describe('GameEngine', () => {
     expect(realBoard[2][2]).toBe(0);
   });
 });
+
+describe('GameEngine configuration', () => {
+  test('should default to the standard 5x5 game', () => {
+    const engine = new GameEngine();
+    expect(engine.getConfig()).toEqual({
+      boardSize: 5,
+      maxRounds: 8,
+      lineLength: 5
+    });
+  });
+
+  test('should play a 4x4 game with shorter rounds', () => {
+    const engine = new GameEngine({ boardSize: 4 });
+    engine.startGame();
+
+    const state = engine.getState();
+    expect(state.boardSize).toBe(4);
+    expect(state.board).toHaveLength(4);
+    expect(state.maxRounds).toBe(8);
+    expect(engine.isValidPosition(3, 3)).toBeTruthy();
+    expect(engine.isValidPosition(4, 0)).toBeFalsy();
+
+    // 第一行全部填滿即完成一條 4 格連線
+    engine.processPlayerTurn(0, 0);
+    engine.processComputerTurn(0, 1);
+    engine.processPlayerTurn(0, 2);
+    engine.processComputerTurn(0, 3);
+    expect(engine.getState().completedLines).toHaveLength(1);
+  });
+
+  test('should count shorter lines on a 7x7 board', () => {
+    const engine = new GameEngine({
+      boardSize: 7,
+      maxRounds: 10,
+      lineLength: 4
+    });
+    engine.startGame();
+
+    engine.processPlayerTurn(3, 1);
+    engine.processComputerTurn(3, 2);
+    engine.processPlayerTurn(3, 3);
+    engine.processComputerTurn(3, 4);
+
+    const state = engine.getState();
+    expect(state.maxRounds).toBe(10);
+    expect(state.lineLength).toBe(4);
+    expect(state.completedLines).toHaveLength(1);
+
+    const suggestion = engine.probabilityCalculator.getBestSuggestion(
+      state.board
+    );
+    expect(suggestion.row).toBeLessThan(7);
+    expect(suggestion.col).toBeLessThan(7);
+  });
+
+  test('should reject invalid configurations', () => {
+    const invalidConfigs = [
+      { boardSize: 2 },
+      { boardSize: 10 },
+      { boardSize: 5, lineLength: 6 },
+      { boardSize: 3, maxRounds: 5 }
+    ];
+
+    invalidConfigs.forEach(config => {
+      let error = null;
+      try {
+        new GameEngine(config);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeTruthy();
+      expect(error.type).toBe('invalid-config');
+    });
+  });
+});
+
+describe('GameEngine history', () => {
+  function playRounds(engine, moves) {
+    moves.forEach(([row, col], index) => {
+      if (index % 2 === 0) {
+        engine.processPlayerTurn(row, col);
+      } else {
+        engine.processComputerTurn(row, col);
+      }
+    });
+  }
+
+  test('should undo and redo a player move', () => {
+    const engine = new GameEngine();
+    engine.startGame();
+    const suggestion = engine.getState().lastSuggestion;
+
+    engine.processPlayerTurn(2, 2);
+    expect(engine.canUndo()).toBeTruthy();
+    expect(engine.undo()).toBeTruthy();
+
+    let state = engine.getState();
+    expect(state.board[2][2]).toBe(0);
+    expect(state.playerMoves).toHaveLength(0);
+    expect(state.gamePhase).toBe('player-turn');
+    expect(state.lastSuggestion).toBe(suggestion);
+    expect(engine.canUndo()).toBeFalsy();
+
+    expect(engine.redo()).toBeTruthy();
+    state = engine.getState();
+    expect(state.board[2][2]).toBe(1);
+    expect(state.playerMoves).toHaveLength(1);
+    expect(state.gamePhase).toBe('computer-turn');
+    expect(engine.canRedo()).toBeFalsy();
+  });
+
+  test('should roll back rounds and completed lines', () => {
+    const engine = new GameEngine({ boardSize: 4 });
+    engine.startGame();
+    playRounds(engine, [
+      [0, 0],
+      [0, 1],
+      [0, 2],
+      [0, 3]
+    ]);
+    expect(engine.getCurrentRound()).toBe(3);
+    expect(engine.getState().completedLines).toHaveLength(1);
+
+    engine.undo();
+    const state = engine.getState();
+    expect(state.currentRound).toBe(2);
+    expect(state.gamePhase).toBe('computer-turn');
+    expect(state.completedLines).toHaveLength(0);
+    expect(state.computerMoves).toHaveLength(1);
+  });
+
+  test('should jump through history and restore game over', () => {
+    const finished = new GameEngine({ boardSize: 3, maxRounds: 2 });
+    finished.startGame();
+    playRounds(finished, [
+      [0, 0],
+      [1, 1],
+      [2, 2],
+      [0, 1]
+    ]);
+    // 從記錄恢復的遊戲沒有經過 endGame，可以瀏覽整個歷史
+    const engine = GameEngine.fromRecord(finished.serialize());
+    expect(engine.isGameComplete()).toBeTruthy();
+
+    expect(engine.jumpTo(1)).toBeTruthy();
+    expect(engine.isGameComplete()).toBeFalsy();
+    expect(engine.getCurrentRound()).toBe(1);
+    expect(engine.getHistory().currentIndex).toBe(1);
+    expect(engine.getBoardCopy()[1][1]).toBe(0);
+
+    engine.jumpTo(4);
+    expect(engine.isGameComplete()).toBeTruthy();
+    expect(engine.getCurrentPhase()).toBe('game-over');
+    expect(engine.getState().completedLines).toHaveLength(1);
+    expect(engine.getHistory().moves).toHaveLength(4);
+
+    let error = null;
+    try {
+      engine.jumpTo(5);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeTruthy();
+  });
+
+  test('should not undo a game whose result was recorded', () => {
+    const engine = new GameEngine({ boardSize: 3, maxRounds: 2 });
+    const recorded = [];
+    engine.aiLearningSystem.recordGameData = gameData =>
+      recorded.push(gameData);
+    let completed = 0;
+    engine.onGameComplete = () => completed++;
+
+    engine.startGame();
+    playRounds(engine, [
+      [0, 0],
+      [1, 1],
+      [2, 2],
+      [0, 1]
+    ]);
+    expect(engine.getCurrentPhase()).toBe('game-over');
+
+    expect(engine.canUndo()).toBeFalsy();
+    expect(engine.undo()).toBeFalsy();
+    expect(engine.jumpTo(3)).toBeFalsy();
+    expect(engine.getHistory().currentIndex).toBe(4);
+    expect(completed).toBe(1);
+    expect(recorded).toHaveLength(1);
+
+    // 新的一局可以再次復原
+    engine.startGame();
+    engine.processPlayerTurn(1, 1);
+    expect(engine.undo()).toBeTruthy();
+  });
+
+  test('should discard undone moves when a new move is made', () => {
+    const engine = new GameEngine();
+    engine.startGame();
+    playRounds(engine, [
+      [0, 0],
+      [1, 1]
+    ]);
+
+    engine.jumpTo(0);
+    engine.processPlayerTurn(4, 4);
+
+    const history = engine.getHistory();
+    expect(history.moves).toHaveLength(1);
+    expect(history.moves[0]).toEqual({
+      type: 'player',
+      row: 4,
+      col: 4,
+      round: 1
+    });
+    expect(engine.canRedo()).toBeFalsy();
+  });
+
+  test('should record moves made through the UI helpers', () => {
+    const engine = new GameEngine();
+    engine.startGame();
+
+    expect(engine.makePlayerMove(0, 0)).toBeTruthy();
+    expect(engine.makeComputerMove(0, 1)).toBeTruthy();
+    expect(engine.getCurrentRound()).toBe(2);
+    expect(engine.getEmptyCells()).toHaveLength(23);
+
+    engine.undo();
+    engine.undo();
+    expect(engine.getEmptyCells()).toHaveLength(25);
+    expect(engine.undo()).toBeFalsy();
+  });
+
+  test('should end the game through the UI helpers', () => {
+    const engine = new GameEngine();
+    let completed = 0;
+    engine.onGameComplete = () => completed++;
+
+    engine.startGame();
+    for (let round = 0; round < 8; round++) {
+      const [player, computer] = engine.getEmptyCells();
+      expect(engine.makePlayerMove(player.row, player.col)).toBeTruthy();
+      expect(engine.makeComputerMove(computer.row, computer.col)).toBeTruthy();
+    }
+
+    expect(engine.getCurrentPhase()).toBe('game-over');
+    expect(engine.gameState.resultRecorded).toBeTruthy();
+    expect(engine.aiLearningSystem.gameHistory).toHaveLength(1);
+    expect(completed).toBe(1);
+    expect(engine.undo()).toBeFalsy();
+
+    // 重複結束不會再次記錄
+    engine.endGame();
+    expect(engine.aiLearningSystem.gameHistory).toHaveLength(1);
+    expect(completed).toBe(1);
+  });
+});
+
+describe('GameEngine records', () => {
+  test('should serialize moves with the suggestions shown', () => {
+    const engine = new GameEngine();
+    engine.startGame();
+    engine.recordSuggestion({ row: 2, col: 2, value: 10, confidence: 'high' });
+    engine.processPlayerTurn(2, 2);
+    engine.processComputerTurn(0, 0);
+    engine.processPlayerTurn(1, 1);
+
+    const record = engine.serialize({ algorithm: 'enhanced' });
+    expect(record.version).toBe(1);
+    expect(record.algorithm).toBe('enhanced');
+    expect(record.config).toEqual(engine.getConfig());
+    expect(record.moves).toHaveLength(3);
+    expect(record.moves[0].suggestion).toEqual({ row: 2, col: 2, value: 10 });
+    expect(record.moves[2].round).toBe(2);
+
+    engine.undo();
+    expect(engine.serialize().moves).toHaveLength(2);
+  });
+
+  test('should resume a game from its record', () => {
+    const engine = new GameEngine({ boardSize: 4 });
+    engine.startGame();
+    engine.processPlayerTurn(0, 0);
+    engine.processComputerTurn(0, 1);
+    engine.processPlayerTurn(0, 2);
+    engine.processComputerTurn(0, 3);
+    engine.processPlayerTurn(3, 3);
+
+    const restored = GameEngine.fromRecord(
+      JSON.parse(JSON.stringify(engine.serialize()))
+    );
+    const state = restored.getState();
+    expect(state.boardSize).toBe(4);
+    expect(state.board).toEqual(engine.getState().board);
+    expect(state.currentRound).toBe(3);
+    expect(state.gamePhase).toBe('computer-turn');
+    expect(state.completedLines).toHaveLength(1);
+    expect(restored.getHistory().moves).toHaveLength(5);
+
+    restored.undo();
+    expect(restored.getCurrentPhase()).toBe('player-turn');
+  });
+
+  test('should reject invalid records', () => {
+    let error = null;
+    try {
+      GameEngine.fromRecord({ format: 'something-else' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeTruthy();
+    expect(error.type).toBe('invalid-record');
+  });
+});
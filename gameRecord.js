@@ -0,0 +1,279 @@
+// 載入共用工具
+let RecordConstants, RecordUtils, RecordGameError;
+if (typeof require !== 'undefined') {
+  const common = require('./utils/common.js');
+  RecordConstants = common.CONSTANTS;
+  RecordUtils = common.Utils;
+  RecordGameError = common.GameError;
+} else if (typeof window !== 'undefined') {
+  RecordConstants = window.CONSTANTS;
+  RecordUtils = window.Utils;
+  RecordGameError = window.GameError;
+}
+
+/**
+ * GameRecord - 可攜式遊戲記錄格式
+ *
+ * 遊戲記錄是一個純 JSON 物件，可用於保存、恢復與分享遊戲：
+ * {
+ *   format: 'bingo-game-record',
+ *   version: 1,
+ *   config: { boardSize, maxRounds, lineLength },
+ *   algorithm: 'standard',
+ *   moves: [{ type: 'player' | 'computer', row, col, round, suggestion? }],
+ *   savedAt: ISO 8601 時間字串
+ * }
+ *
+ * 移動依序由玩家與電腦輪流進行，玩家移動可附帶當時顯示的建議 { row, col, value }。
+ * 演算法名稱只能包含英數字、底線與連字號。
+ * 記錄也可編碼為精簡的 URL 片段（不含建議與時間），方便以連結分享局面。
+ *
+ * @class GameRecord
+ * @version 1.0.0
+ */
+class GameRecord {
+  /**
+   * 建立並驗證遊戲記錄
+   * @param {Object} data - 記錄內容
+   * @param {Object} [data.config] - 遊戲配置
+   * @param {string} [data.algorithm='standard'] - 使用的演算法
+   * @param {Array<Object>} [data.moves] - 依序排列的移動
+   * @param {string} [data.savedAt] - 保存時間（預設為現在）
+   * @returns {Object} 遊戲記錄
+   * @throws {GameError} 內容無效時拋出
+   */
+  static create(data = {}) {
+    return GameRecord.validate({
+      format: GameRecord.FORMAT,
+      version: GameRecord.VERSION,
+      config: data.config || {},
+      algorithm: data.algorithm || 'standard',
+      moves: data.moves || [],
+      savedAt: data.savedAt || new Date().toISOString()
+    });
+  }
+
+  /**
+   * 驗證遊戲記錄並返回正規化後的副本
+   * @param {Object} record - 遊戲記錄
+   * @returns {Object} 正規化的遊戲記錄
+   * @throws {GameError} 記錄格式、版本、配置或移動無效時拋出
+   */
+  static validate(record) {
+    if (!record || typeof record !== 'object') {
+      GameRecord.fail('Game record must be an object');
+    }
+    if (record.format !== GameRecord.FORMAT) {
+      GameRecord.fail(`Unknown game record format: ${record.format}`);
+    }
+    if (
+      !Number.isInteger(record.version) ||
+      record.version < 1 ||
+      record.version > GameRecord.VERSION
+    ) {
+      GameRecord.fail(`Unsupported game record version: ${record.version}`);
+    }
+
+    let config;
+    try {
+      config = RecordUtils.createGameConfig(record.config);
+    } catch (error) {
+      GameRecord.fail(`Invalid game record config: ${error.message}`);
+    }
+
+    const algorithm =
+      record.algorithm === undefined ? 'standard' : record.algorithm;
+    if (typeof algorithm !== 'string' || !/^[\w-]+$/.test(algorithm)) {
+      GameRecord.fail(`Invalid game record algorithm: ${algorithm}`);
+    }
+
+    if (!Array.isArray(record.moves)) {
+      GameRecord.fail('Game record moves must be an array');
+    }
+    if (record.moves.length > config.maxRounds * 2) {
+      GameRecord.fail('Game record has more moves than the game allows');
+    }
+
+    const occupied = new Set();
+    const moves = record.moves.map((move, index) => {
+      const type = index % 2 === 0 ? 'player' : 'computer';
+      const round = Math.floor(index / 2) + 1;
+
+      if (!move || move.type !== type) {
+        GameRecord.fail(`Move ${index} should be a ${type} move`);
+      }
+      if (move.round !== undefined && move.round !== round) {
+        GameRecord.fail(`Move ${index} should be in round ${round}`);
+      }
+      if (!RecordUtils.isValidPosition(move.row, move.col, config.boardSize)) {
+        GameRecord.fail(`Move ${index} is outside the board`);
+      }
+
+      const cell = move.row * config.boardSize + move.col;
+      if (occupied.has(cell)) {
+        GameRecord.fail(`Move ${index} uses an occupied cell`);
+      }
+      occupied.add(cell);
+
+      const normalized = { type, row: move.row, col: move.col, round };
+      if (type === 'player' && move.suggestion) {
+        normalized.suggestion = GameRecord.normalizeSuggestion(move.suggestion);
+      }
+      return normalized;
+    });
+
+    return {
+      format: GameRecord.FORMAT,
+      version: GameRecord.VERSION,
+      config,
+      algorithm,
+      moves,
+      savedAt: record.savedAt || null
+    };
+  }
+
+  /**
+   * 檢查記錄中的遊戲是否已結束（所有回合皆已完成）
+   * @param {Object} record - 遊戲記錄
+   * @returns {boolean} 遊戲是否已結束
+   */
+  static isComplete(record) {
+    const { config, moves } = GameRecord.validate(record);
+    return moves.length === config.maxRounds * 2;
+  }
+
+  /**
+   * 將記錄轉為 JSON 文字（用於檔案導出）
+   * @param {Object} record - 遊戲記錄
+   * @returns {string} JSON 文字
+   */
+  static stringify(record) {
+    return JSON.stringify(GameRecord.validate(record), null, 2);
+  }
+
+  /**
+   * 解析 JSON 文字為遊戲記錄（用於檔案導入）
+   * @param {string} text - JSON 文字
+   * @returns {Object} 遊戲記錄
+   * @throws {GameError} 文字不是有效的遊戲記錄時拋出
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      GameRecord.fail(`Game record is not valid JSON: ${error.message}`);
+    }
+    return GameRecord.validate(data);
+  }
+
+  /**
+   * 將記錄編碼為精簡的 URL 片段
+   * 格式：game=版本.大小.回合數.連線長度.演算法.移動，每步移動以兩位 36 進位的格子索引表示
+   * @param {Object} record - 遊戲記錄
+   * @returns {string} URL 片段（不含 #）
+   */
+  static toFragment(record) {
+    const { version, config, algorithm, moves } = GameRecord.validate(record);
+    const encodedMoves = moves
+      .map(move =>
+        (move.row * config.boardSize + move.col).toString(36).padStart(2, '0')
+      )
+      .join('');
+
+    return `${GameRecord.FRAGMENT_KEY}=${[
+      version,
+      config.boardSize,
+      config.maxRounds,
+      config.lineLength,
+      algorithm,
+      encodedMoves
+    ].join('.')}`;
+  }
+
+  /**
+   * 從 URL 片段解碼遊戲記錄
+   * @param {string} fragment - URL 片段（可包含開頭的 #）
+   * @returns {Object|null} 遊戲記錄；片段中沒有遊戲記錄時返回 null
+   * @throws {GameError} 片段中的記錄無效時拋出
+   */
+  static fromFragment(fragment) {
+    const params = new URLSearchParams(
+      String(fragment || '').replace(/^#/, '')
+    );
+    const value = params.get(GameRecord.FRAGMENT_KEY);
+    if (value === null) {
+      return null;
+    }
+
+    const parts = value.split('.');
+    if (parts.length !== 6 || parts[5].length % 2 !== 0) {
+      GameRecord.fail('Malformed game record link');
+    }
+
+    const [version, boardSize, maxRounds, lineLength] = parts
+      .slice(0, 4)
+      .map(Number);
+    const moves = [];
+    for (let i = 0; i < parts[5].length; i += 2) {
+      const cell = parseInt(parts[5].slice(i, i + 2), 36);
+      moves.push({
+        type: moves.length % 2 === 0 ? 'player' : 'computer',
+        row: Math.floor(cell / boardSize),
+        col: cell % boardSize
+      });
+    }
+
+    return GameRecord.validate({
+      format: GameRecord.FORMAT,
+      version,
+      config: { boardSize, maxRounds, lineLength },
+      algorithm: parts[4],
+      moves
+    });
+  }
+
+  /**
+   * 標準化建議內容，只保留可序列化的欄位
+   * @private
+   * @param {Object} suggestion - 建議物件
+   * @returns {Object} { row, col, value? }
+   */
+  static normalizeSuggestion(suggestion) {
+    const normalized = { row: suggestion.row, col: suggestion.col };
+    if (typeof suggestion.value === 'number') {
+      normalized.value = suggestion.value;
+    }
+    return normalized;
+  }
+
+  /**
+   * 拋出記錄錯誤
+   * @private
+   * @param {string} message - 錯誤訊息
+   * @throws {GameError} 一律拋出
+   */
+  static fail(message) {
+    throw new RecordGameError(
+      message,
+      RecordConstants.ERROR_TYPES.INVALID_RECORD
+    );
+  }
+}
+
+// 記錄格式識別字與目前版本
+GameRecord.FORMAT = 'bingo-game-record';
+GameRecord.VERSION = 1;
+
+// URL 片段中使用的參數名稱
+GameRecord.FRAGMENT_KEY = 'game';
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameRecord;
+}
+
+// 在瀏覽器環境中，將 GameRecord 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.GameRecord = GameRecord;
+}
@@ -0,0 +1,103 @@
+/**
+ * GameRecord 單元測試
+ */
+const GameRecord = require('./gameRecord.js');
+
+function expectRecordError(fn) {
+  let error = null;
+  try {
+    fn();
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeTruthy();
+  expect(error.type).toBe('invalid-record');
+}
+
+describe('GameRecord', () => {
+  const moves = [
+    {
+      type: 'player',
+      row: 2,
+      col: 2,
+      suggestion: { row: 2, col: 2, value: 42 }
+    },
+    { type: 'computer', row: 0, col: 4 },
+    { type: 'player', row: 1, col: 1 }
+  ];
+
+  test('should create a versioned record with rounds', () => {
+    const record = GameRecord.create({ moves, algorithm: 'enhanced' });
+
+    expect(record.format).toBe('bingo-game-record');
+    expect(record.version).toBe(1);
+    expect(record.config).toEqual({
+      boardSize: 5,
+      maxRounds: 8,
+      lineLength: 5
+    });
+    expect(record.algorithm).toBe('enhanced');
+    expect(record.moves.map(move => move.round)).toEqual([1, 1, 2]);
+    expect(record.moves[0].suggestion).toEqual({ row: 2, col: 2, value: 42 });
+    expect(record.savedAt).toBeTruthy();
+  });
+
+  test('should round-trip through JSON', () => {
+    const record = GameRecord.create({ moves });
+    expect(GameRecord.parse(GameRecord.stringify(record))).toEqual(record);
+  });
+
+  test('should round-trip through a URL fragment', () => {
+    const record = GameRecord.create({
+      config: { boardSize: 7, maxRounds: 10, lineLength: 4 },
+      algorithm: 'ai-learning',
+      moves: [
+        { type: 'player', row: 6, col: 6 },
+        { type: 'computer', row: 3, col: 0 }
+      ]
+    });
+
+    const fragment = GameRecord.toFragment(record);
+    expect(fragment).toBe('game=1.7.10.4.ai-learning.1c0l');
+
+    const restored = GameRecord.fromFragment(`#${fragment}`);
+    expect(restored.config).toEqual(record.config);
+    expect(restored.algorithm).toBe('ai-learning');
+    expect(restored.moves).toEqual(record.moves);
+    expect(GameRecord.fromFragment('#lang=en')).toBe(null);
+  });
+
+  test('should detect finished games', () => {
+    const config = { boardSize: 5, maxRounds: 2 };
+    const finished = [...moves, { type: 'computer', row: 0, col: 0 }];
+
+    expect(GameRecord.isComplete(GameRecord.create({ config, moves }))).toBe(
+      false
+    );
+    expect(
+      GameRecord.isComplete(GameRecord.create({ config, moves: finished }))
+    ).toBe(true);
+  });
+
+  test('should reject invalid records', () => {
+    expectRecordError(() => GameRecord.parse('not json'));
+    expectRecordError(() =>
+      GameRecord.validate({ ...GameRecord.create(), version: 2 })
+    );
+    expectRecordError(() => GameRecord.create({ config: { boardSize: 2 } }));
+    expectRecordError(() =>
+      GameRecord.create({ moves: [{ type: 'computer', row: 0, col: 0 }] })
+    );
+    expectRecordError(() =>
+      GameRecord.create({
+        moves: [
+          { type: 'player', row: 0, col: 0 },
+          { type: 'computer', row: 0, col: 0 }
+        ]
+      })
+    );
+    expectRecordError(() =>
+      GameRecord.fromFragment('#game=1.5.8.5.standard.zz')
+    );
+  });
+});
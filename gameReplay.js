@@ -0,0 +1,207 @@
+// 載入依賴模組
+let ReplayGameRecord, ReplayLineDetector;
+if (typeof require !== 'undefined') {
+  ReplayGameRecord = require('./gameRecord.js');
+  ReplayLineDetector = require('./lineDetector.js');
+} else if (typeof window !== 'undefined') {
+  ReplayGameRecord = window.GameRecord;
+  ReplayLineDetector = window.LineDetector;
+}
+
+/**
+ * GameReplay - 遊戲回放模型
+ *
+ * 將遊戲記錄展開為逐步的畫面（frame），並提供前進、後退與跳轉：
+ * - 第 0 個畫面是空白遊戲板，第 i 個畫面是第 i 步移動之後的局面
+ * - 每個畫面包含遊戲板、完成的連線，以及該步新完成的連線
+ * - 玩家移動會附上演算法當時的建議，並標示玩家是否採納
+ *
+ * 記錄中沒有保存建議時（例如來自分享連結），可傳入計算器重新計算。
+ * 本類別不處理計時與 DOM，播放控制由 UI 負責。
+ *
+ * @class GameReplay
+ * @version 1.0.0
+ */
+class GameReplay {
+  /**
+   * 建立回放
+   * @param {Object} record - 遊戲記錄（格式見 GameRecord）
+   * @param {Object} [options] - 回放選項
+   * @param {Object} [options.calculator] - 具有 getBestSuggestion(board) 的計算器，用於補上缺少的建議
+   * @throws {GameError} 記錄無效時拋出
+   */
+  constructor(record, options = {}) {
+    this.record = ReplayGameRecord.validate(record);
+    this.config = this.record.config;
+    this.calculator = options.calculator || null;
+    this.lineDetector = new ReplayLineDetector(this.config);
+
+    this.frames = this.buildFrames();
+    this.position = 0;
+  }
+
+  /**
+   * 展開所有畫面
+   * @private
+   * @returns {Array<Object>} 畫面列表
+   */
+  buildFrames() {
+    const size = this.config.boardSize;
+    const board = Array(size)
+      .fill()
+      .map(() => Array(size).fill(0));
+
+    const frames = [
+      {
+        index: 0,
+        board: board.map(row => [...row]),
+        completedLines: [],
+        move: null,
+        suggestion: null,
+        suggestionSource: null,
+        followedSuggestion: null,
+        newLines: []
+      }
+    ];
+
+    this.record.moves.forEach((move, i) => {
+      const previousLines = frames[i].completedLines;
+
+      let suggestion = null;
+      let suggestionSource = null;
+      if (move.type === 'player') {
+        if (move.suggestion) {
+          suggestion = move.suggestion;
+          suggestionSource = 'recorded';
+        } else if (this.calculator) {
+          const computed = this.calculator.getBestSuggestion(
+            board.map(row => [...row]),
+            {
+              currentRound: move.round,
+              maxRounds: this.config.maxRounds,
+              turn: 'player'
+            }
+          );
+          if (computed) {
+            suggestion = ReplayGameRecord.normalizeSuggestion(computed);
+            suggestionSource = 'computed';
+          }
+        }
+      }
+
+      board[move.row][move.col] = move.type === 'player' ? 1 : 2;
+      const completedLines = this.lineDetector.getAllLines(board);
+      const previousKeys = new Set(previousLines.map(GameReplay.lineKey));
+
+      frames.push({
+        index: i + 1,
+        board: board.map(row => [...row]),
+        completedLines,
+        move,
+        suggestion,
+        suggestionSource,
+        followedSuggestion: suggestion
+          ? suggestion.row === move.row && suggestion.col === move.col
+          : null,
+        newLines: completedLines.filter(
+          line => !previousKeys.has(GameReplay.lineKey(line))
+        )
+      });
+    });
+
+    return frames;
+  }
+
+  /**
+   * 畫面數量（移動數 + 1）
+   * @returns {number} 畫面數量
+   */
+  get length() {
+    return this.frames.length;
+  }
+
+  /**
+   * 取得指定畫面
+   * @param {number} [index] - 畫面索引（預設為目前位置）
+   * @returns {Object} 畫面
+   */
+  getFrame(index = this.position) {
+    return this.frames[index];
+  }
+
+  /**
+   * 跳轉到指定畫面
+   * @param {number} index - 畫面索引，超出範圍時會被限制在有效範圍內
+   * @returns {Object} 目前畫面
+   */
+  seek(index) {
+    const target = Number.isFinite(index) ? Math.trunc(index) : 0;
+    this.position = Math.max(0, Math.min(this.frames.length - 1, target));
+    return this.getFrame();
+  }
+
+  /**
+   * 前進一步
+   * @returns {Object} 目前畫面
+   */
+  stepForward() {
+    return this.seek(this.position + 1);
+  }
+
+  /**
+   * 後退一步
+   * @returns {Object} 目前畫面
+   */
+  stepBackward() {
+    return this.seek(this.position - 1);
+  }
+
+  /**
+   * 是否已在最後一個畫面
+   * @returns {boolean} 是否已到結尾
+   */
+  isAtEnd() {
+    return this.position === this.frames.length - 1;
+  }
+
+  /**
+   * 回放摘要：建議採納率與總連線數
+   * @returns {{playerMoves: number, followedSuggestions: number, comparedMoves: number, totalLines: number}} 摘要
+   */
+  getSummary() {
+    const playerFrames = this.frames.filter(
+      frame => frame.move && frame.move.type === 'player'
+    );
+    const compared = playerFrames.filter(
+      frame => frame.followedSuggestion !== null
+    );
+
+    return {
+      playerMoves: playerFrames.length,
+      followedSuggestions: compared.filter(frame => frame.followedSuggestion)
+        .length,
+      comparedMoves: compared.length,
+      totalLines: this.frames[this.frames.length - 1].completedLines.length
+    };
+  }
+
+  /**
+   * 連線的唯一鍵
+   * @private
+   * @param {Object} line - 連線（包含 cells）
+   * @returns {string} 鍵
+   */
+  static lineKey(line) {
+    return `${line.type}:${line.cells.map(cell => cell.join(',')).join(';')}`;
+  }
+}
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameReplay;
+}
+
+// 在瀏覽器環境中，將 GameReplay 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.GameReplay = GameReplay;
+}
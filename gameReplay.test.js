@@ -0,0 +1,75 @@
+/**
+ * GameReplay 單元測試
+ */
+const GameReplay = require('./gameReplay.js');
+const GameRecord = require('./gameRecord.js');
+const ProbabilityCalculator = require('./probabilityCalculator.js');
+
+describe('GameReplay', () => {
+  // 4x4 遊戲：第 2 回合電腦完成第一行
+  const record = GameRecord.create({
+    config: { boardSize: 4, maxRounds: 2 },
+    moves: [
+      { type: 'player', row: 0, col: 0, suggestion: { row: 0, col: 0 } },
+      { type: 'computer', row: 0, col: 1 },
+      { type: 'player', row: 0, col: 2, suggestion: { row: 3, col: 3 } },
+      { type: 'computer', row: 0, col: 3 }
+    ]
+  });
+
+  test('should build one frame per move plus the start', () => {
+    const replay = new GameReplay(record);
+
+    expect(replay.length).toBe(5);
+    expect(replay.getFrame(0).move).toBe(null);
+    expect(replay.getFrame(0).board[0][0]).toBe(0);
+    expect(replay.getFrame(3).board[0][2]).toBe(1);
+    expect(replay.getFrame(3).board[0][3]).toBe(0);
+  });
+
+  test('should compare suggestions with the moves played', () => {
+    const replay = new GameReplay(record);
+
+    expect(replay.getFrame(1).followedSuggestion).toBe(true);
+    expect(replay.getFrame(3).followedSuggestion).toBe(false);
+    expect(replay.getFrame(3).suggestionSource).toBe('recorded');
+    expect(replay.getFrame(2).suggestion).toBe(null);
+    expect(replay.getSummary()).toEqual({
+      playerMoves: 2,
+      followedSuggestions: 1,
+      comparedMoves: 2,
+      totalLines: 1
+    });
+  });
+
+  test('should report how completed lines change', () => {
+    const replay = new GameReplay(record);
+
+    expect(replay.getFrame(3).completedLines).toHaveLength(0);
+    expect(replay.getFrame(4).completedLines).toHaveLength(1);
+    expect(replay.getFrame(4).newLines).toHaveLength(1);
+    expect(replay.getFrame(4).newLines[0].type).toBe('horizontal');
+  });
+
+  test('should step, seek and clamp the position', () => {
+    const replay = new GameReplay(record);
+
+    expect(replay.stepBackward().index).toBe(0);
+    expect(replay.stepForward().index).toBe(1);
+    expect(replay.seek(10).index).toBe(4);
+    expect(replay.isAtEnd()).toBeTruthy();
+    expect(replay.seek(-3).index).toBe(0);
+  });
+
+  test('should compute missing suggestions with a calculator', () => {
+    const shared = GameRecord.fromFragment(GameRecord.toFragment(record));
+    const replay = new GameReplay(shared, {
+      calculator: new ProbabilityCalculator(shared.config)
+    });
+
+    const frame = replay.getFrame(1);
+    expect(frame.suggestionSource).toBe('computed');
+    expect(typeof frame.suggestion.row).toBe('number');
+    expect(typeof frame.followedSuggestion).toBe('boolean');
+  });
+});
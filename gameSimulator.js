@@ -0,0 +1,262 @@
+// 載入依賴模組
+let SimulatorGameEngine,
+  SimulatorStrategyRegistry,
+  SimulatorComputerPolicy,
+  SimulatorRandom,
+  SimulatorUtils;
+if (typeof require !== 'undefined') {
+  SimulatorGameEngine = require('./gameEngine.js');
+  SimulatorStrategyRegistry = require('./strategyRegistry.js');
+  SimulatorComputerPolicy = require('./computerPolicy.js');
+  SimulatorRandom = require('./utils/random.js');
+  SimulatorUtils = require('./utils/common.js').Utils;
+} else if (typeof window !== 'undefined') {
+  SimulatorGameEngine = window.GameEngine;
+  SimulatorStrategyRegistry = window.StrategyRegistry;
+  SimulatorComputerPolicy = window.ComputerPolicy;
+  SimulatorRandom = window.SeededRandom;
+  SimulatorUtils = window.Utils;
+}
+
+/**
+ * GameSimulator - 批次模擬完整遊戲
+ *
+ * 不需要 GameBoard，直接以 GameEngine 進行完整遊戲：
+ * - 玩家每回合採用所選演算法的建議
+ * - 電腦依所選策略下棋（見 ComputerPolicy），建議計算器以該策略的預測評估電腦的回應
+ * - 記錄每局最終連線數與每回合計算建議所花的時間
+ *
+ * 相同種子會產生相同的電腦移動，因此可用來比較權重調整前後的表現。
+ * 蒙地卡羅計算器預設不限時（timeBudget 為 0），模擬次數只由 playouts 決定，相同種子也會產生相同的建議；
+ * 設定時間預算可縮短模擬，但模擬次數會依執行速度而不同，結果不再能由種子重現。
+ * 命令列介面見 bin/bingo-sim.js。
+ *
+ * @class GameSimulator
+ * @version 1.0.0
+ */
+class GameSimulator {
+  /**
+   * 建立模擬器
+   * @param {Object} [options] - 模擬選項
+   * @param {Object} [options.config] - 遊戲配置
+   * @param {string} [options.algorithm='standard'] - 建議演算法（見 GameSimulator.ALGORITHMS）
+   * @param {string} [options.computer='random'] - 電腦策略（見 GameSimulator.COMPUTER_POLICIES）
+   * @param {Object} [options.policy] - 額外的電腦策略選項（如依次數預測的 history）
+   * @param {SeededRandom|number|string} [options.seed] - 隨機數來源或種子
+   * @param {Object} [options.calculator] - 額外的計算器選項（如蒙地卡羅的 playouts、timeBudget，timeBudget 預設為 0）
+   * @throws {Error} 演算法或電腦策略未知時拋出
+   */
+  constructor(options = {}) {
+    this.config = SimulatorUtils.createGameConfig(options.config);
+    this.algorithm = options.algorithm || 'standard';
+    this.computer = options.computer || 'random';
+
+    if (!GameSimulator.ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(
+        `Unknown algorithm: ${this.algorithm} (expected ${GameSimulator.ALGORITHMS.join(', ')})`
+      );
+    }
+
+    this.random = SimulatorRandom.from(options.seed);
+    // 電腦策略共用模擬的隨機數來源，相同種子會產生相同的電腦移動
+    this.computerPolicy = SimulatorComputerPolicy.create(
+      this.computer,
+      this.config,
+      { random: this.random, ...options.policy }
+    );
+    this.engine = new SimulatorGameEngine(this.config);
+    this.engine.setComputerPolicy(this.computerPolicy);
+    // 計算器策略會停用 AI 學習；蒙地卡羅計算器使用由相同種子建立的獨立隨機數來源，不影響電腦移動的序列
+    const calculatorOptions = {
+      random: this.random.seed,
+      ...options.calculator
+    };
+    if (calculatorOptions.timeBudget === undefined) {
+      calculatorOptions.timeBudget = 0;
+    }
+    this.engine.setSuggestionStrategy(this.algorithm, calculatorOptions);
+  }
+
+  /**
+   * 可用的建議演算法：註冊表中的計算器策略（見 StrategyRegistry）
+   * @returns {string[]} 演算法 id
+   */
+  static get ALGORITHMS() {
+    return SimulatorStrategyRegistry.default
+      .listStrategies({ kind: 'calculator' })
+      .map(entry => entry.id);
+  }
+
+  /**
+   * 模擬多局遊戲
+   * @param {number} games - 遊戲局數
+   * @param {Function} [onProgress] - 每局結束後呼叫 (完成局數, 總局數)
+   * @returns {{options: Object, summary: Object, games: Array<Object>}} 模擬結果
+   */
+  run(games, onProgress) {
+    const results = [];
+    for (let i = 0; i < games; i++) {
+      results.push(this.playGame(i + 1));
+      if (onProgress) {
+        onProgress(i + 1, games);
+      }
+    }
+
+    return {
+      options: {
+        games,
+        algorithm: this.algorithm,
+        computer: this.computer,
+        seed: this.random.seed,
+        config: this.config
+      },
+      summary: GameSimulator.summarize(results),
+      games: results
+    };
+  }
+
+  /**
+   * 模擬一局完整遊戲
+   * @param {number} [index=1] - 遊戲編號
+   * @returns {{game: number, lines: number, totalTime: number, roundTimes: number[], moves: Array<Object>}} 單局結果
+   */
+  playGame(index = 1) {
+    const { engine } = this;
+    const roundTimes = [];
+
+    // startGame 會計算第一回合的建議
+    let start = GameSimulator.now();
+    engine.startGame();
+    roundTimes.push(GameSimulator.now() - start);
+
+    while (!engine.isGameComplete()) {
+      const suggestion = engine.gameState.lastSuggestion;
+      engine.makePlayerMove(suggestion.row, suggestion.col);
+
+      const move = this.chooseComputerMove(engine.getBoardCopy());
+      engine.placeComputerMove(move.row, move.col);
+
+      if (!engine.isGameComplete()) {
+        start = GameSimulator.now();
+        engine.provideSuggestion();
+        roundTimes.push(GameSimulator.now() - start);
+      }
+    }
+
+    // placeComputerMove 不經過 endGame，由模擬器讓電腦策略學習本局的移動
+    this.computerPolicy.observeGame(engine.gameState.computerMoves);
+
+    return {
+      game: index,
+      lines: engine.gameState.completedLines.length,
+      totalTime: roundTimes.reduce((sum, time) => sum + time, 0),
+      roundTimes,
+      moves: engine.getHistory().moves
+    };
+  }
+
+  /**
+   * 依電腦策略選擇移動
+   * @private
+   * @param {number[][]} board - 目前遊戲板
+   * @returns {{row: number, col: number}} 電腦移動
+   */
+  chooseComputerMove(board) {
+    return this.computerPolicy.chooseMove(board, this.engine.getGameContext());
+  }
+
+  /**
+   * 統計模擬結果
+   * @param {Array<Object>} results - 單局結果列表
+   * @returns {{games: number, mean: number, stdev: number, min: number, max: number, distribution: Object, roundTimes: Array<Object>}} 統計摘要
+   */
+  static summarize(results) {
+    const lines = results.map(result => result.lines);
+    const count = lines.length;
+    const mean = count
+      ? lines.reduce((sum, value) => sum + value, 0) / count
+      : 0;
+    const variance = count
+      ? lines.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count
+      : 0;
+
+    const distribution = {};
+    lines.forEach(value => {
+      distribution[value] = (distribution[value] || 0) + 1;
+    });
+
+    const roundTotals = [];
+    results.forEach(result =>
+      result.roundTimes.forEach((time, i) => {
+        roundTotals[i] = roundTotals[i] || { total: 0, max: 0, count: 0 };
+        roundTotals[i].total += time;
+        roundTotals[i].max = Math.max(roundTotals[i].max, time);
+        roundTotals[i].count++;
+      })
+    );
+
+    return {
+      games: count,
+      mean,
+      stdev: Math.sqrt(variance),
+      min: count ? Math.min(...lines) : 0,
+      max: count ? Math.max(...lines) : 0,
+      distribution,
+      roundTimes: roundTotals.map((round, i) => ({
+        round: i + 1,
+        mean: round.total / round.count,
+        max: round.max
+      }))
+    };
+  }
+
+  /**
+   * 將單局結果轉為 CSV 文字
+   * 欄位：game, lines, total_ms, round_1_ms ... round_N_ms
+   * @param {Array<Object>} results - 單局結果列表
+   * @returns {string} CSV 文字
+   */
+  static toCSV(results) {
+    const rounds = Math.max(
+      0,
+      ...results.map(result => result.roundTimes.length)
+    );
+    const header = ['game', 'lines', 'total_ms'];
+    for (let i = 1; i <= rounds; i++) {
+      header.push(`round_${i}_ms`);
+    }
+
+    const rows = results.map(result =>
+      [
+        result.game,
+        result.lines,
+        result.totalTime.toFixed(3),
+        ...result.roundTimes.map(time => time.toFixed(3))
+      ].join(',')
+    );
+
+    return [header.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * 目前時間（毫秒，高精度）
+   * @private
+   * @returns {number} 時間戳
+   */
+  static now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+}
+
+// 支援的電腦策略
+GameSimulator.COMPUTER_POLICIES = SimulatorComputerPolicy.NAMES;
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameSimulator;
+}
+
+// 在瀏覽器環境中，將 GameSimulator 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.GameSimulator = GameSimulator;
+}
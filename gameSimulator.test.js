@@ -0,0 +1,127 @@
+/**
+ * GameSimulator 與 bingo-sim 命令列工具單元測試
+ */
+const GameSimulator = require('./gameSimulator.js');
+const { parseArgs } = require('./bin/bingo-sim.js');
+
+describe('GameSimulator', () => {
+  test('should play complete games with the chosen algorithm', () => {
+    const simulator = new GameSimulator({ algorithm: 'enhanced', seed: 1 });
+    const result = simulator.playGame();
+
+    expect(result.moves).toHaveLength(16);
+    expect(result.roundTimes).toHaveLength(8);
+    expect(result.lines).toBeGreaterThanOrEqual(0);
+    expect(simulator.engine.isGameComplete()).toBeTruthy();
+  });
+
+  test('should pass calculator options to the Monte Carlo algorithm', () => {
+    const simulator = new GameSimulator({
+      algorithm: 'monte-carlo',
+      seed: 3,
+      calculator: { playouts: 5, timeBudget: 0 }
+    });
+    const result = simulator.playGame();
+
+    expect(simulator.engine.probabilityCalculator.options.playouts).toBe(5);
+    expect(result.moves).toHaveLength(16);
+  });
+
+  test('should not limit Monte Carlo playouts by time by default', () => {
+    const options = {
+      algorithm: 'monte-carlo',
+      seed: 7,
+      calculator: { playouts: 5 }
+    };
+    const first = new GameSimulator(options);
+    const second = new GameSimulator(options);
+
+    expect(first.engine.probabilityCalculator.options.timeBudget).toBe(0);
+    expect(first.playGame().moves).toEqual(second.playGame().moves);
+  });
+
+  test('should let the computer policy learn from finished games', () => {
+    const simulator = new GameSimulator({ computer: 'frequency', seed: 4 });
+    simulator.run(2);
+
+    expect(simulator.computerPolicy.gamesObserved).toBe(2);
+    expect(simulator.engine.probabilityCalculator.computerPolicy).toBe(
+      simulator.computerPolicy
+    );
+  });
+
+  test('should reproduce the same games from the same seed', () => {
+    const first = new GameSimulator({ seed: 42 }).run(3);
+    const second = new GameSimulator({ seed: 42 }).run(3);
+
+    expect(first.games.map(game => game.moves)).toEqual(
+      second.games.map(game => game.moves)
+    );
+    expect(first.summary.distribution).toEqual(second.summary.distribution);
+    expect(first.options.seed).toBe(42);
+  });
+
+  test('should summarize line counts and round timings', () => {
+    const summary = GameSimulator.summarize([
+      { lines: 2, roundTimes: [1, 3] },
+      { lines: 4, roundTimes: [3, 5] }
+    ]);
+
+    expect(summary.mean).toBe(3);
+    expect(summary.stdev).toBe(1);
+    expect(summary.distribution).toEqual({ 2: 1, 4: 1 });
+    expect(summary.roundTimes).toEqual([
+      { round: 1, mean: 2, max: 3 },
+      { round: 2, mean: 4, max: 5 }
+    ]);
+  });
+
+  test('should export per-game results as CSV', () => {
+    const csv = GameSimulator.toCSV([
+      { game: 1, lines: 3, totalTime: 1.5, roundTimes: [0.5, 1] }
+    ]);
+
+    expect(csv).toBe(
+      'game,lines,total_ms,round_1_ms,round_2_ms\n1,3,1.500,0.500,1.000\n'
+    );
+  });
+
+  test('should reject unknown algorithms and computer policies', () => {
+    let algorithmError = null;
+    let policyError = null;
+    try {
+      new GameSimulator({ algorithm: 'unknown' });
+    } catch (error) {
+      algorithmError = error;
+    }
+    try {
+      new GameSimulator({ computer: 'unknown' });
+    } catch (error) {
+      policyError = error;
+    }
+
+    expect(algorithmError).toBeTruthy();
+    expect(policyError).toBeTruthy();
+  });
+
+  test('should parse command line options', () => {
+    const { command, options } = parseArgs([
+      'simulate',
+      '--games',
+      '10000',
+      '--algorithm=enhanced',
+      '--seed',
+      '42',
+      '--computer',
+      'random',
+      '--time-budget=0'
+    ]);
+
+    expect(command).toBe('simulate');
+    expect(options.games).toBe(10000);
+    expect(options.algorithm).toBe('enhanced');
+    expect(options.seed).toBe('42');
+    expect(options.computer).toBe('random');
+    expect(options.timeBudget).toBe(0);
+  });
+});
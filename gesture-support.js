@@ -180,49 +180,54 @@ class GestureSupport {
    * 切換到下一個算法
    */
   switchToNextAlgorithm() {
-    const algorithms = ['standard', 'enhanced', 'ai-learning'];
+    this.switchAlgorithm(1);
+  }
+
+  /**
+   * 切換到上一個算法
+   */
+  switchToPreviousAlgorithm() {
+    this.switchAlgorithm(-1);
+  }
+
+  /**
+   * 依演算法選擇介面的順序切換算法（見 StrategyRegistry）
+   * @param {number} step - 1 為下一個，-1 為上一個
+   */
+  switchAlgorithm(step) {
+    const algorithms = this.getAlgorithmIds();
     const currentSelected = document.querySelector(
       '.algorithm-option.selected'
     );
 
-    if (!currentSelected) return;
+    if (!currentSelected || algorithms.length === 0) return;
 
-    const currentAlgorithm = currentSelected.dataset.algorithm;
-    const currentIndex = algorithms.indexOf(currentAlgorithm);
-    const nextIndex = (currentIndex + 1) % algorithms.length;
-    const nextAlgorithm = algorithms[nextIndex];
+    const currentIndex = algorithms.indexOf(currentSelected.dataset.algorithm);
+    const nextAlgorithm =
+      algorithms[(currentIndex + step + algorithms.length) % algorithms.length];
 
     const nextOption = document.querySelector(
       `[data-algorithm="${nextAlgorithm}"]`
     );
-    if (nextOption && typeof selectAlgorithm === 'function') {
+    if (nextOption) {
       nextOption.click();
     }
   }
 
   /**
-   * 切換到上一個算法
+   * 可選擇的算法 id（註冊表不可用時使用介面上的選項）
+   * @returns {string[]} 算法 id
    */
-  switchToPreviousAlgorithm() {
-    const algorithms = ['standard', 'enhanced', 'ai-learning'];
-    const currentSelected = document.querySelector(
-      '.algorithm-option.selected'
-    );
-
-    if (!currentSelected) return;
-
-    const currentAlgorithm = currentSelected.dataset.algorithm;
-    const currentIndex = algorithms.indexOf(currentAlgorithm);
-    const prevIndex =
-      (currentIndex - 1 + algorithms.length) % algorithms.length;
-    const prevAlgorithm = algorithms[prevIndex];
-
-    const prevOption = document.querySelector(
-      `[data-algorithm="${prevAlgorithm}"]`
-    );
-    if (prevOption && typeof selectAlgorithm === 'function') {
-      prevOption.click();
+  getAlgorithmIds() {
+    if (window.StrategyRegistry) {
+      return window.StrategyRegistry.default
+        .listStrategies({ selectable: true })
+        .map(entry => entry.id);
     }
+    return Array.from(
+      document.querySelectorAll('.algorithm-option'),
+      option => option.dataset.algorithm
+    );
   }
 
   /**
@@ -613,13 +618,10 @@ class GestureSupport {
         '.algorithm-option.selected'
       );
       if (selectedAlgorithm) {
-        const algorithmNames = {
-          standard: '標準演算法',
-          enhanced: '增強演算法',
-          'ai-learning': 'AI 學習演算法'
-        };
-        currentAlgorithmElement.textContent =
-          algorithmNames[selectedAlgorithm.dataset.algorithm] || '未知';
+        const nameElement = selectedAlgorithm.querySelector('.algorithm-name');
+        currentAlgorithmElement.textContent = nameElement
+          ? nameElement.textContent.trim()
+          : '未知';
       }
     }
   }
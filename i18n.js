@@ -53,23 +53,7 @@ class I18nManager {
 
       // Algorithm selector
       'algorithm.selector.title': '選擇演算法',
-      'algorithm.standard.name': '標準演算法',
-      'algorithm.standard.description': '基本的機率計算，平衡考慮各種因素',
-      'algorithm.standard.features.1': '基本連線檢測',
-      'algorithm.standard.features.2': '簡單的機率計算',
-      'algorithm.standard.features.3': '中心位置獎勵',
-      'algorithm.enhanced.name': '增強演算法',
-      'algorithm.enhanced.description': '專注於最大化完成三條連線的機會',
-      'algorithm.enhanced.features.1': '交叉點優先策略',
-      'algorithm.enhanced.features.2': '接近完成的線優先',
-      'algorithm.enhanced.features.3': '戰略位置評估',
-      'algorithm.enhanced.features.4': '多線完成獎勵',
-      'algorithm.ai-learning.name': 'AI 學習演算法',
-      'algorithm.ai-learning.description': '基於機器學習的智能建議系統',
-      'algorithm.ai-learning.features.1': '歷史數據學習',
-      'algorithm.ai-learning.features.2': '行為模式預測',
-      'algorithm.ai-learning.features.3': '自適應難度調整',
-      'algorithm.ai-learning.features.4': '個性化遊戲體驗',
+      // Algorithm names and descriptions come from StrategyRegistry
       'algorithm.current': '當前使用',
 
       // Game status
@@ -99,14 +83,36 @@ class I18nManager {
       'ai.controls.reset': '重置學習數據',
       'ai.controls.export': '導出學習數據',
       'ai.controls.import': '導入學習數據',
+      'ai.controls.train': '訓練 1000 局',
+      'ai.training.curve': '自我對弈學習曲線',
+      'ai.training.progress': '自我對弈訓練中：{completed} / {total} 局',
+      'ai.training.evaluation':
+        '{games} 局後平均 {mean} 條連線（增強計算器：{baseline}）',
+      'ai.training.done': '自我對弈訓練完成',
+      'ai.training.failed': '自我對弈訓練失敗：{message}',
+      'ai.training.unavailable': '此瀏覽器不支援背景訓練',
 
       // Game controls
       'controls.start-game': '開始遊戲',
       'controls.restart-game': '重新開始',
-      'controls.random-computer-move': '電腦隨機下棋',
-      'controls.auto-random-move': '電腦自動隨機下棋',
-      'controls.auto-random-description':
-        '啟用後，電腦將在每回合自動隨機選擇位置',
+      'controls.computer-move': '電腦下棋',
+      'controls.undo-move': '復原',
+      'controls.redo-move': '重做',
+      'controls.export-game': '導出遊戲',
+      'controls.import-game': '導入遊戲',
+      'controls.share-game': '分享連結',
+      'controls.random-seed': '隨機種子',
+      'controls.random-seed-placeholder': '留空則自動產生',
+      'controls.current-seed': '本局種子',
+      'controls.computer-strategy': '電腦策略',
+      'controls.strategy-random': '隨機',
+      'controls.strategy-cooperative': '貪婪合作',
+      'controls.strategy-obstructive': '阻撓',
+      'controls.strategy-center': '偏好中心',
+      'controls.strategy-learned': '依過去的遊戲預測',
+      'controls.auto-computer-move': '電腦自動下棋',
+      'controls.auto-computer-description':
+        '啟用後，電腦將在每回合依選擇的策略自動下棋',
 
       // Game results
       'results.game-over': '遊戲結束！',
@@ -114,6 +120,24 @@ class I18nManager {
       'results.player-moves': '玩家移動',
       'results.computer-moves': '電腦移動',
       'results.play-again': '再玩一次',
+      'results.replay': '回放遊戲',
+
+      // Post-game analysis
+      'analysis.title': '賽後分析',
+      'analysis.accuracy': '準確率',
+      'analysis.missed-lines': '錯失的連線',
+      'analysis.export': '導出分析報告',
+
+      // Replay
+      'replay.title': '遊戲回放',
+      'replay.controls': '回放控制',
+      'replay.first': '回到開始',
+      'replay.prev': '上一步',
+      'replay.play': '播放或暫停',
+      'replay.next': '下一步',
+      'replay.last': '跳到結尾',
+      'replay.timeline': '回放時間軸',
+      'replay.close': '關閉回放',
 
       // Suggestions
       'suggestion.title': '建議移動',
@@ -122,6 +146,39 @@ class I18nManager {
       'suggestion.confidence': '信心度',
       'suggestion.expected-value': '預期價值',
 
+      // Suggestion explanations (see ProbabilityCalculator.explainMoveValue)
+      'explain.title': '分數組成',
+      'explain.sentence': '此移動{parts}。',
+      'explain.general': '此移動增加未來連線的潛力。',
+      'explain.completes': '完成{lines}',
+      'explain.sets-up': '為{lines}鋪路',
+      'explain.and': '，並',
+      'explain.separator': '、',
+      'explain.last-separator': '和',
+      'explain.line.horizontal': '第{index}行',
+      'explain.line.vertical': '第{index}列',
+      'explain.line.diagonal-main': '主對角線',
+      'explain.line.diagonal-anti': '反對角線',
+      'explain.line.from': '從{position}開始的{line}',
+      'explain.factor.completion': '完成連線',
+      'explain.factor.intersection': '交叉點',
+      'explain.factor.nearCompletion': '接近完成',
+      'explain.factor.multiLine': '多線潛力',
+      'explain.factor.cooperative': '合作連線',
+      'explain.factor.potential': '連線潛力',
+      'explain.factor.center': '中心位置',
+      'explain.factor.computerModel': '電腦策略預測',
+
+      // Planning mode (see MovePlanner)
+      'plan.toggle': '規劃模式',
+      'plan.description':
+        '啟用後，顯示剩餘回合的目標連線，並在棋盤上標示還需要的格子',
+      'plan.goal': '目標：{lines}',
+      'plan.line-separator': ' + ',
+      'plan.cells': '還需要 {count} 格：{cells}',
+      'plan.spare': '剩餘 {count} 步可自由運用',
+      'plan.none': '剩餘步數已無法獨力完成新的連線',
+
       // Computer input
       'computer.input.title': '電腦選擇輸入',
       'computer.input.message':
@@ -236,26 +293,7 @@ class I18nManager {
 
       // Algorithm selector
       'algorithm.selector.title': 'Select Algorithm',
-      'algorithm.standard.name': 'Standard Algorithm',
-      'algorithm.standard.description':
-        'Basic probability calculation with balanced considerations',
-      'algorithm.standard.features.1': 'Basic line detection',
-      'algorithm.standard.features.2': 'Simple probability calculation',
-      'algorithm.standard.features.3': 'Center position bonus',
-      'algorithm.enhanced.name': 'Enhanced Algorithm',
-      'algorithm.enhanced.description':
-        'Focuses on maximizing the chance of completing three lines',
-      'algorithm.enhanced.features.1': 'Intersection priority strategy',
-      'algorithm.enhanced.features.2': 'Near-completion line priority',
-      'algorithm.enhanced.features.3': 'Strategic position evaluation',
-      'algorithm.enhanced.features.4': 'Multi-line completion bonus',
-      'algorithm.ai-learning.name': 'AI Learning Algorithm',
-      'algorithm.ai-learning.description':
-        'Intelligent suggestion system based on machine learning',
-      'algorithm.ai-learning.features.1': 'Historical data learning',
-      'algorithm.ai-learning.features.2': 'Behavior pattern prediction',
-      'algorithm.ai-learning.features.3': 'Adaptive difficulty adjustment',
-      'algorithm.ai-learning.features.4': 'Personalized gaming experience',
+      // Algorithm names and descriptions come from StrategyRegistry
       'algorithm.current': 'Currently using',
 
       // Game status
@@ -285,14 +323,37 @@ class I18nManager {
       'ai.controls.reset': 'Reset Learning Data',
       'ai.controls.export': 'Export Learning Data',
       'ai.controls.import': 'Import Learning Data',
+      'ai.controls.train': 'Train 1000 Games',
+      'ai.training.curve': 'Self-play learning curve',
+      'ai.training.progress': 'Self-play training: {completed} / {total} games',
+      'ai.training.evaluation':
+        'After {games} games: {mean} lines on average (enhanced calculator: {baseline})',
+      'ai.training.done': 'Self-play training finished',
+      'ai.training.failed': 'Self-play training failed: {message}',
+      'ai.training.unavailable':
+        'Background training is not supported in this browser',
 
       // Game controls
       'controls.start-game': 'Start Game',
       'controls.restart-game': 'Restart',
-      'controls.random-computer-move': 'Random Computer Move',
-      'controls.auto-random-move': 'Auto Random Computer Move',
-      'controls.auto-random-description':
-        'When enabled, computer will automatically choose random positions each turn',
+      'controls.computer-move': 'Computer Move',
+      'controls.undo-move': 'Undo',
+      'controls.redo-move': 'Redo',
+      'controls.export-game': 'Export Game',
+      'controls.import-game': 'Import Game',
+      'controls.share-game': 'Share Link',
+      'controls.random-seed': 'Random Seed',
+      'controls.random-seed-placeholder': 'Leave empty for a random seed',
+      'controls.current-seed': 'Game seed',
+      'controls.computer-strategy': 'Computer Strategy',
+      'controls.strategy-random': 'Random',
+      'controls.strategy-cooperative': 'Greedy Cooperative',
+      'controls.strategy-obstructive': 'Obstructive',
+      'controls.strategy-center': 'Center-Biased',
+      'controls.strategy-learned': 'Learned From Past Games',
+      'controls.auto-computer-move': 'Auto Computer Move',
+      'controls.auto-computer-description':
+        'When enabled, computer will automatically play with the selected strategy each turn',
 
       // Game results
       'results.game-over': 'Game Over!',
@@ -300,6 +361,24 @@ class I18nManager {
       'results.player-moves': 'Player Moves',
       'results.computer-moves': 'Computer Moves',
       'results.play-again': 'Play Again',
+      'results.replay': 'Replay Game',
+
+      // Post-game analysis
+      'analysis.title': 'Post-game Analysis',
+      'analysis.accuracy': 'Accuracy',
+      'analysis.missed-lines': 'Missed Lines',
+      'analysis.export': 'Export Analysis',
+
+      // Replay
+      'replay.title': 'Game Replay',
+      'replay.controls': 'Replay controls',
+      'replay.first': 'Go to start',
+      'replay.prev': 'Previous move',
+      'replay.play': 'Play or pause',
+      'replay.next': 'Next move',
+      'replay.last': 'Go to end',
+      'replay.timeline': 'Replay timeline',
+      'replay.close': 'Close Replay',
 
       // Suggestions
       'suggestion.title': 'Move Suggestion',
@@ -308,6 +387,39 @@ class I18nManager {
       'suggestion.confidence': 'Confidence',
       'suggestion.expected-value': 'Expected Value',
 
+      // Suggestion explanations (see ProbabilityCalculator.explainMoveValue)
+      'explain.title': 'Score breakdown',
+      'explain.sentence': 'This move {parts}.',
+      'explain.general': 'This move keeps future lines open.',
+      'explain.completes': 'completes {lines}',
+      'explain.sets-up': 'sets up {lines}',
+      'explain.and': ' and ',
+      'explain.separator': ', ',
+      'explain.last-separator': ' and ',
+      'explain.line.horizontal': 'row {index}',
+      'explain.line.vertical': 'column {index}',
+      'explain.line.diagonal-main': 'the main diagonal',
+      'explain.line.diagonal-anti': 'the anti-diagonal',
+      'explain.line.from': '{line} from {position}',
+      'explain.factor.completion': 'Line completion',
+      'explain.factor.intersection': 'Intersection',
+      'explain.factor.nearCompletion': 'Near completion',
+      'explain.factor.multiLine': 'Multi-line potential',
+      'explain.factor.cooperative': 'Cooperative lines',
+      'explain.factor.potential': 'Line potential',
+      'explain.factor.center': 'Center bonus',
+      'explain.factor.computerModel': 'Computer policy',
+
+      // Planning mode (see MovePlanner)
+      'plan.toggle': 'Planning mode',
+      'plan.description':
+        'Shows the target lines for the rest of the game and marks the cells still needed on the board',
+      'plan.goal': 'Aim for {lines}',
+      'plan.line-separator': ' + ',
+      'plan.cells': 'Still needed ({count}): {cells}',
+      'plan.spare': '{count} spare moves',
+      'plan.none': 'No new line can be completed with your remaining moves',
+
       // Computer input
       'computer.input.title': 'Computer Move Input',
       'computer.input.message':
@@ -0,0 +1,468 @@
+// 載入依賴模組
+let StoreConstants, StoreGameError;
+if (typeof require !== 'undefined') {
+  const common = require('./utils/common.js');
+  StoreConstants = common.CONSTANTS;
+  StoreGameError = common.GameError;
+} else if (typeof window !== 'undefined') {
+  StoreConstants = window.CONSTANTS;
+  StoreGameError = window.GameError;
+}
+
+/**
+ * 記憶體中的儲存後端（Node.js 與測試使用，重新載入後資料消失）
+ * 寫入在呼叫時同步完成，Promise 只是為了與其他後端相同的介面。
+ */
+class MemoryLearningBackend {
+  constructor() {
+    this.name = 'memory';
+    this.data = new Map();
+  }
+
+  get(key) {
+    const value = this.data.get(key);
+    return Promise.resolve(value === undefined ? null : JSON.parse(value));
+  }
+
+  set(key, value) {
+    this.data.set(key, JSON.stringify(value));
+    return Promise.resolve();
+  }
+
+  delete(key) {
+    this.data.delete(key);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * localStorage 儲存後端（不支援 IndexedDB 時使用）
+ */
+class LocalStorageLearningBackend {
+  /**
+   * @param {Storage} [storage=localStorage] - Web Storage 物件
+   * @param {string} [prefix='bingo-'] - 鍵的前綴
+   */
+  constructor(storage, prefix = 'bingo-') {
+    this.name = 'localStorage';
+    this.storage = storage || localStorage;
+    this.prefix = prefix;
+  }
+
+  get(key) {
+    return new Promise(resolve => {
+      const value = this.storage.getItem(this.prefix + key);
+      resolve(value === null ? null : JSON.parse(value));
+    });
+  }
+
+  set(key, value) {
+    return new Promise(resolve => {
+      this.storage.setItem(this.prefix + key, JSON.stringify(value));
+      resolve();
+    });
+  }
+
+  delete(key) {
+    return new Promise(resolve => {
+      this.storage.removeItem(this.prefix + key);
+      resolve();
+    });
+  }
+
+  /**
+   * 是否能寫入（Safari 私密瀏覽等情況下 setItem 會拋出錯誤）
+   * @param {Storage} [storage] - Web Storage 物件
+   * @returns {boolean} 是否可用
+   */
+  static isAvailable(storage) {
+    try {
+      const target =
+        storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+      if (!target) {
+        return false;
+      }
+      target.setItem('bingo-storage-test', '1');
+      target.removeItem('bingo-storage-test');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * IndexedDB 儲存後端
+ * 資料庫只有一個物件存放區，以鍵保存整個學習狀態；學習狀態的格式由 schemaVersion 管理，
+ * 與資料庫版本無關。
+ */
+class IndexedDBLearningBackend {
+  /**
+   * @param {Object} [options] - 後端選項
+   * @param {string} [options.name='bingo-ai-learning'] - 資料庫名稱
+   * @param {IDBFactory} [options.factory=indexedDB] - IndexedDB 工廠
+   */
+  constructor(options = {}) {
+    this.name = 'indexedDB';
+    this.databaseName = options.name || 'bingo-ai-learning';
+    this.factory = options.factory || indexedDB;
+    this.database = null;
+  }
+
+  get(key) {
+    return this.request('readonly', store => store.get(key)).then(value =>
+      value === undefined ? null : value
+    );
+  }
+
+  set(key, value) {
+    return this.request('readwrite', store => store.put(value, key)).then(
+      () => undefined
+    );
+  }
+
+  delete(key) {
+    return this.request('readwrite', store => store.delete(key)).then(
+      () => undefined
+    );
+  }
+
+  /**
+   * 在物件存放區上執行一個請求
+   * @private
+   * @param {string} mode - 交易模式
+   * @param {Function} operation - (objectStore) => IDBRequest
+   * @returns {Promise<*>} 請求結果
+   */
+  request(mode, operation) {
+    return this.open().then(
+      database =>
+        new Promise((resolve, reject) => {
+          const transaction = database.transaction(
+            IndexedDBLearningBackend.STORE_NAME,
+            mode
+          );
+          const request = operation(
+            transaction.objectStore(IndexedDBLearningBackend.STORE_NAME)
+          );
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    );
+  }
+
+  /**
+   * 開啟資料庫（只開啟一次）
+   * @private
+   * @returns {Promise<IDBDatabase>} 資料庫
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = this.factory.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(IndexedDBLearningBackend.STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () =>
+          reject(new Error('IndexedDB upgrade blocked by another tab'));
+      });
+    }
+    return this.database;
+  }
+}
+
+IndexedDBLearningBackend.STORE_NAME = 'learning-state';
+
+/**
+ * LearningStore - 保存 AI 學習系統的完整學習狀態
+ *
+ * 學習狀態（見 AILearningSystem.getState）包含 Map，JSON.stringify 會把 Map 變成空物件，
+ * 因此保存前以 encode 將 Map 轉為 { $map: [[鍵, 值], ...] }，載入時以 decode 還原。
+ * 保存的記錄為 { schemaVersion, savedAt, state }；載入較舊版本的記錄時依序執行 MIGRATIONS 中的遷移函數。
+ *
+ * 後端依序嘗試：IndexedDB、localStorage，最後是記憶體（Node.js 測試）。
+ * 後端操作失敗時（例如瀏覽器不允許開啟 IndexedDB）改用下一個後端。
+ *
+ * @class LearningStore
+ * @version 1.0.0
+ */
+class LearningStore {
+  /**
+   * 建立學習狀態儲存
+   * @param {Object} [options] - 儲存選項
+   * @param {Array<Object>} [options.backends] - 依序嘗試的後端（get、set、delete 返回 Promise）
+   * @param {string} [options.key='ai-learning-state'] - 保存學習狀態的鍵
+   */
+  constructor(options = {}) {
+    this.backends =
+      options.backends && options.backends.length
+        ? options.backends
+        : [new MemoryLearningBackend()];
+    this.backendIndex = 0;
+    this.key = options.key || 'ai-learning-state';
+  }
+
+  /**
+   * 目前使用的後端
+   * @returns {Object} 後端
+   */
+  get backend() {
+    return this.backends[this.backendIndex];
+  }
+
+  /**
+   * 保存學習狀態
+   * @param {Object} state - 學習狀態（可包含 Map）
+   * @returns {Promise<void>} 保存完成
+   */
+  save(state) {
+    const record = LearningStore.serialize(state);
+    return this.run(backend => backend.set(this.key, record));
+  }
+
+  /**
+   * 載入學習狀態
+   * @returns {Promise<Object|null>} 遷移到目前版本的學習狀態，沒有保存的狀態時為 null
+   */
+  load() {
+    return this.run(backend => backend.get(this.key)).then(record =>
+      record ? LearningStore.deserialize(record) : null
+    );
+  }
+
+  /**
+   * 刪除保存的學習狀態
+   * @returns {Promise<void>} 刪除完成
+   */
+  clear() {
+    return this.run(backend => backend.delete(this.key));
+  }
+
+  /**
+   * 在目前的後端執行操作，失敗時改用下一個後端
+   * 操作在呼叫時同步開始（記憶體後端的寫入立即生效）。
+   * @private
+   * @param {Function} operation - (backend) => Promise
+   * @returns {Promise<*>} 操作結果
+   */
+  run(operation) {
+    let result;
+    try {
+      result = Promise.resolve(operation(this.backend));
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+
+    return result.catch(error => {
+      if (this.backendIndex >= this.backends.length - 1) {
+        throw error;
+      }
+      console.warn(
+        `Learning storage ${this.backend.name} failed, falling back:`,
+        error && error.message
+      );
+      this.backendIndex++;
+      return this.run(operation);
+    });
+  }
+
+  /**
+   * 建立目前環境可用的儲存：IndexedDB、localStorage，最後是記憶體
+   * @param {Object} [options] - 儲存選項（見建構函數）
+   * @returns {LearningStore} 學習狀態儲存
+   */
+  static createDefault(options = {}) {
+    const backends = [];
+    if (typeof indexedDB !== 'undefined') {
+      backends.push(new IndexedDBLearningBackend());
+    }
+    if (LocalStorageLearningBackend.isAvailable()) {
+      backends.push(new LocalStorageLearningBackend());
+    }
+    backends.push(new MemoryLearningBackend());
+    return new LearningStore({ ...options, backends });
+  }
+
+  /**
+   * 將學習狀態包裝為可保存的記錄
+   * @param {Object} state - 學習狀態
+   * @returns {{schemaVersion: number, savedAt: string, state: Object}} 可 JSON 序列化的記錄
+   */
+  static serialize(state) {
+    return {
+      schemaVersion: LearningStore.SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      state: LearningStore.encode(state)
+    };
+  }
+
+  /**
+   * 還原保存的記錄並遷移到目前的版本
+   * 沒有 schemaVersion 的物件視為版本 1（舊版 exportLearningData 的輸出）。
+   * @param {Object} record - serialize 的結果或舊版匯出的學習數據
+   * @returns {Object} 學習狀態
+   * @throws {GameError} 記錄無效或版本比目前新時拋出
+   */
+  static deserialize(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      LearningStore.fail('Learning state must be an object');
+    }
+
+    const version =
+      record.schemaVersion === undefined ? 1 : record.schemaVersion;
+    if (
+      !Number.isInteger(version) ||
+      version < 1 ||
+      version > LearningStore.SCHEMA_VERSION
+    ) {
+      LearningStore.fail(`Unsupported learning state version: ${version}`);
+    }
+
+    let state = LearningStore.decode(version === 1 ? record : record.state);
+    if (!state || typeof state !== 'object') {
+      LearningStore.fail('Learning state must be an object');
+    }
+    for (let from = version; from < LearningStore.SCHEMA_VERSION; from++) {
+      state = LearningStore.MIGRATIONS[from](state);
+    }
+    return state;
+  }
+
+  /**
+   * 將 Map 轉為 { $map: [[鍵, 值], ...] }，遞迴處理陣列與物件
+   * @param {*} value - 值
+   * @returns {*} 可 JSON 序列化的值
+   */
+  static encode(value) {
+    if (value instanceof Map) {
+      return {
+        $map: [...value].map(([key, item]) => [
+          LearningStore.encode(key),
+          LearningStore.encode(item)
+        ])
+      };
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => LearningStore.encode(item));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = LearningStore.encode(item);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * encode 的反向操作
+   * @param {*} value - encode 的結果
+   * @returns {*} 還原 Map 後的值
+   */
+  static decode(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => LearningStore.decode(item));
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value);
+      if (keys.length === 1 && Array.isArray(value.$map)) {
+        return new Map(
+          value.$map.map(([key, item]) => [
+            LearningStore.decode(key),
+            LearningStore.decode(item)
+          ])
+        );
+      }
+      const result = {};
+      for (const key of keys) {
+        result[key] = LearningStore.decode(value[key]);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   * @param {string} message - 錯誤訊息
+   * @throws {GameError} 記錄無效的錯誤
+   */
+  static fail(message) {
+    throw new StoreGameError(
+      message,
+      StoreConstants.ERROR_TYPES.INVALID_RECORD
+    );
+  }
+}
+
+// 目前的學習狀態版本
+LearningStore.SCHEMA_VERSION = 3;
+
+/**
+ * 遷移函數：MIGRATIONS[n] 將版本 n 的學習狀態轉換為版本 n + 1
+ */
+LearningStore.MIGRATIONS = {
+  // 版本 1（舊版 exportLearningData）：Map 欄位經過 JSON 後變成普通物件，沒有預測模型
+  1: state => {
+    const toMap = value =>
+      value instanceof Map ? value : new Map(Object.entries(value || {}));
+    const migrated = { ...state };
+
+    if (state.playerModel) {
+      migrated.playerModel = {
+        ...state.playerModel,
+        preferredPositions: toMap(state.playerModel.preferredPositions),
+        reactionPatterns: toMap(state.playerModel.reactionPatterns)
+      };
+    }
+    if (state.personalizationSystem) {
+      const system = state.personalizationSystem;
+      migrated.personalizationSystem = {
+        ...system,
+        userPreferences: toMap(system.userPreferences),
+        adaptiveWeights: toMap(system.adaptiveWeights),
+        customStrategies: (system.customStrategies || []).map(strategy => ({
+          ...strategy,
+          weights: toMap(strategy.weights)
+        }))
+      };
+    }
+    return migrated;
+  },
+
+  // 版本 2：預測模型沒有記錄特徵編碼，輸入為格子的原始值（FeatureEncoder 版本 1）
+  2: state => {
+    const model = state.predictionModel;
+    if (!model || model.encoder) {
+      return state;
+    }
+    return {
+      ...state,
+      predictionModel: {
+        ...model,
+        encoder: {
+          name: 'raw-cells',
+          version: 1,
+          size: model.weights ? model.weights.inputToHidden.length : 0
+        }
+      }
+    };
+  }
+};
+
+LearningStore.MemoryBackend = MemoryLearningBackend;
+LearningStore.LocalStorageBackend = LocalStorageLearningBackend;
+LearningStore.IndexedDBBackend = IndexedDBLearningBackend;
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LearningStore;
+}
+
+// 在瀏覽器環境中，將 LearningStore 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.LearningStore = LearningStore;
+}
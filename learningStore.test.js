@@ -0,0 +1,265 @@
+/**
+ * LearningStore 單元測試
+ * 記憶體後端在呼叫時同步寫入，因此保存的結果可以直接檢查。
+ */
+const LearningStore = require('./learningStore.js');
+const AILearningSystem = require('./aiLearningSystem.js');
+const GameEngine = require('./gameEngine.js');
+
+function captureError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+function createGame() {
+  const toMoves = cells => cells.map(([row, col]) => ({ row, col }));
+  return {
+    board: [],
+    playerMoves: toMoves([
+      [2, 2],
+      [0, 0],
+      [1, 1],
+      [3, 3]
+    ]),
+    computerMoves: toMoves([
+      [0, 1],
+      [0, 2],
+      [0, 3],
+      [1, 0]
+    ]),
+    finalScore: 1,
+    completedLines: [],
+    gameOutcome: 'poor'
+  };
+}
+
+const emptyBoard = () =>
+  Array(5)
+    .fill()
+    .map(() => Array(5).fill(0));
+
+// 以記憶體後端保存的記錄（經過 JSON，與 localStorage 相同）
+function savedRecord(store) {
+  return JSON.parse(store.backend.data.get(store.key));
+}
+
+describe('LearningStore', () => {
+  test('should round-trip maps nested in arrays and objects', () => {
+    const state = {
+      positions: new Map([
+        ['2,2', 3],
+        ['0,0', 1]
+      ]),
+      strategies: [{ id: 'a', weights: new Map([['center', [1, 2]]]) }],
+      nested: new Map([[1, new Map([['inner', { value: null }]])]])
+    };
+
+    const record = JSON.parse(JSON.stringify(LearningStore.serialize(state)));
+    expect(record.schemaVersion).toBe(LearningStore.SCHEMA_VERSION);
+    expect(record.state.positions).toEqual({
+      $map: [
+        ['2,2', 3],
+        ['0,0', 1]
+      ]
+    });
+
+    const restored = LearningStore.deserialize(record);
+    expect(restored.positions instanceof Map).toBeTruthy();
+    expect(restored.positions.get('2,2')).toBe(3);
+    expect(restored.strategies[0].weights.get('center')).toEqual([1, 2]);
+    expect(restored.nested.get(1).get('inner')).toEqual({ value: null });
+  });
+
+  test('should migrate exports without a schema version', () => {
+    // 舊版 exportLearningData 經過 JSON 後 Map 變成空物件，也沒有預測模型
+    const legacy = JSON.parse(
+      JSON.stringify({
+        gameHistory: [{ finalScore: 2 }],
+        playerModel: {
+          preferredPositions: new Map([['2,2', 1]]),
+          reactionPatterns: new Map(),
+          skillLevel: 0.6,
+          playStyle: 'strategic'
+        },
+        personalizationSystem: {
+          userPreferences: new Map(),
+          adaptiveWeights: new Map(),
+          customStrategies: [{ id: 'custom_1', weights: new Map() }]
+        }
+      })
+    );
+
+    const state = LearningStore.deserialize(legacy);
+    expect(state.playerModel.preferredPositions instanceof Map).toBeTruthy();
+    expect(state.playerModel.skillLevel).toBe(0.6);
+    expect(
+      state.personalizationSystem.customStrategies[0].weights instanceof Map
+    ).toBeTruthy();
+    expect(state.predictionModel).toBe(undefined);
+  });
+
+  test('should reject invalid and newer records', () => {
+    expect(captureError(() => LearningStore.deserialize(null)).type).toBe(
+      'invalid-record'
+    );
+    expect(
+      captureError(() =>
+        LearningStore.deserialize({ schemaVersion: 99, state: {} })
+      ).message
+    ).toBe('Unsupported learning state version: 99');
+  });
+
+  test('should use the first backend that is available', () => {
+    const storage = {
+      items: {},
+      setItem(key, value) {
+        this.items[key] = String(value);
+      },
+      getItem(key) {
+        return key in this.items ? this.items[key] : null;
+      },
+      removeItem(key) {
+        delete this.items[key];
+      }
+    };
+    const backend = new LearningStore.LocalStorageBackend(storage);
+    const store = new LearningStore({ backends: [backend] });
+
+    expect(LearningStore.LocalStorageBackend.isAvailable(storage)).toBe(true);
+    expect(
+      LearningStore.LocalStorageBackend.isAvailable({
+        setItem() {
+          throw new Error('QuotaExceededError');
+        }
+      })
+    ).toBe(false);
+
+    store.save({ movePatterns: new Map([['0,0->1,1', 2]]) });
+    const record = JSON.parse(storage.items['bingo-ai-learning-state']);
+    expect(record.state.movePatterns).toEqual({ $map: [['0,0->1,1', 2]] });
+
+    // Node.js 中沒有 IndexedDB 與 localStorage
+    expect(LearningStore.createDefault().backend.name).toBe('memory');
+  });
+});
+
+describe('AILearningSystem persistence', () => {
+  test('should save the full learning state after each game', () => {
+    const store = new LearningStore();
+    const system = new AILearningSystem({}, { random: 1 });
+    system.attachStore(store, { load: false });
+
+    system.recordGameData(createGame());
+    const record = savedRecord(store);
+    expect(record.state.gameHistory).toHaveLength(1);
+    expect(record.state.playerModel.preferredPositions.$map).toHaveLength(4);
+    expect(record.state.predictionModel.encoder).toEqual(
+      system.encoder.describe()
+    );
+    expect(record.state.predictionModel.weights.inputToHidden).toHaveLength(
+      system.encoder.size
+    );
+
+    // 還原到新的系統：Map 與訓練後的權重都相同
+    const restored = new AILearningSystem({}, { random: 2 });
+    restored.setState(LearningStore.deserialize(record));
+    expect(restored.playerModel.preferredPositions.get('2,2')).toBe(1);
+    expect(restored.movePatterns.size).toBe(system.movePatterns.size);
+    expect(restored.predictionModel.weights).toEqual(
+      system.predictionModel.weights
+    );
+    expect(restored.getLearningStats().gamesPlayed).toBe(1);
+  });
+
+  test('should restore a saved model with the encoder it needs', () => {
+    // 版本 2 的記錄：網絡以格子的原始值為輸入，沒有記錄編碼
+    const legacy = new AILearningSystem({}, { random: 1, encoder: 1 });
+    const record = JSON.parse(JSON.stringify(legacy.exportState()));
+    delete record.state.predictionModel.encoder;
+    record.schemaVersion = 2;
+
+    const system = new AILearningSystem({}, { random: 2 });
+    expect(system.encoder.version).toBe(2);
+    system.setState(LearningStore.deserialize(record));
+    expect(system.encoder.describe()).toEqual({
+      name: 'raw-cells',
+      version: 1,
+      size: 35
+    });
+    expect(system.predictionModel.weights).toEqual(
+      legacy.predictionModel.weights
+    );
+    expect(system.predictBestMove(emptyBoard()).move).toEqual(
+      legacy.predictBestMove(emptyBoard()).move
+    );
+  });
+
+  test('should keep its network when the saved one has another size', () => {
+    const small = new AILearningSystem({ boardSize: 3, maxRounds: 4 });
+    const system = new AILearningSystem({}, { random: 1 });
+    const weights = system.predictionModel.weights;
+
+    system.setState(LearningStore.deserialize(small.exportState()));
+    expect(system.predictionModel.weights).toBe(weights);
+  });
+});
+
+describe('GameEngine learning data', () => {
+  test('should export and import the learning state with maps', () => {
+    const engine = new GameEngine();
+    engine.aiLearningSystem.recordGameData(createGame());
+
+    const exported = JSON.parse(JSON.stringify(engine.exportLearningData()));
+    expect(exported.schemaVersion).toBe(LearningStore.SCHEMA_VERSION);
+
+    const other = new GameEngine();
+    expect(other.importLearningData(exported)).toBe(true);
+    expect(
+      other.aiLearningSystem.playerModel.preferredPositions.get('1,1')
+    ).toBe(1);
+    expect(other.aiLearningSystem.predictionModel.weights).toEqual(
+      engine.aiLearningSystem.predictionModel.weights
+    );
+    // 導入後立即保存
+    expect(savedRecord(other.learningStore).state.gameHistory).toHaveLength(1);
+
+    expect(other.importLearningData({ schemaVersion: 3 })).toBe(false);
+  });
+
+  test('should save the state after a game played through the engine', () => {
+    const engine = new GameEngine();
+    engine.startGame();
+    while (!engine.isGameComplete()) {
+      const [player, computer] = engine.getEmptyCells();
+      engine.makePlayerMove(player.row, player.col);
+      engine.makeComputerMove(computer.row, computer.col);
+    }
+
+    const record = savedRecord(engine.learningStore);
+    expect(record.state.gameHistory).toHaveLength(1);
+    expect(record.state.gameHistory[0].playerMoves).toHaveLength(8);
+
+    // 重新載入頁面：新的引擎從保存的記錄還原
+    const restored = new GameEngine();
+    restored.aiLearningSystem.setState(LearningStore.deserialize(record));
+    expect(restored.aiLearningSystem.getLearningStats().gamesPlayed).toBe(1);
+    expect(restored.aiLearningSystem.predictionModel.weights).toEqual(
+      engine.aiLearningSystem.predictionModel.weights
+    );
+  });
+
+  test('should clear the saved state on reset', () => {
+    const engine = new GameEngine();
+    engine.aiLearningSystem.recordGameData(createGame());
+    expect(engine.learningStore.backend.data.size).toBe(1);
+
+    engine.resetAILearning();
+    expect(engine.learningStore.backend.data.size).toBe(0);
+    expect(engine.aiLearningSystem.store).toBe(engine.learningStore);
+    expect(engine.aiLearningSystem.gameHistory).toHaveLength(0);
+  });
+});
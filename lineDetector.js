@@ -1,9 +1,17 @@
+// 載入位元棋盤表示（可選，未載入時僅支援二維陣列）
+let LineDetectorBitboard;
+if (typeof require !== 'undefined') {
+  LineDetectorBitboard = require('./utils/bitboard.js');
+} else if (typeof window !== 'undefined') {
+  LineDetectorBitboard = window.Bitboard;
+}
+
 /**
  * LineDetector - Bingo 遊戲連線檢測器
  *
  * 這個類別專門負責檢測遊戲板上的完成連線，支援：
- * - 水平線檢測（5 個連續的水平格子）
- * - 垂直線檢測（5 個連續的垂直格子）
+ * - 水平線檢測（連續的水平格子）
+ * - 垂直線檢測（連續的垂直格子）
  * - 主對角線檢測（左上到右下）
  * - 反對角線檢測（右上到左下）
  *
@@ -12,9 +20,11 @@
  * - 支持混合連線（玩家和電腦合作完成）
  * - 提供詳細的連線信息（類型、位置、參與者）
  * - 優化的性能，避免重複計算
+ * - 同時接受 number[][] 與 Bitboard（位元遮罩）格式的遊戲板
  *
  * 連線規則：
- * - 一條完整連線需要 5 個格子都被填滿（非空）
+ * - 一條完整連線需要連續 LINE_LENGTH 個格子都被填滿（非空），預設為 5
+ * - 遊戲板大小與連線長度可透過建構參數設定
  * - 支持玩家和電腦的混合連線（合作模式）
  * - 每種類型最多可以有多條連線
  *
@@ -25,10 +35,14 @@ class LineDetector {
   /**
    * 創建連線檢測器實例
    * 初始化檢測所需的常數和配置
+   * @param {Object} [config] - 遊戲配置
+   * @param {number} [config.boardSize=5] - 遊戲板大小
+   * @param {number} [config.lineLength] - 完成連線所需的連續格子數（預設等於遊戲板大小）
    */
-  constructor() {
+  constructor(config = {}) {
     // 遊戲板配置
-    this.BOARD_SIZE = 5; // 標準 Bingo 遊戲板大小
+    this.BOARD_SIZE = config.boardSize || 5; // 標準 Bingo 遊戲板大小為 5
+    this.LINE_LENGTH = config.lineLength || this.BOARD_SIZE;
 
     // 連線類型定義
     this.LINE_TYPES = {
@@ -50,11 +64,12 @@ class LineDetector {
    * 檢測水平連線
    *
    * 掃描每一行，檢查是否有完整的水平連線。
-   * 一條水平連線需要該行的所有 5 個格子都被填滿（非空）。
+   * 一條水平連線需要同一行中連續 LINE_LENGTH 個格子都被填滿（非空）。
+   * 預設配置下連線長度等於遊戲板大小，即整行填滿。
    *
    * 演算法複雜度：O(n²) 其中 n 是遊戲板大小
    *
-   * @param {number[][]} board - 5x5 遊戲板二維陣列
+   * @param {number[][]|Bitboard} board - 遊戲板（二維陣列或位元棋盤）
    * @returns {Array<Object>} 完成的水平連線陣列，每個對象包含：
    *   - type: 連線類型 ('horizontal')
    *   - row: 連線所在的行號
@@ -62,26 +77,27 @@ class LineDetector {
    *   - values: 連線中每個格子的值陣列
    */
   checkHorizontalLines(board) {
+    if (this._isBitboard(board)) {
+      return this._getBitboardLines(board, [this.LINE_TYPES.HORIZONTAL]);
+    }
+
     const lines = [];
 
-    // 逐行檢查水平連線
+    // 逐行檢查每個長度為 LINE_LENGTH 的區段
     for (let row = 0; row < this.BOARD_SIZE; row++) {
-      // 檢查這一行是否所有格子都被填滿（非空白）
-      // 使用 Array.every() 方法進行高效檢查
-      if (board[row].every(cell => cell !== this.CELL_STATES.EMPTY)) {
-        // 收集這條連線中所有格子的座標
-        const cells = [];
-        for (let col = 0; col < this.BOARD_SIZE; col++) {
-          cells.push([row, col]);
+      for (
+        let start = 0;
+        start + this.LINE_LENGTH <= this.BOARD_SIZE;
+        start++
+      ) {
+        const line = this._checkSegment(board, row, start, 0, 1);
+        if (line) {
+          lines.push({
+            type: this.LINE_TYPES.HORIZONTAL, // 連線類型
+            row: row, // 連線所在行
+            ...line
+          });
         }
-
-        // 創建連線對象，包含完整的連線信息
-        lines.push({
-          type: this.LINE_TYPES.HORIZONTAL, // 連線類型
-          row: row, // 連線所在行
-          cells: cells, // 格子座標陣列
-          values: [...board[row]] // 格子值的副本
-        });
       }
     }
 
@@ -90,30 +106,30 @@ class LineDetector {
 
   /**
    * 檢測垂直線
-   * @param {number[][]} board - 5x5遊戲板
+   * @param {number[][]|Bitboard} board - 遊戲板
    * @returns {Array} 完成的垂直線陣列
    */
   checkVerticalLines(board) {
+    if (this._isBitboard(board)) {
+      return this._getBitboardLines(board, [this.LINE_TYPES.VERTICAL]);
+    }
+
     const lines = [];
 
     for (let col = 0; col < this.BOARD_SIZE; col++) {
-      // 提取這一列的所有值
-      const column = [];
-      const cells = [];
-
-      for (let row = 0; row < this.BOARD_SIZE; row++) {
-        column.push(board[row][col]);
-        cells.push([row, col]);
-      }
-
-      // 檢查這一列是否所有格子都被填滿（非空白）
-      if (column.every(cell => cell !== this.CELL_STATES.EMPTY)) {
-        lines.push({
-          type: this.LINE_TYPES.VERTICAL,
-          col: col,
-          cells: cells,
-          values: column
-        });
+      for (
+        let start = 0;
+        start + this.LINE_LENGTH <= this.BOARD_SIZE;
+        start++
+      ) {
+        const line = this._checkSegment(board, start, col, 1, 0);
+        if (line) {
+          lines.push({
+            type: this.LINE_TYPES.VERTICAL,
+            col: col,
+            ...line
+          });
+        }
       }
     }
 
@@ -122,44 +138,103 @@ class LineDetector {
 
   /**
    * 檢測對角線
-   * @param {number[][]} board - 5x5遊戲板
+   * 當連線長度小於遊戲板大小時，會檢查所有足夠長的對角線區段。
+   * @param {number[][]|Bitboard} board - 遊戲板
    * @returns {Array} 完成的對角線陣列
    */
   checkDiagonalLines(board) {
-    const lines = [];
+    if (this._isBitboard(board)) {
+      return this._getBitboardLines(board, [
+        this.LINE_TYPES.DIAGONAL_MAIN,
+        this.LINE_TYPES.DIAGONAL_ANTI
+      ]);
+    }
 
-    // 檢測主對角線（左上到右下）
-    const mainDiagonal = [];
-    const mainDiagonalCells = [];
+    const lines = [];
+    const span = this.LINE_LENGTH - 1;
 
-    for (let i = 0; i < this.BOARD_SIZE; i++) {
-      mainDiagonal.push(board[i][i]);
-      mainDiagonalCells.push([i, i]);
+    // 檢測主對角線方向（左上到右下）
+    for (let col = 0; col + span < this.BOARD_SIZE; col++) {
+      for (let row = 0; row + span < this.BOARD_SIZE; row++) {
+        const line = this._checkSegment(board, row, col, 1, 1);
+        if (line) {
+          lines.push({ type: this.LINE_TYPES.DIAGONAL_MAIN, ...line });
+        }
+      }
     }
 
-    if (mainDiagonal.every(cell => cell !== this.CELL_STATES.EMPTY)) {
-      lines.push({
-        type: this.LINE_TYPES.DIAGONAL_MAIN,
-        cells: mainDiagonalCells,
-        values: mainDiagonal
-      });
+    // 檢測反對角線方向（右上到左下）
+    for (let col = span; col < this.BOARD_SIZE; col++) {
+      for (let row = 0; row + span < this.BOARD_SIZE; row++) {
+        const line = this._checkSegment(board, row, col, 1, -1);
+        if (line) {
+          lines.push({ type: this.LINE_TYPES.DIAGONAL_ANTI, ...line });
+        }
+      }
     }
 
-    // 檢測反對角線（右上到左下）
-    const antiDiagonal = [];
-    const antiDiagonalCells = [];
+    return lines;
+  }
+
+  /**
+   * 檢查從指定起點沿某方向的連線區段是否已全部填滿
+   * @private
+   * @param {number[][]} board - 遊戲板
+   * @param {number} row - 起始行
+   * @param {number} col - 起始列
+   * @param {number} dRow - 行方向增量
+   * @param {number} dCol - 列方向增量
+   * @returns {{cells: Array, values: Array}|null} 完成時返回格子與值，否則返回 null
+   */
+  _checkSegment(board, row, col, dRow, dCol) {
+    const cells = [];
+    const values = [];
 
-    for (let i = 0; i < this.BOARD_SIZE; i++) {
-      antiDiagonal.push(board[i][this.BOARD_SIZE - 1 - i]);
-      antiDiagonalCells.push([i, this.BOARD_SIZE - 1 - i]);
+    for (let i = 0; i < this.LINE_LENGTH; i++) {
+      const r = row + dRow * i;
+      const c = col + dCol * i;
+      if (board[r][c] === this.CELL_STATES.EMPTY) {
+        return null;
+      }
+      cells.push([r, c]);
+      values.push(board[r][c]);
     }
 
-    if (antiDiagonal.every(cell => cell !== this.CELL_STATES.EMPTY)) {
-      lines.push({
-        type: this.LINE_TYPES.DIAGONAL_ANTI,
-        cells: antiDiagonalCells,
-        values: antiDiagonal
-      });
+    return { cells, values };
+  }
+
+  /**
+   * 判斷遊戲板是否為 Bitboard 格式
+   * @private
+   * @param {number[][]|Bitboard} board - 遊戲板
+   * @returns {boolean} 是否為 Bitboard
+   */
+  _isBitboard(board) {
+    return Boolean(
+      LineDetectorBitboard && board instanceof LineDetectorBitboard
+    );
+  }
+
+  /**
+   * 從 Bitboard 的預先計算連線遮罩取得完成的連線
+   * 輸出格式與二維陣列版本相同
+   * @private
+   * @param {Bitboard} board - 位元棋盤
+   * @param {string[]} [types] - 只返回指定類型的連線
+   * @returns {Array} 完成的連線陣列
+   */
+  _getBitboardLines(board, types) {
+    const lines = [];
+
+    for (const line of board.getCompletedLines()) {
+      if (types && !types.includes(line.type)) continue;
+
+      const result = { type: line.type };
+      if (line.row !== undefined) result.row = line.row;
+      if (line.col !== undefined) result.col = line.col;
+      result.cells = line.cells;
+      result.values = line.cells.map(([row, col]) => board.getCell(row, col));
+      lines.push(result);
     }
 
     return lines;
@@ -167,10 +242,14 @@ class LineDetector {
 
   /**
    * 檢測所有類型的連線
-   * @param {number[][]} board - 5x5遊戲板
+   * @param {number[][]|Bitboard} board - 遊戲板
    * @returns {Array} 所有完成的連線陣列
    */
   getAllLines(board) {
+    if (this._isBitboard(board)) {
+      return this._getBitboardLines(board);
+    }
+
     const allLines = [];
 
     // 合併所有類型的連線
@@ -183,19 +262,29 @@ class LineDetector {
 
   /**
    * 計算完成的連線數量
-   * @param {number[][]} board - 5x5遊戲板
+   * @param {number[][]|Bitboard} board - 遊戲板
    * @returns {number} 完成的連線總數
    */
   countCompletedLines(board) {
+    if (this._isBitboard(board)) {
+      return board.countCompletedLines();
+    }
     return this.getAllLines(board).length;
   }
 
   /**
    * 驗證遊戲板格式是否正確
-   * @param {number[][]} board - 遊戲板
+   * @param {number[][]|Bitboard} board - 遊戲板
    * @returns {boolean} 是否為有效的遊戲板
    */
   isValidBoard(board) {
+    if (this._isBitboard(board)) {
+      return (
+        board.size === this.BOARD_SIZE &&
+        board.layout.lineLength === this.LINE_LENGTH
+      );
+    }
+
     if (!Array.isArray(board) || board.length !== this.BOARD_SIZE) {
       return false;
     }
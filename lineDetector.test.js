@@ -114,4 +114,67 @@ describe('LineDetector', () => {
     invalidValueBoard[0][0] = 3; // 無效的值
     expect(lineDetector.isValidBoard(invalidValueBoard)).toBeFalsy();
   });
+
+  test('should detect lines on a custom board size', () => {
+    const detector = new LineDetector({ boardSize: 4 });
+    const board = [
+      [1, 2, 1, 2],
+      [0, 1, 0, 0],
+      [0, 0, 2, 0],
+      [0, 0, 0, 1]
+    ];
+
+    // 第一行與主對角線
+    const lines = detector.getAllLines(board);
+    expect(lines).toHaveLength(2);
+    expect(lines[0].type).toBe('horizontal');
+    expect(lines[1].type).toBe('diagonal-main');
+    expect(detector.isValidBoard(board)).toBeTruthy();
+  });
+
+  test('should detect line segments shorter than the board', () => {
+    const detector = new LineDetector({ boardSize: 6, lineLength: 3 });
+    const board = Array(6)
+      .fill()
+      .map(() => Array(6).fill(0));
+    board[1][2] = 1;
+    board[1][3] = 2;
+    board[1][4] = 1;
+    board[5][0] = 2;
+    board[4][1] = 1;
+    board[3][2] = 2;
+
+    const lines = detector.getAllLines(board);
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toEqual({
+      type: 'horizontal',
+      row: 1,
+      cells: [
+        [1, 2],
+        [1, 3],
+        [1, 4]
+      ],
+      values: [1, 2, 1]
+    });
+    expect(lines[1].type).toBe('diagonal-anti');
+  });
+
+  test('should detect the same lines on a bitboard', () => {
+    const Bitboard = require('./utils/bitboard.js');
+    const board = [
+      [1, 2, 1, 2, 1],
+      [0, 1, 0, 0, 2],
+      [0, 0, 2, 0, 1],
+      [0, 0, 0, 1, 2],
+      [0, 0, 0, 0, 1]
+    ];
+    const bitboard = Bitboard.fromArray(board);
+
+    expect(lineDetector.getAllLines(bitboard)).toEqual(
+      lineDetector.getAllLines(board)
+    );
+    expect(lineDetector.countCompletedLines(bitboard)).toBe(3);
+    expect(lineDetector.checkVerticalLines(bitboard)).toHaveLength(1);
+    expect(lineDetector.isValidBoard(bitboard)).toBeTruthy();
+  });
 });
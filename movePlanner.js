@@ -0,0 +1,254 @@
+// 載入依賴模組
+let PlannerConstants, PlannerUtils;
+if (typeof require !== 'undefined') {
+  const common = require('./utils/common.js');
+  PlannerConstants = common.CONSTANTS;
+  PlannerUtils = common.Utils;
+} else if (typeof window !== 'undefined') {
+  PlannerConstants = window.CONSTANTS;
+  PlannerUtils = window.Utils;
+}
+
+/**
+ * MovePlanner - 為剩餘回合規劃目標連線
+ *
+ * 計算器每次只建議一格；規劃模式回答「我正在完成哪些線？」：
+ * 在玩家剩餘的移動數內，找出玩家只靠自己的移動就能完成最多條連線的組合，
+ * 並列出這些連線還需要的空格。連線不區分玩家或電腦，電腦的移動只會減少還需要的格子，
+ * 因此計畫中的連線一定能完成。
+ *
+ * 每回合以上一個計畫重新規劃：連線數相同時保留原本的目標，電腦填入的格子自動從清單中移除，
+ * 省下的步數可以加入新的連線。
+ *
+ * @class MovePlanner
+ * @version 1.0.0
+ */
+class MovePlanner {
+  /**
+   * 建立規劃器
+   * @param {Object} [config] - 遊戲配置（boardSize、maxRounds、lineLength）
+   */
+  constructor(config = {}) {
+    this.config = PlannerUtils.createGameConfig(config);
+    this.BOARD_SIZE = this.config.boardSize;
+    this.lines = PlannerUtils.generateLines(
+      this.BOARD_SIZE,
+      this.config.lineLength
+    );
+  }
+
+  /**
+   * 規劃剩餘回合的目標連線
+   * 連線數最多的組合優先；連線數相同時，保留較多上一個計畫的連線、需要的格子較少、
+   * 需要的格子經過較多候選連線（電腦的移動較可能幫忙完成其他連線）者優先。
+   * @param {number[][]} board - 當前遊戲板
+   * @param {Object} [context] - 遊戲上下文（見 GameEngine.getGameContext）；未提供時由已填格子數推算
+   * @param {Object|null} [previousPlan] - 上一回合的計畫
+   * @returns {Object|null} 計畫 { lines, cells, movesLeft, spareMoves, nextMove }；
+   *   lines 為目標連線 { type, row, col, cells }（row、col 為連線的第一格），
+   *   cells 為還需要的空格（經過較多目標連線的在前），遊戲板無效時返回 null
+   */
+  createPlan(board, context, previousPlan = null) {
+    if (!PlannerUtils.isValidBoard(board, this.BOARD_SIZE)) {
+      return null;
+    }
+
+    const movesLeft = this.getMovesLeft(board, context);
+    const previousKeys = new Set(
+      (previousPlan ? previousPlan.lines : []).map(line =>
+        MovePlanner.getLineKey(line)
+      )
+    );
+
+    // 尚未完成、且剩餘步數足以獨力完成的連線；保留的連線與較短的連線先搜尋
+    const candidates = this.lines
+      .map((line, index) => ({
+        line,
+        index,
+        kept: previousKeys.has(MovePlanner.getLineKey(line)),
+        missing: line.cells
+          .filter(
+            ([row, col]) =>
+              board[row][col] === PlannerConstants.CELL_STATES.EMPTY
+          )
+          .map(([row, col]) => row * this.BOARD_SIZE + col)
+      }))
+      .filter(
+        ({ missing }) => missing.length > 0 && missing.length <= movesLeft
+      )
+      .sort(
+        (a, b) =>
+          b.kept - a.kept ||
+          a.missing.length - b.missing.length ||
+          a.index - b.index
+      );
+
+    // 每個空格經過的候選連線數
+    const reach = new Map();
+    candidates.forEach(({ missing }) =>
+      missing.forEach(cell => reach.set(cell, (reach.get(cell) || 0) + 1))
+    );
+
+    const best = this.findBestLines(candidates, movesLeft, reach);
+    const chosen = best.lines.sort((a, b) => a.index - b.index);
+
+    // 經過較多目標連線的格子先填，其次是經過較多候選連線的格子
+    const cells = [...best.cells]
+      .map(cell => ({
+        cell,
+        lines: chosen.filter(({ missing }) => missing.includes(cell)).length
+      }))
+      .sort(
+        (a, b) =>
+          b.lines - a.lines ||
+          reach.get(b.cell) - reach.get(a.cell) ||
+          a.cell - b.cell
+      )
+      .map(({ cell }) => ({
+        row: Math.floor(cell / this.BOARD_SIZE),
+        col: cell % this.BOARD_SIZE
+      }));
+
+    return {
+      lines: chosen.map(({ line }) => ({
+        type: line.type,
+        row: line.cells[0][0],
+        col: line.cells[0][1],
+        cells: line.cells
+      })),
+      cells,
+      movesLeft,
+      spareMoves: movesLeft - cells.length,
+      nextMove: cells[0] || null
+    };
+  }
+
+  /**
+   * 搜尋需要的格子不超過剩餘步數、連線數最多的組合
+   * 以分支定界窮舉，每一層只保留加入後仍不超過剩餘步數的候選連線。
+   * 大型配置（短連線、多回合）的組合數量以指數成長，搜尋超過 MovePlanner.MAX_SEARCH_STEPS
+   * 步時返回目前最好的組合；第一條搜尋路徑依序加入放得下的候選連線，因此至少是貪婪法的結果。
+   * @private
+   * @param {Array<{missing: number[], kept: boolean}>} candidates - 候選連線
+   * @param {number} movesLeft - 玩家剩餘的移動數
+   * @param {Map<number, number>} reach - 空格 -> 經過的候選連線數
+   * @returns {{lines: Array, cells: Set<number>}} 最佳組合
+   */
+  findBestLines(candidates, movesLeft, reach) {
+    let best = { lines: [], cells: new Set(), kept: 0, reach: 0 };
+
+    const compare = candidate =>
+      candidate.lines.length - best.lines.length ||
+      candidate.kept - best.kept ||
+      best.cells.size - candidate.cells.size ||
+      candidate.reach - best.reach;
+
+    let steps = 0;
+
+    const search = (options, lines, cells, kept) => {
+      const current = {
+        lines,
+        cells,
+        kept,
+        reach: [...cells].reduce((sum, cell) => sum + reach.get(cell), 0)
+      };
+      if (compare(current) > 0) {
+        best = { ...current, lines: [...lines] };
+      }
+
+      // 加入更多連線後，放得下的候選只會更少
+      steps += options.length;
+      const fitting = options.filter(
+        ({ missing }) =>
+          cells.size + missing.filter(cell => !cells.has(cell)).length <=
+          movesLeft
+      );
+
+      for (let i = 0; i < fitting.length; i++) {
+        // 剩下的候選全部加入也追不上最佳組合的連線數
+        if (lines.length + fitting.length - i < best.lines.length) {
+          return;
+        }
+        // 超過搜尋上限時不再嘗試其他分支（第一條路徑一定走完）
+        if (i > 0 && steps > MovePlanner.MAX_SEARCH_STEPS) {
+          return;
+        }
+
+        const candidate = fitting[i];
+        const union = new Set(cells);
+        candidate.missing.forEach(cell => union.add(cell));
+        lines.push(candidate);
+        search(
+          fitting.slice(i + 1),
+          lines,
+          union,
+          kept + (candidate.kept ? 1 : 0)
+        );
+        lines.pop();
+      }
+    };
+
+    search(candidates, [], new Set(), 0);
+    return best;
+  }
+
+  /**
+   * 玩家在剩餘回合中還能下的步數（包含目前回合）
+   * @param {number[][]} board - 當前遊戲板
+   * @param {Object} [context] - 遊戲上下文
+   * @returns {number} 玩家剩餘的移動數
+   */
+  getMovesLeft(board, context) {
+    const filled = board
+      .flat()
+      .filter(cell => cell !== PlannerConstants.CELL_STATES.EMPTY).length;
+    const empty = this.BOARD_SIZE * this.BOARD_SIZE - filled;
+
+    let moves;
+    if (
+      context &&
+      (context.roundsLeft !== undefined || context.currentRound !== undefined)
+    ) {
+      const roundsLeft =
+        context.roundsLeft !== undefined
+          ? context.roundsLeft
+          : (context.maxRounds || this.config.maxRounds) -
+            context.currentRound +
+            1;
+      const turn =
+        context.turn ||
+        (context.gamePhase === PlannerConstants.GAME_PHASES.COMPUTER_TURN
+          ? 'computer'
+          : 'player');
+      moves = turn === 'computer' ? roundsLeft - 1 : roundsLeft;
+    } else {
+      // 每回合玩家與電腦各填一格：已填格子數為奇數時輪到電腦
+      moves = this.config.maxRounds - Math.ceil(filled / 2);
+    }
+
+    return Math.max(0, Math.min(moves, empty));
+  }
+
+  /**
+   * 連線的識別字串（方向與第一格）
+   * @param {{type: string, cells: Array}} line - 連線
+   * @returns {string} 識別字串
+   */
+  static getLineKey(line) {
+    const [row, col] = line.cells[0];
+    return `${line.type}-${row}-${col}`;
+  }
+}
+
+// 搜尋目標連線組合時檢查候選連線的次數上限
+MovePlanner.MAX_SEARCH_STEPS = 20000;
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MovePlanner;
+}
+
+// 在瀏覽器環境中，將 MovePlanner 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.MovePlanner = MovePlanner;
+}
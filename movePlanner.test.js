@@ -0,0 +1,157 @@
+/**
+ * MovePlanner 單元測試
+ */
+const MovePlanner = require('./movePlanner.js');
+const GameEngine = require('./gameEngine.js');
+
+function createBoard(size, cells = []) {
+  const board = Array(size)
+    .fill()
+    .map(() => Array(size).fill(0));
+  cells.forEach(([row, col, state]) => {
+    board[row][col] = state;
+  });
+  return board;
+}
+
+const lineNames = plan =>
+  plan.lines.map(line => `${line.type}-${line.row}-${line.col}`);
+
+describe('MovePlanner', () => {
+  test('should aim for the lines the remaining moves can complete', () => {
+    const planner = new MovePlanner();
+
+    // 空遊戲板：8 步只夠完成一條線，經過較多連線的主對角線優先，從中心開始
+    const opening = planner.createPlan(createBoard(5), { roundsLeft: 8 });
+    expect(lineNames(opening)).toEqual(['diagonal-main-0-0']);
+    expect(opening.cells).toHaveLength(5);
+    expect(opening.nextMove).toEqual({ row: 2, col: 2 });
+    expect(opening.spareMoves).toBe(3);
+
+    // 第 1 行差一格、主對角線差三格：兩條線共用 (0, 0)，4 步內可以都完成
+    const board = createBoard(5, [
+      [0, 1, 1],
+      [0, 2, 2],
+      [0, 3, 1],
+      [0, 4, 2],
+      [2, 2, 1],
+      [3, 3, 2]
+    ]);
+    const plan = planner.createPlan(board, { roundsLeft: 4, turn: 'player' });
+    expect(lineNames(plan)).toEqual(['horizontal-0-0', 'diagonal-main-0-0']);
+    expect(plan.cells).toEqual([
+      { row: 0, col: 0 },
+      { row: 1, col: 1 },
+      { row: 4, col: 4 }
+    ]);
+    expect(plan.spareMoves).toBe(1);
+  });
+
+  test('should keep its targets as computer moves land', () => {
+    const planner = new MovePlanner();
+    const first = planner.createPlan(createBoard(5), { roundsLeft: 5 });
+    expect(lineNames(first)).toEqual(['diagonal-main-0-0']);
+
+    // 電腦填入反對角線的角落：反對角線只差三格，但原本的目標仍能完成
+    const board = createBoard(5, [
+      [2, 2, 1],
+      [4, 0, 2]
+    ]);
+    const context = { roundsLeft: 4, turn: 'player' };
+    expect(lineNames(planner.createPlan(board, context, first))).toEqual([
+      'diagonal-main-0-0'
+    ]);
+    expect(lineNames(planner.createPlan(board, context))).toEqual([
+      'diagonal-anti-0-4'
+    ]);
+
+    // 電腦填入計畫中的格子，省下的步數足以加入另一條對角線
+    const helped = createBoard(5, [
+      [2, 2, 1],
+      [0, 0, 2]
+    ]);
+    const next = planner.createPlan(
+      helped,
+      { roundsLeft: 7, turn: 'player' },
+      first
+    );
+    expect(lineNames(next)).toEqual(['diagonal-main-0-0', 'diagonal-anti-0-4']);
+    expect(next.cells).toHaveLength(7);
+    expect(next.spareMoves).toBe(0);
+  });
+
+  test('should count the player moves left from the context or the board', () => {
+    const planner = new MovePlanner();
+    const board = createBoard(5, [[2, 2, 1]]);
+
+    expect(
+      planner.getMovesLeft(board, { roundsLeft: 8, turn: 'computer' })
+    ).toBe(7);
+    expect(planner.getMovesLeft(board, { currentRound: 8 })).toBe(1);
+    expect(planner.getMovesLeft(board)).toBe(7);
+    expect(planner.getMovesLeft(createBoard(5))).toBe(8);
+  });
+
+  test('should report when no line can be completed', () => {
+    const planner = new MovePlanner();
+    const board = createBoard(5, [[2, 2, 1]]);
+
+    const plan = planner.createPlan(board, { roundsLeft: 1, turn: 'player' });
+    expect(plan.lines).toHaveLength(0);
+    expect(plan.cells).toHaveLength(0);
+    expect(plan.nextMove).toBe(null);
+    expect(plan.spareMoves).toBe(1);
+    expect(planner.createPlan([[0]])).toBe(null);
+  });
+
+  test('should plan shorter lines on larger boards', () => {
+    const planner = new MovePlanner({ boardSize: 6, lineLength: 4 });
+    const plan = planner.createPlan(createBoard(6));
+
+    // 8 步：三條兩兩相交的線
+    expect(plan.lines).toHaveLength(3);
+    expect(plan.cells.length <= 8).toBeTruthy();
+    plan.lines.forEach(line => expect(line.cells).toHaveLength(4));
+  });
+
+  test('should bound the search on large configurations', () => {
+    // 短連線、多回合：上百條候選連線，窮舉所有組合需要數小時
+    [
+      [7, 3, 10],
+      [6, 3, 18]
+    ].forEach(([boardSize, lineLength, maxRounds]) => {
+      const planner = new MovePlanner({ boardSize, lineLength, maxRounds });
+      const start = Date.now();
+      const plan = planner.createPlan(createBoard(boardSize));
+
+      expect(Date.now() - start).toBeLessThan(2000);
+      expect(plan.cells).toHaveLength(maxRounds);
+      expect(plan.lines.length).toBeGreaterThan(maxRounds / 3);
+      const cells = new Set(plan.cells.map(({ row, col }) => `${row},${col}`));
+      plan.lines.forEach(line =>
+        line.cells.forEach(([row, col]) =>
+          expect(cells.has(`${row},${col}`)).toBeTruthy()
+        )
+      );
+    });
+  });
+});
+
+describe('GameEngine plans', () => {
+  test('should update the plan as the game goes on', () => {
+    const engine = new GameEngine();
+    engine.startGame();
+
+    const first = engine.getPlan();
+    expect(lineNames(first)).toEqual(['diagonal-main-0-0']);
+
+    engine.processPlayerTurn(2, 2);
+    engine.processComputerTurn(0, 0);
+    const next = engine.getPlan();
+    expect(lineNames(next)).toEqual(['diagonal-main-0-0', 'diagonal-anti-0-4']);
+    expect(next.movesLeft).toBe(7);
+
+    engine.startGame();
+    expect(engine.gameState.lastPlan).toBe(null);
+  });
+});
@@ -0,0 +1,1741 @@
+/**
+ * 開局庫資料：由 `bingo-sim book` 以 OptimalSolver 產生，請勿手動編輯
+ * 標準化佔用遮罩 -> [格子, 期望值, ...]（見 OpeningBook）
+ */
+const OpeningBookData = {
+  version: 1,
+  config: {
+    boardSize: 5,
+    maxRounds: 8,
+    lineLength: 5
+  },
+  rounds: 3,
+  positions: {
+    0: [12, 3.2279, 4, 3.2188, 6, 3.2188, 18, 3.2188],
+    3: [12, 3.1898, 6, 3.184, 18, 3.1789, 24, 3.1739],
+    5: [12, 3.167, 18, 3.1581, 6, 3.1581, 24, 3.1519],
+    6: [0, 3.1359, 4, 3.1359, 3, 3.1358, 12, 3.1255],
+    9: [12, 3.1898, 18, 3.184, 6, 3.1789, 24, 3.1739],
+    10: [0, 3.1361, 4, 3.1361, 2, 3.1358, 12, 3.1253],
+    15: [4, 3.253, 12, 3.2521, 6, 3.2236, 8, 3.2236],
+    17: [12, 3.2991, 16, 3.2908, 6, 3.2908, 8, 3.2908],
+    23: [3, 3.253, 12, 3.2522, 8, 3.2237, 18, 3.2237],
+    27: [2, 3.253, 12, 3.2523, 6, 3.2242, 8, 3.2242],
+    34: [12, 3.0142, 0, 3.0026, 6, 3.0026, 4, 2.9948],
+    36: [12, 3.0221, 0, 3.0098, 8, 3.0032, 20, 2.9959],
+    39: [4, 3.0559, 3, 3.0558, 12, 3.0268, 8, 3.0039],
+    40: [12, 3.0151, 8, 3.0124, 0, 3.0124, 4, 2.9857],
+    43: [4, 3.0559, 2, 3.0558, 12, 3.027, 8, 3.0038],
+    45: [4, 3.0559, 1, 3.0558, 12, 3.0277, 8, 3.0058],
+    46: [0, 3.0558, 4, 3.0558, 12, 3.0264, 8, 3.0035],
+    48: [8, 3.1789, 12, 3.1787, 20, 3.1739, 16, 3.1738],
+    51: [12, 3.0833, 8, 3.0788, 20, 3.0627, 16, 3.0608],
+    53: [12, 3.0751, 8, 3.07, 3, 3.0559, 1, 3.0559],
+    54: [0, 3.0559, 3, 3.0558, 12, 3.0279, 8, 3.0077],
+    57: [12, 3.0841, 8, 3.082, 20, 3.056, 1, 3.0559],
+    58: [0, 3.0559, 2, 3.0558, 12, 3.027, 8, 3.0049],
+    60: [0, 3.0559, 1, 3.0558, 12, 3.0266, 8, 3.0045],
+    65: [12, 3.3267, 18, 3.3267, 24, 3.3267, 8, 3.2908],
+    66: [12, 3.1898, 0, 3.184, 24, 3.1789, 18, 3.1739],
+    68: [12, 3.1582, 0, 3.1581, 24, 3.1521, 18, 3.1517],
+    71: [4, 3.2236, 3, 3.2236, 12, 3.2198, 18, 3.2018],
+    72: [0, 3.1789, 12, 3.1787, 18, 3.1739, 24, 3.1738],
+    75: [4, 3.2242, 2, 3.2236, 12, 3.2214, 24, 3.2035],
+    77: [4, 3.2237, 1, 3.2236, 12, 3.2204, 24, 3.202],
+    78: [0, 3.2236, 4, 3.2236, 12, 3.2179, 18, 3.1892],
+    80: [12, 3.2995, 8, 3.2908, 0, 3.2908, 16, 3.2908],
+    83: [12, 3.2843, 18, 3.2754, 24, 3.2754, 16, 3.2542],
+    85: [12, 3.2465, 18, 3.2393, 24, 3.2392, 3, 3.2237],
+    86: [0, 3.2236, 3, 3.2236, 12, 3.2182, 18, 3.1899],
+    89: [12, 3.2785, 18, 3.2754, 24, 3.2754, 8, 3.2442],
+    90: [0, 3.2242, 2, 3.2236, 12, 3.2192, 18, 3.1926],
+    92: [0, 3.2237, 1, 3.2236, 12, 3.2181, 18, 3.1899],
+    99: [12, 3.1033, 18, 3.0763, 24, 3.0763, 8, 3.0529],
+    101: [12, 3.0933, 18, 3.0797, 24, 3.0796, 8, 3.0532],
+    102: [0, 2.9783, 4, 2.9774, 3, 2.9755, 12, 2.9679],
+    105: [12, 3.1081, 24, 3.0984, 18, 3.0984, 8, 3.082],
+    106: [0, 2.9789, 4, 2.9757, 2, 2.9755, 12, 2.9527],
+    108: [0, 2.983, 4, 2.9759, 1, 2.9755, 12, 2.9623],
+    113: [12, 3.253, 8, 3.2442, 18, 3.2317, 24, 3.2316],
+    114: [12, 3.0846, 8, 3.0788, 20, 3.0621, 16, 3.0608],
+    116: [12, 3.0591, 8, 3.0522, 0, 3.0322, 7, 3.0195],
+    120: [12, 3.0404, 0, 3.0382, 8, 3.0382, 18, 2.9997],
+    129: [12, 3.1582, 6, 3.1581, 18, 3.1521, 24, 3.1517],
+    130: [12, 3.0221, 6, 3.0098, 4, 3.0032, 16, 2.9959],
+    132: [12, 3.0937, 22, 3.0871, 17, 3.0871, 6, 3.0532],
+    135: [4, 3.0846, 3, 3.0845, 12, 3.076, 6, 3.0268],
+    139: [2, 3.0845, 4, 3.0845, 12, 3.0752, 6, 3.0185],
+    141: [4, 3.0846, 1, 3.0845, 12, 3.0772, 6, 3.0333],
+    142: [0, 3.0845, 4, 3.0845, 12, 3.0751, 8, 3.018],
+    147: [12, 3.0914, 2, 3.0846, 3, 3.0845, 6, 3.0532],
+    149: [12, 3.1111, 1, 3.0846, 3, 3.0846, 6, 3.0794],
+    160: [6, 3.1359, 8, 3.1359, 9, 3.1358, 12, 3.1255],
+    163: [6, 2.9783, 8, 2.9774, 9, 2.9755, 12, 2.9679],
+    165: [12, 3.039, 8, 3.0281, 6, 3.0268, 9, 3.018],
+    166: [4, 2.9062, 8, 2.9062, 6, 2.9058, 0, 2.9058],
+    169: [8, 3.0058, 6, 3.0045, 9, 3.0035, 12, 2.9934],
+    170: [4, 2.8983, 0, 2.8981, 2, 2.8974, 8, 2.889],
+    172: [0, 2.9108, 8, 2.9108, 4, 2.9026, 6, 2.9026],
+    177: [8, 3.1546, 12, 3.149, 6, 3.1453, 9, 3.1447],
+    178: [8, 3.0077, 6, 3.0039, 9, 3.0035, 12, 2.9884],
+    180: [8, 3.0333, 12, 3.0292, 6, 3.0195, 9, 3.018],
+    184: [8, 2.983, 6, 2.9759, 9, 2.9755, 12, 2.9623],
+    192: [12, 3.167, 24, 3.1581, 0, 3.1581, 18, 3.1519],
+    195: [12, 3.0933, 24, 3.0797, 18, 3.0796, 4, 3.0532],
+    197: [12, 3.1507, 18, 3.1466, 24, 3.1466, 17, 3.1126],
+    198: [12, 3.039, 4, 3.0281, 0, 3.0268, 3, 3.018],
+    201: [12, 3.1101, 18, 3.1036, 24, 3.1036, 8, 3.07],
+    202: [0, 3.0185, 4, 3.0183, 2, 3.018, 12, 3.0004],
+    204: [0, 3.0333, 12, 3.0292, 4, 3.0195, 1, 3.018],
+    209: [12, 3.2197, 18, 3.2095, 24, 3.2095, 8, 3.1989],
+    210: [12, 3.0902, 8, 3.07, 16, 3.056, 0, 3.0532],
+    212: [12, 3.1023, 8, 3.0794, 0, 3.0794, 16, 3.058],
+    216: [12, 3.0591, 0, 3.0522, 8, 3.0322, 2, 3.0195],
+    225: [8, 3.2236, 9, 3.2236, 12, 3.2198, 24, 3.2018],
+    226: [8, 3.0559, 9, 3.0558, 12, 3.0268, 4, 3.0039],
+    228: [8, 3.0846, 9, 3.0845, 12, 3.076, 0, 3.0268],
+    232: [8, 3.0559, 9, 3.0558, 12, 3.0266, 0, 3.0045],
+    240: [8, 3.2237, 9, 3.2236, 12, 3.2181, 20, 3.1899],
+    288: [12, 3.1898, 20, 3.184, 4, 3.1789, 16, 3.1739],
+    291: [12, 3.0846, 4, 3.0788, 16, 3.0621, 20, 3.0608],
+    293: [12, 3.0902, 4, 3.07, 20, 3.056, 6, 3.0532],
+    294: [4, 3.0077, 0, 3.0039, 3, 3.0035, 12, 2.9884],
+    297: [12, 3.1143, 6, 3.082, 18, 3.082, 20, 3.082],
+    298: [4, 3.0049, 0, 3.0038, 2, 3.0035, 12, 2.9787],
+    300: [0, 3.0058, 4, 3.0045, 1, 3.0035, 12, 2.9934],
+    305: [12, 3.281, 16, 3.2755, 20, 3.2754, 6, 3.2442],
+    306: [12, 3.1248, 20, 3.1207, 16, 3.1207, 6, 3.0788],
+    308: [12, 3.1101, 20, 3.1036, 16, 3.1036, 0, 3.07],
+    312: [12, 3.1081, 16, 3.0984, 20, 3.0984, 0, 3.082],
+    320: [12, 3.2991, 0, 3.2908, 4, 3.2908, 20, 3.2908],
+    323: [12, 3.253, 4, 3.2442, 24, 3.2317, 18, 3.2316],
+    325: [12, 3.2197, 24, 3.2095, 18, 3.2095, 4, 3.1989],
+    326: [4, 3.1546, 12, 3.149, 0, 3.1453, 3, 3.1447],
+    329: [12, 3.281, 24, 3.2755, 18, 3.2754, 4, 3.2442],
+    330: [12, 3.1548, 4, 3.1538, 0, 3.1538, 2, 3.1447],
+    337: [12, 3.4252, 18, 3.418, 16, 3.418, 20, 3.418],
+    353: [12, 3.2843, 24, 3.2754, 18, 3.2754, 20, 3.2542],
+    354: [12, 3.0833, 4, 3.0788, 16, 3.0627, 20, 3.0608],
+    356: [12, 3.0914, 7, 3.0846, 9, 3.0845, 0, 3.0532],
+    360: [12, 3.0841, 0, 3.082, 18, 3.056, 9, 3.0559],
+    368: [12, 3.2785, 20, 3.2754, 16, 3.2754, 0, 3.2442],
+    417: [6, 3.2236, 9, 3.2236, 12, 3.2182, 24, 3.1899],
+    418: [6, 3.0559, 9, 3.0558, 12, 3.0279, 4, 3.0077],
+    420: [6, 3.0846, 9, 3.0845, 12, 3.0772, 4, 3.0333],
+    424: [6, 3.0559, 9, 3.0558, 12, 3.0277, 0, 3.0058],
+    432: [6, 3.2237, 9, 3.2236, 12, 3.2204, 16, 3.202],
+    449: [12, 3.2465, 24, 3.2393, 18, 3.2392, 9, 3.2237],
+    450: [12, 3.0751, 4, 3.07, 9, 3.0559, 5, 3.0559],
+    452: [12, 3.1111, 5, 3.0846, 9, 3.0846, 0, 3.0794],
+    480: [9, 3.253, 12, 3.2522, 4, 3.2237, 24, 3.2237],
+    544: [6, 3.1361, 8, 3.1361, 7, 3.1358, 12, 3.1253],
+    547: [6, 2.9789, 8, 2.9757, 7, 2.9755, 12, 2.9527],
+    549: [6, 3.0185, 8, 3.0183, 7, 3.018, 12, 3.0004],
+    550: [8, 2.8983, 6, 2.8981, 7, 2.8974, 4, 2.889],
+    553: [6, 3.0049, 8, 3.0038, 7, 3.0035, 12, 2.9787],
+    554: [6, 2.8824, 8, 2.8824, 0, 2.8824, 4, 2.8824],
+    561: [12, 3.1548, 8, 3.1538, 6, 3.1538, 7, 3.1447],
+    609: [8, 3.2242, 7, 3.2236, 12, 3.2214, 18, 3.2035],
+    610: [8, 3.0559, 7, 3.0558, 12, 3.027, 4, 3.0038],
+    612: [7, 3.0845, 8, 3.0845, 12, 3.0752, 0, 3.0185],
+    616: [8, 3.0559, 7, 3.0558, 12, 3.027, 0, 3.0049],
+    624: [8, 3.2242, 7, 3.2236, 12, 3.2192, 20, 3.1926],
+    673: [6, 3.2236, 8, 3.2236, 12, 3.2179, 24, 3.1892],
+    674: [6, 3.0558, 8, 3.0558, 12, 3.0264, 4, 3.0035],
+    676: [6, 3.0845, 8, 3.0845, 12, 3.0751, 0, 3.018],
+    736: [8, 3.253, 12, 3.2521, 0, 3.2236, 4, 3.2236],
+    864: [7, 3.253, 12, 3.2523, 0, 3.2242, 4, 3.2242],
+    1028: [12, 3.0108, 0, 3.0002, 4, 2.9839, 20, 2.9839],
+    1031: [4, 3.0577, 3, 3.0577, 12, 3.0404, 20, 3.0027],
+    1032: [12, 3.0221, 0, 3.0098, 8, 3.0032, 4, 2.9959],
+    1035: [4, 3.0577, 2, 3.0577, 12, 3.0408, 20, 3.003],
+    1037: [4, 3.0577, 1, 3.0577, 12, 3.0404, 20, 3.0027],
+    1038: [4, 3.0577, 0, 3.0577, 12, 3.0403, 20, 3.0026],
+    1040: [12, 3.1527, 8, 3.1521, 16, 3.1521, 20, 3.1519],
+    1043: [12, 3.0823, 2, 3.0577, 3, 3.0577, 16, 3.056],
+    1045: [12, 3.06, 3, 3.0577, 1, 3.0577, 20, 3.0373],
+    1046: [0, 3.0577, 3, 3.0577, 12, 3.0404, 20, 3.003],
+    1049: [12, 3.0823, 2, 3.0577, 1, 3.0577, 8, 3.056],
+    1050: [0, 3.0577, 2, 3.0577, 12, 3.0411, 20, 3.0057],
+    1052: [0, 3.0577, 1, 3.0577, 12, 3.0404, 20, 3.003],
+    1062: [0, 2.9298, 4, 2.9257, 20, 2.9257, 15, 2.9254],
+    1065: [20, 3.0559, 15, 3.0558, 12, 3.0277, 8, 3.0058],
+    1066: [0, 2.9289, 4, 2.9257, 2, 2.9254, 20, 2.9228],
+    1068: [0, 2.9299, 20, 2.9258, 4, 2.9258, 15, 2.9254],
+    1073: [20, 3.2005, 15, 3.2005, 12, 3.1962, 16, 3.189],
+    1074: [20, 3.003, 0, 3, 15, 2.9999, 12, 2.9739],
+    1076: [20, 3.003, 0, 3.0027, 15, 3.0026, 12, 2.9717],
+    1080: [20, 3.0004, 0, 3, 15, 2.9999, 12, 2.9648],
+    1093: [12, 3.0529, 18, 3.0463, 24, 3.0463, 4, 2.9889],
+    1094: [0, 2.9451, 12, 2.9399, 4, 2.9395, 3, 2.9381],
+    1097: [12, 3.0832, 18, 3.0797, 24, 3.0796, 8, 3.0208],
+    1098: [0, 2.95, 12, 2.9414, 4, 2.9397, 2, 2.9381],
+    1100: [0, 2.9454, 4, 2.9381, 1, 2.9381, 12, 2.9302],
+    1105: [12, 3.2052, 18, 3.1919, 24, 3.1917, 16, 3.1721],
+    1106: [12, 3.0531, 16, 3.032, 0, 3.0279, 20, 3.0161],
+    1108: [12, 2.9915, 0, 2.9889, 24, 2.9456, 18, 2.9432],
+    1112: [12, 3.0076, 0, 3.0052, 18, 2.9705, 24, 2.9649],
+    1128: [0, 2.9501, 12, 2.9387, 20, 2.9357, 15, 2.9355],
+    1136: [20, 3.1165, 12, 3.116, 0, 3.1049, 8, 3.1015],
+    1152: [12, 3.0155, 0, 2.9909, 6, 2.9909, 8, 2.9909],
+    1155: [12, 2.8871, 6, 2.8527, 4, 2.8482, 20, 2.8338],
+    1157: [12, 2.9691, 17, 2.9458, 22, 2.9457, 20, 2.9256],
+    1158: [12, 2.8334, 0, 2.8327, 4, 2.8278, 3, 2.8249],
+    1161: [12, 2.8968, 8, 2.8504, 6, 2.8497, 4, 2.8471],
+    1162: [0, 2.8249, 4, 2.8249, 2, 2.8249, 12, 2.7963],
+    1164: [12, 2.8341, 0, 2.8337, 4, 2.8275, 1, 2.8249],
+    1169: [12, 3.0174, 20, 2.999, 8, 2.9987, 16, 2.9835],
+    1170: [12, 2.8757, 0, 2.8482, 20, 2.8397, 8, 2.8359],
+    1172: [12, 2.933, 20, 2.9039, 17, 2.9033, 22, 2.9031],
+    1176: [12, 2.8659, 0, 2.8471, 8, 2.8345, 20, 2.8278],
+    1185: [20, 3.0921, 15, 3.092, 12, 3.0826, 8, 3.058],
+    1186: [0, 2.8201, 6, 2.8201, 12, 2.8193, 8, 2.8145],
+    1188: [12, 2.9147, 0, 2.9086, 20, 2.9053, 15, 2.901],
+    1192: [0, 2.8261, 8, 2.8261, 12, 2.8205, 6, 2.8146],
+    1200: [12, 3.0121, 8, 3.012, 20, 3.0054, 16, 2.9932],
+    1217: [12, 3.0882, 18, 3.077, 24, 3.077, 5, 3.0575],
+    1218: [12, 2.8871, 0, 2.8527, 16, 2.8482, 8, 2.8338],
+    1220: [12, 2.9311, 0, 2.9092, 17, 2.9, 22, 2.8999],
+    1224: [12, 2.8586, 0, 2.8497, 8, 2.8357, 18, 2.8278],
+    1232: [12, 3.0132, 8, 3.0058, 20, 2.9928, 5, 2.988],
+    1248: [8, 3.0921, 9, 3.092, 12, 3.0826, 20, 3.058],
+    1280: [12, 3.1582, 20, 3.1581, 4, 3.1521, 16, 3.1517],
+    1283: [12, 3.0513, 4, 3.0467, 16, 3.0424, 20, 3.0419],
+    1285: [12, 3.0363, 4, 3.0279, 20, 3.0279, 16, 3.0181],
+    1286: [4, 2.9709, 0, 2.9662, 3, 2.9659, 12, 2.9554],
+    1289: [12, 3.0902, 20, 3.07, 4, 3.056, 18, 3.0532],
+    1290: [4, 2.9735, 0, 2.9687, 12, 2.9678, 2, 2.9659],
+    1292: [0, 2.9684, 4, 2.968, 1, 2.9659, 12, 2.9642],
+    1297: [12, 3.2399, 16, 3.2392, 20, 3.2392, 15, 3.189],
+    1298: [12, 3.1042, 16, 3.1037, 20, 3.1036, 0, 3.0467],
+    1300: [12, 3.0713, 16, 3.0703, 20, 3.0702, 0, 3.0279],
+    1304: [12, 3.1053, 16, 3.1037, 20, 3.1036, 0, 3.056],
+    1313: [20, 3.2236, 15, 3.2236, 12, 3.2182, 16, 3.1899],
+    1314: [20, 2.9703, 0, 2.9626, 15, 2.9618, 12, 2.9612],
+    1316: [0, 2.9684, 20, 2.968, 15, 2.9659, 12, 2.9642],
+    1320: [0, 3.0058, 20, 3.0045, 15, 3.0035, 12, 2.9934],
+    1328: [20, 3.2017, 12, 3.2017, 16, 3.2016, 0, 3.1885],
+    1345: [12, 3.221, 18, 3.2095, 24, 3.2095, 20, 3.2028],
+    1346: [12, 3.0283, 16, 3.0154, 4, 3.0104, 20, 3.008],
+    1348: [12, 2.9742, 0, 2.9523, 20, 2.935, 4, 2.9293],
+    1352: [12, 3.0295, 0, 3.0208, 18, 3.0061, 24, 2.9891],
+    1360: [12, 3.2101, 20, 3.2095, 16, 3.2094, 0, 3.17],
+    1376: [0, 3.1558, 20, 3.1558, 12, 3.1539, 15, 3.1526],
+    1409: [5, 3.058, 12, 3.0544, 20, 3.0502, 6, 3.0502],
+    1410: [12, 2.863, 16, 2.8397, 4, 2.8359, 20, 2.8343],
+    1412: [12, 2.9354, 20, 2.9065, 17, 2.9, 22, 2.8999],
+    1416: [12, 2.8968, 0, 2.8504, 20, 2.8497, 18, 2.8471],
+    1424: [12, 3.0777, 20, 3.077, 16, 3.0766, 5, 3.012],
+    1440: [6, 3.0921, 9, 3.092, 12, 3.0826, 0, 3.058],
+    1472: [5, 3.0921, 9, 3.092, 12, 3.0811, 0, 3.0502],
+    1536: [12, 3.0235, 6, 3.0002, 8, 3.0002, 24, 2.9989],
+    1539: [12, 2.8698, 6, 2.8608, 4, 2.8575, 24, 2.8416],
+    1541: [12, 2.8897, 4, 2.8601, 6, 2.8561, 24, 2.8492],
+    1542: [4, 2.7992, 0, 2.7988, 3, 2.7985, 12, 2.753],
+    1545: [12, 2.8774, 6, 2.8573, 4, 2.856, 24, 2.8521],
+    1546: [0, 2.799, 4, 2.7988, 2, 2.7985, 12, 2.7469],
+    1548: [4, 2.7992, 0, 2.7988, 1, 2.7985, 12, 2.7531],
+    1553: [12, 3.0589, 6, 3.0365, 24, 3.0337, 20, 3.0275],
+    1554: [12, 2.8879, 0, 2.8575, 20, 2.8502, 6, 2.8449],
+    1556: [12, 2.8925, 0, 2.8601, 24, 2.8518, 20, 2.846],
+    1560: [12, 2.8786, 0, 2.856, 8, 2.8522, 20, 2.8406],
+    1569: [20, 3.0819, 15, 3.0818, 12, 3.0599, 6, 3.0582],
+    1570: [6, 2.8185, 0, 2.8165, 8, 2.8141, 20, 2.8124],
+    1572: [8, 2.8449, 6, 2.8432, 7, 2.8421, 12, 2.8375],
+    1576: [8, 2.8231, 0, 2.8209, 6, 2.8149, 20, 2.8135],
+    1584: [20, 3.0266, 12, 3.0196, 8, 3.0121, 0, 3.0113],
+    1601: [12, 3.1115, 18, 3.1045, 24, 3.1044, 8, 3.0642],
+    1602: [12, 2.8812, 0, 2.8608, 4, 2.8449, 8, 2.8332],
+    1604: [12, 2.8758, 0, 2.8561, 7, 2.8436, 5, 2.8432],
+    1608: [12, 2.8574, 0, 2.8573, 18, 2.8357, 8, 2.8343],
+    1616: [12, 3.0671, 0, 3.0365, 8, 3.0329, 24, 3.0277],
+    1632: [8, 3.0925, 7, 3.092, 12, 3.0854, 0, 3.0582],
+    1665: [5, 3.0465, 6, 3.0465, 8, 3.0465, 12, 3.0174],
+    1666: [6, 2.8117, 8, 2.8114, 5, 2.8114, 12, 2.7674],
+    1668: [6, 2.8436, 8, 2.8433, 12, 2.8431, 5, 2.8421],
+    1672: [8, 2.8125, 5, 2.8122, 6, 2.8122, 12, 2.7676],
+    1680: [8, 2.988, 6, 2.9873, 5, 2.9862, 12, 2.9791],
+    1696: [6, 3.092, 8, 3.092, 12, 3.0792, 20, 3.0465],
+    1728: [5, 3.092, 8, 3.092, 12, 3.0792, 0, 3.0465],
+    1793: [12, 3.0648, 6, 3.0642, 5, 3.0571, 20, 3.0518],
+    1794: [12, 2.8536, 4, 2.8414, 20, 2.8372, 16, 2.8344],
+    1796: [12, 2.8716, 5, 2.8449, 7, 2.8433, 6, 2.8431],
+    1800: [12, 2.8827, 4, 2.8522, 20, 2.8464, 0, 2.8408],
+    1808: [12, 3.1056, 20, 3.1044, 16, 3.1042, 6, 3.0329],
+    1824: [6, 3.0925, 7, 3.092, 12, 3.0854, 20, 3.0582],
+    1856: [5, 3.0925, 12, 3.0925, 7, 3.092, 0, 3.0642],
+    1920: [5, 3.092, 6, 3.092, 12, 3.0792, 20, 3.0465],
+    2056: [12, 3.0235, 0, 3.0002, 4, 3.0002, 8, 2.9989],
+    2059: [4, 3.0925, 2, 3.092, 12, 3.0854, 6, 3.0582],
+    2061: [1, 3.092, 4, 3.092, 12, 3.0792, 6, 3.0465],
+    2062: [0, 3.092, 4, 3.092, 12, 3.0792, 16, 3.0465],
+    2064: [12, 3.1582, 16, 3.1581, 8, 3.1521, 20, 3.1517],
+    2067: [6, 3.1558, 16, 3.1558, 12, 3.1539, 21, 3.1526],
+    2069: [1, 3.0921, 3, 3.092, 12, 3.0811, 16, 3.0502],
+    2070: [0, 3.0921, 3, 3.092, 12, 3.0826, 6, 3.058],
+    2073: [1, 3.0925, 12, 3.0925, 2, 3.092, 6, 3.0642],
+    2074: [0, 3.0925, 2, 3.092, 12, 3.0854, 16, 3.0582],
+    2076: [0, 3.092, 1, 3.092, 12, 3.0792, 16, 3.0465],
+    2089: [12, 2.8812, 6, 2.8608, 8, 2.8449, 4, 2.8332],
+    2090: [0, 2.8185, 6, 2.8165, 4, 2.8141, 16, 2.8124],
+    2092: [0, 2.8117, 4, 2.8114, 1, 2.8114, 12, 2.7674],
+    2097: [12, 3.0283, 20, 3.0154, 8, 3.0104, 16, 3.008],
+    2098: [16, 2.9703, 6, 2.9626, 21, 2.9618, 12, 2.9612],
+    2100: [12, 2.863, 20, 2.8397, 8, 2.8359, 16, 2.8343],
+    2104: [12, 2.8536, 8, 2.8414, 16, 2.8372, 20, 2.8344],
+    2121: [12, 3.1115, 24, 3.1045, 18, 3.1044, 4, 3.0642],
+    2122: [16, 3.0819, 21, 3.0818, 12, 3.0599, 0, 3.0582],
+    2124: [1, 3.0465, 0, 3.0465, 4, 3.0465, 12, 3.0174],
+    2129: [12, 3.221, 24, 3.2095, 18, 3.2095, 16, 3.2028],
+    2130: [16, 3.2236, 21, 3.2236, 12, 3.2182, 20, 3.1899],
+    2132: [1, 3.058, 12, 3.0544, 16, 3.0502, 0, 3.0502],
+    2136: [12, 3.0648, 0, 3.0642, 1, 3.0571, 16, 3.0518],
+    2152: [12, 2.8698, 0, 2.8608, 8, 2.8575, 18, 2.8416],
+    2160: [12, 3.0513, 8, 3.0467, 20, 3.0424, 16, 3.0419],
+    2176: [12, 3.0108, 6, 3.0002, 8, 2.9839, 16, 2.9839],
+    2179: [6, 2.9451, 12, 2.9399, 16, 2.9395, 21, 2.9381],
+    2181: [12, 2.9311, 6, 2.9092, 22, 2.9, 17, 2.8999],
+    2182: [12, 2.9147, 6, 2.9086, 16, 2.9053, 21, 2.901],
+    2185: [12, 2.8758, 6, 2.8561, 2, 2.8436, 1, 2.8432],
+    2186: [4, 2.8449, 0, 2.8432, 2, 2.8421, 12, 2.8375],
+    2188: [0, 2.8436, 4, 2.8433, 12, 2.8431, 1, 2.8421],
+    2193: [12, 2.9742, 6, 2.9523, 16, 2.935, 8, 2.9293],
+    2194: [6, 2.9684, 16, 2.968, 21, 2.9659, 12, 2.9642],
+    2196: [12, 2.9354, 16, 2.9065, 22, 2.9, 17, 2.8999],
+    2200: [12, 2.8716, 1, 2.8449, 2, 2.8433, 0, 2.8431],
+    2210: [6, 2.9298, 8, 2.9257, 16, 2.9257, 21, 2.9254],
+    2212: [12, 2.8334, 6, 2.8327, 8, 2.8278, 9, 2.8249],
+    2216: [8, 2.7992, 6, 2.7988, 9, 2.7985, 12, 2.753],
+    2224: [8, 2.9709, 6, 2.9662, 9, 2.9659, 12, 2.9554],
+    2241: [12, 3.0529, 24, 3.0463, 18, 3.0463, 8, 2.9889],
+    2242: [16, 3.0577, 21, 3.0577, 12, 3.0404, 8, 3.0027],
+    2244: [12, 2.9691, 22, 2.9458, 17, 2.9457, 16, 2.9256],
+    2248: [12, 2.8897, 8, 2.8601, 0, 2.8561, 18, 2.8492],
+    2256: [12, 3.0363, 8, 3.0279, 16, 3.0279, 20, 3.0181],
+    2304: [12, 3.1527, 4, 3.1521, 20, 3.1521, 16, 3.1519],
+    2307: [16, 3.1165, 12, 3.116, 6, 3.1049, 4, 3.1015],
+    2309: [12, 3.0132, 4, 3.0058, 16, 2.9928, 1, 2.988],
+    2310: [12, 3.0121, 4, 3.012, 16, 3.0054, 20, 2.9932],
+    2313: [12, 3.0671, 6, 3.0365, 4, 3.0329, 18, 3.0277],
+    2314: [16, 3.0266, 12, 3.0196, 4, 3.0121, 6, 3.0113],
+    2316: [4, 2.988, 0, 2.9873, 1, 2.9862, 12, 2.9791],
+    2321: [12, 3.2101, 16, 3.2095, 20, 3.2094, 6, 3.17],
+    2322: [16, 3.2017, 12, 3.2017, 20, 3.2016, 6, 3.1885],
+    2324: [12, 3.0777, 16, 3.077, 20, 3.0766, 1, 3.012],
+    2328: [12, 3.1056, 16, 3.1044, 20, 3.1042, 0, 3.0329],
+    2337: [12, 3.0531, 20, 3.032, 6, 3.0279, 16, 3.0161],
+    2338: [16, 3.003, 6, 3, 21, 2.9999, 12, 2.9739],
+    2340: [12, 2.8757, 6, 2.8482, 16, 2.8397, 4, 2.8359],
+    2344: [12, 2.8879, 6, 2.8575, 16, 2.8502, 0, 2.8449],
+    2352: [12, 3.1042, 20, 3.1037, 16, 3.1036, 6, 3.0467],
+    2369: [12, 3.2052, 24, 3.1919, 18, 3.1917, 20, 3.1721],
+    2370: [16, 3.2005, 21, 3.2005, 12, 3.1962, 20, 3.189],
+    2372: [12, 3.0174, 16, 2.999, 4, 2.9987, 20, 2.9835],
+    2376: [12, 3.0589, 0, 3.0365, 18, 3.0337, 16, 3.0275],
+    2384: [12, 3.2399, 20, 3.2392, 16, 3.2392, 21, 3.189],
+    2400: [12, 3.0823, 7, 3.0577, 9, 3.0577, 20, 3.056],
+    2433: [12, 2.9915, 6, 2.9889, 18, 2.9456, 24, 2.9432],
+    2434: [16, 3.003, 6, 3.0027, 21, 3.0026, 12, 2.9717],
+    2436: [12, 2.933, 16, 2.9039, 22, 2.9033, 17, 2.9031],
+    2440: [12, 2.8925, 6, 2.8601, 18, 2.8518, 16, 2.846],
+    2448: [12, 3.0713, 20, 3.0703, 16, 3.0702, 6, 3.0279],
+    2464: [6, 3.0577, 9, 3.0577, 12, 3.0404, 16, 3.003],
+    2496: [12, 3.06, 5, 3.0577, 9, 3.0577, 16, 3.0373],
+    2560: [12, 3.0221, 6, 3.0098, 4, 3.0032, 8, 2.9959],
+    2563: [6, 2.9501, 12, 2.9387, 16, 2.9357, 21, 2.9355],
+    2565: [12, 2.8586, 6, 2.8497, 4, 2.8357, 24, 2.8278],
+    2566: [4, 2.8261, 6, 2.8261, 12, 2.8205, 16, 2.8146],
+    2569: [12, 2.8574, 6, 2.8573, 24, 2.8357, 4, 2.8343],
+    2570: [4, 2.8231, 6, 2.8209, 0, 2.8149, 16, 2.8135],
+    2572: [4, 2.8125, 1, 2.8122, 0, 2.8122, 12, 2.7676],
+    2577: [12, 3.0295, 6, 3.0208, 24, 3.0061, 18, 2.9891],
+    2578: [6, 3.0058, 16, 3.0045, 21, 3.0035, 12, 2.9934],
+    2580: [12, 2.8968, 6, 2.8504, 16, 2.8497, 24, 2.8471],
+    2584: [12, 2.8827, 8, 2.8522, 16, 2.8464, 6, 2.8408],
+    2593: [6, 2.95, 12, 2.9414, 8, 2.9397, 7, 2.9381],
+    2594: [6, 2.9289, 8, 2.9257, 7, 2.9254, 16, 2.9228],
+    2596: [6, 2.8249, 8, 2.8249, 7, 2.8249, 12, 2.7963],
+    2600: [6, 2.799, 8, 2.7988, 7, 2.7985, 12, 2.7469],
+    2608: [8, 2.9735, 6, 2.9687, 12, 2.9678, 7, 2.9659],
+    2625: [12, 3.0832, 24, 3.0797, 18, 3.0796, 4, 3.0208],
+    2626: [16, 3.0559, 21, 3.0558, 12, 3.0277, 4, 3.0058],
+    2628: [12, 2.8968, 4, 2.8504, 0, 2.8497, 8, 2.8471],
+    2632: [12, 2.8774, 0, 2.8573, 8, 2.856, 18, 2.8521],
+    2640: [12, 3.0902, 16, 3.07, 8, 3.056, 24, 3.0532],
+    2656: [8, 3.0577, 7, 3.0577, 12, 3.0408, 16, 3.003],
+    2689: [6, 2.9454, 8, 2.9381, 5, 2.9381, 12, 2.9302],
+    2690: [6, 2.9299, 8, 2.9258, 16, 2.9258, 21, 2.9254],
+    2692: [12, 2.8341, 6, 2.8337, 8, 2.8275, 5, 2.8249],
+    2696: [8, 2.7992, 6, 2.7988, 5, 2.7985, 12, 2.7531],
+    2704: [6, 2.9684, 8, 2.968, 5, 2.9659, 12, 2.9642],
+    2720: [6, 3.0577, 8, 3.0577, 12, 3.0403, 16, 3.0026],
+    2752: [8, 3.0577, 5, 3.0577, 12, 3.0404, 16, 3.0027],
+    2817: [12, 3.0076, 6, 3.0052, 24, 2.9705, 18, 2.9649],
+    2818: [16, 3.0004, 6, 3, 21, 2.9999, 12, 2.9648],
+    2820: [12, 2.8659, 6, 2.8471, 4, 2.8345, 16, 2.8278],
+    2824: [12, 2.8786, 6, 2.856, 4, 2.8522, 16, 2.8406],
+    2832: [12, 3.1053, 20, 3.1037, 16, 3.1036, 6, 3.056],
+    2848: [6, 3.0577, 7, 3.0577, 12, 3.0411, 16, 3.0057],
+    2880: [12, 3.0823, 7, 3.0577, 5, 3.0577, 4, 3.056],
+    2944: [6, 3.0577, 5, 3.0577, 12, 3.0404, 16, 3.003],
+    3081: [12, 2.998, 13, 2.9869, 14, 2.9865, 4, 2.9392],
+    3082: [12, 2.9173, 0, 2.9116, 4, 2.9092, 2, 2.901],
+    3084: [12, 2.9049, 4, 2.9031, 0, 2.9028, 1, 2.901],
+    3089: [12, 3.0948, 13, 3.066, 14, 3.066, 16, 3.058],
+    3090: [12, 3.0258, 16, 3.006, 6, 2.9918, 20, 2.9913],
+    3092: [12, 2.966, 13, 2.9459, 14, 2.9457, 0, 2.9256],
+    3096: [12, 2.9978, 13, 2.9868, 14, 2.9865, 8, 2.9487],
+    3112: [12, 2.8349, 0, 2.8231, 13, 2.818, 14, 2.8169],
+    3120: [12, 2.9994, 20, 2.998, 8, 2.9882, 16, 2.986],
+    3144: [12, 2.9587, 13, 2.9472, 14, 2.9467, 0, 2.9351],
+    3152: [12, 3.0841, 16, 3.059, 8, 3.05, 13, 3.0487],
+    3204: [12, 2.8714, 17, 2.8643, 22, 2.8643, 13, 2.8643],
+    3208: [12, 2.7951, 13, 2.7945, 14, 2.7942, 8, 2.7413],
+    3216: [12, 2.9217, 14, 2.9, 13, 2.8999, 8, 2.8943],
+    3329: [12, 3.0841, 20, 3.059, 4, 3.05, 14, 3.0487],
+    3330: [12, 2.9994, 16, 2.998, 4, 2.9882, 20, 2.986],
+    3332: [12, 2.9217, 13, 2.9, 14, 2.8999, 4, 2.8943],
+    3336: [12, 3.0171, 13, 3.0145, 14, 3.0143, 18, 2.9814],
+    3344: [12, 3.1471, 16, 3.1466, 20, 3.1466, 13, 3.1127],
+    3360: [12, 3.0258, 20, 3.006, 0, 2.9918, 16, 2.9913],
+    3392: [12, 3.0948, 14, 3.066, 13, 3.066, 20, 3.058],
+    3456: [12, 2.966, 14, 2.9459, 13, 2.9457, 6, 2.9256],
+    3585: [12, 2.9587, 14, 2.9472, 13, 2.9467, 6, 2.9351],
+    3586: [12, 2.8349, 6, 2.8231, 14, 2.818, 13, 2.8169],
+    3588: [12, 2.7951, 14, 2.7945, 13, 2.7942, 4, 2.7413],
+    3592: [12, 2.8177, 13, 2.8176, 14, 2.8176, 4, 2.7537],
+    3600: [12, 3.0171, 14, 3.0145, 13, 3.0143, 24, 2.9814],
+    3616: [12, 2.9173, 6, 2.9116, 8, 2.9092, 7, 2.901],
+    3648: [12, 2.998, 14, 2.9869, 13, 2.9865, 8, 2.9392],
+    3712: [12, 2.9049, 8, 2.9031, 6, 2.9028, 5, 2.901],
+    3840: [12, 2.9978, 14, 2.9868, 13, 2.9865, 4, 2.9487],
+    4097: [6, 3.3267, 18, 3.3267, 24, 3.3267, 8, 3.2995],
+    4098: [16, 3.1898, 0, 3.1898, 4, 3.1898, 6, 3.1898],
+    4100: [0, 3.167, 4, 3.167, 16, 3.1582, 18, 3.1582],
+    4103: [4, 3.2522, 3, 3.2521, 18, 3.2204, 6, 3.2198],
+    4107: [4, 3.2523, 2, 3.2521, 6, 3.2214, 18, 3.2214],
+    4109: [4, 3.2522, 1, 3.2521, 6, 3.2204, 18, 3.2198],
+    4110: [0, 3.2521, 4, 3.2521, 8, 3.2179, 16, 3.2179],
+    4115: [6, 3.2843, 16, 3.2843, 8, 3.2785, 18, 3.2785],
+    4117: [1, 3.2522, 3, 3.2522, 6, 3.2465, 8, 3.2465],
+    4131: [6, 3.1033, 8, 3.0846, 16, 3.0846, 4, 3.0833],
+    4133: [6, 3.0933, 8, 3.0902, 18, 3.0832, 20, 3.0823],
+    4134: [4, 3.0279, 0, 3.0268, 3, 3.0264, 8, 2.9884],
+    4137: [8, 3.1143, 6, 3.1081, 18, 3.1081, 24, 3.0984],
+    4138: [0, 3.027, 4, 3.027, 2, 3.0264, 8, 2.9787],
+    4140: [0, 3.0277, 4, 3.0266, 1, 3.0264, 8, 2.9934],
+    4145: [8, 3.281, 16, 3.2755, 20, 3.2754, 6, 3.253],
+    4146: [8, 3.1248, 20, 3.1207, 16, 3.1207, 6, 3.0846],
+    4148: [8, 3.1101, 20, 3.1037, 16, 3.1036, 0, 3.0751],
+    4152: [8, 3.1081, 20, 3.0985, 16, 3.0984, 0, 3.0841],
+    4160: [0, 3.3267, 18, 3.3267, 24, 3.3267, 4, 3.2995],
+    4163: [18, 3.3024, 24, 3.3024, 16, 3.2843, 4, 3.2843],
+    4165: [18, 3.2675, 24, 3.2675, 4, 3.2465, 16, 3.221],
+    4166: [0, 3.2198, 4, 3.2182, 3, 3.2179, 18, 3.2018],
+    4169: [18, 3.3024, 24, 3.3024, 8, 3.281, 4, 3.2785],
+    4170: [0, 3.2214, 4, 3.2192, 2, 3.2179, 24, 3.2035],
+    4172: [0, 3.2204, 4, 3.2181, 1, 3.2179, 24, 3.2019],
+    4177: [18, 3.433, 24, 3.433, 8, 3.4252, 16, 3.4232],
+    4178: [0, 3.2843, 16, 3.2843, 8, 3.281, 24, 3.281],
+    4180: [0, 3.2465, 24, 3.2399, 18, 3.2393, 16, 3.221],
+    4184: [0, 3.2785, 18, 3.2755, 24, 3.2755, 8, 3.253],
+    4194: [0, 3.1033, 4, 3.0846, 20, 3.0846, 8, 3.0833],
+    4196: [0, 3.0933, 8, 3.0914, 24, 3.0814, 18, 3.0798],
+    4200: [0, 3.1081, 18, 3.0985, 24, 3.0984, 8, 3.0841],
+    4208: [8, 3.2785, 20, 3.2755, 16, 3.2755, 0, 3.253],
+    4224: [6, 3.167, 8, 3.167, 4, 3.1582, 24, 3.1582],
+    4227: [6, 3.0933, 4, 3.0914, 18, 3.0814, 24, 3.0798],
+    4229: [6, 3.1507, 18, 3.1469, 24, 3.1466, 17, 3.1441],
+    4230: [4, 3.0772, 0, 3.076, 3, 3.0751, 22, 3.0506],
+    4233: [6, 3.1101, 18, 3.1053, 24, 3.1037, 4, 3.0914],
+    4234: [0, 3.0752, 4, 3.0752, 2, 3.0751, 8, 3.0004],
+    4241: [6, 3.2197, 8, 3.2197, 16, 3.2102, 18, 3.2102],
+    4257: [6, 3.2198, 8, 3.2182, 9, 3.2179, 24, 3.2018],
+    4258: [8, 3.0279, 6, 3.0268, 9, 3.0264, 4, 2.9884],
+    4260: [8, 3.0772, 6, 3.076, 9, 3.0751, 17, 3.0506],
+    4264: [8, 3.0277, 6, 3.0266, 9, 3.0264, 0, 2.9934],
+    4272: [8, 3.2204, 6, 3.2181, 9, 3.2179, 16, 3.2019],
+    4289: [18, 3.2675, 24, 3.2675, 8, 3.2465, 20, 3.221],
+    4290: [0, 3.0933, 4, 3.0902, 24, 3.0832, 16, 3.0823],
+    4292: [0, 3.1507, 24, 3.1469, 18, 3.1466, 22, 3.1441],
+    4296: [0, 3.1101, 18, 3.1037, 24, 3.1036, 8, 3.0751],
+    4304: [8, 3.2465, 16, 3.2399, 20, 3.2393, 24, 3.221],
+    4320: [8, 3.2522, 9, 3.2521, 24, 3.2204, 0, 3.2198],
+    4385: [6, 3.2843, 20, 3.2843, 4, 3.281, 18, 3.281],
+    4386: [4, 3.1248, 16, 3.1207, 20, 3.1207, 0, 3.0846],
+    4388: [4, 3.1101, 20, 3.1053, 16, 3.1037, 6, 3.0914],
+    4392: [0, 3.1143, 20, 3.1081, 4, 3.1081, 16, 3.0984],
+    4400: [16, 3.3024, 20, 3.3024, 0, 3.281, 6, 3.2785],
+    4417: [18, 3.433, 24, 3.433, 4, 3.4252, 20, 3.4232],
+    4418: [4, 3.281, 20, 3.2755, 16, 3.2754, 0, 3.253],
+    4420: [4, 3.2197, 0, 3.2197, 20, 3.2102, 24, 3.2102],
+    4448: [0, 3.2843, 20, 3.2843, 4, 3.2785, 24, 3.2785],
+    4512: [6, 3.2522, 9, 3.2521, 4, 3.2204, 20, 3.2198],
+    4544: [5, 3.2522, 9, 3.2522, 0, 3.2465, 4, 3.2465],
+    4641: [6, 3.2214, 8, 3.2192, 7, 3.2179, 18, 3.2035],
+    4642: [6, 3.027, 8, 3.027, 7, 3.0264, 4, 2.9787],
+    4644: [6, 3.0752, 8, 3.0752, 7, 3.0751, 0, 3.0004],
+    4704: [8, 3.2523, 7, 3.2521, 0, 3.2214, 24, 3.2214],
+    4768: [6, 3.2521, 8, 3.2521, 4, 3.2179, 0, 3.2179],
+    5125: [4, 3.06, 20, 3.06, 18, 3.0529, 6, 3.0529],
+    5126: [0, 3.0404, 4, 3.0404, 3, 3.0403, 20, 2.9717],
+    5129: [18, 3.0933, 8, 3.0902, 6, 3.0832, 4, 3.0823],
+    5130: [4, 3.0411, 0, 3.0408, 2, 3.0403, 20, 2.9795],
+    5132: [0, 3.0404, 4, 3.0404, 1, 3.0403, 20, 2.9717],
+    5137: [16, 3.2399, 8, 3.2399, 20, 3.2392, 18, 3.2052],
+    5138: [16, 3.1053, 8, 3.1042, 20, 3.1037, 0, 3.0823],
+    5140: [8, 3.0713, 16, 3.0713, 20, 3.0703, 0, 3.06],
+    5144: [8, 3.1053, 16, 3.1042, 20, 3.1037, 0, 3.0823],
+    5160: [0, 3.0277, 20, 3.0266, 15, 3.0264, 8, 2.9934],
+    5168: [20, 3.2028, 16, 3.2019, 8, 3.2017, 0, 3.1962],
+    5188: [0, 3.0529, 18, 3.0463, 24, 3.0463, 4, 2.9915],
+    5192: [0, 3.0832, 18, 3.0798, 24, 3.0797, 8, 3.0295],
+    5200: [16, 3.2102, 8, 3.2101, 20, 3.2099, 0, 3.2052],
+    5249: [6, 3.0882, 5, 3.0826, 20, 3.0811, 15, 3.0792],
+    5250: [0, 2.8871, 6, 2.8871, 4, 2.8757, 16, 2.8757],
+    5252: [17, 3.001, 22, 3.001, 0, 2.9691, 20, 2.966],
+    5256: [0, 2.8968, 8, 2.8968, 18, 2.8659, 4, 2.8659],
+    5264: [8, 3.0777, 20, 3.077, 16, 3.0766, 0, 3.0174],
+    5280: [0, 3.0826, 20, 3.0826, 6, 3.0826, 8, 3.0826],
+    5312: [0, 3.0882, 5, 3.0826, 8, 3.0811, 9, 3.0792],
+    5377: [20, 3.2465, 4, 3.2399, 16, 3.2393, 6, 3.221],
+    5378: [4, 3.1042, 16, 3.1037, 20, 3.1036, 0, 3.0513],
+    5380: [4, 3.0713, 20, 3.0713, 16, 3.0703, 0, 3.0363],
+    5384: [20, 3.1101, 4, 3.1053, 16, 3.1037, 18, 3.0914],
+    5392: [16, 3.2675, 20, 3.2675, 0, 3.2399, 18, 3.2102],
+    5408: [20, 3.2198, 0, 3.2182, 15, 3.2179, 16, 3.2018],
+    5440: [0, 3.221, 20, 3.221, 4, 3.2101, 24, 3.2101],
+    5504: [20, 3.0882, 5, 3.0826, 6, 3.0811, 9, 3.0792],
+    5633: [6, 3.1115, 24, 3.1046, 18, 3.1045, 20, 3.0664],
+    5634: [4, 2.8879, 6, 2.8812, 0, 2.8698, 16, 2.8592],
+    5636: [4, 2.8925, 0, 2.8897, 6, 2.8758, 8, 2.8716],
+    5640: [8, 2.8827, 4, 2.8786, 0, 2.8774, 24, 2.8617],
+    5648: [8, 3.1056, 16, 3.105, 20, 3.1046, 24, 3.0863],
+    5664: [6, 3.0854, 8, 3.0854, 7, 3.0792, 0, 3.0599],
+    5696: [0, 3.1115, 24, 3.1056, 18, 3.1045, 8, 3.0925],
+    5760: [5, 3.0792, 6, 3.0792, 8, 3.0792, 0, 3.0174],
+    5888: [20, 3.1115, 4, 3.1056, 16, 3.1045, 6, 3.0925],
+    6153: [6, 3.1115, 18, 3.1056, 24, 3.1045, 4, 3.0925],
+    6154: [0, 3.0854, 4, 3.0854, 2, 3.0792, 6, 3.0599],
+    6156: [1, 3.0792, 0, 3.0792, 4, 3.0792, 6, 3.0174],
+    6161: [16, 3.221, 6, 3.221, 8, 3.2101, 18, 3.2101],
+    6162: [16, 3.2198, 6, 3.2182, 21, 3.2179, 20, 3.2018],
+    6164: [16, 3.0882, 1, 3.0826, 0, 3.0811, 3, 3.0792],
+    6168: [16, 3.1115, 8, 3.1056, 20, 3.1045, 0, 3.0925],
+    6184: [8, 2.8879, 0, 2.8812, 6, 2.8698, 20, 2.8592],
+    6192: [8, 3.1042, 20, 3.1037, 16, 3.1036, 6, 3.0513],
+    6216: [0, 3.1115, 18, 3.1046, 24, 3.1045, 16, 3.0664],
+    6224: [16, 3.2465, 8, 3.2399, 20, 3.2393, 0, 3.221],
+    6273: [6, 3.0529, 24, 3.0463, 18, 3.0463, 8, 2.9915],
+    6274: [16, 3.0404, 6, 3.0404, 21, 3.0403, 8, 2.9717],
+    6276: [17, 3.001, 22, 3.001, 6, 2.9691, 16, 2.966],
+    6280: [8, 2.8925, 6, 2.8897, 0, 2.8758, 4, 2.8716],
+    6288: [16, 3.0713, 8, 3.0713, 20, 3.0703, 6, 3.0363],
+    6336: [8, 3.06, 16, 3.06, 0, 3.0529, 24, 3.0529],
+    6401: [20, 3.2102, 4, 3.2101, 16, 3.2099, 6, 3.2052],
+    6402: [16, 3.2028, 20, 3.2019, 4, 3.2017, 6, 3.1962],
+    6404: [4, 3.0777, 16, 3.077, 20, 3.0766, 6, 3.0174],
+    6408: [4, 3.1056, 20, 3.105, 16, 3.1046, 18, 3.0863],
+    6416: [16, 3.2675, 20, 3.2675, 6, 3.2399, 24, 3.2102],
+    6432: [20, 3.1053, 4, 3.1042, 16, 3.1037, 6, 3.0823],
+    6464: [4, 3.2399, 20, 3.2399, 16, 3.2392, 24, 3.2052],
+    6528: [4, 3.0713, 20, 3.0713, 16, 3.0703, 6, 3.06],
+    6657: [6, 3.0832, 24, 3.0798, 18, 3.0797, 4, 3.0295],
+    6658: [6, 3.0277, 16, 3.0266, 21, 3.0264, 4, 2.9934],
+    6660: [6, 2.8968, 4, 2.8968, 8, 2.8659, 24, 2.8659],
+    6664: [4, 2.8827, 8, 2.8786, 6, 2.8774, 18, 2.8617],
+    6672: [16, 3.1101, 8, 3.1053, 20, 3.1037, 24, 3.0914],
+    6688: [8, 3.0411, 6, 3.0408, 7, 3.0403, 16, 2.9795],
+    6720: [24, 3.0933, 4, 3.0902, 0, 3.0832, 8, 3.0823],
+    6784: [6, 3.0404, 8, 3.0404, 5, 3.0403, 16, 2.9717],
+    6912: [4, 3.1053, 20, 3.1042, 16, 3.1037, 6, 3.0823],
+    7176: [13, 3.0506, 14, 3.0506, 8, 3.0171, 18, 3.0146],
+    7184: [8, 3.1471, 16, 3.1469, 20, 3.1466, 13, 3.1441],
+    7424: [4, 3.1471, 20, 3.1469, 16, 3.1466, 14, 3.1441],
+    7680: [14, 3.0506, 13, 3.0506, 4, 3.0171, 24, 3.0146],
+    9216: [12, 3.0937, 14, 3.0871, 11, 3.0871, 18, 3.0532],
+    9219: [12, 2.998, 11, 2.9869, 14, 2.9865, 4, 2.9392],
+    9221: [12, 2.9691, 11, 2.9458, 14, 2.9457, 4, 2.9256],
+    9222: [12, 2.9049, 4, 2.9031, 0, 2.9028, 3, 2.901],
+    9225: [12, 3.039, 8, 3.0281, 18, 3.0268, 23, 3.018],
+    9226: [12, 2.9173, 0, 2.9116, 4, 2.9092, 2, 2.901],
+    9228: [12, 2.9147, 0, 2.9086, 4, 2.9053, 1, 2.901],
+    9233: [12, 3.0948, 11, 3.066, 14, 3.066, 8, 3.058],
+    9234: [12, 2.9978, 11, 2.9868, 14, 2.9865, 16, 2.9487],
+    9236: [12, 2.966, 11, 2.9459, 14, 2.9457, 0, 2.9256],
+    9240: [12, 3.0258, 8, 3.006, 18, 2.9918, 20, 2.9913],
+    9249: [20, 3.0846, 15, 3.0845, 12, 3.0772, 18, 3.0333],
+    9250: [12, 2.835, 0, 2.8225, 11, 2.8187, 14, 2.8176],
+    9252: [12, 2.8341, 0, 2.8337, 20, 2.8275, 15, 2.8249],
+    9256: [0, 2.9108, 8, 2.9108, 20, 2.9026, 18, 2.9026],
+    9264: [12, 2.9928, 20, 2.9916, 8, 2.9834, 16, 2.975],
+    9281: [12, 3.1469, 24, 3.1466, 18, 3.1466, 14, 3.1127],
+    9282: [12, 3.0146, 11, 3.0145, 14, 3.0143, 16, 2.9814],
+    9284: [12, 2.9147, 11, 2.9, 14, 2.8999, 0, 2.8854],
+    9288: [12, 2.9928, 18, 2.9916, 0, 2.9834, 24, 2.975],
+    9296: [12, 3.0654, 11, 3.0487, 14, 3.0487, 16, 3.0168],
+    9312: [12, 3.0258, 0, 3.006, 20, 2.9918, 18, 2.9913],
+    9345: [12, 2.9354, 6, 2.9065, 14, 2.9, 11, 2.8999],
+    9346: [12, 2.7951, 11, 2.7945, 14, 2.7942, 6, 2.7396],
+    9348: [12, 2.8714, 17, 2.8643, 22, 2.8643, 11, 2.8643],
+    9352: [12, 2.8341, 8, 2.8337, 18, 2.8275, 23, 2.8249],
+    9360: [12, 2.9147, 14, 2.9, 11, 2.8999, 8, 2.8854],
+    9376: [12, 2.9147, 8, 2.9086, 6, 2.9053, 9, 2.901],
+    9408: [12, 2.966, 14, 2.9459, 11, 2.9457, 8, 2.9256],
+    9473: [12, 3.1023, 18, 3.0794, 20, 3.0794, 4, 3.058],
+    9474: [12, 2.9637, 11, 2.9472, 14, 2.9467, 16, 2.9396],
+    9476: [12, 2.9354, 4, 2.9065, 11, 2.9, 14, 2.8999],
+    9480: [18, 3.0846, 23, 3.0845, 12, 3.0772, 20, 3.0333],
+    9488: [12, 3.1469, 16, 3.1466, 20, 3.1466, 11, 3.1127],
+    9504: [12, 3.039, 0, 3.0281, 20, 3.0268, 15, 3.018],
+    9536: [12, 3.0948, 14, 3.066, 11, 3.066, 0, 3.058],
+    9600: [12, 2.9691, 14, 2.9458, 11, 2.9457, 6, 2.9256],
+    9729: [12, 2.9637, 14, 2.9472, 11, 2.9467, 24, 2.9396],
+    9730: [12, 2.817, 14, 2.8169, 11, 2.8169, 4, 2.7508],
+    9732: [12, 2.7951, 14, 2.7945, 11, 2.7942, 4, 2.7396],
+    9736: [12, 2.835, 8, 2.8225, 14, 2.8187, 11, 2.8176],
+    9744: [12, 3.0146, 14, 3.0145, 11, 3.0143, 24, 2.9814],
+    9760: [12, 2.9173, 8, 2.9116, 6, 2.9092, 7, 2.901],
+    9792: [12, 2.9978, 14, 2.9868, 11, 2.9865, 24, 2.9487],
+    9856: [12, 2.9049, 6, 2.9031, 8, 2.9028, 5, 2.901],
+    9984: [12, 2.998, 14, 2.9869, 11, 2.9865, 6, 2.9392],
+    10240: [12, 3.0906, 10, 3.0871, 14, 3.0871, 18, 3.049],
+    10243: [12, 3.021, 6, 2.9981, 10, 2.9869, 14, 2.9868],
+    10245: [12, 2.9696, 14, 2.9459, 10, 2.9458, 4, 2.9269],
+    10246: [12, 2.9191, 0, 2.9131, 4, 2.9131, 3, 2.9086],
+    10249: [12, 3.021, 18, 2.9981, 10, 2.9869, 14, 2.9868],
+    10250: [12, 2.9464, 0, 2.9283, 4, 2.9283, 6, 2.9212],
+    10257: [12, 3.0839, 10, 3.066, 14, 3.066, 18, 3.0207],
+    10273: [12, 3.0145, 10, 3.0144, 14, 3.0143, 20, 2.9804],
+    10274: [12, 2.8349, 6, 2.8292, 16, 2.8232, 10, 2.8187],
+    10276: [12, 2.7951, 10, 2.7944, 14, 2.7942, 0, 2.7408],
+    10280: [12, 2.8353, 8, 2.8309, 18, 2.8223, 10, 2.818],
+    10288: [12, 2.9521, 10, 2.9469, 14, 2.9467, 20, 2.9318],
+    10305: [12, 3.1414, 18, 3.141, 24, 3.1409, 14, 3.1127],
+    10306: [16, 3.0781, 21, 3.0781, 12, 3.0695, 18, 3.0168],
+    10308: [12, 2.933, 0, 2.9032, 14, 2.9, 10, 2.9],
+    10312: [18, 3.0168, 12, 3.0108, 8, 3.0063, 23, 3.0035],
+    10320: [12, 3.0782, 10, 3.0487, 14, 3.0487, 16, 3.048],
+    10336: [12, 2.9935, 10, 2.9867, 14, 2.9865, 8, 2.9437],
+    10369: [12, 2.9128, 14, 2.8999, 10, 2.8999, 6, 2.8863],
+    10370: [6, 2.8416, 16, 2.8358, 21, 2.8337, 12, 2.8331],
+    10372: [12, 2.8731, 17, 2.8656, 22, 2.8656, 10, 2.8643],
+    10400: [6, 2.8938, 8, 2.8938, 12, 2.8931, 9, 2.8928],
+    10432: [12, 2.9663, 10, 2.9457, 14, 2.9457, 8, 2.9402],
+    10528: [12, 2.9935, 10, 2.9867, 14, 2.9865, 6, 2.9437],
+    10560: [12, 3.0968, 10, 3.066, 14, 3.066, 16, 3.0601],
+    10784: [12, 2.9059, 6, 2.8982, 8, 2.8982, 7, 2.8928],
+    11265: [12, 3.1441, 14, 3.144, 6, 3.1126, 18, 3.1126],
+    11266: [12, 3.0506, 14, 3.0506, 16, 3.0145, 6, 3.0145],
+    11268: [12, 3.001, 14, 3.001, 4, 2.9459, 0, 2.9458],
+    11272: [12, 3.0506, 14, 3.0506, 8, 3.0145, 18, 3.0145],
+    11280: [12, 3.1441, 14, 3.144, 8, 3.1127, 16, 3.1127],
+    11296: [12, 3.0506, 14, 3.0506, 20, 3.0144, 0, 3.0144],
+    11328: [12, 3.1441, 14, 3.144, 24, 3.1127, 0, 3.1126],
+    11392: [12, 3.001, 14, 3.001, 6, 2.9457, 8, 2.9457],
+    11520: [12, 3.1441, 14, 3.144, 4, 3.1127, 20, 3.1126],
+    11776: [12, 3.0506, 14, 3.0506, 24, 3.0143, 4, 3.0143],
+    13313: [18, 3.1507, 6, 3.1469, 24, 3.1466, 11, 3.1441],
+    13314: [11, 3.0506, 14, 3.0506, 16, 3.0171, 6, 3.0146],
+    13316: [11, 3.001, 14, 3.001, 0, 2.9691, 4, 2.966],
+    13320: [8, 3.0772, 18, 3.076, 23, 3.0751, 11, 3.0506],
+    13328: [16, 3.1471, 8, 3.1469, 20, 3.1466, 11, 3.1441],
+    13344: [0, 3.0772, 20, 3.076, 15, 3.0751, 14, 3.0506],
+    13376: [24, 3.1471, 0, 3.1469, 18, 3.1466, 14, 3.1441],
+    13440: [11, 3.001, 14, 3.001, 8, 2.9691, 6, 2.966],
+    13568: [20, 3.1507, 4, 3.1469, 16, 3.1466, 14, 3.1441],
+    13824: [14, 3.0506, 11, 3.0506, 24, 3.0171, 4, 3.0146],
+    14337: [10, 3.1441, 14, 3.1441, 18, 3.1414, 6, 3.1414],
+    14338: [16, 3.0695, 6, 3.0695, 21, 3.068, 10, 3.0506],
+    14340: [10, 3.001, 14, 3.001, 0, 2.9696, 4, 2.9696],
+    14368: [10, 3.0506, 14, 3.0506, 0, 3.0145, 20, 3.0145],
+    14400: [10, 3.1441, 14, 3.1441, 0, 3.1414, 24, 3.1414],
+    14464: [10, 3.001, 14, 3.001, 6, 2.9663, 8, 2.9663],
+    15360: [14, 3.1776, 20, 3.1441, 24, 3.1441, 0, 3.1441],
+    17408: [12, 3.0906, 13, 3.0871, 11, 3.0871, 24, 3.049],
+    17411: [12, 2.9935, 11, 2.9867, 13, 2.9865, 4, 2.9437],
+    17413: [12, 2.9663, 11, 2.9457, 13, 2.9457, 4, 2.9402],
+    17414: [0, 2.8938, 4, 2.8938, 12, 2.8931, 3, 2.8928],
+    17417: [12, 2.9935, 13, 2.9867, 11, 2.9865, 4, 2.9437],
+    17418: [12, 2.9059, 0, 2.8982, 4, 2.8982, 2, 2.8928],
+    17425: [12, 3.0968, 11, 3.066, 13, 3.066, 20, 3.0601],
+    17441: [20, 3.0781, 15, 3.0781, 12, 3.0695, 24, 3.0168],
+    17442: [12, 2.8349, 0, 2.8292, 20, 2.8232, 11, 2.8187],
+    17444: [0, 2.8416, 20, 2.8358, 15, 2.8337, 12, 2.8331],
+    17448: [12, 2.8353, 0, 2.8309, 20, 2.8223, 13, 2.818],
+    17456: [20, 3.0168, 12, 3.0108, 0, 3.0063, 15, 3.0035],
+    17473: [12, 3.1414, 24, 3.141, 18, 3.1409, 13, 3.1127],
+    17474: [12, 3.0145, 11, 3.0144, 13, 3.0143, 16, 2.9804],
+    17476: [12, 2.9128, 13, 2.8999, 11, 2.8999, 0, 2.8863],
+    17480: [12, 2.9521, 13, 2.9469, 11, 2.9467, 18, 2.9318],
+    17488: [12, 3.0782, 13, 3.0487, 11, 3.0487, 24, 3.048],
+    17504: [12, 3.021, 0, 2.9981, 11, 2.9869, 13, 2.9868],
+    17537: [12, 2.933, 6, 2.9032, 13, 2.9, 11, 2.9],
+    17538: [12, 2.7951, 11, 2.7944, 13, 2.7942, 6, 2.7408],
+    17540: [12, 2.8731, 17, 2.8656, 22, 2.8656, 11, 2.8643],
+    17568: [12, 2.9191, 6, 2.9131, 8, 2.9131, 9, 2.9086],
+    17600: [12, 2.9696, 13, 2.9459, 11, 2.9458, 8, 2.9269],
+    17696: [12, 3.021, 20, 2.9981, 13, 2.9869, 11, 2.9868],
+    17728: [12, 3.0839, 13, 3.066, 11, 3.066, 0, 3.0207],
+    17952: [12, 2.9464, 6, 2.9283, 8, 2.9283, 0, 2.9212],
+    19457: [12, 3.1441, 13, 3.144, 18, 3.1127, 6, 3.1126],
+    19458: [12, 3.0506, 13, 3.0506, 6, 3.0144, 16, 3.0144],
+    19460: [12, 3.001, 13, 3.001, 0, 2.9457, 4, 2.9457],
+    19464: [12, 3.0506, 13, 3.0506, 8, 3.0143, 18, 3.0143],
+    19472: [12, 3.1441, 13, 3.144, 8, 3.1127, 16, 3.1126],
+    19488: [12, 3.0506, 13, 3.0506, 20, 3.0145, 0, 3.0145],
+    19520: [12, 3.1441, 13, 3.144, 0, 3.1126, 24, 3.1126],
+    19584: [12, 3.001, 13, 3.001, 8, 2.9459, 6, 2.9458],
+    19712: [12, 3.1441, 13, 3.144, 4, 3.1127, 20, 3.1127],
+    19968: [12, 3.0506, 13, 3.0506, 4, 3.0145, 24, 3.0145],
+    21505: [11, 3.1441, 13, 3.1441, 6, 3.1414, 18, 3.1414],
+    21506: [11, 3.0506, 13, 3.0506, 6, 3.0145, 16, 3.0145],
+    21508: [11, 3.001, 13, 3.001, 0, 2.9663, 4, 2.9663],
+    21536: [0, 3.0695, 20, 3.0695, 15, 3.068, 11, 3.0506],
+    21568: [11, 3.1441, 13, 3.1441, 0, 3.1414, 24, 3.1414],
+    21632: [11, 3.001, 13, 3.001, 6, 2.9696, 8, 2.9696],
+    23552: [13, 3.1776, 6, 3.1441, 8, 3.1441, 18, 3.1441],
+    27648: [12, 3.1776, 16, 3.144, 20, 3.144, 6, 3.144],
+    32776: [12, 3.0142, 18, 3.0026, 0, 3.0026, 4, 2.9948],
+    32779: [4, 3.0559, 2, 3.0558, 12, 3.027, 16, 3.0038],
+    32781: [4, 3.0559, 1, 3.0558, 12, 3.0268, 16, 3.0039],
+    32782: [0, 3.0558, 4, 3.0558, 12, 3.0264, 16, 3.0035],
+    32784: [16, 3.1789, 12, 3.1787, 20, 3.1739, 8, 3.1738],
+    32787: [12, 3.0841, 16, 3.082, 20, 3.056, 3, 3.0559],
+    32789: [12, 3.0751, 16, 3.07, 1, 3.0559, 3, 3.0559],
+    32790: [0, 3.0559, 3, 3.0558, 12, 3.0266, 16, 3.0045],
+    32793: [12, 3.0833, 16, 3.0788, 20, 3.0627, 8, 3.0608],
+    32794: [0, 3.0559, 2, 3.0558, 12, 3.027, 16, 3.0049],
+    32796: [0, 3.0559, 1, 3.0558, 12, 3.0279, 16, 3.0077],
+    32810: [0, 2.9274, 4, 2.923, 20, 2.923, 2, 2.9226],
+    32812: [0, 2.9289, 20, 2.9257, 10, 2.9254, 4, 2.9228],
+    32817: [20, 3.201, 10, 3.2005, 12, 3.1975, 16, 3.191],
+    32818: [20, 3.0009, 0, 3.0002, 10, 2.9999, 12, 2.9682],
+    32820: [20, 3.0057, 0, 3.003, 10, 3.0026, 12, 2.9795],
+    32824: [20, 3.0009, 0, 3.0002, 10, 2.9999, 12, 2.9682],
+    32841: [12, 3.0795, 18, 3.0763, 24, 3.0763, 4, 3.0053],
+    32842: [0, 2.9453, 4, 2.9357, 2, 2.9355, 12, 2.9209],
+    32844: [0, 2.942, 4, 2.9357, 1, 2.9355, 12, 2.918],
+    32849: [12, 3.2412, 18, 3.2317, 24, 3.2316, 16, 3.226],
+    32850: [12, 3.0389, 0, 3.0325, 16, 3.0325, 18, 2.9997],
+    32852: [0, 3.0015, 12, 3.0007, 16, 2.974, 18, 2.9719],
+    32856: [0, 3.0053, 12, 3.0027, 18, 2.982, 16, 2.9736],
+    32880: [20, 3.1146, 12, 3.1124, 0, 3.1065, 10, 3.1009],
+    32905: [12, 2.8827, 18, 2.8522, 6, 2.8464, 8, 2.8408],
+    32906: [2, 2.8096, 4, 2.8095, 0, 2.8095, 12, 2.7673],
+    32908: [12, 2.835, 0, 2.8225, 17, 2.8187, 22, 2.8176],
+    32913: [12, 3.0323, 16, 3.0202, 20, 3.0127, 8, 3.0109],
+    32914: [12, 2.8592, 16, 2.8436, 20, 2.8344, 0, 2.8331],
+    32916: [12, 2.9645, 17, 2.9486, 22, 2.9482, 16, 2.9432],
+    32920: [12, 2.8573, 16, 2.8367, 20, 2.8357, 8, 2.8351],
+    32936: [0, 2.8231, 8, 2.8209, 20, 2.8149, 6, 2.8135],
+    32944: [20, 3.0099, 8, 3.0098, 12, 3.0092, 16, 3.0015],
+    32968: [0, 2.8464, 18, 2.8406, 12, 2.8391, 8, 2.8259],
+    32976: [12, 3.013, 8, 3.0031, 16, 3.003, 20, 2.9986],
+    33024: [20, 3.1789, 12, 3.1787, 16, 3.1739, 4, 3.1738],
+    33027: [12, 3.0536, 16, 3.0517, 20, 3.0499, 4, 3.0499],
+    33029: [12, 3.0513, 20, 3.0467, 16, 3.0424, 4, 3.0419],
+    33030: [4, 2.967, 0, 2.9621, 3, 2.9618, 20, 2.9461],
+    33033: [12, 3.0846, 20, 3.0788, 16, 3.0621, 4, 3.0608],
+    33034: [4, 2.9656, 0, 2.9627, 2, 2.9618, 12, 2.9463],
+    33036: [4, 2.9703, 0, 2.9626, 1, 2.9618, 12, 2.9612],
+    33041: [12, 3.2755, 16, 3.2755, 20, 3.2754, 18, 3.2188],
+    33042: [12, 3.0984, 20, 3.0984, 16, 3.0984, 0, 3.0499],
+    33044: [12, 3.1036, 16, 3.1036, 20, 3.1036, 0, 3.0419],
+    33048: [12, 3.1207, 20, 3.1207, 16, 3.1207, 18, 3.0608],
+    33057: [20, 3.2242, 10, 3.2236, 12, 3.2192, 16, 3.1926],
+    33058: [20, 2.9656, 0, 2.9627, 10, 2.9618, 12, 2.9463],
+    33060: [20, 2.9735, 0, 2.9687, 12, 2.9678, 10, 2.9659],
+    33064: [20, 3.0049, 0, 3.0038, 10, 3.0035, 12, 2.9787],
+    33072: [12, 3.2035, 20, 3.2035, 16, 3.2035, 0, 3.191],
+    33089: [12, 3.2419, 24, 3.2317, 18, 3.2316, 20, 3.2282],
+    33090: [12, 3.0033, 16, 3.0023, 20, 2.992, 4, 2.9913],
+    33092: [12, 2.9732, 0, 2.9537, 20, 2.9411, 16, 2.9373],
+    33096: [12, 3.0049, 0, 3.0043, 18, 2.9937, 20, 2.9736],
+    33104: [12, 3.2317, 20, 3.2317, 16, 3.2316, 0, 3.1952],
+    33120: [0, 3.1563, 20, 3.1563, 10, 3.1526, 12, 3.1511],
+    33153: [12, 3.0648, 20, 3.0642, 5, 3.0571, 6, 3.0518],
+    33154: [16, 2.8502, 12, 2.8446, 20, 2.8372, 4, 2.83],
+    33156: [12, 2.9637, 17, 2.9472, 22, 2.9467, 16, 2.9396],
+    33160: [12, 2.8774, 20, 2.8573, 18, 2.856, 16, 2.8521],
+    33168: [20, 3.1045, 12, 3.1045, 16, 3.1043, 0, 3.0109],
+    33184: [6, 3.0819, 9, 3.0818, 12, 3.0599, 20, 3.0582],
+    33216: [5, 3.0819, 9, 3.0818, 12, 3.0664, 0, 3.0518],
+    33280: [12, 3.0102, 4, 2.9917, 6, 2.9917, 16, 2.9917],
+    33283: [6, 2.8622, 12, 2.8516, 4, 2.8454, 24, 2.8408],
+    33285: [12, 2.8665, 6, 2.856, 24, 2.8427, 4, 2.8421],
+    33286: [0, 2.7875, 4, 2.7875, 3, 2.7872, 12, 2.7014],
+    33289: [6, 2.8493, 12, 2.8489, 18, 2.8477, 4, 2.8424],
+    33290: [0, 2.7875, 4, 2.7875, 2, 2.7872, 6, 2.6927],
+    33292: [4, 2.7874, 0, 2.7874, 1, 2.7872, 12, 2.7012],
+    33297: [12, 3.063, 6, 3.0476, 16, 3.0476, 20, 3.0402],
+    33298: [16, 2.8622, 12, 2.8516, 0, 2.8454, 20, 2.8408],
+    33300: [12, 2.8665, 16, 2.856, 20, 2.8427, 0, 2.8421],
+    33304: [16, 2.8493, 12, 2.8489, 8, 2.8477, 0, 2.8424],
+    33313: [20, 3.0821, 10, 3.0818, 12, 3.0629, 6, 3.058],
+    33314: [6, 2.8166, 0, 2.8166, 8, 2.812, 20, 2.812],
+    33316: [8, 2.8252, 0, 2.825, 6, 2.8246, 7, 2.8232],
+    33320: [0, 2.8201, 8, 2.8201, 6, 2.8135, 20, 2.8135],
+    33328: [20, 3.0262, 0, 3.0122, 12, 3.0116, 10, 3.008],
+    33345: [12, 3.126, 18, 3.1212, 24, 3.1212, 8, 3.067],
+    33346: [0, 2.8622, 12, 2.8516, 16, 2.8454, 18, 2.8408],
+    33348: [12, 2.8569, 0, 2.856, 7, 2.8287, 5, 2.8246],
+    33352: [0, 2.8493, 18, 2.8423, 12, 2.8319, 8, 2.8249],
+    33360: [12, 3.0663, 0, 3.0476, 16, 3.0476, 24, 3.0289],
+    33376: [8, 3.0821, 7, 3.0818, 12, 3.0629, 0, 3.058],
+    33409: [6, 3.0453, 8, 3.0435, 5, 3.0432, 12, 3.0137],
+    33410: [8, 2.8096, 5, 2.8095, 6, 2.8095, 16, 2.7389],
+    33412: [6, 2.8287, 12, 2.8276, 8, 2.8265, 5, 2.8232],
+    33416: [8, 2.811, 5, 2.811, 6, 2.811, 0, 2.748],
+    33424: [8, 2.9805, 6, 2.9739, 5, 2.9739, 12, 2.9642],
+    33440: [6, 3.0818, 8, 3.0818, 12, 3.0555, 0, 3.0432],
+    33472: [8, 3.0818, 5, 3.0818, 12, 3.056, 0, 3.0453],
+    33537: [20, 3.067, 6, 3.067, 12, 3.065, 5, 3.0551],
+    33538: [16, 2.8408, 20, 2.8299, 4, 2.8298, 6, 2.823],
+    33540: [12, 2.8495, 20, 2.8385, 4, 2.8288, 7, 2.8265],
+    33544: [20, 2.8493, 12, 2.8489, 4, 2.8477, 18, 2.8424],
+    33552: [12, 3.1212, 20, 3.1212, 16, 3.1212, 24, 3.0289],
+    33568: [6, 3.0821, 7, 3.0818, 12, 3.0629, 20, 3.058],
+    33600: [5, 3.0821, 7, 3.0818, 12, 3.0792, 0, 3.067],
+    33664: [6, 3.0818, 5, 3.0818, 12, 3.056, 20, 3.0453],
+    33804: [0, 2.9298, 4, 2.9257, 20, 2.9257, 1, 2.9254],
+    33809: [20, 3.2005, 5, 3.2005, 12, 3.1962, 8, 3.189],
+    33810: [20, 3.0004, 0, 3, 5, 2.9999, 12, 2.9648],
+    33812: [20, 3.003, 0, 3.0027, 5, 3.0026, 12, 2.9717],
+    33816: [20, 3.003, 0, 3, 5, 2.9999, 12, 2.9739],
+    33840: [0, 3.2005, 20, 3.2005, 12, 3.1958, 8, 3.1882],
+    33872: [0, 3.1056, 20, 3.1019, 5, 3.1009, 12, 3.0939],
+    33928: [0, 2.8125, 5, 2.8122, 20, 2.8122, 12, 2.7676],
+    33936: [20, 2.9789, 5, 2.975, 0, 2.975, 12, 2.9605],
+    34049: [20, 3.2237, 5, 3.2236, 12, 3.2181, 16, 3.1899],
+    34050: [20, 2.967, 0, 2.9621, 5, 2.9618, 4, 2.9461],
+    34052: [20, 2.9709, 0, 2.9662, 5, 2.9659, 12, 2.9554],
+    34056: [20, 3.0077, 0, 3.0039, 5, 3.0035, 12, 2.9884],
+    34064: [20, 3.202, 12, 3.2019, 16, 3.2016, 0, 3.189],
+    34080: [20, 3.2236, 0, 3.2236, 12, 3.2179, 16, 3.1892],
+    34112: [0, 3.1534, 20, 3.1534, 5, 3.1526, 12, 3.136],
+    34176: [5, 3.0465, 20, 3.0465, 0, 3.0465, 12, 3.0174],
+    34305: [5, 3.0818, 20, 3.0818, 12, 3.056, 6, 3.0453],
+    34306: [20, 2.8096, 5, 2.8095, 0, 2.8095, 4, 2.7389],
+    34308: [0, 2.8123, 20, 2.8123, 5, 2.8123, 12, 2.7553],
+    34312: [0, 2.811, 5, 2.811, 20, 2.811, 8, 2.748],
+    34320: [20, 3.0106, 0, 3.0083, 5, 3.008, 12, 2.9843],
+    34336: [20, 3.0818, 0, 3.0818, 12, 3.0555, 6, 3.0432],
+    34368: [0, 3.0453, 20, 3.0435, 5, 3.0432, 12, 3.0137],
+    34432: [5, 3.0036, 0, 3.0019, 6, 3.0019, 8, 3.0019],
+    34560: [20, 3.0453, 0, 3.0435, 5, 3.0432, 12, 3.0137],
+    34833: [12, 3.0295, 16, 3.0208, 20, 3.0061, 8, 2.9891],
+    34834: [16, 2.9501, 12, 2.9387, 6, 2.9357, 21, 2.9355],
+    34836: [12, 2.8586, 16, 2.8497, 0, 2.8357, 20, 2.8278],
+    34840: [12, 2.8574, 16, 2.8573, 20, 2.8357, 0, 2.8343],
+    34864: [20, 2.9738, 0, 2.9695, 10, 2.9695, 12, 2.965],
+    34896: [16, 3.0015, 12, 3.0007, 0, 2.974, 20, 2.9719],
+    34952: [12, 2.6315, 18, 2.6105, 0, 2.6041, 8, 2.5995],
+    34960: [12, 2.8153, 16, 2.8133, 20, 2.8012, 8, 2.799],
+    35073: [12, 3.026, 20, 3.0202, 16, 3.0017, 4, 2.9891],
+    35074: [16, 2.9389, 6, 2.9255, 21, 2.9253, 12, 2.9143],
+    35076: [12, 2.8161, 16, 2.8109, 20, 2.8039, 4, 2.7998],
+    35080: [12, 2.8617, 16, 2.8521, 18, 2.8369, 20, 2.8367],
+    35088: [12, 3.0797, 20, 3.0797, 16, 3.0796, 0, 2.9891],
+    35104: [20, 2.983, 0, 2.9812, 10, 2.981, 12, 2.9769],
+    35136: [12, 3.009, 16, 2.9928, 20, 2.9874, 0, 2.9716],
+    35200: [12, 2.8567, 16, 2.846, 20, 2.8354, 6, 2.8295],
+    35329: [12, 2.8569, 6, 2.856, 10, 2.8287, 5, 2.8246],
+    35330: [6, 2.7875, 16, 2.7875, 21, 2.7872, 12, 2.7014],
+    35332: [12, 2.6013, 0, 2.5797, 4, 2.5797, 6, 2.5797],
+    35336: [16, 2.582, 6, 2.582, 12, 2.5817, 8, 2.5785],
+    35344: [12, 2.8569, 16, 2.856, 14, 2.8287, 19, 2.8246],
+    35360: [20, 2.8252, 6, 2.825, 0, 2.8246, 10, 2.8232],
+    35392: [12, 2.8665, 0, 2.856, 18, 2.8427, 16, 2.8421],
+    35456: [6, 2.8123, 8, 2.8123, 5, 2.8123, 12, 2.7553],
+    35584: [12, 2.8435, 16, 2.8427, 20, 2.8385, 6, 2.8282],
+    35856: [12, 2.9928, 20, 2.9916, 16, 2.9834, 8, 2.975],
+    36096: [12, 3.0045, 20, 3.0033, 0, 2.9831, 16, 2.9827],
+    36352: [0, 2.8287, 12, 2.8276, 20, 2.8265, 5, 2.8232],
+    36873: [18, 3.1033, 8, 3.0846, 16, 3.0846, 20, 3.0833],
+    36874: [0, 3.027, 4, 3.027, 2, 3.0264, 16, 2.9787],
+    36876: [4, 3.0279, 0, 3.0268, 1, 3.0264, 16, 2.9884],
+    36881: [16, 3.281, 8, 3.2755, 20, 3.2754, 18, 3.253],
+    36882: [16, 3.1081, 20, 3.0985, 8, 3.0984, 0, 3.0841],
+    36884: [16, 3.1101, 20, 3.1037, 8, 3.1036, 0, 3.0751],
+    36888: [16, 3.1248, 20, 3.1207, 8, 3.1207, 18, 3.0846],
+    36912: [20, 3.2039, 8, 3.2035, 16, 3.2035, 0, 3.1975],
+    36936: [0, 3.0795, 18, 3.0763, 24, 3.0763, 8, 3.0049],
+    36944: [0, 3.2412, 16, 3.2412, 18, 3.2321, 20, 3.2321],
+    37000: [0, 2.8827, 18, 2.8786, 8, 2.8774, 16, 2.8617],
+    37008: [16, 3.105, 20, 3.1045, 8, 3.1045, 0, 3.0323],
+    37121: [20, 3.2785, 16, 3.2755, 4, 3.2755, 18, 3.253],
+    37122: [4, 3.0984, 20, 3.0984, 16, 3.0984, 0, 3.0536],
+    37124: [20, 3.1042, 16, 3.1037, 4, 3.1036, 0, 3.0513],
+    37128: [20, 3.1248, 16, 3.1207, 4, 3.1207, 0, 3.0846],
+    37136: [16, 3.3024, 20, 3.3024, 0, 3.2755, 18, 3.2755],
+    37152: [20, 3.2214, 0, 3.2192, 10, 3.2179, 4, 3.2035],
+    37184: [0, 3.2419, 20, 3.2419, 4, 3.2317, 24, 3.2317],
+    37248: [20, 3.1115, 16, 3.1046, 4, 3.1045, 6, 3.0664],
+    37377: [6, 3.126, 24, 3.1212, 18, 3.1212, 20, 3.0792],
+    37378: [0, 2.8516, 4, 2.8516, 6, 2.8516, 16, 2.8516],
+    37380: [4, 2.8665, 0, 2.8665, 6, 2.8569, 16, 2.8569],
+    37384: [8, 2.8489, 0, 2.8489, 4, 2.8489, 18, 2.8489],
+    37392: [16, 3.126, 20, 3.1212, 8, 3.1212, 24, 3.0792],
+    37408: [6, 3.0629, 8, 3.0629, 0, 3.0629, 20, 3.0629],
+    37440: [0, 3.126, 18, 3.1212, 24, 3.1212, 8, 3.0792],
+    37504: [6, 3.056, 8, 3.056, 5, 3.0555, 0, 3.0137],
+    37632: [20, 3.126, 16, 3.1212, 4, 3.1212, 6, 3.0792],
+    37904: [20, 3.2028, 8, 3.2019, 16, 3.2017, 0, 3.1962],
+    38144: [20, 3.2204, 0, 3.2181, 5, 3.2179, 4, 3.2019],
+    38400: [0, 3.056, 20, 3.056, 5, 3.0555, 6, 3.0137],
+    38928: [16, 3.0832, 20, 3.0798, 8, 3.0797, 0, 3.0295],
+    39168: [20, 3.0814, 16, 3.0801, 4, 3.0797, 0, 3.026],
+    39424: [6, 2.8665, 16, 2.8665, 4, 2.8569, 0, 2.8569],
+    40963: [12, 2.8812, 18, 2.8608, 16, 2.8449, 4, 2.8332],
+    40965: [12, 2.8871, 18, 2.8527, 20, 2.8482, 4, 2.8338],
+    40966: [0, 2.8117, 4, 2.8114, 3, 2.8114, 12, 2.7674],
+    40969: [18, 2.9783, 8, 2.9774, 23, 2.9755, 12, 2.9679],
+    40970: [0, 2.8185, 18, 2.8165, 4, 2.8141, 8, 2.8124],
+    40972: [0, 2.8201, 18, 2.8201, 12, 2.8193, 4, 2.8145],
+    40977: [12, 3.0283, 20, 3.0154, 16, 3.0104, 8, 3.008],
+    40978: [12, 2.8536, 16, 2.8414, 8, 2.8372, 20, 2.8344],
+    40980: [12, 2.863, 20, 2.8397, 16, 2.8359, 8, 2.8343],
+    40984: [8, 2.9703, 18, 2.9626, 23, 2.9618, 12, 2.9612],
+    40993: [10, 3.0845, 20, 3.0845, 12, 3.0752, 18, 3.0185],
+    40994: [10, 2.8096, 20, 2.8095, 0, 2.8095, 12, 2.7673],
+    40996: [0, 2.8249, 20, 2.8249, 10, 2.8249, 12, 2.7963],
+    41000: [20, 2.8983, 0, 2.8981, 10, 2.8974, 8, 2.889],
+    41008: [20, 2.9738, 0, 2.9695, 10, 2.9695, 12, 2.965],
+    41025: [12, 3.0814, 24, 3.0797, 18, 3.0796, 20, 3.0202],
+    41026: [12, 2.8507, 18, 2.8416, 16, 2.8365, 0, 2.831],
+    41028: [12, 2.8052, 0, 2.7978, 18, 2.7953, 24, 2.7785],
+    41032: [18, 2.9321, 8, 2.9254, 23, 2.9253, 12, 2.9037],
+    41040: [12, 2.9472, 16, 2.9254, 0, 2.922, 18, 2.9202],
+    41056: [0, 2.983, 20, 2.9812, 10, 2.981, 12, 2.9769],
+    41089: [12, 2.8716, 5, 2.8449, 10, 2.8433, 20, 2.8431],
+    41090: [12, 2.6287, 16, 2.6085, 0, 2.6012, 18, 2.6003],
+    41092: [12, 2.7951, 17, 2.7945, 22, 2.7942, 18, 2.7396],
+    41096: [18, 2.7992, 8, 2.7988, 23, 2.7985, 12, 2.7531],
+    41104: [12, 2.8127, 8, 2.8057, 16, 2.8049, 20, 2.8025],
+    41120: [0, 2.8449, 20, 2.8432, 10, 2.8421, 12, 2.8375],
+    41152: [12, 2.8567, 18, 2.846, 0, 2.8354, 8, 2.8295],
+    41217: [12, 3.0591, 20, 3.0522, 18, 3.0322, 10, 3.0195],
+    41218: [16, 2.8502, 12, 2.8446, 4, 2.8372, 20, 2.83],
+    41220: [12, 2.863, 16, 2.8397, 20, 2.8359, 4, 2.8343],
+    41224: [18, 3.0559, 23, 3.0558, 12, 3.0279, 20, 3.0077],
+    41232: [12, 3.1036, 20, 3.1036, 16, 3.1036, 18, 3.0419],
+    41248: [20, 3.0185, 0, 3.0183, 10, 3.018, 12, 3.0004],
+    41280: [12, 3.009, 18, 2.9928, 0, 2.9874, 20, 2.9716],
+    41344: [12, 2.8897, 18, 2.8601, 20, 2.8561, 16, 2.8492],
+    41473: [12, 2.8495, 6, 2.8385, 18, 2.8288, 10, 2.8265],
+    41474: [12, 2.5804, 18, 2.5801, 8, 2.5801, 6, 2.5788],
+    41476: [12, 2.5995, 0, 2.5762, 4, 2.5762, 8, 2.5762],
+    41480: [8, 2.7874, 18, 2.7874, 23, 2.7872, 12, 2.7012],
+    41488: [12, 2.8495, 16, 2.8385, 8, 2.8288, 14, 2.8265],
+    41504: [0, 2.8252, 8, 2.825, 20, 2.8246, 10, 2.8232],
+    41536: [12, 2.8435, 18, 2.8427, 0, 2.8385, 8, 2.8282],
+    41600: [8, 2.8123, 6, 2.8123, 5, 2.8123, 12, 2.7553],
+    41728: [12, 2.8665, 20, 2.856, 16, 2.8427, 18, 2.8421],
+    41985: [20, 3.0846, 5, 3.0845, 12, 3.076, 18, 3.0268],
+    41986: [12, 2.8349, 0, 2.8231, 11, 2.818, 14, 2.8169],
+    41988: [12, 2.8334, 0, 2.8327, 20, 2.8278, 5, 2.8249],
+    41992: [20, 2.9062, 8, 2.9062, 18, 2.9058, 0, 2.9058],
+    42000: [12, 2.9994, 20, 2.998, 16, 2.9882, 8, 2.986],
+    42016: [0, 3.0845, 20, 3.0845, 12, 3.0751, 18, 3.018],
+    42048: [12, 3.0045, 0, 3.0033, 20, 2.9831, 18, 2.9827],
+    42112: [20, 2.8436, 0, 2.8433, 12, 2.8431, 5, 2.8421],
+    42240: [20, 3.0333, 12, 3.0292, 0, 3.0195, 5, 3.018],
+    42496: [20, 2.8287, 12, 2.8276, 0, 2.8265, 5, 2.8232],
+    43009: [12, 3.0145, 10, 3.0144, 14, 3.0143, 20, 2.9804],
+    43010: [12, 2.8353, 16, 2.8309, 6, 2.8223, 10, 2.818],
+    43012: [12, 2.7951, 10, 2.7944, 14, 2.7942, 0, 2.7408],
+    43016: [12, 2.8349, 18, 2.8292, 8, 2.8232, 10, 2.8187],
+    43024: [12, 2.9521, 10, 2.9469, 14, 2.9467, 20, 2.9318],
+    43040: [10, 2.9811, 0, 2.9801, 20, 2.9801, 12, 2.9794],
+    43072: [12, 2.9618, 10, 2.9485, 14, 2.9482, 0, 2.9336],
+    43136: [12, 2.7909, 10, 2.7886, 14, 2.7885, 18, 2.716],
+    43264: [12, 2.9618, 10, 2.9485, 14, 2.9482, 20, 2.9336],
+    43520: [12, 2.7998, 10, 2.7998, 14, 2.7998, 0, 2.7115],
+    45057: [18, 3.0933, 20, 3.0914, 6, 3.0814, 24, 3.0798],
+    45058: [16, 2.8879, 0, 2.8812, 18, 2.8698, 20, 2.8592],
+    45060: [0, 2.8871, 18, 2.8871, 16, 2.8757, 20, 2.8757],
+    45064: [8, 3.0279, 18, 3.0268, 23, 3.0264, 20, 2.9884],
+    45072: [16, 3.1042, 20, 3.1037, 8, 3.1036, 18, 3.0513],
+    45088: [0, 3.0752, 20, 3.0752, 10, 3.0751, 18, 3.0004],
+    45120: [0, 3.0814, 18, 3.0801, 24, 3.0797, 20, 3.026],
+    45184: [18, 2.8925, 8, 2.8897, 20, 2.8758, 0, 2.8716],
+    45312: [20, 3.1101, 16, 3.1037, 4, 3.1036, 18, 3.0751],
+    49155: [12, 2.8879, 4, 2.8575, 24, 2.8502, 16, 2.8449],
+    49157: [12, 2.8925, 4, 2.8601, 20, 2.8518, 24, 2.846],
+    49158: [0, 2.7992, 4, 2.7988, 3, 2.7985, 12, 2.753],
+    49161: [12, 2.8786, 4, 2.856, 18, 2.8522, 24, 2.8406],
+    49162: [4, 2.799, 0, 2.7988, 2, 2.7985, 12, 2.7469],
+    49164: [0, 2.7992, 4, 2.7988, 1, 2.7985, 12, 2.7531],
+    49169: [12, 3.0589, 16, 3.0365, 20, 3.0337, 24, 3.0275],
+    49170: [12, 2.8698, 16, 2.8608, 0, 2.8575, 20, 2.8416],
+    49172: [12, 2.8897, 0, 2.8601, 16, 2.8561, 20, 2.8492],
+    49176: [12, 2.8774, 16, 2.8573, 0, 2.856, 20, 2.8521],
+    49185: [10, 3.0781, 20, 3.0781, 12, 3.0688, 24, 3.0057],
+    49186: [10, 2.8172, 0, 2.8171, 20, 2.8171, 12, 2.7717],
+    49188: [20, 2.8338, 0, 2.8338, 10, 2.8337, 12, 2.8],
+    49192: [10, 2.8172, 0, 2.8171, 20, 2.8171, 12, 2.7717],
+    49200: [20, 3.0057, 0, 3.0046, 10, 3.0035, 12, 2.9846],
+    49217: [12, 3.105, 24, 3.1043, 18, 3.1042, 20, 3.0215],
+    49218: [12, 2.8592, 0, 2.8436, 18, 2.8344, 16, 2.8331],
+    49220: [12, 2.8153, 0, 2.8133, 18, 2.8012, 24, 2.799],
+    49224: [0, 2.8116, 12, 2.8113, 18, 2.8075, 24, 2.8039],
+    49232: [12, 3.013, 24, 3.0031, 0, 3.003, 18, 2.9986],
+    49248: [0, 2.9811, 20, 2.9755, 12, 2.9748, 10, 2.9737],
+    49281: [12, 2.8636, 5, 2.8369, 20, 2.8354, 10, 2.8351],
+    49282: [12, 2.6135, 16, 2.5866, 0, 2.5866, 4, 2.5755],
+    49284: [12, 2.7903, 17, 2.7887, 22, 2.7885, 16, 2.7083],
+    49288: [12, 2.6136, 0, 2.5863, 18, 2.5863, 8, 2.574],
+    49296: [12, 2.8471, 16, 2.8349, 8, 2.8197, 20, 2.8172],
+    49312: [0, 2.8369, 20, 2.8369, 10, 2.8329, 12, 2.8316],
+    49344: [12, 2.8471, 0, 2.8349, 24, 2.8197, 18, 2.8172],
+    49409: [12, 3.0277, 20, 3.0215, 4, 3.0019, 16, 2.9978],
+    49410: [4, 2.8067, 16, 2.8066, 12, 2.8057, 20, 2.8019],
+    49412: [12, 2.8127, 4, 2.8057, 20, 2.8049, 16, 2.8025],
+    49416: [12, 2.8573, 20, 2.8367, 16, 2.8357, 4, 2.8351],
+    49424: [16, 3.1045, 12, 3.1045, 20, 3.1043, 18, 3.0109],
+    49440: [20, 2.9811, 0, 2.9755, 12, 2.9748, 10, 2.9737],
+    49472: [12, 2.9707, 0, 2.9437, 20, 2.9437, 4, 2.9317],
+    49536: [12, 2.8471, 20, 2.8349, 4, 2.8197, 16, 2.8172],
+    49665: [24, 3.0106, 4, 3.0083, 19, 3.008, 12, 2.9843],
+    49666: [24, 2.8096, 19, 2.8095, 4, 2.8095, 0, 2.7389],
+    49668: [4, 2.8123, 24, 2.8123, 19, 2.8123, 12, 2.7553],
+    49672: [4, 2.811, 19, 2.811, 24, 2.811, 18, 2.748],
+    49680: [19, 3.0818, 24, 3.0818, 12, 3.056, 16, 3.0453],
+    49696: [0, 2.9075, 20, 2.9075, 10, 2.9002, 4, 2.8955],
+    49728: [24, 2.9805, 4, 2.9739, 19, 2.9739, 12, 2.9642],
+    49792: [6, 2.8095, 8, 2.8095, 4, 2.8095, 24, 2.8095],
+    49920: [4, 2.9805, 24, 2.9739, 19, 2.9739, 12, 2.9642],
+    50177: [20, 3.0781, 5, 3.0781, 12, 3.0695, 24, 3.0168],
+    50178: [12, 2.8353, 0, 2.8309, 20, 2.8223, 11, 2.818],
+    50180: [0, 2.8416, 20, 2.8358, 5, 2.8337, 12, 2.8331],
+    50184: [12, 2.8349, 0, 2.8292, 20, 2.8232, 13, 2.8187],
+    50192: [20, 3.0168, 12, 3.0108, 0, 3.0063, 5, 3.0035],
+    50208: [0, 3.0781, 20, 3.0781, 12, 3.068, 4, 3.0035],
+    50240: [12, 3.0037, 0, 3.001, 18, 2.9811, 24, 2.9806],
+    50304: [0, 2.8351, 20, 2.8351, 12, 2.8341, 5, 2.8329],
+    50432: [12, 3.0037, 20, 3.001, 16, 2.9811, 4, 2.9806],
+    50688: [0, 2.9086, 20, 2.9086, 4, 2.9086, 24, 2.9086],
+    51201: [12, 3.0171, 10, 3.0145, 13, 3.0143, 20, 2.9814],
+    51202: [12, 2.8349, 16, 2.8231, 10, 2.818, 13, 2.8169],
+    51204: [12, 2.7951, 10, 2.7945, 13, 2.7942, 0, 2.7413],
+    51208: [12, 2.8177, 10, 2.8176, 13, 2.8176, 18, 2.7537],
+    51216: [12, 2.9587, 10, 2.9472, 13, 2.9467, 16, 2.9351],
+    51232: [10, 2.9818, 0, 2.9807, 20, 2.9807, 12, 2.9795],
+    51264: [12, 2.9645, 10, 2.9486, 13, 2.9482, 0, 2.9432],
+    51328: [12, 2.7903, 10, 2.7887, 13, 2.7885, 0, 2.7083],
+    51456: [12, 2.9551, 10, 2.9486, 13, 2.9482, 20, 2.9352],
+    53249: [18, 3.1056, 6, 3.105, 24, 3.1046, 20, 3.0863],
+    53250: [0, 2.8879, 16, 2.8812, 4, 2.8698, 6, 2.8592],
+    53252: [0, 2.8925, 4, 2.8897, 16, 2.8758, 18, 2.8716],
+    53256: [18, 2.8827, 0, 2.8786, 4, 2.8774, 20, 2.8617],
+    53264: [16, 3.1115, 20, 3.1046, 8, 3.1045, 24, 3.0664],
+    53280: [0, 3.0688, 20, 3.0688, 10, 3.068, 4, 2.9846],
+    53312: [0, 3.105, 18, 3.1045, 24, 3.1045, 16, 3.0323],
+    53376: [16, 2.8636, 0, 2.8636, 18, 2.8636, 20, 2.8636],
+    53504: [20, 3.105, 16, 3.1045, 4, 3.1045, 18, 3.0323],
+    57345: [12, 3.0146, 10, 3.0145, 11, 3.0143, 20, 2.9814],
+    57346: [12, 2.817, 10, 2.8169, 11, 2.8169, 0, 2.7508],
+    57348: [12, 2.7951, 10, 2.7945, 11, 2.7942, 0, 2.7396],
+    57352: [12, 2.835, 18, 2.8225, 10, 2.8187, 11, 2.8176],
+    57360: [12, 2.9637, 10, 2.9472, 11, 2.9467, 20, 2.9396],
+    57376: [10, 2.9818, 0, 2.9807, 20, 2.9807, 12, 2.9795],
+    57408: [12, 2.9551, 10, 2.9486, 11, 2.9482, 0, 2.9352],
+    57472: [12, 2.7903, 10, 2.7887, 11, 2.7885, 20, 2.7083],
+    57600: [12, 2.9645, 10, 2.9486, 11, 2.9482, 20, 2.9432],
+    65552: [8, 3.3267, 12, 3.3267, 20, 3.3267, 0, 3.2908],
+    65555: [12, 3.2843, 8, 3.2754, 20, 3.2754, 6, 3.2542],
+    65557: [12, 3.2465, 8, 3.2393, 20, 3.2392, 3, 3.2237],
+    65558: [0, 3.2236, 3, 3.2236, 12, 3.2198, 8, 3.2018],
+    65561: [12, 3.2785, 8, 3.2754, 20, 3.2754, 18, 3.2442],
+    65562: [0, 3.2242, 2, 3.2236, 12, 3.2214, 20, 3.2035],
+    65564: [0, 3.2237, 1, 3.2236, 12, 3.2204, 20, 3.202],
+    65585: [12, 3.2755, 8, 3.2755, 20, 3.2754, 6, 3.2188],
+    65586: [12, 3.1207, 8, 3.1207, 20, 3.1207, 6, 3.0608],
+    65588: [12, 3.1036, 8, 3.1036, 20, 3.1036, 0, 3.0419],
+    65592: [12, 3.0984, 20, 3.0984, 8, 3.0984, 0, 3.0499],
+    65617: [12, 3.4232, 8, 3.418, 18, 3.418, 20, 3.418],
+    65618: [12, 3.2843, 20, 3.2754, 8, 3.2754, 0, 3.2542],
+    65620: [12, 3.221, 8, 3.2095, 20, 3.2095, 0, 3.2028],
+    65624: [12, 3.2419, 20, 3.2317, 8, 3.2316, 0, 3.2282],
+    65648: [12, 3.2755, 20, 3.2755, 8, 3.2754, 0, 3.2188],
+    65681: [12, 3.2102, 8, 3.2095, 20, 3.2094, 6, 3.1721],
+    65682: [12, 3.1053, 20, 3.1037, 8, 3.1036, 6, 3.056],
+    65684: [12, 3.1469, 20, 3.1466, 8, 3.1466, 22, 3.1127],
+    65688: [12, 3.0814, 20, 3.0797, 8, 3.0796, 0, 3.0202],
+    65712: [8, 3.202, 12, 3.2019, 20, 3.2016, 6, 3.189],
+    65744: [12, 3.2399, 20, 3.2392, 8, 3.2392, 5, 3.189],
+    65792: [4, 3.3267, 12, 3.3267, 20, 3.3267, 0, 3.2847],
+    65795: [12, 3.2755, 20, 3.2755, 4, 3.2754, 6, 3.2219],
+    65797: [12, 3.2393, 4, 3.2393, 20, 3.2392, 1, 3.1899],
+    65798: [4, 3.2018, 12, 3.2018, 20, 3.2016, 0, 3.1899],
+    65801: [12, 3.2755, 20, 3.2755, 4, 3.2754, 18, 3.2219],
+    65802: [12, 3.2035, 4, 3.2035, 20, 3.2035, 0, 3.1926],
+    65804: [4, 3.2018, 12, 3.2018, 20, 3.2016, 0, 3.1899],
+    65809: [12, 3.433, 20, 3.433, 18, 3.418, 6, 3.418],
+    65810: [12, 3.3024, 20, 3.3024, 0, 3.2754, 6, 3.2754],
+    65812: [12, 3.2675, 20, 3.2675, 0, 3.2393, 6, 3.2095],
+    65816: [12, 3.3024, 20, 3.3024, 0, 3.2754, 18, 3.2754],
+    65826: [12, 3.1207, 4, 3.1207, 20, 3.1207, 6, 3.0627],
+    65828: [12, 3.1037, 20, 3.1037, 4, 3.1036, 0, 3.0424],
+    65832: [12, 3.0984, 4, 3.0984, 20, 3.0984, 0, 3.0517],
+    65840: [12, 3.3024, 20, 3.3024, 0, 3.2755, 6, 3.2754],
+    65857: [12, 3.4181, 4, 3.418, 20, 3.418, 24, 3.3966],
+    65858: [12, 3.2754, 20, 3.2754, 4, 3.2754, 0, 3.2219],
+    65860: [12, 3.2095, 4, 3.2095, 20, 3.2094, 0, 3.1612],
+    65864: [12, 3.2317, 4, 3.2316, 20, 3.2316, 0, 3.2052],
+    65872: [12, 3.433, 20, 3.433, 0, 3.418, 24, 3.418],
+    65921: [12, 3.2099, 4, 3.2095, 20, 3.2095, 6, 3.1703],
+    65922: [12, 3.1037, 4, 3.1036, 20, 3.1036, 6, 3.0515],
+    65924: [12, 3.1466, 20, 3.1466, 4, 3.1466, 22, 3.1105],
+    65928: [12, 3.0801, 4, 3.0796, 20, 3.0796, 0, 3.0017],
+    65936: [12, 3.2675, 20, 3.2675, 6, 3.2392, 0, 3.2095],
+    65952: [12, 3.2028, 4, 3.202, 20, 3.2017, 6, 3.2005],
+    65984: [12, 3.2392, 4, 3.2392, 20, 3.2392, 5, 3.2005],
+    66051: [12, 3.0389, 6, 3.0325, 4, 3.0325, 8, 2.9997],
+    66053: [4, 3.0015, 12, 3.0007, 6, 2.974, 8, 2.9719],
+    66054: [4, 2.9501, 12, 2.9387, 0, 2.9357, 3, 2.9355],
+    66057: [4, 3.0053, 12, 3.0027, 8, 2.982, 6, 2.9736],
+    66058: [4, 2.9453, 0, 2.9357, 2, 2.9355, 12, 2.9209],
+    66060: [4, 2.942, 0, 2.9357, 1, 2.9355, 12, 2.918],
+    66065: [12, 3.2412, 8, 3.2317, 20, 3.2316, 6, 3.226],
+    66066: [12, 3.1081, 20, 3.0984, 8, 3.0984, 6, 3.082],
+    66068: [12, 3.0832, 8, 3.0797, 20, 3.0796, 6, 3.0208],
+    66072: [12, 3.0795, 8, 3.0763, 20, 3.0763, 0, 3.0053],
+    66081: [8, 3.1146, 12, 3.1124, 6, 3.1065, 7, 3.1009],
+    66082: [8, 3.0009, 6, 3.0002, 7, 2.9999, 12, 2.9682],
+    66084: [8, 2.9738, 6, 2.9695, 7, 2.9695, 12, 2.965],
+    66088: [8, 2.932, 6, 2.9255, 7, 2.9253, 12, 2.9055],
+    66096: [12, 3.2035, 8, 3.2035, 20, 3.2035, 6, 3.191],
+    66113: [12, 3.2412, 24, 3.2317, 18, 3.2316, 4, 3.226],
+    66114: [12, 3.0841, 4, 3.082, 8, 3.056, 21, 3.0559],
+    66116: [12, 3.0295, 4, 3.0208, 8, 3.0061, 20, 2.9891],
+    66120: [12, 3.0049, 4, 3.0043, 8, 2.9937, 0, 2.9736],
+    66128: [12, 3.281, 20, 3.2755, 8, 3.2754, 24, 3.2442],
+    66144: [8, 3.201, 7, 3.2005, 12, 3.1975, 4, 3.191],
+    66177: [6, 3.1056, 8, 3.1019, 5, 3.1009, 12, 3.0939],
+    66178: [8, 3.0004, 6, 3, 5, 2.9999, 12, 2.9648],
+    66180: [12, 2.9928, 8, 2.9916, 4, 2.9834, 20, 2.975],
+    66184: [8, 2.9321, 6, 2.9254, 5, 2.9253, 12, 2.9037],
+    66192: [8, 3.2017, 12, 3.2017, 20, 3.2016, 6, 3.1885],
+    66208: [6, 3.2005, 8, 3.2005, 12, 3.1958, 4, 3.1882],
+    66240: [8, 3.2005, 5, 3.2005, 12, 3.1962, 20, 3.189],
+    66305: [12, 3.2321, 20, 3.2317, 4, 3.2317, 6, 3.2014],
+    66306: [12, 3.0985, 20, 3.0984, 4, 3.0984, 6, 3.056],
+    66308: [12, 3.0798, 20, 3.0797, 4, 3.0797, 6, 3.0061],
+    66312: [4, 3.0763, 12, 3.0763, 20, 3.0763, 6, 2.9937],
+    66336: [12, 3.2039, 20, 3.2035, 4, 3.2035, 6, 3.201],
+    66368: [12, 3.2754, 20, 3.2754, 4, 3.2754, 24, 3.2219],
+    66432: [12, 3.2028, 20, 3.202, 4, 3.2017, 6, 3.2005],
+    66577: [12, 3.2399, 8, 3.2392, 20, 3.2392, 5, 3.189],
+    66578: [12, 3.1053, 8, 3.1037, 20, 3.1036, 0, 3.056],
+    66580: [12, 3.0713, 8, 3.0703, 20, 3.0702, 0, 3.0279],
+    66584: [12, 3.1042, 8, 3.1037, 20, 3.1036, 0, 3.0467],
+    66608: [20, 3.202, 12, 3.2019, 8, 3.2016, 0, 3.189],
+    66640: [12, 3.2102, 20, 3.2095, 8, 3.2094, 0, 3.1721],
+    66704: [8, 3.0766, 20, 3.0766, 12, 3.0766, 5, 2.9932],
+    66820: [12, 3.0703, 4, 3.0703, 20, 3.0703, 0, 3.0181],
+    66824: [12, 3.1037, 4, 3.1037, 20, 3.1036, 0, 3.0424],
+    66832: [12, 3.2675, 20, 3.2675, 0, 3.2392, 18, 3.2094],
+    66944: [20, 3.077, 12, 3.077, 4, 3.0766, 5, 3.0054],
+    67073: [12, 3.013, 20, 3.0031, 4, 3.003, 8, 2.9986],
+    67074: [12, 2.8592, 4, 2.8436, 8, 2.8344, 6, 2.8331],
+    67076: [12, 2.8153, 4, 2.8133, 8, 2.8012, 20, 2.799],
+    67080: [4, 2.8116, 12, 2.8113, 8, 2.8075, 20, 2.8039],
+    67088: [12, 3.105, 20, 3.1043, 8, 3.1042, 24, 3.0215],
+    67104: [8, 3.0099, 20, 3.0098, 12, 3.0092, 4, 3.0015],
+    67136: [12, 3.0323, 4, 3.0202, 8, 3.0127, 20, 3.0109],
+    67200: [8, 2.9789, 5, 2.975, 6, 2.975, 12, 2.9605],
+    67328: [12, 3.1045, 20, 3.1045, 4, 3.1042, 6, 3.0127],
+    67601: [12, 3.221, 20, 3.2095, 8, 3.2095, 6, 3.2028],
+    67602: [6, 3.2236, 21, 3.2236, 12, 3.2198, 20, 3.2018],
+    67604: [12, 3.0882, 8, 3.077, 20, 3.077, 1, 3.0575],
+    67608: [12, 3.1115, 20, 3.1045, 8, 3.1044, 0, 3.0642],
+    67632: [12, 3.1036, 20, 3.1036, 8, 3.1036, 6, 3.0419],
+    67664: [12, 3.2465, 20, 3.2393, 8, 3.2392, 21, 3.2237],
+    67728: [12, 3.0713, 20, 3.0703, 8, 3.0702, 6, 3.0279],
+    67848: [12, 3.1046, 4, 3.1044, 20, 3.1043, 18, 3.0337],
+    67856: [12, 3.2675, 20, 3.2675, 6, 3.2392, 24, 3.2095],
+    67968: [12, 3.0703, 4, 3.0702, 20, 3.0702, 6, 3.0373],
+    68097: [6, 3.0015, 12, 3.0007, 4, 2.974, 24, 2.9719],
+    68098: [6, 3.0559, 21, 3.0558, 12, 3.0266, 4, 3.0045],
+    68100: [12, 2.8586, 4, 2.8497, 6, 2.8357, 8, 2.8278],
+    68104: [4, 2.8464, 8, 2.8406, 12, 2.8391, 6, 2.8259],
+    68112: [12, 3.1101, 8, 3.1036, 20, 3.1036, 6, 3.07],
+    68128: [8, 3.0057, 6, 3.003, 7, 3.0026, 12, 2.9795],
+    68160: [12, 3.0751, 4, 3.07, 1, 3.0559, 21, 3.0559],
+    68224: [8, 3.003, 6, 3.0027, 5, 3.0026, 12, 2.9717],
+    68352: [12, 3.1037, 4, 3.1036, 20, 3.1036, 6, 3.0515],
+    68624: [12, 3.1469, 8, 3.1466, 20, 3.1466, 13, 3.1127],
+    69649: [8, 3.433, 20, 3.433, 18, 3.4252, 6, 3.4232],
+    69650: [8, 3.3024, 20, 3.3024, 0, 3.2843, 6, 3.2843],
+    69652: [8, 3.2675, 20, 3.2675, 0, 3.2465, 6, 3.221],
+    69656: [8, 3.3024, 20, 3.3024, 18, 3.281, 0, 3.2785],
+    69680: [8, 3.3024, 20, 3.3024, 0, 3.2755, 6, 3.2755],
+    69712: [20, 3.433, 8, 3.433, 24, 3.4252, 0, 3.4232],
+    69776: [8, 3.2675, 20, 3.2675, 6, 3.2399, 0, 3.2102],
+    69889: [4, 3.433, 20, 3.433, 6, 3.4181, 18, 3.4181],
+    69890: [4, 3.3024, 20, 3.3024, 0, 3.2755, 6, 3.2754],
+    69892: [4, 3.2675, 20, 3.2675, 0, 3.2393, 6, 3.2095],
+    69896: [4, 3.3024, 20, 3.3024, 0, 3.2755, 18, 3.2754],
+    69904: [20, 3.4478, 0, 3.433, 6, 3.433, 18, 3.433],
+    69952: [20, 3.433, 4, 3.433, 0, 3.4181, 24, 3.4181],
+    70016: [4, 3.2675, 20, 3.2675, 6, 3.2392, 0, 3.2099],
+    70145: [4, 3.2412, 6, 3.2412, 8, 3.2321, 24, 3.2321],
+    70146: [4, 3.1081, 8, 3.0985, 20, 3.0984, 6, 3.0841],
+    70148: [4, 3.0832, 8, 3.0798, 20, 3.0797, 6, 3.0295],
+    70152: [4, 3.0795, 8, 3.0763, 20, 3.0763, 6, 3.0049],
+    70176: [8, 3.2039, 20, 3.2035, 4, 3.2035, 6, 3.1975],
+    70208: [4, 3.281, 20, 3.2755, 8, 3.2754, 24, 3.253],
+    70272: [8, 3.2028, 20, 3.2019, 4, 3.2017, 6, 3.1962],
+    70672: [8, 3.2675, 20, 3.2675, 0, 3.2399, 6, 3.2102],
+    71696: [8, 3.2675, 20, 3.2675, 6, 3.2465, 0, 3.221],
+    73731: [12, 3.0671, 18, 3.0365, 4, 3.0329, 6, 3.0277],
+    73733: [12, 3.0132, 4, 3.0058, 8, 2.9928, 3, 2.988],
+    73734: [4, 2.988, 0, 2.9873, 3, 2.9862, 12, 2.9791],
+    73737: [8, 3.1165, 12, 3.116, 18, 3.1049, 4, 3.1015],
+    73738: [8, 3.0266, 12, 3.0196, 4, 3.0121, 18, 3.0113],
+    73740: [12, 3.0121, 4, 3.012, 8, 3.0054, 20, 2.9932],
+    73745: [12, 3.2101, 8, 3.2095, 20, 3.2094, 18, 3.17],
+    73746: [12, 3.1056, 8, 3.1044, 20, 3.1042, 0, 3.0329],
+    73748: [12, 3.0777, 8, 3.077, 20, 3.0766, 3, 3.012],
+    73761: [12, 3.026, 20, 3.0202, 8, 3.0017, 4, 2.9891],
+    73762: [12, 2.8617, 8, 2.8521, 6, 2.8369, 20, 2.8367],
+    73764: [12, 2.8161, 8, 2.8109, 20, 2.8039, 4, 2.7998],
+    73768: [8, 2.9389, 18, 2.9255, 23, 2.9253, 12, 2.9143],
+    73776: [12, 3.0797, 20, 3.0797, 8, 3.0796, 0, 2.9891],
+    73793: [12, 3.1924, 18, 3.1917, 24, 3.1917, 8, 3.1394],
+    73794: [12, 3.0863, 11, 3.0781, 21, 3.0781, 18, 3.0337],
+    73796: [12, 2.9735, 4, 2.934, 0, 2.934, 8, 2.9261],
+    73800: [8, 3.0908, 18, 3.0908, 23, 3.089, 12, 3.0777],
+    73808: [12, 3.1924, 8, 3.1917, 20, 3.1917, 18, 3.1394],
+    73824: [12, 3.0092, 8, 2.9937, 20, 2.986, 4, 2.9649],
+    73857: [12, 2.9397, 8, 2.918, 18, 2.9115, 6, 2.9115],
+    73858: [12, 2.8681, 6, 2.8518, 8, 2.8492, 11, 2.8358],
+    73860: [12, 2.9158, 22, 2.9033, 17, 2.9031, 8, 2.8856],
+    73864: [8, 2.9367, 18, 2.9324, 23, 2.9323, 12, 2.916],
+    73872: [8, 3.0463, 12, 3.0463, 20, 3.0462, 6, 2.9456],
+    73888: [8, 2.9367, 6, 2.9324, 9, 2.9323, 12, 2.916],
+    73920: [12, 2.9993, 8, 2.9886, 18, 2.9598, 4, 2.9456],
+    73985: [12, 3.2099, 20, 3.2095, 4, 3.2095, 18, 3.1703],
+    73986: [12, 3.1046, 4, 3.1044, 20, 3.1043, 6, 3.0337],
+    73988: [4, 3.077, 12, 3.077, 20, 3.0766, 3, 3.0054],
+    74016: [12, 3.0801, 20, 3.0796, 4, 3.0796, 0, 3.0017],
+    74048: [12, 3.1917, 4, 3.1917, 20, 3.1917, 0, 3.1394],
+    74112: [12, 3.048, 4, 3.0463, 20, 3.0463, 18, 2.9886],
+    74241: [12, 2.9472, 6, 2.9254, 4, 2.922, 8, 2.9202],
+    74242: [12, 2.8507, 8, 2.8416, 6, 2.8365, 4, 2.831],
+    74244: [12, 2.8052, 4, 2.7978, 8, 2.7953, 20, 2.7785],
+    74272: [8, 2.9402, 6, 2.9328, 7, 2.9323, 12, 2.9211],
+    74304: [12, 3.0092, 8, 2.9937, 4, 2.986, 20, 2.9649],
+    74753: [12, 3.0841, 20, 3.059, 4, 3.05, 14, 3.0487],
+    74754: [12, 3.0171, 11, 3.0145, 14, 3.0143, 6, 2.9814],
+    74756: [12, 2.9217, 11, 2.9, 14, 2.8999, 4, 2.8943],
+    74760: [12, 2.9994, 8, 2.998, 4, 2.9882, 20, 2.986],
+    74768: [12, 3.1471, 8, 3.1466, 20, 3.1466, 11, 3.1127],
+    74816: [12, 3.0849, 14, 3.0732, 11, 3.0732, 0, 3.0245],
+    74880: [12, 2.9158, 14, 2.9033, 11, 2.9031, 8, 2.8856],
+    75008: [12, 3.1466, 4, 3.1466, 20, 3.1466, 14, 3.1105],
+    75777: [12, 3.0782, 14, 3.0487, 10, 3.0487, 6, 3.048],
+    75778: [6, 3.0781, 21, 3.0781, 12, 3.0695, 8, 3.0168],
+    75780: [12, 2.933, 4, 2.9032, 10, 2.9, 14, 2.9],
+    75784: [8, 3.0168, 12, 3.0108, 18, 3.0063, 23, 3.0035],
+    75792: [12, 3.1414, 8, 3.141, 20, 3.1409, 10, 3.1127],
+    75840: [12, 3.101, 1, 3.0781, 21, 3.0781, 10, 3.0732],
+    75904: [12, 2.9352, 8, 2.9184, 6, 2.9042, 10, 2.9031],
+    76032: [12, 3.1411, 4, 3.141, 20, 3.141, 10, 3.1104],
+    77825: [20, 3.2102, 4, 3.2101, 8, 3.2099, 18, 3.2052],
+    77826: [4, 3.1056, 20, 3.105, 8, 3.1046, 6, 3.0863],
+    77828: [4, 3.0777, 8, 3.077, 20, 3.0766, 18, 3.0174],
+    77888: [20, 3.1924, 24, 3.1924, 0, 3.1924, 4, 3.1924],
+    77952: [8, 3.048, 4, 3.0463, 20, 3.0463, 6, 2.9993],
+    81923: [12, 3.0531, 6, 3.032, 4, 3.0279, 24, 3.0161],
+    81925: [12, 2.9915, 4, 2.9889, 20, 2.9456, 8, 2.9432],
+    81926: [4, 2.9451, 12, 2.9399, 0, 2.9395, 3, 2.9381],
+    81929: [12, 3.0076, 4, 3.0052, 8, 2.9705, 20, 2.9649],
+    81930: [4, 2.95, 12, 2.9414, 0, 2.9397, 2, 2.9381],
+    81932: [4, 2.9454, 0, 2.9381, 1, 2.9381, 12, 2.9302],
+    81937: [12, 3.2052, 8, 3.1919, 20, 3.1917, 6, 3.1721],
+    81938: [12, 3.0933, 8, 3.0797, 20, 3.0796, 6, 3.0532],
+    81940: [12, 3.0529, 8, 3.0463, 20, 3.0463, 24, 2.9889],
+    81953: [12, 3.0277, 20, 3.0215, 4, 3.0019, 8, 2.9978],
+    81954: [12, 2.8573, 20, 2.8367, 8, 2.8357, 4, 2.8351],
+    81956: [12, 2.8127, 4, 2.8057, 20, 2.8049, 8, 2.8025],
+    81960: [4, 2.8067, 8, 2.8066, 12, 2.8057, 20, 2.8019],
+    81968: [8, 3.1045, 12, 3.1045, 20, 3.1043, 6, 3.0109],
+    81985: [12, 3.2102, 24, 3.2095, 18, 3.2094, 4, 3.1721],
+    81986: [12, 3.0914, 11, 3.0846, 21, 3.0845, 4, 3.0532],
+    81988: [12, 2.9742, 4, 2.9523, 0, 2.935, 24, 2.9293],
+    81992: [12, 2.9732, 4, 2.9537, 0, 2.9411, 18, 2.9373],
+    82000: [12, 3.2197, 20, 3.2095, 8, 3.2095, 24, 3.1989],
+    82016: [12, 3.0323, 20, 3.0202, 8, 3.0127, 4, 3.0109],
+    82049: [12, 2.9455, 4, 2.9229, 6, 2.9229, 8, 2.9037],
+    82050: [12, 2.8659, 6, 2.8471, 4, 2.8345, 8, 2.8278],
+    82052: [12, 2.9147, 17, 2.9, 22, 2.8999, 4, 2.8854],
+    82080: [8, 2.9789, 9, 2.975, 6, 2.975, 12, 2.9605],
+    82112: [12, 3.0174, 8, 2.999, 4, 2.9987, 20, 2.9835],
+    82177: [12, 3.1919, 4, 3.1919, 20, 3.1917, 24, 3.1307],
+    82178: [12, 3.0798, 20, 3.0797, 4, 3.0797, 6, 3.0061],
+    82180: [12, 3.0463, 4, 3.0463, 20, 3.0462, 0, 2.9432],
+    82208: [12, 3.1045, 4, 3.1045, 20, 3.1042, 6, 3.0127],
+    82240: [12, 3.2095, 4, 3.2095, 20, 3.2094, 24, 3.1612],
+    82433: [4, 3.1056, 24, 3.1019, 19, 3.1009, 12, 3.0939],
+    82434: [4, 2.983, 24, 2.9759, 19, 2.9755, 12, 2.9623],
+    82464: [8, 3.0099, 4, 3.0098, 12, 3.0092, 20, 3.0015],
+    82496: [4, 3.1546, 12, 3.149, 24, 3.1453, 19, 3.1447],
+    82945: [12, 3.0782, 13, 3.0487, 11, 3.0487, 20, 3.048],
+    82946: [12, 3.0145, 11, 3.0144, 13, 3.0143, 6, 2.9804],
+    82948: [12, 2.9128, 13, 2.8999, 11, 2.8999, 4, 2.8863],
+    82952: [12, 2.9521, 13, 2.9469, 11, 2.9467, 8, 2.9318],
+    82960: [12, 3.1414, 20, 3.141, 8, 3.1409, 13, 3.1127],
+    83008: [12, 3.0894, 11, 3.0732, 13, 3.0732, 4, 3.0249],
+    83072: [12, 2.9187, 11, 2.9033, 13, 2.9033, 8, 2.8912],
+    83200: [12, 3.1409, 20, 3.1409, 4, 3.1409, 11, 3.1105],
+    83969: [12, 3.0841, 6, 3.059, 18, 3.05, 13, 3.0487],
+    83970: [6, 3.0846, 21, 3.0845, 12, 3.076, 4, 3.0268],
+    83972: [12, 2.9311, 4, 2.9092, 13, 2.9, 10, 2.8999],
+    83976: [12, 2.9587, 13, 2.9472, 10, 2.9467, 4, 2.9351],
+    83984: [12, 3.1507, 20, 3.1466, 8, 3.1466, 10, 3.1126],
+    84032: [12, 3.1111, 1, 3.0846, 21, 3.0846, 24, 3.0794],
+    84096: [12, 2.933, 8, 2.9039, 10, 2.9033, 13, 2.9031],
+    86017: [6, 3.2102, 18, 3.2101, 24, 3.2099, 4, 3.2052],
+    86018: [4, 3.0933, 6, 3.0914, 20, 3.0814, 8, 3.0798],
+    86020: [4, 3.0529, 8, 3.0463, 20, 3.0463, 24, 2.9915],
+    86080: [4, 3.2197, 24, 3.2197, 0, 3.2102, 20, 3.2102],
+    90113: [12, 3.0654, 10, 3.0487, 11, 3.0487, 20, 3.0168],
+    90114: [12, 3.0146, 11, 3.0145, 10, 3.0143, 6, 2.9814],
+    90176: [12, 3.0849, 10, 3.0732, 11, 3.0732, 24, 3.0245],
+    98321: [12, 3.281, 8, 3.2755, 20, 3.2754, 18, 3.2442],
+    98322: [12, 3.1081, 8, 3.0984, 20, 3.0984, 0, 3.082],
+    98324: [12, 3.1101, 20, 3.1036, 8, 3.1036, 0, 3.07],
+    98328: [12, 3.1248, 20, 3.1207, 8, 3.1207, 0, 3.0788],
+    98352: [12, 3.2035, 20, 3.2035, 8, 3.2035, 0, 3.191],
+    98384: [12, 3.2412, 20, 3.2317, 8, 3.2316, 0, 3.226],
+    98448: [12, 3.105, 8, 3.1043, 20, 3.1042, 18, 3.0215],
+    98568: [12, 3.1207, 20, 3.1207, 4, 3.1207, 18, 3.0627],
+    98576: [12, 3.3024, 20, 3.3024, 0, 3.2755, 18, 3.2754],
+    98817: [12, 3.0663, 4, 3.0476, 6, 3.0476, 18, 3.0289],
+    98818: [4, 2.8622, 12, 2.8516, 6, 2.8454, 8, 2.8408],
+    98820: [12, 2.8569, 4, 2.856, 17, 2.8287, 19, 2.8246],
+    98824: [4, 2.8493, 8, 2.8423, 12, 2.8319, 18, 2.8249],
+    98832: [12, 3.126, 8, 3.1212, 20, 3.1212, 18, 3.067],
+    98848: [8, 3.0262, 6, 3.0122, 12, 3.0116, 7, 3.008],
+    98880: [12, 3.063, 0, 3.0476, 4, 3.0476, 18, 3.0402],
+    98944: [8, 3.0106, 6, 3.0083, 5, 3.008, 12, 2.9843],
+    99072: [12, 3.1212, 20, 3.1212, 4, 3.1212, 18, 3.0402],
+    99344: [20, 3.2017, 12, 3.2017, 8, 3.2016, 0, 3.1885],
+    100368: [12, 3.0832, 20, 3.0797, 8, 3.0796, 0, 3.0208],
+    102416: [20, 3.3024, 8, 3.3024, 0, 3.281, 18, 3.2785],
+    106497: [12, 3.0531, 20, 3.032, 18, 3.0279, 8, 3.0161],
+    106498: [12, 2.8879, 18, 2.8575, 8, 2.8502, 0, 2.8449],
+    106500: [12, 2.8757, 18, 2.8482, 8, 2.8397, 4, 2.8359],
+    106504: [8, 3.003, 18, 3, 23, 2.9999, 12, 2.9739],
+    106512: [12, 3.1042, 20, 3.1037, 8, 3.1036, 18, 3.0467],
+    106624: [12, 2.8681, 18, 2.8518, 8, 2.8492, 17, 2.8358],
+    114689: [12, 3.0671, 4, 3.0365, 18, 3.0329, 20, 3.0277],
+    114690: [12, 2.8812, 4, 2.8608, 0, 2.8449, 18, 2.8332],
+    114692: [12, 2.8758, 4, 2.8561, 17, 2.8436, 19, 2.8432],
+    114696: [12, 2.8574, 4, 2.8573, 8, 2.8357, 18, 2.8343],
+    114704: [12, 3.1115, 8, 3.1045, 20, 3.1044, 18, 3.0642],
+    114816: [12, 2.8636, 19, 2.8369, 18, 2.8354, 17, 2.8351],
+    131091: [12, 3.0914, 2, 3.0846, 3, 3.0845, 16, 3.0532],
+    131093: [12, 3.1111, 3, 3.0846, 1, 3.0846, 18, 3.0794],
+    131121: [12, 3.0323, 8, 3.0202, 20, 3.0127, 16, 3.0109],
+    131122: [12, 2.8573, 8, 2.8367, 20, 2.8357, 16, 2.8351],
+    131124: [12, 2.9645, 7, 2.9486, 22, 2.9482, 8, 2.9432],
+    131128: [12, 2.8592, 8, 2.8436, 20, 2.8344, 0, 2.8331],
+    131153: [12, 3.2102, 18, 3.2095, 24, 3.2094, 16, 3.1721],
+    131184: [12, 3.0277, 8, 3.0215, 16, 3.0019, 20, 2.9978],
+    131217: [12, 3.0894, 2, 3.0732, 22, 3.0732, 6, 3.0249],
+    131248: [12, 3.0037, 8, 3.001, 20, 2.9811, 16, 2.9806],
+    131376: [12, 3.105, 16, 3.1043, 20, 3.1042, 6, 3.0215],
+    131617: [6, 2.9811, 8, 2.9755, 12, 2.9748, 7, 2.9737],
+    131618: [7, 2.8172, 6, 2.8171, 8, 2.8171, 12, 2.7717],
+    131620: [7, 2.9818, 6, 2.9807, 8, 2.9807, 12, 2.9795],
+    131680: [7, 3.0781, 8, 3.0781, 12, 3.0688, 18, 3.0057],
+    131744: [6, 3.0781, 8, 3.0781, 12, 3.068, 18, 3.0035],
+    132113: [12, 3.0174, 20, 2.999, 16, 2.9987, 8, 2.9835],
+    132114: [12, 2.8659, 0, 2.8471, 16, 2.8345, 20, 2.8278],
+    132116: [12, 2.933, 20, 2.9039, 7, 2.9033, 22, 2.9031],
+    132120: [12, 2.8757, 0, 2.8482, 20, 2.8397, 16, 2.8359],
+    132144: [20, 2.9789, 15, 2.975, 0, 2.975, 12, 2.9605],
+    132176: [12, 2.9455, 0, 2.9229, 16, 2.9229, 18, 2.9037],
+    132240: [12, 2.9187, 2, 2.9033, 22, 2.9033, 20, 2.8912],
+    132368: [16, 3.0766, 20, 3.0766, 12, 3.0766, 15, 2.9932],
+    132609: [12, 2.8471, 6, 2.8349, 18, 2.8197, 24, 2.8172],
+    132610: [12, 2.6135, 6, 2.5866, 4, 2.5866, 0, 2.5755],
+    132612: [12, 2.7903, 7, 2.7887, 22, 2.7885, 6, 2.7083],
+    132616: [12, 2.6136, 4, 2.5863, 8, 2.5863, 0, 2.574],
+    132624: [12, 2.8636, 19, 2.8369, 24, 2.8354, 14, 2.8351],
+    132640: [6, 2.8369, 8, 2.8369, 7, 2.8329, 12, 2.8316],
+    132672: [12, 2.8636, 5, 2.8369, 8, 2.8354, 7, 2.8351],
+    132736: [6, 2.8351, 8, 2.8351, 12, 2.8341, 5, 2.8329],
+    133137: [12, 2.9742, 16, 2.9523, 6, 2.935, 18, 2.9293],
+    133138: [16, 2.9451, 12, 2.9399, 6, 2.9395, 21, 2.9381],
+    133140: [12, 2.9311, 16, 2.9092, 22, 2.9, 7, 2.8999],
+    133144: [12, 2.8758, 16, 2.8561, 2, 2.8436, 1, 2.8432],
+    133168: [12, 2.8127, 16, 2.8057, 8, 2.8049, 20, 2.8025],
+    133200: [12, 2.9915, 16, 2.9889, 8, 2.9456, 20, 2.9432],
+    133264: [12, 2.9128, 22, 2.8999, 2, 2.8999, 16, 2.8863],
+    133392: [12, 3.0463, 16, 3.0463, 20, 3.0462, 6, 2.9456],
+    133633: [12, 2.8153, 6, 2.8133, 24, 2.8012, 18, 2.799],
+    133634: [6, 2.7992, 16, 2.7988, 21, 2.7985, 12, 2.753],
+    133636: [12, 2.7951, 7, 2.7945, 22, 2.7942, 6, 2.7413],
+    133640: [12, 2.6315, 8, 2.6105, 4, 2.6041, 18, 2.5995],
+    133664: [6, 2.8338, 8, 2.8338, 7, 2.8337, 12, 2.8],
+    133696: [12, 2.8925, 16, 2.8601, 8, 2.8518, 18, 2.846],
+    133760: [6, 2.8416, 8, 2.8358, 5, 2.8337, 12, 2.8331],
+    134160: [12, 2.9147, 14, 2.9, 13, 2.8999, 16, 2.8854],
+    135185: [16, 3.2197, 18, 3.2197, 8, 3.2102, 6, 3.2102],
+    135216: [8, 3.105, 20, 3.1045, 16, 3.1045, 0, 3.0323],
+    135712: [8, 3.0688, 6, 3.0688, 7, 3.068, 18, 2.9846],
+    136208: [16, 3.0777, 20, 3.077, 8, 3.0766, 0, 3.0174],
+    137232: [16, 3.0529, 20, 3.0463, 8, 3.0463, 6, 2.9915],
+    140292: [12, 2.8714, 7, 2.8643, 11, 2.8643, 14, 2.8643],
+    140296: [12, 2.8334, 18, 2.8327, 8, 2.8278, 23, 2.8249],
+    140304: [12, 2.9217, 14, 2.9, 11, 2.8999, 16, 2.8943],
+    140416: [12, 2.8731, 14, 2.8656, 11, 2.8656, 2, 2.8643],
+    141440: [12, 2.8734, 14, 2.8656, 2, 2.8656, 10, 2.8656],
+    148481: [12, 2.933, 18, 2.9032, 11, 2.9, 13, 2.9],
+    148482: [12, 2.7951, 11, 2.7944, 13, 2.7942, 16, 2.7408],
+    148484: [12, 2.8731, 7, 2.8656, 22, 2.8656, 11, 2.8643],
+    148608: [12, 2.8723, 2, 2.8656, 11, 2.8656, 13, 2.8656],
+    163857: [16, 3.1546, 12, 3.149, 18, 3.1453, 19, 3.1447],
+    163858: [16, 2.983, 18, 2.9759, 19, 2.9755, 12, 2.9623],
+    163860: [16, 3.0333, 12, 3.0292, 18, 3.0195, 19, 3.018],
+    163864: [16, 3.0077, 18, 3.0039, 19, 3.0035, 12, 2.9884],
+    163888: [20, 3.0099, 16, 3.0098, 12, 3.0092, 8, 3.0015],
+    163920: [16, 3.1056, 18, 3.1019, 19, 3.1009, 12, 3.0939],
+    163984: [12, 3.0037, 16, 3.001, 20, 2.9811, 8, 2.9806],
+    164112: [16, 3.202, 12, 3.2019, 20, 3.2016, 18, 3.189],
+    164353: [18, 2.9805, 16, 2.9739, 19, 2.9739, 12, 2.9642],
+    164354: [18, 2.8096, 19, 2.8095, 16, 2.8095, 6, 2.7389],
+    164356: [16, 2.8287, 12, 2.8276, 18, 2.8265, 19, 2.8232],
+    164360: [18, 2.811, 19, 2.811, 16, 2.811, 4, 2.748],
+    164368: [16, 3.0453, 18, 3.0435, 19, 3.0432, 12, 3.0137],
+    164384: [6, 2.9075, 8, 2.9075, 7, 2.9002, 16, 2.8955],
+    164416: [18, 3.0106, 16, 3.0083, 19, 3.008, 12, 2.9843],
+    164480: [16, 2.9086, 18, 2.9086, 6, 2.9086, 8, 2.9086],
+    164880: [12, 3.0121, 16, 3.012, 20, 3.0054, 8, 2.9932],
+    165904: [16, 2.9454, 18, 2.9381, 19, 2.9381, 12, 2.9302],
+    167952: [16, 3.2204, 18, 3.2181, 19, 3.2179, 8, 3.2019],
+    172040: [18, 2.9298, 8, 2.9257, 16, 2.9257, 19, 2.9254],
+    172048: [16, 2.9709, 18, 2.9662, 19, 2.9659, 12, 2.9554],
+    180225: [18, 2.988, 16, 2.9873, 19, 2.9862, 12, 2.9791],
+    180226: [16, 2.8117, 18, 2.8114, 19, 2.8114, 12, 2.7674],
+    180228: [16, 2.8436, 18, 2.8433, 12, 2.8431, 19, 2.8421],
+    180232: [18, 2.8125, 19, 2.8122, 16, 2.8122, 12, 2.7676],
+    180240: [19, 3.0465, 16, 3.0465, 18, 3.0465, 12, 3.0174],
+    196625: [12, 3.2197, 8, 3.2095, 20, 3.2095, 18, 3.1989],
+    196626: [12, 3.0933, 20, 3.0797, 8, 3.0796, 0, 3.0532],
+    196656: [20, 3.1045, 12, 3.1045, 8, 3.1043, 0, 3.0109],
+    196688: [12, 3.2052, 20, 3.1919, 8, 3.1917, 0, 3.1721],
+    197121: [12, 3.013, 18, 3.0031, 6, 3.003, 24, 2.9986],
+    197122: [12, 2.8698, 4, 2.8608, 6, 2.8575, 8, 2.8416],
+    197152: [8, 3.0057, 6, 3.0046, 7, 3.0035, 12, 2.9846],
+    197184: [12, 3.0589, 4, 3.0365, 8, 3.0337, 18, 3.0275],
+    197648: [12, 3.0777, 20, 3.077, 8, 3.0766, 15, 3.012],
+    198672: [12, 3.0529, 20, 3.0463, 8, 3.0463, 6, 2.9889],
+    212993: [12, 3.0132, 18, 3.0058, 24, 2.9928, 19, 2.988],
+    212994: [12, 2.8871, 4, 2.8527, 6, 2.8482, 18, 2.8338],
+    229392: [18, 3.2237, 19, 3.2236, 12, 3.2204, 8, 3.202],
+    294921: [12, 3.1033, 6, 3.0763, 24, 3.0763, 8, 3.0529],
+    294922: [0, 2.9789, 4, 2.9757, 2, 2.9755, 12, 2.9527],
+    294924: [0, 2.9783, 4, 2.9774, 1, 2.9755, 12, 2.9679],
+    294929: [12, 3.253, 16, 3.2442, 6, 3.2317, 24, 3.2316],
+    294930: [12, 3.0404, 0, 3.0382, 16, 3.0382, 6, 2.9997],
+    294932: [12, 3.0591, 16, 3.0522, 0, 3.0322, 17, 3.0195],
+    294936: [12, 3.0846, 16, 3.0788, 20, 3.0621, 8, 3.0608],
+    294960: [20, 3.1146, 12, 3.1124, 0, 3.1065, 10, 3.1009],
+    294984: [0, 3.0763, 12, 3.0763, 24, 3.0763, 8, 2.9937],
+    294992: [12, 3.2321, 24, 3.2317, 0, 3.2317, 16, 3.2014],
+    295048: [12, 2.8786, 8, 2.856, 0, 2.8522, 6, 2.8406],
+    295056: [12, 3.0277, 16, 3.0215, 8, 3.0019, 20, 2.9978],
+    295169: [12, 3.253, 20, 3.2442, 24, 3.2317, 6, 3.2316],
+    295170: [12, 3.0033, 16, 3.0023, 4, 2.992, 20, 2.9913],
+    295172: [12, 3.0283, 16, 3.0154, 20, 3.0104, 4, 3.008],
+    295176: [12, 3.0833, 20, 3.0788, 16, 3.0627, 4, 3.0608],
+    295184: [12, 3.2755, 20, 3.2755, 16, 3.2754, 0, 3.2188],
+    295200: [12, 3.1548, 0, 3.1538, 20, 3.1538, 10, 3.1447],
+    295232: [12, 3.2317, 0, 3.2316, 24, 3.2316, 20, 3.2052],
+    295425: [12, 3.1212, 6, 3.1212, 24, 3.1212, 16, 3.0289],
+    295426: [6, 2.8408, 24, 2.8299, 0, 2.8298, 16, 2.823],
+    295428: [12, 2.8495, 24, 2.8385, 0, 2.8288, 17, 2.8265],
+    295432: [24, 2.8493, 12, 2.8489, 0, 2.8477, 8, 2.8424],
+    295440: [24, 3.067, 16, 3.067, 12, 3.065, 19, 3.0551],
+    295456: [6, 3.0262, 8, 3.0122, 12, 3.0116, 7, 3.008],
+    295488: [12, 3.1212, 0, 3.1212, 24, 3.1212, 8, 3.0402],
+    295952: [20, 3.1165, 12, 3.116, 0, 3.1049, 16, 3.1015],
+    296976: [12, 3.0076, 16, 3.0052, 20, 2.9705, 8, 2.9649],
+    299016: [0, 3.1033, 20, 3.0846, 4, 3.0846, 8, 3.0833],
+    299024: [16, 3.2785, 20, 3.2755, 8, 3.2755, 0, 3.253],
+    303112: [8, 3.0559, 23, 3.0558, 12, 3.0268, 20, 3.0039],
+    303120: [12, 3.0513, 16, 3.0467, 20, 3.0424, 8, 3.0419],
+    311297: [12, 3.1056, 24, 3.1044, 6, 3.1042, 16, 3.0329],
+    311298: [12, 2.8536, 0, 2.8414, 24, 2.8372, 6, 2.8344],
+    311300: [12, 2.8716, 19, 2.8449, 17, 2.8433, 16, 2.8431],
+    311304: [12, 2.8827, 0, 2.8522, 24, 2.8464, 4, 2.8408],
+    311312: [12, 3.0648, 16, 3.0642, 19, 3.0571, 24, 3.0518],
+    327697: [12, 3.4252, 8, 3.418, 6, 3.418, 20, 3.418],
+    327728: [12, 3.2317, 20, 3.2317, 8, 3.2316, 0, 3.1952],
+    327760: [12, 3.4181, 0, 3.418, 24, 3.418, 20, 3.3966],
+    328000: [12, 3.3963, 0, 3.3963, 4, 3.3963, 20, 3.3963],
+    328224: [6, 3.0926, 8, 3.0926, 7, 3.089, 12, 3.0792],
+    328720: [12, 3.2101, 20, 3.2095, 8, 3.2094, 0, 3.17],
+    360464: [12, 3.2785, 20, 3.2754, 8, 3.2754, 0, 3.2442],
+    426000: [16, 3.2237, 19, 3.2236, 12, 3.2181, 20, 3.1899],
+    557059: [18, 3.0049, 16, 3.0038, 17, 3.0035, 12, 2.9787],
+    557061: [18, 3.0185, 16, 3.0183, 17, 3.018, 12, 3.0004],
+    557062: [18, 2.8983, 16, 2.8981, 17, 2.8974, 0, 2.889],
+    557065: [18, 2.9789, 16, 2.9757, 17, 2.9755, 12, 2.9527],
+    557066: [18, 2.8824, 0, 2.8824, 4, 2.8824, 16, 2.8824],
+    557073: [12, 3.1548, 18, 3.1538, 16, 3.1538, 17, 3.1447],
+    557089: [20, 3.0821, 10, 3.0818, 12, 3.0629, 18, 3.058],
+    557090: [0, 2.8201, 16, 2.8201, 20, 2.8135, 18, 2.8135],
+    557092: [16, 2.8252, 0, 2.825, 18, 2.8246, 17, 2.8232],
+    557096: [0, 2.8166, 18, 2.8166, 20, 2.812, 16, 2.812],
+    557104: [20, 3.0262, 0, 3.0122, 12, 3.0116, 10, 3.008],
+    557121: [12, 3.2035, 18, 3.2035, 24, 3.2035, 16, 3.191],
+    557122: [18, 3.0009, 16, 3.0002, 17, 2.9999, 12, 2.9682],
+    557124: [18, 2.9738, 16, 2.9695, 17, 2.9695, 12, 2.965],
+    557128: [18, 2.932, 16, 2.9255, 17, 2.9253, 12, 2.9055],
+    557136: [18, 3.1146, 12, 3.1124, 16, 3.1065, 17, 3.1009],
+    557185: [18, 2.9811, 16, 2.9755, 12, 2.9748, 17, 2.9737],
+    557186: [17, 2.8172, 16, 2.8171, 18, 2.8171, 12, 2.7717],
+    557188: [17, 2.9818, 16, 2.9807, 18, 2.9807, 12, 2.9795],
+    557600: [0, 2.907, 4, 2.907, 6, 2.907, 8, 2.907],
+    558081: [20, 3.0819, 5, 3.0818, 12, 3.0599, 18, 3.0582],
+    558082: [16, 2.8231, 0, 2.8209, 18, 2.8149, 20, 2.8135],
+    558084: [16, 2.8449, 18, 2.8432, 17, 2.8421, 12, 2.8375],
+    558088: [18, 2.8185, 0, 2.8165, 16, 2.8141, 20, 2.8124],
+    558096: [20, 3.0266, 12, 3.0196, 16, 3.0121, 0, 3.0113],
+    559105: [18, 2.9735, 16, 2.9687, 12, 2.9678, 17, 2.9659],
+    559106: [16, 2.9289, 18, 2.9257, 17, 2.9254, 6, 2.9228],
+    559108: [16, 2.8249, 18, 2.8249, 17, 2.8249, 12, 2.7963],
+    559112: [16, 2.799, 18, 2.7988, 17, 2.7985, 12, 2.7469],
+    559120: [16, 2.95, 12, 2.9414, 18, 2.9397, 17, 2.9381],
+    561153: [18, 3.2214, 16, 3.2192, 17, 3.2179, 6, 3.2035],
+    561154: [16, 3.027, 18, 3.027, 17, 3.0264, 0, 2.9787],
+    561156: [16, 3.0752, 18, 3.0752, 17, 3.0751, 4, 3.0004],
+    622593: [18, 3.2242, 17, 3.2236, 12, 3.2192, 24, 3.1926],
+    622594: [18, 3.0559, 17, 3.0558, 12, 3.027, 0, 3.0038],
+    622596: [17, 3.0845, 18, 3.0845, 12, 3.0752, 4, 3.0185],
+    622600: [18, 3.0559, 17, 3.0558, 12, 3.027, 4, 3.0049],
+    622608: [18, 3.2242, 17, 3.2236, 12, 3.2214, 8, 3.2035],
+    688129: [16, 3.2236, 18, 3.2236, 12, 3.2179, 24, 3.1892],
+    688130: [16, 3.0558, 18, 3.0558, 12, 3.0264, 0, 3.0035],
+    688132: [16, 3.0845, 18, 3.0845, 12, 3.0751, 0, 3.018],
+    1048592: [8, 3.3267, 12, 3.3267, 16, 3.3267, 6, 3.2847],
+    1048595: [12, 3.2754, 8, 3.2754, 16, 3.2754, 6, 3.2219],
+    1048597: [12, 3.2392, 16, 3.2392, 8, 3.2392, 1, 3.2005],
+    1048598: [12, 3.2028, 8, 3.202, 16, 3.2017, 0, 3.2005],
+    1048601: [12, 3.2754, 16, 3.2754, 8, 3.2754, 18, 3.2219],
+    1048602: [12, 3.2039, 8, 3.2035, 16, 3.2035, 0, 3.201],
+    1048604: [12, 3.2028, 16, 3.202, 8, 3.2017, 0, 3.2005],
+    1048626: [12, 3.1207, 8, 3.1207, 16, 3.1207, 0, 3.0627],
+    1048628: [12, 3.1037, 8, 3.1036, 16, 3.1036, 0, 3.0515],
+    1048632: [12, 3.0985, 16, 3.0984, 8, 3.0984, 0, 3.056],
+    1048657: [12, 3.4181, 8, 3.418, 16, 3.418, 18, 3.3966],
+    1048658: [12, 3.2755, 8, 3.2755, 16, 3.2754, 0, 3.2219],
+    1048660: [12, 3.2099, 8, 3.2095, 16, 3.2095, 0, 3.1703],
+    1048664: [12, 3.2321, 16, 3.2317, 8, 3.2317, 0, 3.2014],
+    1048721: [12, 3.2095, 8, 3.2095, 16, 3.2094, 6, 3.1612],
+    1048722: [12, 3.1037, 16, 3.1037, 8, 3.1036, 6, 3.0424],
+    1048724: [12, 3.1466, 16, 3.1466, 8, 3.1466, 17, 3.1105],
+    1048728: [12, 3.0798, 16, 3.0797, 8, 3.0797, 0, 3.0061],
+    1048752: [8, 3.2018, 12, 3.2018, 16, 3.2016, 6, 3.1899],
+    1048784: [12, 3.2393, 8, 3.2393, 16, 3.2392, 5, 3.1899],
+    1048849: [12, 3.433, 16, 3.433, 6, 3.418, 18, 3.418],
+    1048850: [12, 3.3024, 16, 3.3024, 6, 3.2755, 0, 3.2754],
+    1048852: [12, 3.2675, 16, 3.2675, 0, 3.2392, 6, 3.2095],
+    1048856: [12, 3.3024, 16, 3.3024, 18, 3.2754, 0, 3.2754],
+    1048880: [12, 3.3024, 16, 3.3024, 6, 3.2754, 0, 3.2754],
+    1048912: [12, 3.433, 16, 3.433, 0, 3.418, 24, 3.418],
+    1048976: [12, 3.2675, 16, 3.2675, 6, 3.2393, 24, 3.2095],
+    1049091: [12, 3.0033, 4, 3.0023, 8, 2.992, 16, 2.9913],
+    1049093: [12, 3.009, 4, 2.9928, 8, 2.9874, 6, 2.9716],
+    1049094: [4, 2.9389, 0, 2.9255, 3, 2.9253, 12, 2.9143],
+    1049097: [12, 3.0049, 8, 3.0043, 4, 2.9937, 6, 2.9736],
+    1049098: [4, 2.932, 0, 2.9255, 2, 2.9253, 12, 2.9055],
+    1049100: [4, 2.9321, 0, 2.9254, 1, 2.9253, 12, 2.9037],
+    1049105: [12, 3.2317, 8, 3.2316, 16, 3.2316, 6, 3.2052],
+    1049106: [12, 3.0984, 8, 3.0984, 16, 3.0984, 6, 3.0517],
+    1049108: [12, 3.0801, 8, 3.0796, 16, 3.0796, 6, 3.0017],
+    1049112: [8, 3.0763, 12, 3.0763, 16, 3.0763, 0, 2.9937],
+    1049121: [6, 3.1563, 8, 3.1563, 7, 3.1526, 12, 3.1511],
+    1049122: [8, 2.9656, 6, 2.9627, 7, 2.9618, 12, 2.9463],
+    1049124: [8, 2.983, 6, 2.9812, 7, 2.981, 12, 2.9769],
+    1049128: [8, 2.9453, 6, 2.9357, 7, 2.9355, 12, 2.9209],
+    1049136: [12, 3.2035, 8, 3.2035, 16, 3.2035, 6, 3.1926],
+    1049153: [12, 3.2419, 18, 3.2317, 24, 3.2316, 8, 3.2282],
+    1049154: [12, 3.0536, 4, 3.0517, 8, 3.0499, 16, 3.0499],
+    1049156: [12, 3.026, 8, 3.0202, 4, 3.0017, 16, 2.9891],
+    1049160: [8, 3.0053, 12, 3.0027, 4, 2.982, 0, 2.9736],
+    1049168: [12, 3.2755, 16, 3.2755, 8, 3.2754, 24, 3.2219],
+    1049217: [6, 3.1534, 8, 3.1534, 5, 3.1526, 12, 3.136],
+    1049218: [8, 2.967, 6, 2.9621, 5, 2.9618, 16, 2.9461],
+    1049220: [12, 3.0045, 8, 3.0033, 6, 2.9831, 4, 2.9827],
+    1049224: [8, 2.942, 6, 2.9357, 5, 2.9355, 12, 2.918],
+    1049232: [8, 3.2018, 12, 3.2018, 16, 3.2016, 6, 3.1899],
+    1049345: [12, 3.2419, 16, 3.2317, 4, 3.2316, 6, 3.2282],
+    1049346: [12, 3.0984, 16, 3.0984, 4, 3.0984, 6, 3.0499],
+    1049348: [12, 3.0814, 16, 3.0797, 4, 3.0796, 6, 3.0202],
+    1049352: [12, 3.0795, 4, 3.0763, 16, 3.0763, 6, 3.0053],
+    1049620: [12, 3.0703, 8, 3.0702, 16, 3.0702, 0, 3.0373],
+    1049624: [12, 3.1037, 8, 3.1036, 16, 3.1036, 0, 3.0515],
+    1049744: [8, 3.077, 12, 3.077, 16, 3.0766, 5, 3.0054],
+    1049872: [12, 3.2675, 16, 3.2675, 0, 3.2392, 18, 3.2095],
+    1050113: [5, 3.0819, 15, 3.0818, 12, 3.0664, 6, 3.0518],
+    1050114: [4, 2.8502, 12, 2.8446, 8, 2.8372, 16, 2.83],
+    1050116: [12, 2.8567, 4, 2.846, 8, 2.8354, 0, 2.8295],
+    1050120: [8, 2.8464, 4, 2.8406, 12, 2.8391, 0, 2.8259],
+    1050128: [12, 3.1046, 8, 3.1044, 16, 3.1043, 24, 3.0337],
+    1050648: [12, 3.1045, 16, 3.1045, 8, 3.1042, 0, 3.0127],
+    1050768: [12, 3.0703, 8, 3.0703, 16, 3.0703, 6, 3.0181],
+    1050896: [12, 3.2675, 16, 3.2675, 6, 3.2392, 24, 3.2094],
+    1051137: [12, 2.9732, 6, 2.9537, 8, 2.9411, 4, 2.9373],
+    1051138: [16, 2.967, 6, 2.9621, 21, 2.9618, 8, 2.9461],
+    1051140: [12, 2.8161, 4, 2.8109, 8, 2.8039, 16, 2.7998],
+    1051144: [8, 2.8116, 12, 2.8113, 4, 2.8075, 16, 2.8039],
+    1051152: [12, 3.1037, 8, 3.1037, 16, 3.1036, 6, 3.0424],
+    1052689: [8, 3.433, 16, 3.433, 18, 3.4181, 6, 3.4181],
+    1052690: [8, 3.3024, 16, 3.3024, 6, 3.2755, 0, 3.2754],
+    1052692: [8, 3.2675, 16, 3.2675, 0, 3.2392, 6, 3.2099],
+    1052696: [8, 3.3024, 16, 3.3024, 18, 3.2755, 0, 3.2754],
+    1052752: [16, 3.433, 8, 3.433, 0, 3.4181, 24, 3.4181],
+    1052816: [8, 3.2675, 16, 3.2675, 6, 3.2393, 24, 3.2095],
+    1052944: [16, 3.4478, 0, 3.433, 6, 3.433, 18, 3.433],
+    1053185: [6, 3.2419, 8, 3.2419, 16, 3.2317, 18, 3.2317],
+    1053186: [8, 3.0984, 16, 3.0984, 4, 3.0984, 6, 3.0536],
+    1053188: [8, 3.0814, 4, 3.0801, 16, 3.0797, 6, 3.026],
+    1053192: [8, 3.0795, 4, 3.0763, 16, 3.0763, 0, 3.0049],
+    1056785: [12, 3.2095, 8, 3.2095, 16, 3.2094, 18, 3.1612],
+    1056786: [12, 3.1045, 8, 3.1045, 16, 3.1042, 0, 3.0127],
+    1056788: [8, 3.077, 12, 3.077, 16, 3.0766, 3, 3.0054],
+    1056816: [12, 3.0798, 16, 3.0797, 8, 3.0797, 0, 3.0061],
+    1056848: [12, 3.1919, 8, 3.1919, 16, 3.1917, 18, 3.1307],
+    1056912: [8, 3.0463, 12, 3.0463, 16, 3.0462, 18, 2.9432],
+    1057281: [12, 2.9732, 8, 2.9537, 6, 2.9411, 24, 2.9373],
+    1057282: [8, 2.8067, 4, 2.8066, 12, 2.8057, 16, 2.8019],
+    1057284: [12, 2.8052, 8, 2.7978, 4, 2.7953, 16, 2.7785],
+    1057808: [12, 3.1466, 16, 3.1466, 8, 3.1466, 11, 3.1105],
+    1058832: [12, 3.1409, 8, 3.1409, 16, 3.1409, 14, 3.1105],
+    1064963: [12, 3.0092, 4, 2.9937, 16, 2.986, 8, 2.9649],
+    1064965: [12, 2.9993, 4, 2.9886, 24, 2.9598, 8, 2.9456],
+    1064966: [4, 2.9367, 0, 2.9324, 3, 2.9323, 12, 2.916],
+    1064969: [12, 3.0092, 4, 2.9937, 8, 2.986, 16, 2.9649],
+    1064970: [4, 2.9402, 0, 2.9328, 2, 2.9323, 12, 2.9211],
+    1064972: [4, 2.9367, 0, 2.9324, 1, 2.9323, 12, 2.916],
+    1064977: [12, 3.1917, 8, 3.1917, 16, 3.1917, 6, 3.1394],
+    1064978: [12, 3.0801, 16, 3.0796, 8, 3.0796, 6, 3.0017],
+    1064980: [12, 3.048, 16, 3.0463, 8, 3.0463, 0, 2.9886],
+    1064993: [12, 3.0863, 10, 3.0781, 15, 3.0781, 24, 3.0337],
+    1064994: [12, 2.8617, 4, 2.8521, 0, 2.8369, 16, 2.8367],
+    1064996: [12, 2.8681, 0, 2.8518, 4, 2.8492, 10, 2.8358],
+    1065000: [12, 2.8507, 4, 2.8416, 0, 2.8365, 8, 2.831],
+    1065008: [12, 3.1046, 8, 3.1044, 16, 3.1043, 0, 3.0337],
+    1065025: [12, 3.1924, 24, 3.1917, 18, 3.1917, 4, 3.1394],
+    1065026: [12, 3.026, 16, 3.0202, 4, 3.0017, 8, 2.9891],
+    1065028: [12, 2.9397, 4, 2.918, 0, 2.9115, 24, 2.9115],
+    1065032: [12, 2.9472, 0, 2.9254, 8, 2.922, 4, 2.9202],
+    1065040: [12, 3.2099, 16, 3.2095, 8, 3.2095, 24, 3.1703],
+    1065089: [12, 2.9735, 8, 2.934, 6, 2.934, 4, 2.9261],
+    1065090: [12, 2.8161, 4, 2.8109, 16, 2.8039, 8, 2.7998],
+    1065092: [12, 2.9158, 17, 2.9033, 22, 2.9031, 4, 2.8856],
+    1065217: [12, 3.1924, 4, 3.1917, 16, 3.1917, 24, 3.1394],
+    1065218: [12, 3.0797, 16, 3.0797, 4, 3.0796, 6, 2.9891],
+    1065220: [4, 3.0463, 12, 3.0463, 16, 3.0462, 0, 2.9456],
+    1065473: [24, 3.0908, 4, 3.0908, 19, 3.089, 12, 3.0777],
+    1065474: [4, 2.9389, 24, 2.9255, 19, 2.9253, 12, 2.9143],
+    1065985: [12, 3.101, 5, 3.0781, 15, 3.0781, 11, 3.0732],
+    1065986: [12, 2.9618, 11, 2.9485, 13, 2.9482, 16, 2.9336],
+    1065988: [12, 2.9352, 4, 2.9184, 0, 2.9042, 11, 2.9031],
+    1065992: [12, 2.9618, 13, 2.9485, 11, 2.9482, 8, 2.9336],
+    1066000: [12, 3.1411, 8, 3.141, 16, 3.141, 11, 3.1104],
+    1067009: [12, 3.0849, 13, 3.0732, 10, 3.0732, 6, 3.0245],
+    1067010: [12, 3.0045, 16, 3.0033, 6, 2.9831, 4, 2.9827],
+    1067012: [12, 2.9158, 13, 2.9033, 10, 2.9031, 4, 2.8856],
+    1067016: [12, 2.9551, 13, 2.9486, 10, 2.9482, 8, 2.9352],
+    1069057: [18, 3.1924, 6, 3.1924, 16, 3.1924, 8, 3.1924],
+    1069058: [16, 3.0814, 4, 3.0801, 8, 3.0797, 6, 3.026],
+    1069060: [4, 3.048, 16, 3.0463, 8, 3.0463, 24, 2.9993],
+    1073153: [12, 3.0849, 11, 3.0732, 10, 3.0732, 8, 3.0245],
+    1073154: [12, 2.9551, 11, 2.9486, 10, 2.9482, 16, 2.9352],
+    1081368: [12, 3.1207, 8, 3.1207, 16, 3.1207, 0, 3.0627],
+    1081616: [12, 3.3024, 16, 3.3024, 18, 3.2755, 0, 3.2754],
+    1081857: [5, 3.0821, 10, 3.0818, 12, 3.0792, 8, 3.067],
+    1081858: [4, 2.8408, 8, 2.8299, 16, 2.8298, 0, 2.823],
+    1081860: [12, 2.8435, 4, 2.8427, 8, 2.8385, 0, 2.8282],
+    1081864: [8, 2.8493, 4, 2.8423, 12, 2.8319, 0, 2.8249],
+    1081872: [12, 3.1212, 8, 3.1212, 16, 3.1212, 24, 3.0402],
+    1097730: [12, 2.8507, 4, 2.8416, 0, 2.8365, 16, 2.831],
+    1097732: [12, 2.8681, 0, 2.8518, 4, 2.8492, 10, 2.8358],
+    1097736: [12, 2.8617, 4, 2.8521, 0, 2.8369, 8, 2.8367],
+    1114384: [12, 3.4478, 0, 3.433, 6, 3.433, 18, 3.433],
+    1114625: [12, 3.2317, 8, 3.2317, 4, 3.2316, 6, 3.1952],
+    1114626: [12, 3.0984, 8, 3.0984, 4, 3.0984, 6, 3.0499],
+    1114628: [12, 3.0797, 8, 3.0797, 4, 3.0796, 6, 2.9891],
+    1114632: [4, 3.0763, 8, 3.0763, 12, 3.0763, 0, 2.9714],
+    1130498: [12, 3.0814, 8, 3.0797, 4, 3.0796, 6, 3.0202],
+    1130500: [4, 3.0463, 12, 3.0463, 8, 3.0462, 0, 2.9456],
+    1180161: [12, 2.9707, 8, 2.9437, 6, 2.9437, 16, 2.9317],
+    1180162: [16, 2.8067, 4, 2.8066, 12, 2.8057, 8, 2.8019],
+    1196034: [12, 2.8052, 16, 2.7978, 4, 2.7953, 8, 2.7785],
+    1310737: [12, 3.4181, 8, 3.418, 16, 3.418, 6, 3.3966],
+    1310738: [12, 3.2321, 8, 3.2317, 16, 3.2317, 0, 3.2014],
+    1310800: [12, 3.3968, 0, 3.3966, 8, 3.3966, 16, 3.3966],
+    1311233: [12, 3.2317, 6, 3.2317, 24, 3.2316, 8, 3.1952],
+    1311234: [12, 2.9413, 4, 2.9239, 6, 2.9239, 0, 2.9194],
+    1327106: [12, 2.9472, 0, 2.9254, 16, 2.922, 4, 2.9202],
+    1572867: [12, 3.0049, 16, 3.0043, 4, 2.9937, 18, 2.9736],
+    1572869: [12, 3.009, 4, 2.9928, 16, 2.9874, 18, 2.9716],
+    1572870: [4, 2.9321, 0, 2.9254, 3, 2.9253, 12, 2.9037],
+    1572873: [12, 3.0033, 4, 3.0023, 16, 2.992, 8, 2.9913],
+    1572874: [4, 2.932, 0, 2.9255, 2, 2.9253, 12, 2.9055],
+    1572881: [12, 3.2317, 16, 3.2316, 8, 3.2316, 18, 3.2052],
+    1572882: [16, 3.0763, 12, 3.0763, 8, 3.0763, 0, 2.9937],
+    1572898: [16, 2.8493, 4, 2.8423, 12, 2.8319, 0, 2.8249],
+    1572900: [12, 2.8435, 4, 2.8427, 16, 2.8385, 0, 2.8282],
+    1572904: [4, 2.8408, 16, 2.8299, 8, 2.8298, 0, 2.823],
+    1572912: [12, 3.1212, 8, 3.1212, 16, 3.1212, 0, 3.0402],
+    1572930: [16, 3.0053, 12, 3.0027, 4, 2.982, 24, 2.9736],
+    1572994: [16, 2.8116, 12, 2.8113, 4, 2.8075, 8, 2.8039],
+    1573122: [4, 3.0763, 16, 3.0763, 12, 3.0763, 24, 2.9714],
+    1573377: [4, 3.0926, 24, 3.0926, 14, 3.089, 12, 3.0792],
+    1573890: [16, 2.8464, 4, 2.8406, 12, 2.8391, 0, 2.8259],
+    1573892: [12, 2.8567, 4, 2.846, 16, 2.8354, 0, 2.8295],
+    1573896: [4, 2.8502, 12, 2.8446, 16, 2.8372, 8, 2.83],
+    1574914: [16, 2.942, 6, 2.9357, 21, 2.9355, 12, 2.918],
+    1576962: [16, 3.0795, 4, 3.0763, 8, 3.0763, 0, 3.0049],
+    1605634: [16, 2.9453, 18, 2.9357, 17, 2.9355, 12, 2.9209],
+    1605636: [16, 2.983, 18, 2.9812, 17, 2.981, 12, 2.9769],
+    1605640: [16, 2.9656, 18, 2.9627, 17, 2.9618, 12, 2.9463],
+    1638402: [12, 3.0795, 4, 3.0763, 8, 3.0763, 6, 3.0053],
+    2097698: [6, 2.9274, 16, 2.923, 8, 2.923, 7, 2.9226],
+    2097700: [7, 2.8096, 8, 2.8095, 6, 2.8095, 12, 2.7673],
+    2097704: [6, 2.7875, 8, 2.7875, 7, 2.7872, 0, 2.6927],
+    2098692: [12, 2.6315, 24, 2.6105, 6, 2.6041, 4, 2.5995],
+    2098696: [0, 2.582, 20, 2.582, 12, 2.5817, 24, 2.5785],
+    2113570: [11, 2.8096, 16, 2.8095, 6, 2.8095, 12, 2.7673],
+    2113572: [12, 2.6287, 20, 2.6085, 6, 2.6012, 24, 2.6003],
+    2113576: [12, 2.5804, 24, 2.5801, 4, 2.5801, 20, 2.5788],
+    2114562: [11, 2.9811, 6, 2.9801, 16, 2.9801, 12, 2.9794],
+    2114564: [12, 2.7909, 11, 2.7886, 13, 2.7885, 24, 2.716],
+    2114568: [12, 2.7998, 13, 2.7998, 11, 2.7998, 18, 2.7115],
+    2130440: [0, 2.5919, 4, 2.5919, 6, 2.5919, 8, 2.5919],
+    2146308: [12, 2.6315, 20, 2.6105, 16, 2.6041, 24, 2.5995],
+    2621480: [24, 2.5882, 0, 2.5882, 6, 2.5882, 8, 2.5882],
+    4211716: [12, 2.8734, 7, 2.8656, 11, 2.8656, 13, 2.8656],
+    17825809: [12, 3.3963, 16, 3.3963, 6, 3.3963, 8, 3.3963]
+  }
+};
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OpeningBookData;
+}
+
+// 在瀏覽器環境中，將 OpeningBookData 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.OpeningBookData = OpeningBookData;
+}
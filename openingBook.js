@@ -0,0 +1,356 @@
+// 載入依賴模組
+let BookConstants, BookUtils, BookGameError, BookSolver;
+if (typeof require !== 'undefined') {
+  const common = require('./utils/common.js');
+  BookConstants = common.CONSTANTS;
+  BookUtils = common.Utils;
+  BookGameError = common.GameError;
+  BookSolver = require('./optimalSolver.js');
+} else if (typeof window !== 'undefined') {
+  BookConstants = window.CONSTANTS;
+  BookUtils = window.Utils;
+  BookGameError = window.GameError;
+  BookSolver = window.OptimalSolver;
+}
+
+/**
+ * OpeningBook - 開局庫：預先計算的前幾回合最佳移動
+ *
+ * 前幾回合的局面數量很少，但計算器每次都要完整評估所有空格。開局庫以 OptimalSolver
+ * 離線求解這些局面（電腦隨機下棋時的精確期望值），計算器在 getBestSuggestion 中先查詢開局庫，
+ * 查不到時才評估所有移動。
+ *
+ * 連線不區分玩家或電腦，局面只取決於哪些格子已被填滿，因此以「佔用遮罩」表示局面，
+ * 並取 8 種旋轉／鏡射中最小的遮罩作為標準化局面（與 OptimalSolver 相同）；
+ * 每個標準化局面保存最佳的幾個移動（以標準化局面中的格子索引表示）及其期望值。
+ *
+ * 資料檔 openingBook.data.js 由 `bingo-sim book` 產生。
+ *
+ * @class OpeningBook
+ * @version 1.0.0
+ */
+class OpeningBook {
+  /**
+   * 建立開局庫
+   * @param {Object} data - 開局庫資料（見 OpeningBook.build）
+   * @param {number} data.version - 資料格式版本
+   * @param {Object} data.config - 求解時的遊戲配置
+   * @param {number} data.rounds - 收錄的回合數
+   * @param {Object<string, number[]>} data.positions - 標準化遮罩 -> [格子, 期望值, 格子, 期望值, ...]（由好到壞）
+   * @throws {GameError} 資料格式無效時拋出
+   */
+  constructor(data) {
+    if (
+      !data ||
+      data.version !== OpeningBook.FORMAT_VERSION ||
+      typeof data.positions !== 'object'
+    ) {
+      throw new BookGameError(
+        'Invalid opening book data',
+        BookConstants.ERROR_TYPES.INVALID_CONFIG
+      );
+    }
+
+    this.config = BookUtils.createGameConfig(data.config);
+    this.rounds = data.rounds;
+    this.positions = new Map(Object.entries(data.positions));
+    this.BOARD_SIZE = this.config.boardSize;
+
+    // 每種對稱變換下，各格子在佔用遮罩中的權重（2^變換後的格子索引）
+    this._transformWeights = OpeningBook.getTransformWeights(this.BOARD_SIZE);
+  }
+
+  /**
+   * 取得以 openingBook.data.js 建立的共用開局庫
+   * 資料檔不存在（例如重新產生之前）時沒有開局庫，計算器照常評估所有移動。
+   * @param {Object} [config] - 遊戲配置；與開局庫的配置不同時返回 null
+   * @returns {OpeningBook|null} 開局庫
+   */
+  static getDefault(config) {
+    if (OpeningBook.defaultBook === undefined) {
+      const data = OpeningBook.loadDefaultData();
+      OpeningBook.defaultBook = data ? new OpeningBook(data) : null;
+    }
+
+    const book = OpeningBook.defaultBook;
+    return book && book.supports(config) ? book : null;
+  }
+
+  /**
+   * 載入 openingBook.data.js（Node.js 中 require，瀏覽器中由 script 標籤載入）
+   * @private
+   * @returns {Object|null} 開局庫資料
+   */
+  static loadDefaultData() {
+    if (typeof require === 'undefined') {
+      return (typeof window !== 'undefined' && window.OpeningBookData) || null;
+    }
+    try {
+      return require('./openingBook.data.js');
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 檢查開局庫是否適用於遊戲配置
+   * @param {Object} [config] - 遊戲配置
+   * @returns {boolean} 配置是否與求解時相同
+   */
+  supports(config) {
+    const { boardSize, maxRounds, lineLength } =
+      BookUtils.createGameConfig(config);
+    return (
+      boardSize === this.config.boardSize &&
+      maxRounds === this.config.maxRounds &&
+      lineLength === this.config.lineLength
+    );
+  }
+
+  /**
+   * 查詢局面的最佳移動
+   * 只在輪到玩家、且回合與已填格子數一致（每回合玩家與電腦各填一格）時適用。
+   * @param {number[][]} board - 當前遊戲板（輪到玩家）
+   * @param {number} [roundsLeft] - 剩餘回合數（包含當前回合）；提供時必須與已填格子數一致
+   * @returns {Object|null} 建議 { row, col, value, expectedLines, position, confidence, alternatives, source: 'book' }，不在開局庫中時返回 null
+   */
+  lookup(board, roundsLeft) {
+    if (!BookUtils.isValidBoard(board, this.BOARD_SIZE)) {
+      return null;
+    }
+
+    const filled = [];
+    board.forEach((cells, row) =>
+      cells.forEach((cell, col) => {
+        if (cell !== BookConstants.CELL_STATES.EMPTY) {
+          filled.push(row * this.BOARD_SIZE + col);
+        }
+      })
+    );
+
+    const round = filled.length / 2 + 1;
+    if (
+      !Number.isInteger(round) ||
+      round > this.rounds ||
+      (roundsLeft !== undefined &&
+        roundsLeft !== this.config.maxRounds - round + 1)
+    ) {
+      return null;
+    }
+
+    // 找出產生最小遮罩的變換，開局庫的移動以該變換後的格子索引保存
+    let key = Infinity;
+    let transform = 0;
+    this._transformWeights.forEach((weights, t) => {
+      const mask = filled.reduce((sum, cell) => sum + weights[cell], 0);
+      if (mask < key) {
+        key = mask;
+        transform = t;
+      }
+    });
+
+    const entry = this.positions.get(String(key));
+    if (!entry) {
+      return null;
+    }
+
+    const moves = [];
+    for (let i = 0; i < entry.length; i += 2) {
+      const position = this.fromCanonicalCell(entry[i], transform);
+      moves.push({
+        ...position,
+        value: entry[i + 1],
+        expectedLines: entry[i + 1],
+        position: `(${position.row}, ${position.col})`
+      });
+    }
+
+    const [best, ...alternatives] = moves;
+    return {
+      ...best,
+      // 精確期望值：嚴格優於次佳移動時為非常高，與其他移動同樣好時為高
+      confidence:
+        alternatives.length === 0 || best.value > alternatives[0].value
+          ? 'very-high'
+          : 'high',
+      alternatives,
+      source: 'book'
+    };
+  }
+
+  /**
+   * 將標準化局面中的格子轉回實際遊戲板上的位置
+   * @private
+   * @param {number} cell - 標準化局面中的格子索引
+   * @param {number} transform - 實際局面轉為標準化局面所用的變換
+   * @returns {{row: number, col: number}} 實際位置
+   */
+  fromCanonicalCell(cell, transform) {
+    const weight = 2 ** cell;
+    const index = this._transformWeights[transform].indexOf(weight);
+    return {
+      row: Math.floor(index / this.BOARD_SIZE),
+      col: index % this.BOARD_SIZE
+    };
+  }
+
+  /**
+   * 每種對稱變換下，各格子在佔用遮罩中的權重
+   * @param {number} boardSize - 遊戲板大小
+   * @returns {number[][]} 變換 -> 格子索引 -> 2^變換後的格子索引
+   */
+  static getTransformWeights(boardSize) {
+    return BookConstants.SYMMETRY_TRANSFORMS.map((_, transform) =>
+      Array.from({ length: boardSize * boardSize }, (_, cell) => {
+        const target = BookUtils.transformPosition(
+          Math.floor(cell / boardSize),
+          cell % boardSize,
+          transform,
+          boardSize
+        );
+        return 2 ** (target.row * boardSize + target.col);
+      })
+    );
+  }
+
+  /**
+   * 以 OptimalSolver 建立開局庫資料（離線執行，見 `bingo-sim book`）
+   * 第一回合的求解會算出整局遊戲的期望值表，之後的局面都從記憶化表取得。
+   * @param {Object} [options] - 建立選項
+   * @param {Object} [options.config] - 遊戲配置
+   * @param {number} [options.rounds=3] - 收錄的回合數
+   * @param {number} [options.moves=4] - 每個局面保存的最佳移動數（最佳移動與替代建議）
+   * @param {Function} [options.onProgress] - 每個回合完成後呼叫 (回合, 總回合數, 局面數)
+   * @returns {Object} 開局庫資料（可傳給 new OpeningBook）
+   */
+  static build(options = {}) {
+    const config = BookUtils.createGameConfig(options.config);
+    const rounds = Math.min(options.rounds || 3, config.maxRounds);
+    const moveCount = options.moves || 4;
+    const { boardSize } = config;
+    const cellCount = boardSize * boardSize;
+    const solver = new BookSolver(config);
+    const transformWeights = OpeningBook.getTransformWeights(boardSize);
+
+    const canonicalKey = cells =>
+      Math.min(
+        ...transformWeights.map(weights =>
+          cells.reduce((sum, cell) => sum + weights[cell], 0)
+        )
+      );
+    const cellsOf = key =>
+      Array.from({ length: cellCount }, (_, cell) => cell).filter(
+        cell => Math.floor(key / 2 ** cell) % 2 === 1
+      );
+
+    const positions = {};
+    let frontier = [0];
+
+    for (let round = 1; round <= rounds; round++) {
+      const next = new Set();
+
+      frontier.forEach(key => {
+        // 以標準化遮罩本身作為代表局面，移動的格子索引因此就是標準化局面中的索引
+        const cells = cellsOf(key);
+        const board = BookUtils.createEmptyBoard(boardSize);
+        cells.forEach(cell => {
+          board[Math.floor(cell / boardSize)][cell % boardSize] =
+            BookConstants.CELL_STATES.PLAYER;
+        });
+
+        const moves = solver.evaluateMoves(board, config.maxRounds - round + 1);
+        positions[key] = moves
+          .slice(0, moveCount)
+          .flatMap(move => [
+            move.row * boardSize + move.col,
+            Math.round(move.expectedValue * 10000) / 10000
+          ]);
+
+        // 下一回合的局面：玩家與電腦各再填一格
+        if (round < rounds) {
+          const empty = Array.from({ length: cellCount }, (_, c) => c).filter(
+            cell => !cells.includes(cell)
+          );
+          empty.forEach((first, i) =>
+            empty
+              .slice(i + 1)
+              .forEach(second =>
+                next.add(canonicalKey([...cells, first, second]))
+              )
+          );
+        }
+      });
+
+      if (options.onProgress) {
+        options.onProgress(round, rounds, Object.keys(positions).length);
+      }
+      frontier = [...next];
+    }
+
+    return {
+      version: OpeningBook.FORMAT_VERSION,
+      config: {
+        boardSize: config.boardSize,
+        maxRounds: config.maxRounds,
+        lineLength: config.lineLength
+      },
+      rounds,
+      positions
+    };
+  }
+
+  /**
+   * 將開局庫資料轉為 openingBook.data.js 的內容（每個局面一行）
+   * @param {Object} data - OpeningBook.build() 的結果
+   * @returns {string} JavaScript 原始碼
+   */
+  static toSource(data) {
+    const positions = Object.entries(data.positions)
+      .map(([key, moves]) => `    ${key}: [${moves.join(', ')}]`)
+      .join(',\n');
+
+    return `/**
+ * 開局庫資料：由 \`bingo-sim book\` 以 OptimalSolver 產生，請勿手動編輯
+ * 標準化佔用遮罩 -> [格子, 期望值, ...]（見 OpeningBook）
+ */
+const OpeningBookData = {
+  version: ${data.version},
+  config: {
+    boardSize: ${data.config.boardSize},
+    maxRounds: ${data.config.maxRounds},
+    lineLength: ${data.config.lineLength}
+  },
+  rounds: ${data.rounds},
+  positions: {
+${positions}
+  }
+};
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OpeningBookData;
+}
+
+// 在瀏覽器環境中，將 OpeningBookData 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.OpeningBookData = OpeningBookData;
+}
+`;
+  }
+}
+
+// 開局庫資料格式版本
+OpeningBook.FORMAT_VERSION = 1;
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OpeningBook;
+}
+
+// 在瀏覽器環境中，將 OpeningBook 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.OpeningBook = OpeningBook;
+}
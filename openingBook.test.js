@@ -0,0 +1,183 @@
+/**
+ * OpeningBook 與 bingo-sim book 單元測試
+ */
+const OpeningBook = require('./openingBook.js');
+const OptimalSolver = require('./optimalSolver.js');
+const ProbabilityCalculator = require('./probabilityCalculator.js');
+const ComputerPolicy = require('./computerPolicy.js');
+const { parseArgs } = require('./bin/bingo-sim.js');
+const vm = require('vm');
+
+// 4x4、5 回合的小型開局庫，建立只需不到一秒
+const config = { boardSize: 4, maxRounds: 5 };
+const data = OpeningBook.build({ config, rounds: 3 });
+const book = new OpeningBook(data);
+
+function createBoard(cells) {
+  const board = Array(4)
+    .fill()
+    .map(() => Array(4).fill(0));
+  cells.forEach(([row, col, state]) => {
+    board[row][col] = state;
+  });
+  return board;
+}
+
+function captureError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('OpeningBook', () => {
+  test('should store every canonical position of the opening rounds', () => {
+    expect(data.rounds).toBe(3);
+    expect(data.positions[0]).toHaveLength(8);
+    expect(Object.keys(data.positions).length).toBeGreaterThan(20);
+  });
+
+  test('should suggest the exact best move on any symmetric board', () => {
+    const solver = new OptimalSolver(config);
+    const boards = [
+      createBoard([]),
+      createBoard([
+        [0, 1, 1],
+        [3, 3, 2]
+      ]),
+      createBoard([
+        [3, 2, 1],
+        [0, 1, 2],
+        [2, 3, 1],
+        [1, 1, 2]
+      ])
+    ];
+
+    boards.forEach((board, index) => {
+      const roundsLeft = config.maxRounds - index;
+      const suggestion = book.lookup(board, roundsLeft);
+      const best = solver.evaluateMoves(board, roundsLeft)[0];
+
+      expect(suggestion.source).toBe('book');
+      expect(board[suggestion.row][suggestion.col]).toBe(0);
+      expect(suggestion.expectedLines).toBe(
+        Math.round(best.expectedValue * 10000) / 10000
+      );
+      expect(
+        solver.getExpectedValue(
+          board.map((row, r) =>
+            row.map((cell, c) =>
+              r === suggestion.row && c === suggestion.col ? 1 : cell
+            )
+          ),
+          roundsLeft
+        ) >=
+          best.expectedValue - 1e-9
+      ).toBeTruthy();
+      expect(suggestion.alternatives).toHaveLength(3);
+    });
+  });
+
+  test('should only answer positions inside the book', () => {
+    const afterPlayer = createBoard([[0, 0, 1]]);
+    const lateBoard = createBoard([
+      [0, 0, 1],
+      [0, 1, 2],
+      [0, 2, 1],
+      [0, 3, 2],
+      [1, 0, 1],
+      [1, 1, 2]
+    ]);
+
+    expect(book.lookup(afterPlayer)).toBe(null);
+    expect(book.lookup(lateBoard)).toBe(null);
+    expect(book.lookup(createBoard([]), 4)).toBe(null);
+    expect(book.lookup([[0]])).toBe(null);
+    expect(book.supports(config)).toBeTruthy();
+    expect(book.supports({})).toBeFalsy();
+  });
+
+  test('should reject data in another format', () => {
+    const error = captureError(() => new OpeningBook({ ...data, version: 0 }));
+    expect(error.type).toBe('invalid-config');
+  });
+
+  test('should write data files that load back into the same book', () => {
+    const source = OpeningBook.toSource(data);
+    const module = { exports: {} };
+    vm.runInNewContext(source, { module });
+
+    expect(module.exports).toEqual(data);
+  });
+
+  test('should ship a default book for the default game', () => {
+    const defaultBook = OpeningBook.getDefault();
+
+    expect(defaultBook.config.boardSize).toBe(5);
+    expect(OpeningBook.getDefault(config)).toBe(null);
+    expect(defaultBook.lookup(createBoard([]))).toBe(null);
+    expect(
+      defaultBook.lookup(
+        Array(5)
+          .fill()
+          .map(() => Array(5).fill(0)),
+        8
+      ).position
+    ).toBe('(2, 2)');
+  });
+});
+
+describe('Calculators with an opening book', () => {
+  test('should answer opening positions from the book', () => {
+    const calculator = new ProbabilityCalculator(config, { openingBook: book });
+    const board = createBoard([
+      [1, 1, 1],
+      [2, 3, 2]
+    ]);
+
+    const suggestion = calculator.getBestSuggestion(board, {
+      currentRound: 2,
+      roundsLeft: 4,
+      turn: 'player'
+    });
+    expect(suggestion).toEqual(book.lookup(board, 4));
+    expect(
+      calculator.getBestSuggestion(board, { roundsLeft: 4, turn: 'computer' })
+        .source
+    ).toBe(undefined);
+  });
+
+  test('should evaluate every move without a book or with a computer policy', () => {
+    const board = createBoard([]);
+    const withoutBook = new ProbabilityCalculator(config, {
+      openingBook: null
+    });
+    const withPolicy = new ProbabilityCalculator(config, { openingBook: book });
+    withPolicy.setComputerPolicy(ComputerPolicy.create('heuristic', config));
+
+    expect(withoutBook.getBestSuggestion(board).source).toBe(undefined);
+    expect(withPolicy.getBestSuggestion(board).source).toBe(undefined);
+    expect(
+      new ProbabilityCalculator().getBestSuggestion(
+        Array(5)
+          .fill()
+          .map(() => Array(5).fill(0))
+      ).source
+    ).toBe('book');
+  });
+
+  test('should parse book options', () => {
+    const { command, options } = parseArgs([
+      'book',
+      '--book-rounds',
+      '2',
+      '--output=book.js'
+    ]);
+
+    expect(command).toBe('book');
+    expect(options.bookRounds).toBe(2);
+    expect(options.output).toBe('book.js');
+  });
+});
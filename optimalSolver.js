@@ -0,0 +1,346 @@
+// 載入共用工具
+let SolverConstants, SolverUtils, SolverGameError;
+if (typeof require !== 'undefined') {
+  const common = require('./utils/common.js');
+  SolverConstants = common.CONSTANTS;
+  SolverUtils = common.Utils;
+  SolverGameError = common.GameError;
+} else if (typeof window !== 'undefined') {
+  SolverConstants = window.CONSTANTS;
+  SolverUtils = window.Utils;
+  SolverGameError = window.GameError;
+}
+
+/**
+ * OptimalSolver - 合作模式的精確最佳解求解器
+ *
+ * 以 expectimax 計算在玩家最佳策略下，遊戲結束時完成連線數的期望值：
+ * - 玩家節點：選擇期望值最高的空格
+ * - 電腦節點：在所有空格中均勻隨機選擇（與 makeRandomComputerMove 相同）
+ *
+ * 連線不區分玩家或電腦，因此局面的價值只取決於哪些格子已被填滿。
+ * 求解器以「佔用遮罩」作為雜湊，並取 8 種旋轉／鏡射中最小的遮罩作為標準化雜湊
+ * （canonical hash），使對稱局面共用記憶化結果；記憶化表依剩餘回合數分開。
+ *
+ * 注意：狀態數隨空格數呈指數成長，從空白 5x5 遊戲板開始求解需要大量記憶體；
+ * 適合用於小型棋盤或中後盤局面，以衡量啟發式演算法與最佳解的差距。
+ *
+ * @class OptimalSolver
+ * @version 1.0.0
+ */
+class OptimalSolver {
+  /**
+   * 創建求解器實例
+   * @param {Object} [config] - 遊戲配置（boardSize、maxRounds、lineLength）
+   * @throws {GameError} 遊戲板過大而無法以精確數值表示狀態時拋出
+   */
+  constructor(config = {}) {
+    this.config = SolverUtils.createGameConfig(config);
+    this.BOARD_SIZE = this.config.boardSize;
+    this.LINE_LENGTH = this.config.lineLength;
+    this.CELL_STATES = SolverConstants.CELL_STATES;
+
+    const cellCount = this.BOARD_SIZE * this.BOARD_SIZE;
+    if (cellCount > OptimalSolver.MAX_CELLS) {
+      throw new SolverGameError(
+        `Exact solving supports at most ${OptimalSolver.MAX_CELLS} cells`,
+        SolverConstants.ERROR_TYPES.INVALID_CONFIG
+      );
+    }
+
+    // 以格子索引（row * BOARD_SIZE + col）表示每條連線
+    this._lines = SolverUtils.generateLines(
+      this.BOARD_SIZE,
+      this.LINE_LENGTH
+    ).map(line => line.cells.map(([row, col]) => row * this.BOARD_SIZE + col));
+
+    this._cellLines = Array.from({ length: cellCount }, () => []);
+    this._lines.forEach((cells, lineIndex) => {
+      cells.forEach(cell => this._cellLines[cell].push(lineIndex));
+    });
+
+    // 每種對稱變換下，各格子在佔用遮罩中的權重（2^i，最多 52 位元仍可精確表示）
+    this._transformWeights = SolverConstants.SYMMETRY_TRANSFORMS.map(
+      (_, transform) =>
+        Array.from({ length: cellCount }, (_, cell) => {
+          const target = SolverUtils.transformPosition(
+            Math.floor(cell / this.BOARD_SIZE),
+            cell % this.BOARD_SIZE,
+            transform,
+            this.BOARD_SIZE
+          );
+          return 2 ** (target.row * this.BOARD_SIZE + target.col);
+        })
+    );
+
+    // 記憶化表：剩餘回合數 -> (佔用遮罩 -> 期望值)
+    this._memo = new Map();
+    this._stats = { nodesEvaluated: 0, cacheHits: 0 };
+  }
+
+  /**
+   * 取得最佳移動及其精確期望值
+   * @param {number[][]} board - 當前遊戲板（輪到玩家）
+   * @param {number} roundsLeft - 剩餘回合數（包含當前回合）
+   * @returns {Object|null} { row, col, expectedValue, position, alternatives }，無空格時返回 null
+   */
+  getOptimalMove(board, roundsLeft) {
+    const moves = this.evaluateMoves(board, roundsLeft);
+
+    if (moves.length === 0) {
+      return null;
+    }
+
+    return {
+      ...moves[0],
+      alternatives: moves.slice(1, 4)
+    };
+  }
+
+  /**
+   * 計算每個可行移動的精確期望值
+   * @param {number[][]} board - 當前遊戲板（輪到玩家）
+   * @param {number} roundsLeft - 剩餘回合數（包含當前回合）
+   * @returns {Array<Object>} 依期望值由高到低排序的 { row, col, expectedValue, position }
+   */
+  evaluateMoves(board, roundsLeft) {
+    this._loadBoard(board, roundsLeft);
+
+    if (roundsLeft === 0) {
+      return [];
+    }
+
+    const moves = [];
+    for (let cell = 0; cell < this._filled.length; cell++) {
+      if (this._filled[cell]) continue;
+
+      this._fill(cell);
+      const expectedValue = this._computerValue(roundsLeft);
+      this._unfill(cell);
+
+      const row = Math.floor(cell / this.BOARD_SIZE);
+      const col = cell % this.BOARD_SIZE;
+      moves.push({ row, col, expectedValue, position: `(${row}, ${col})` });
+    }
+
+    moves.sort((a, b) => b.expectedValue - a.expectedValue);
+    return moves;
+  }
+
+  /**
+   * 計算局面在最佳策略下的期望完成連線數
+   * @param {number[][]} board - 當前遊戲板（輪到玩家）
+   * @param {number} roundsLeft - 剩餘回合數（包含當前回合）
+   * @returns {number} 遊戲結束時完成連線數的期望值
+   */
+  getExpectedValue(board, roundsLeft) {
+    this._loadBoard(board, roundsLeft);
+    return this._playerValue(roundsLeft);
+  }
+
+  /**
+   * 衡量啟發式演算法與最佳解的差距
+   * @param {Object} calculator - 具有 getBestSuggestion(board, context) 的機率計算器
+   * @param {number[][]} board - 當前遊戲板（輪到玩家）
+   * @param {number} roundsLeft - 剩餘回合數（包含當前回合）
+   * @returns {Object|null} { heuristicMove, optimalMove, heuristicValue, optimalValue, gap }
+   */
+  measureHeuristicGap(calculator, board, roundsLeft) {
+    const moves = this.evaluateMoves(board, roundsLeft);
+    const suggestion = calculator.getBestSuggestion(board, {
+      roundsLeft,
+      turn: 'player'
+    });
+
+    if (moves.length === 0 || !suggestion) {
+      return null;
+    }
+
+    const heuristicMove = moves.find(
+      move => move.row === suggestion.row && move.col === suggestion.col
+    );
+
+    return {
+      heuristicMove: { row: suggestion.row, col: suggestion.col },
+      optimalMove: { row: moves[0].row, col: moves[0].col },
+      heuristicValue: heuristicMove.expectedValue,
+      optimalValue: moves[0].expectedValue,
+      gap: moves[0].expectedValue - heuristicMove.expectedValue
+    };
+  }
+
+  /**
+   * 清除記憶化表
+   */
+  clearCache() {
+    this._memo.clear();
+    this._stats = { nodesEvaluated: 0, cacheHits: 0 };
+  }
+
+  /**
+   * 取得求解統計
+   * @returns {{nodesEvaluated: number, cacheHits: number, cachedStates: number}} 統計資料
+   */
+  getStats() {
+    let cachedStates = 0;
+    for (const table of this._memo.values()) {
+      cachedStates += table.size;
+    }
+    return { ...this._stats, cachedStates };
+  }
+
+  /**
+   * 載入遊戲板並初始化增量狀態
+   * @private
+   * @param {number[][]} board - 遊戲板
+   * @param {number} roundsLeft - 剩餘回合數
+   */
+  _loadBoard(board, roundsLeft) {
+    if (!SolverUtils.isValidBoard(board, this.BOARD_SIZE)) {
+      throw new SolverGameError(
+        'Invalid board for solver',
+        SolverConstants.ERROR_TYPES.INVALID_MOVE
+      );
+    }
+    if (!Number.isInteger(roundsLeft) || roundsLeft < 0) {
+      throw new SolverGameError(
+        'roundsLeft must be a non-negative integer',
+        SolverConstants.ERROR_TYPES.INVALID_MOVE
+      );
+    }
+
+    const cellCount = this.BOARD_SIZE * this.BOARD_SIZE;
+    this._filled = new Array(cellCount).fill(false);
+    this._lineFillCounts = new Array(this._lines.length).fill(0);
+    this._completedLines = 0;
+    this._emptyCount = cellCount;
+    this._keys = new Array(this._transformWeights.length).fill(0);
+
+    for (let row = 0; row < this.BOARD_SIZE; row++) {
+      for (let col = 0; col < this.BOARD_SIZE; col++) {
+        if (board[row][col] !== this.CELL_STATES.EMPTY) {
+          this._fill(row * this.BOARD_SIZE + col);
+        }
+      }
+    }
+  }
+
+  /**
+   * 填入格子並增量更新連線計數
+   * @private
+   * @param {number} cell - 格子索引
+   */
+  _fill(cell) {
+    this._filled[cell] = true;
+    this._emptyCount--;
+    for (let t = 0; t < this._keys.length; t++) {
+      this._keys[t] += this._transformWeights[t][cell];
+    }
+
+    for (const lineIndex of this._cellLines[cell]) {
+      if (++this._lineFillCounts[lineIndex] === this.LINE_LENGTH) {
+        this._completedLines++;
+      }
+    }
+  }
+
+  /**
+   * 清除格子並還原連線計數
+   * @private
+   * @param {number} cell - 格子索引
+   */
+  _unfill(cell) {
+    for (const lineIndex of this._cellLines[cell]) {
+      if (this._lineFillCounts[lineIndex]-- === this.LINE_LENGTH) {
+        this._completedLines--;
+      }
+    }
+
+    this._filled[cell] = false;
+    this._emptyCount++;
+    for (let t = 0; t < this._keys.length; t++) {
+      this._keys[t] -= this._transformWeights[t][cell];
+    }
+  }
+
+  /**
+   * 玩家節點：取所有移動中的最大期望值
+   * @private
+   * @param {number} roundsLeft - 剩餘回合數
+   * @returns {number} 期望值
+   */
+  _playerValue(roundsLeft) {
+    if (roundsLeft === 0 || this._emptyCount === 0) {
+      return this._completedLines;
+    }
+
+    let table = this._memo.get(roundsLeft);
+    if (!table) {
+      table = new Map();
+      this._memo.set(roundsLeft, table);
+    }
+
+    const key = Math.min(...this._keys);
+    const cached = table.get(key);
+    if (cached !== undefined) {
+      this._stats.cacheHits++;
+      return cached;
+    }
+
+    this._stats.nodesEvaluated++;
+    let best = -Infinity;
+
+    for (let cell = 0; cell < this._filled.length; cell++) {
+      if (this._filled[cell]) continue;
+
+      this._fill(cell);
+      const value = this._computerValue(roundsLeft);
+      this._unfill(cell);
+
+      if (value > best) {
+        best = value;
+      }
+    }
+
+    table.set(key, best);
+    return best;
+  }
+
+  /**
+   * 電腦節點：對所有空格取平均（均勻隨機）
+   * @private
+   * @param {number} roundsLeft - 剩餘回合數（電腦移動後結束本回合）
+   * @returns {number} 期望值
+   */
+  _computerValue(roundsLeft) {
+    if (this._emptyCount === 0) {
+      return this._completedLines;
+    }
+
+    let total = 0;
+    const choices = this._emptyCount;
+
+    for (let cell = 0; cell < this._filled.length; cell++) {
+      if (this._filled[cell]) continue;
+
+      this._fill(cell);
+      total += this._playerValue(roundsLeft - 1);
+      this._unfill(cell);
+    }
+
+    return total / choices;
+  }
+}
+
+// 佔用遮罩以浮點數精確表示的最大格子數
+OptimalSolver.MAX_CELLS = 52;
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OptimalSolver;
+}
+
+// 在瀏覽器環境中，將 OptimalSolver 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.OptimalSolver = OptimalSolver;
+}
@@ -0,0 +1,127 @@
+/**
+ * OptimalSolver 單元測試
+ */
+const OptimalSolver = require('./optimalSolver.js');
+const ProbabilityCalculator = require('./probabilityCalculator.js');
+
+// 不使用記憶化的暴力 expectimax，用於驗證求解結果
+function bruteForce(board, roundsLeft, lineDetector) {
+  const empty = [];
+  board.forEach((row, r) =>
+    row.forEach((cell, c) => {
+      if (cell === 0) empty.push([r, c]);
+    })
+  );
+
+  if (roundsLeft === 0 || empty.length === 0) {
+    return lineDetector.countCompletedLines(board);
+  }
+
+  let best = -Infinity;
+  for (const [pr, pc] of empty) {
+    board[pr][pc] = 1;
+    const remaining = empty.filter(([r, c]) => r !== pr || c !== pc);
+    let value;
+    if (remaining.length === 0) {
+      value = lineDetector.countCompletedLines(board);
+    } else {
+      value = 0;
+      for (const [cr, cc] of remaining) {
+        board[cr][cc] = 2;
+        value += bruteForce(board, roundsLeft - 1, lineDetector);
+        board[cr][cc] = 0;
+      }
+      value /= remaining.length;
+    }
+    board[pr][pc] = 0;
+    best = Math.max(best, value);
+  }
+  return best;
+}
+
+describe('OptimalSolver', () => {
+  test('should complete an open line when one cell is missing', () => {
+    const solver = new OptimalSolver({ boardSize: 3, maxRounds: 4 });
+    const board = [
+      [1, 2, 0],
+      [0, 0, 0],
+      [0, 0, 0]
+    ];
+
+    const move = solver.getOptimalMove(board, 1);
+    expect(move.row).toBe(0);
+    expect(move.col).toBe(2);
+    expect(move.expectedValue).toBe(1);
+  });
+
+  test('should return current line count when no rounds remain', () => {
+    const solver = new OptimalSolver({ boardSize: 3, maxRounds: 4 });
+    const board = [
+      [1, 2, 1],
+      [0, 0, 0],
+      [0, 0, 0]
+    ];
+
+    expect(solver.getExpectedValue(board, 0)).toBe(1);
+    expect(solver.getOptimalMove(board, 0)).toBe(null);
+  });
+
+  test('should match brute-force expectimax on a 3x3 board', () => {
+    const LineDetector = require('./lineDetector.js');
+    const detector = new LineDetector({ boardSize: 3 });
+    const solver = new OptimalSolver({ boardSize: 3, maxRounds: 4 });
+    const board = [
+      [1, 0, 0],
+      [0, 2, 0],
+      [0, 0, 0]
+    ];
+
+    const expected = bruteForce(board, 3, detector);
+    const actual = solver.getExpectedValue(board, 3);
+    expect(Math.abs(actual - expected) < 1e-9).toBeTruthy();
+    expect(solver.getStats().cacheHits).toBeGreaterThan(0);
+  });
+
+  test('should rank all moves by expected value', () => {
+    const solver = new OptimalSolver({ boardSize: 4, maxRounds: 8 });
+    const board = Array(4)
+      .fill()
+      .map(() => Array(4).fill(0));
+    board[1][1] = 1;
+    board[2][2] = 2;
+
+    const moves = solver.evaluateMoves(board, 2);
+    expect(moves).toHaveLength(14);
+    for (let i = 1; i < moves.length; i++) {
+      expect(moves[i - 1].expectedValue >= moves[i].expectedValue).toBeTruthy();
+    }
+  });
+
+  test('should measure the heuristic gap', () => {
+    const solver = new OptimalSolver();
+    const calculator = new ProbabilityCalculator();
+    const board = [
+      [1, 2, 1, 2, 0],
+      [2, 1, 0, 0, 1],
+      [1, 0, 1, 2, 2],
+      [0, 2, 0, 1, 0],
+      [2, 0, 1, 0, 0]
+    ];
+
+    const result = solver.measureHeuristicGap(calculator, board, 2);
+    expect(result.gap).toBeGreaterThanOrEqual(0);
+    expect(result.optimalValue).toBeGreaterThanOrEqual(result.heuristicValue);
+  });
+
+  test('should reject invalid input', () => {
+    const solver = new OptimalSolver({ boardSize: 3, maxRounds: 4 });
+    let error = null;
+    try {
+      solver.getOptimalMove([[0]], 1);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeTruthy();
+    expect(error.type).toBe('invalid-move');
+  });
+});
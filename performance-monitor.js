@@ -233,6 +233,7 @@ class PerformanceMonitor {
 
   /**
    * 測量算法性能
+   * 算法返回 Promise（如在 Web Worker 中計算的建議）時測量到 Promise 完成為止
    */
   measureAlgorithmPerformance(algorithmName, algorithmFunction) {
     const startMark = `${algorithmName}-start`;
@@ -242,9 +243,16 @@ class PerformanceMonitor {
     performance.mark(startMark);
 
     const result = algorithmFunction.call(this);
+    const finish = () => {
+      performance.mark(endMark);
+      performance.measure(measureName, startMark, endMark);
+    };
 
-    performance.mark(endMark);
-    performance.measure(measureName, startMark, endMark);
+    if (result && typeof result.then === 'function') {
+      result.then(finish, finish);
+    } else {
+      finish();
+    }
 
     return result;
   }
@@ -1,13 +1,20 @@
 (function() {
   // Import base class and common utilities
-  let BaseProbabilityCalculator, EnhancedCONSTANTS;
+  let BaseProbabilityCalculator,
+    EnhancedCONSTANTS,
+    CalculatorRegistry,
+    CalculatorOpeningBook;
   if (typeof require !== 'undefined') {
     BaseProbabilityCalculator = require('./utils/baseProbabilityCalculator.js');
     const common = require('./utils/common.js');
     EnhancedCONSTANTS = common.CONSTANTS;
+    CalculatorRegistry = require('./strategyRegistry.js');
+    CalculatorOpeningBook = require('./openingBook.js');
   } else if (typeof window !== 'undefined') {
     BaseProbabilityCalculator = window.BaseProbabilityCalculator;
     EnhancedCONSTANTS = window.CONSTANTS;
+    CalculatorRegistry = window.StrategyRegistry;
+    CalculatorOpeningBook = window.OpeningBook;
   }
 
 /**
@@ -73,9 +80,15 @@ class LRUCache {
  * @version 1.0.0
  */
 class ProbabilityCalculator extends BaseProbabilityCalculator {
-  constructor() {
+  /**
+   * @param {Object} [config] - 遊戲配置（boardSize、maxRounds、lineLength）
+   * @param {Object} [options] - 計算器選項
+   * @param {Object<string, number>} [options.weights] - 取代預設權重（見 setWeights 與 WeightTuner）
+   * @param {OpeningBook|null} [options.openingBook] - 開局庫（預設為 OpeningBook.getDefault，null 表示不使用）
+   */
+  constructor(config = {}, options = {}) {
     // Initialize with enhanced algorithm weights
-    super(EnhancedCONSTANTS.ALGORITHM_WEIGHTS.ENHANCED);
+    super(EnhancedCONSTANTS.ALGORITHM_WEIGHTS.ENHANCED, config);
 
     // Enhanced-specific caching with LRU strategy
     this._valueCache = new LRUCache(
@@ -96,6 +109,19 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
     this._batchQueue = [];
     this._isBatchProcessing = false;
     this._batchProcessDelay = EnhancedCONSTANTS.PERFORMANCE.BATCH_DELAY;
+
+    // Every factor uses the board helpers, so moves are evaluated on bitboards
+    this.evaluatesBitboards = true;
+
+    if (options.weights) {
+      this.setWeights(options.weights);
+    }
+
+    this.setOpeningBook(
+      options.openingBook !== undefined
+        ? options.openingBook
+        : CalculatorOpeningBook && CalculatorOpeningBook.getDefault(this.config)
+    );
   }
 
   /**
@@ -110,37 +136,10 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
       'diagonal-anti': []
     };
 
-    // Pre-compute horizontal lines
-    for (let row = 0; row < this.BOARD_SIZE; row++) {
-      const cells = [];
-      for (let col = 0; col < this.BOARD_SIZE; col++) {
-        cells.push([row, col]);
-      }
-      lines.horizontal.push(cells);
-    }
-
-    // Pre-compute vertical lines
-    for (let col = 0; col < this.BOARD_SIZE; col++) {
-      const cells = [];
-      for (let row = 0; row < this.BOARD_SIZE; row++) {
-        cells.push([row, col]);
-      }
-      lines.vertical.push(cells);
-    }
-
-    // Pre-compute main diagonal
-    const mainDiagonal = [];
-    for (let i = 0; i < this.BOARD_SIZE; i++) {
-      mainDiagonal.push([i, i]);
-    }
-    lines['diagonal-main'].push(mainDiagonal);
-
-    // Pre-compute anti-diagonal
-    const antiDiagonal = [];
-    for (let i = 0; i < this.BOARD_SIZE; i++) {
-      antiDiagonal.push([i, this.BOARD_SIZE - 1 - i]);
+    // Group the base class line list by type
+    for (const line of this._lines) {
+      lines[line.type].push(line.cells);
     }
-    lines['diagonal-anti'].push(antiDiagonal);
 
     return lines;
   }
@@ -154,17 +153,8 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
 
     for (let row = 0; row < this.BOARD_SIZE; row++) {
       for (let col = 0; col < this.BOARD_SIZE; col++) {
-        let lineCount = 2; // Default: horizontal and vertical
-
-        // Check if on main diagonal
-        if (row === col) {
-          lineCount++;
-        }
-
-        // Check if on anti-diagonal
-        if (row + col === this.BOARD_SIZE - 1) {
-          lineCount++;
-        }
+        // Count line directions (horizontal, vertical, diagonals) through the cell
+        const lineCount = this.getRelevantLines(row, col).length;
 
         // Only consider positions that intersect more than 2 lines
         if (lineCount > 2) {
@@ -178,12 +168,16 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
 
   /**
    * Enhanced move value calculation with advanced features
+   * With a game context, lines are weighted by the chance that the remaining
+   * moves complete them; lines out of reach score nothing.
+   * With a computer policy, its predictions are applied outside the cache.
    * @param {number[][]} board - Current game board
    * @param {number} row - Row position
    * @param {number} col - Column position
+   * @param {Object} [context] - Game context (see getHorizon)
    * @returns {number} Move value score
    */
-  calculateMoveValue(board, row, col) {
+  calculateMoveValue(board, row, col, context) {
     const startTime = performance.now();
 
     // Validate move using base class method
@@ -191,34 +185,34 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
       return -1;
     }
 
-    // Check cache using enhanced LRU cache
-    const cacheKey = `${row}-${col}-${this.getBoardHash(board)}`;
+    // Check cache using enhanced LRU cache (shared across symmetric boards)
+    const canonical = this.getCanonicalForm(board);
+    const position = this.toCanonicalPosition(row, col, canonical.transform);
+    const horizon = this.getHorizon(board, context);
+    const cacheKey = `${position.row}-${position.col}-${canonical.hash}${this.getHorizonKey(horizon)}`;
     const cachedValue = this._valueCache.get(cacheKey);
     if (cachedValue !== undefined) {
       this._performanceMetrics.cacheHits++;
-      return cachedValue;
+      return this.applyComputerModel(board, row, col, cachedValue, context);
     }
 
     this._performanceMetrics.cacheMisses++;
 
     // Create test board with simulated move
-    const testBoard = this.copyBoard(board);
-    testBoard[row][col] = this.CELL_STATES.PLAYER;
-
-    let totalValue = 0;
+    const testBoard = this.applyMove(board, row, col, this.CELL_STATES.PLAYER);
 
     // Enhanced evaluation with additional factors
-    totalValue += this.calculateBasicCompletionValue(testBoard, row, col);
-    totalValue += this.calculateIntersectionValue(row, col);
-    totalValue += this.calculateNearCompletionValue(testBoard, row, col);
-    totalValue += this.calculateMultiLinePotentialValue(testBoard, row, col);
-    totalValue += this.calculateCooperativeValue(board, row, col);
-    totalValue += this.calculatePotentialValue(testBoard, row, col);
-
-    // Center position bonus
-    if (this.isCenterPosition(row, col)) {
-      totalValue += this.WEIGHTS.CENTER_BONUS;
-    }
+    const factors = this.evaluateMoveFactors(
+      board,
+      testBoard,
+      row,
+      col,
+      horizon
+    );
+    const totalValue = Object.values(factors).reduce(
+      (sum, value) => sum + value,
+      0
+    );
 
     // Cache result using LRU cache
     this._valueCache.set(cacheKey, totalValue);
@@ -226,21 +220,161 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
     // Record performance metrics
     this._recordCalculationTime(startTime);
 
-    return totalValue;
+    return this.applyComputerModel(board, row, col, totalValue, context);
+  }
+
+  /**
+   * Evaluate each factor of a move value under a random computer
+   * calculateMoveValue adds them up; explainMoveValue reports them one by one.
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {number[][]|Bitboard} testBoard - Board with the move applied
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @param {Object|null} horizon - Horizon from getHorizon
+   * @returns {{completion: number, intersection: number, nearCompletion: number, multiLine: number, cooperative: number, potential: number, center: number}} Factor values
+   */
+  evaluateMoveFactors(board, testBoard, row, col, horizon) {
+    return {
+      completion: this.calculateBasicCompletionValue(testBoard, row, col),
+      intersection: this.calculateIntersectionValue(
+        row,
+        col,
+        testBoard,
+        horizon
+      ),
+      nearCompletion: this.calculateNearCompletionValue(
+        testBoard,
+        row,
+        col,
+        horizon
+      ),
+      multiLine: this.calculateMultiLinePotentialValue(
+        testBoard,
+        row,
+        col,
+        horizon
+      ),
+      cooperative: this.calculateCooperativeValue(board, row, col, horizon),
+      potential: this.calculatePotentialValue(testBoard, row, col, horizon),
+      center: this.isCenterPosition(row, col) ? this.WEIGHTS.CENTER_BONUS : 0
+    };
+  }
+
+  /**
+   * Explain a move value factor by factor
+   * Each factor lists the lines through the move that contributed to it. With
+   * a non-uniform computer policy its adjustment is reported as the
+   * 'computerModel' factor, so the factor values add up to calculateMoveValue.
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @param {Object} [context] - Game context (see getHorizon)
+   * @returns {Object|null} { row, col, position, value, factors: [{ name, value, lines }], completes, setsUp }, or null for an invalid move
+   */
+  explainMoveValue(board, row, col, context) {
+    if (!this.isValidMove(board, row, col)) {
+      return null;
+    }
+
+    const horizon = this.getHorizon(board, context);
+    const testBoard = this.applyMove(board, row, col, this.CELL_STATES.PLAYER);
+    const values = this.evaluateMoveFactors(
+      board,
+      testBoard,
+      row,
+      col,
+      horizon
+    );
+    const value = this.calculateMoveValue(board, row, col, context);
+
+    // State of each line through the move after it is made
+    const lines = this.getLinesThroughCell(row, col).map(line => {
+      const missing = this.countEmptyCells(testBoard, line.cells);
+      return {
+        line: {
+          type: line.type,
+          row: line.cells[0][0],
+          col: line.cells[0][1],
+          cells: line.cells
+        },
+        missing,
+        filled: this.LINE_LENGTH - missing,
+        reachable: this.getLineReachability(missing, horizon) > 0
+      };
+    });
+    const linesWhere = predicate =>
+      lines.filter(predicate).map(({ line }) => line);
+
+    // Lines each factor counts (mirrors the calculate*Value methods)
+    const factorLines = {
+      completion: ({ missing }) => missing === 0,
+      intersection: ({ reachable }) => reachable,
+      nearCompletion: ({ missing, reachable }) =>
+        reachable && (missing === 1 || missing === 2),
+      multiLine: ({ missing, reachable }) => reachable && missing > 0,
+      cooperative: ({ filled, reachable }) => reachable && filled >= 2,
+      potential: ({ missing, reachable }) => reachable && missing > 0
+    };
+
+    const factors = Object.entries(values).map(([name, factorValue]) => ({
+      name,
+      value: factorValue,
+      lines:
+        factorValue !== 0 && factorLines[name]
+          ? linesWhere(factorLines[name])
+          : []
+    }));
+    if (this.hasComputerModel()) {
+      const baseValue = factors.reduce((sum, factor) => sum + factor.value, 0);
+      factors.push({
+        name: 'computerModel',
+        value: value - baseValue,
+        lines: []
+      });
+    }
+
+    return {
+      row,
+      col,
+      position: `(${row}, ${col})`,
+      value,
+      factors,
+      // Lines the move completes, and lines it leaves one or two cells short
+      completes: linesWhere(factorLines.completion),
+      setsUp: lines
+        .filter(factorLines.nearCompletion)
+        .sort((a, b) => a.missing - b.missing)
+        .map(({ line }) => line)
+    };
   }
 
   /**
    * Calculate intersection point value (enhanced feature)
+   * With a horizon only the lines that can still be completed count.
    * @param {number} row - Row position
    * @param {number} col - Column position
+   * @param {number[][]} [testBoard] - Test board with simulated move (required with a horizon)
+   * @param {Object|null} [horizon] - Horizon from getHorizon
    * @returns {number} Intersection value
    */
-  calculateIntersectionValue(row, col) {
+  calculateIntersectionValue(row, col, testBoard, horizon = null) {
+    const lineTypes = horizon
+      ? [
+          ...new Set(
+            this.getLinesThroughCell(row, col)
+              .filter(line =>
+                this.isLineReachable(testBoard, line.cells, horizon)
+              )
+              .map(line => line.type)
+          )
+        ]
+      : this.getRelevantLines(row, col);
+
     // Check if on main diagonal
-    const isOnMainDiagonal = row === col;
+    const isOnMainDiagonal = lineTypes.includes(this.LINE_TYPES.DIAGONAL_MAIN);
 
     // Check if on anti-diagonal
-    const isOnAntiDiagonal = row + col === this.BOARD_SIZE - 1;
+    const isOnAntiDiagonal = lineTypes.includes(this.LINE_TYPES.DIAGONAL_ANTI);
 
     // Calculate intersection bonus
     if (isOnMainDiagonal && isOnAntiDiagonal) {
@@ -259,10 +393,13 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
    * @param {number[][]} testBoard - Test board with simulated move
    * @param {number} row - Row position
    * @param {number} col - Column position
+   * @param {Object|null} [horizon] - Horizon from getHorizon; lines are weighted by reachability
    * @returns {number} Near completion value
    */
-  calculateNearCompletionValue(testBoard, row, col) {
-    const cacheKey = `near-${row}-${col}-${this.getBoardHash(testBoard)}`;
+  calculateNearCompletionValue(testBoard, row, col, horizon = null) {
+    const canonical = this.getCanonicalForm(testBoard);
+    const position = this.toCanonicalPosition(row, col, canonical.transform);
+    const cacheKey = `near-${position.row}-${position.col}-${canonical.hash}${this.getHorizonKey(horizon)}`;
     const cachedValue = this._lineCache.get(cacheKey);
 
     if (cachedValue !== undefined) {
@@ -270,17 +407,19 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
     }
 
     let value = 0;
-    const relevantLines = this.getRelevantLines(row, col);
 
-    for (const lineType of relevantLines) {
-      const lineCells = this.getLineCells(row, col, lineType);
-      const filledCount = this.countFilledCells(testBoard, lineCells);
+    for (const line of this.getLinesThroughCell(row, col)) {
+      const filledCount = this.countFilledCells(testBoard, line.cells);
+      const reachability = this.getLineReachability(
+        this.LINE_LENGTH - filledCount,
+        horizon
+      );
 
       // Bonus for lines close to completion
-      if (filledCount === 4) {
-        value += this.WEIGHTS.NEAR_COMPLETE_BONUS;
-      } else if (filledCount === 3) {
-        value += this.WEIGHTS.NEAR_COMPLETE_BONUS * 0.6;
+      if (filledCount === this.LINE_LENGTH - 1) {
+        value += this.WEIGHTS.NEAR_COMPLETE_BONUS * reachability;
+      } else if (filledCount === this.LINE_LENGTH - 2) {
+        value += this.WEIGHTS.NEAR_COMPLETE_BONUS * 0.6 * reachability;
       }
     }
 
@@ -295,14 +434,17 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
    * @param {number[][]} testBoard - Test board with simulated move
    * @param {number} row - Row position
    * @param {number} col - Column position
+   * @param {Object|null} [horizon] - Horizon from getHorizon; unreachable lines are skipped
    * @returns {number} Multi-line potential value
    */
-  calculateMultiLinePotentialValue(testBoard, row, col) {
-    const relevantLines = this.getRelevantLines(row, col);
+  calculateMultiLinePotentialValue(testBoard, row, col, horizon = null) {
     let potentialLinesCount = 0;
 
-    for (const lineType of relevantLines) {
-      const lineCells = this.getLineCells(row, col, lineType);
+    for (const { cells: lineCells } of this.getLinesThroughCell(row, col)) {
+      if (!this.isLineReachable(testBoard, lineCells, horizon)) {
+        continue;
+      }
+
       const emptyCount = this.countEmptyCells(testBoard, lineCells);
       const filledCount = this.countFilledCells(testBoard, lineCells);
 
@@ -321,30 +463,60 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
   }
 
   /**
-   * Override getLineCells to use pre-computed data
-   * @param {number} row - Reference row
-   * @param {number} col - Reference column
-   * @param {string} lineType - Line type
-   * @returns {Array} Array of cell positions
+   * Simulate all possible moves, reusing analyses of symmetric boards
+   * Cached results are stored in canonical orientation and mapped back to
+   * the orientation of the given board.
+   * @param {number[][]} board - Current game board
+   * @param {Object} [context] - Game context (see getHorizon)
+   * @returns {Array} Array of move evaluations sorted by value
    */
-  getLineCells(row, col, lineType) {
-    // Use pre-computed line data for better performance
-    switch (lineType) {
-      case 'horizontal':
-        return this._allPossibleLines.horizontal[row];
+  simulateAllPossibleMoves(board, context) {
+    // Predicted replies depend on absolute positions, so skip the shared cache
+    if (this.hasComputerModel()) {
+      return this.sortMoves(super.simulateAllPossibleMoves(board, context));
+    }
 
-      case 'vertical':
-        return this._allPossibleLines.vertical[col];
+    const canonical = this.getCanonicalForm(board);
+    const cacheKey =
+      canonical.hash + this.getHorizonKey(this.getHorizon(board, context));
+    let canonicalMoves = this._boardAnalysisCache.get(cacheKey);
+
+    if (canonicalMoves === undefined) {
+      canonicalMoves = super
+        .simulateAllPossibleMoves(board, context)
+        .map(({ row, col, value }) => ({
+          ...this.toCanonicalPosition(row, col, canonical.transform),
+          value
+        }));
+      this._boardAnalysisCache.set(cacheKey, canonicalMoves);
+    } else {
+      this._performanceMetrics.cacheHits++;
+    }
 
-      case 'diagonal-main':
-        return this._allPossibleLines['diagonal-main'][0];
+    const moves = canonicalMoves.map(move => {
+      const { row, col } = this.fromCanonicalPosition(
+        move.row,
+        move.col,
+        canonical.transform
+      );
+      return { row, col, value: move.value, position: `(${row}, ${col})` };
+    });
 
-      case 'diagonal-anti':
-        return this._allPossibleLines['diagonal-anti'][0];
+    return this.sortMoves(moves);
+  }
 
-      default:
-        return [];
-    }
+  /**
+   * Sort moves by value, breaking ties in row-major order so results do not
+   * depend on cache state
+   * @param {Array} moves - Move evaluations
+   * @returns {Array} The same array, sorted
+   */
+  sortMoves(moves) {
+    return moves.sort(
+      (a, b) =>
+        b.value - a.value ||
+        a.row * this.BOARD_SIZE + a.col - (b.row * this.BOARD_SIZE + b.col)
+    );
   }
 
   /**
@@ -438,4 +610,33 @@ class ProbabilityCalculator extends BaseProbabilityCalculator {
     window.ProbabilityCalculator = ProbabilityCalculator;
   }
 
+  // Register as a suggestion strategy (see StrategyRegistry)
+  if (CalculatorRegistry) {
+    CalculatorRegistry.default.registerStrategy(
+      'standard',
+      (config, options) => new ProbabilityCalculator(config, options),
+      {
+        order: 10,
+        script: './probabilityCalculator.js',
+        i18n: {
+          'zh-TW': {
+            name: '標準演算法',
+            description: '基本的機率計算，平衡考慮各種因素',
+            features: ['基本連線檢測', '簡單的機率計算', '中心位置獎勵']
+          },
+          'en-US': {
+            name: 'Standard Algorithm',
+            description:
+              'Basic probability calculation with balanced considerations',
+            features: [
+              'Basic line detection',
+              'Simple probability calculation',
+              'Center position bonus'
+            ]
+          }
+        }
+      }
+    );
+  }
+
 })(); // End of IIFE
@@ -0,0 +1,474 @@
+(function() {
+  // Import base class, common utilities and the random source
+  let BaseProbabilityCalculator,
+    MonteCarloCONSTANTS,
+    MonteCarloRandom,
+    MonteCarloRegistry,
+    MonteCarloOpeningBook;
+  if (typeof require !== 'undefined') {
+    BaseProbabilityCalculator = require('./utils/baseProbabilityCalculator.js');
+    MonteCarloCONSTANTS = require('./utils/common.js').CONSTANTS;
+    MonteCarloRandom = require('./utils/random.js');
+    MonteCarloRegistry = require('./strategyRegistry.js');
+    MonteCarloOpeningBook = require('./openingBook.js');
+  } else if (typeof window !== 'undefined') {
+    BaseProbabilityCalculator = window.BaseProbabilityCalculator;
+    MonteCarloCONSTANTS = window.CONSTANTS;
+    MonteCarloRandom = window.SeededRandom;
+    MonteCarloRegistry = window.StrategyRegistry;
+    MonteCarloOpeningBook = window.OpeningBook;
+  }
+
+/**
+ * MonteCarloProbabilityCalculator - 蒙地卡羅模擬計算器
+ * 對每個空格進行多次隨機（或策略引導）模擬直到最後一回合，
+ * 以最終完成的連線數期望值評估移動，並提供 95% 信賴區間
+ *
+ * 與啟發式權重不同，模擬會考慮剩餘回合數：
+ * - 有遊戲上下文時依上下文計算剩餘步數，否則由遊戲板上已填格子數推算（每回合玩家與電腦各下一步）
+ * - 候選移動之後，電腦隨機下棋，玩家依模擬策略下棋，直到最後一回合結束
+ * - 設定電腦策略（setComputerPolicy）時，電腦對候選移動的回應依策略的預測分佈抽樣
+ * - 模擬在所有格子間輪流進行，時間預算用盡（且每格至少達到最少次數）時停止
+ *
+ * @class MonteCarloProbabilityCalculator
+ * @extends BaseProbabilityCalculator
+ * @version 1.0.0
+ */
+class MonteCarloProbabilityCalculator extends BaseProbabilityCalculator {
+  /**
+   * @param {Object} [config] - 遊戲配置（boardSize、maxRounds、lineLength）
+   * @param {Object} [options] - 模擬選項
+   * @param {number} [options.playouts=200] - 每個格子的最多模擬次數
+   * @param {number} [options.minPlayouts=10] - 每個格子的最少模擬次數（不受時間預算限制）
+   * @param {number} [options.timeBudget=200] - 每次評估的時間預算（毫秒），0 表示不限時
+   * @param {string} [options.policy='greedy'] - 模擬中玩家的策略：'greedy'（優先接近完成的線）或 'random'
+   * @param {SeededRandom|number|string} [options.random] - 隨機數來源或種子
+   * @param {OpeningBook|null} [options.openingBook] - 開局庫（預設為 OpeningBook.getDefault，null 表示不使用）
+   */
+  constructor(config = {}, options = {}) {
+    super(MonteCarloCONSTANTS.ALGORITHM_WEIGHTS.STANDARD, config);
+
+    const defaults = MonteCarloProbabilityCalculator.DEFAULTS;
+    this.options = {
+      playouts: options.playouts || defaults.playouts,
+      minPlayouts: Math.min(
+        options.minPlayouts || defaults.minPlayouts,
+        options.playouts || defaults.playouts
+      ),
+      timeBudget:
+        options.timeBudget !== undefined
+          ? options.timeBudget
+          : defaults.timeBudget,
+      policy: options.policy || defaults.policy
+    };
+
+    if (!MonteCarloProbabilityCalculator.POLICIES.includes(this.options.policy)) {
+      throw new Error(`Unknown playout policy: ${this.options.policy}`);
+    }
+
+    this.random = MonteCarloRandom.from(options.random);
+    this.setOpeningBook(
+      options.openingBook !== undefined
+        ? options.openingBook
+        : MonteCarloOpeningBook && MonteCarloOpeningBook.getDefault(this.config)
+    );
+
+    // Cell index -> indices of the lines through it
+    this._cellLineIndices = Array.from(
+      { length: this.BOARD_SIZE * this.BOARD_SIZE },
+      () => []
+    );
+    this._lines.forEach((line, lineIndex) => {
+      for (const [row, col] of line.cells) {
+        this._cellLineIndices[row * this.BOARD_SIZE + col].push(lineIndex);
+      }
+    });
+  }
+
+  /**
+   * Expected final lines for a single move
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @param {Object} [context] - Game context (see getHorizon)
+   * @returns {number} Expected number of completed lines at the end of the game
+   */
+  calculateMoveValue(board, row, col, context) {
+    if (!this.isValidMove(board, row, col)) {
+      return -1;
+    }
+    return this.evaluateMoves(board, [{ row, col }], context)[0].value;
+  }
+
+  /**
+   * Evaluate every empty cell with playouts
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {Object} [context] - Game context (see getHorizon)
+   * @returns {Array} Move evaluations sorted by expected lines
+   */
+  simulateAllPossibleMoves(board, context) {
+    return this.evaluateMoves(board, this.getEmptyCells(board), context);
+  }
+
+  /**
+   * Run playouts for a list of candidate moves
+   * Candidates are sampled in turns so that every cell gets the same number
+   * of playouts when the time budget runs out.
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {Array<{row: number, col: number}>} candidates - Moves to evaluate
+   * @param {Object} [context] - Game context (see getHorizon); inferred from the board when omitted
+   * @returns {Array} Move evaluations ({ row, col, value, position, interval, playouts })
+   */
+  evaluateMoves(board, candidates, context) {
+    const startTime = performance.now();
+    const { playouts, minPlayouts, timeBudget } = this.options;
+    const state = this.createPlayoutState(board);
+    const horizon = this.getHorizon(board, context);
+    const extraMoves = horizon
+      ? horizon.movesAfter
+      : this.getRemainingMoveCount(state.emptyCells.length);
+    const playerMovesFirst = Boolean(horizon && horizon.turn === 'computer');
+
+    const predictReply =
+      this.hasComputerModel() && !playerMovesFirst && extraMoves > 0;
+
+    const stats = candidates.map(({ row, col }) => ({
+      row,
+      col,
+      cell: row * this.BOARD_SIZE + col,
+      reply: predictReply
+        ? this.getReplyDistribution(board, row, col, context)
+        : null,
+      sum: 0,
+      sumSquares: 0,
+      count: 0
+    }));
+
+    for (let pass = 0; pass < playouts; pass++) {
+      if (
+        pass >= minPlayouts &&
+        timeBudget > 0 &&
+        performance.now() - startTime >= timeBudget
+      ) {
+        break;
+      }
+
+      for (const entry of stats) {
+        const lines = this.playout(
+          state,
+          entry.cell,
+          extraMoves,
+          playerMovesFirst,
+          entry.reply
+        );
+        entry.sum += lines;
+        entry.sumSquares += lines * lines;
+        entry.count++;
+      }
+    }
+
+    const moves = stats.map(entry => {
+      const mean = entry.sum / entry.count;
+      const variance =
+        entry.count > 1
+          ? Math.max(0, entry.sumSquares - entry.count * mean * mean) /
+            (entry.count - 1)
+          : 0;
+      const margin =
+        MonteCarloProbabilityCalculator.Z_95 *
+        Math.sqrt(variance / entry.count);
+
+      return {
+        row: entry.row,
+        col: entry.col,
+        value: mean,
+        position: `(${entry.row}, ${entry.col})`,
+        interval: [mean - margin, mean + margin],
+        playouts: entry.count
+      };
+    });
+
+    // Break ties in row-major order so results do not depend on sampling order
+    moves.sort(
+      (a, b) =>
+        b.value - a.value ||
+        a.row * this.BOARD_SIZE + a.col - (b.row * this.BOARD_SIZE + b.col)
+    );
+
+    this._recordCalculationTime(startTime);
+    return moves;
+  }
+
+  /**
+   * Get best move suggestion with the expected lines and confidence interval
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {Object} [context] - Game context (see getHorizon)
+   * @returns {Object|null} Best move suggestion or null
+   */
+  getBestSuggestion(board, context) {
+    const bookMove = this.getBookSuggestion(board, context);
+    if (bookMove) {
+      return bookMove;
+    }
+
+    const allMoves = this.simulateAllPossibleMoves(board, context);
+    if (allMoves.length === 0) {
+      return null;
+    }
+
+    const [best] = allMoves;
+    return {
+      row: best.row,
+      col: best.col,
+      value: best.value,
+      position: best.position,
+      confidence: this.calculateConfidence(allMoves),
+      alternatives: allMoves.slice(1, 4),
+      expectedLines: best.value,
+      interval: best.interval,
+      playouts: best.playouts
+    };
+  }
+
+  /**
+   * Confidence from overlapping confidence intervals
+   * @param {Array} moves - Sorted move evaluations
+   * @returns {string} Confidence level
+   */
+  calculateConfidence(moves) {
+    if (moves.length < 2) {
+      return 'high';
+    }
+
+    const [best, second] = moves;
+    if (best.interval[0] > second.interval[1]) return 'very-high';
+    if (best.value > second.interval[1]) return 'high';
+    if (best.value > second.value) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Number of moves left after the candidate move
+   * The current round is inferred from the filled cells: each round adds one
+   * player move and one computer move.
+   * @private
+   * @param {number} emptyCount - Empty cells on the board
+   * @returns {number} Moves to play after the candidate
+   */
+  getRemainingMoveCount(emptyCount) {
+    const filled = this.BOARD_SIZE * this.BOARD_SIZE - emptyCount;
+    const round = Math.floor(filled / 2) + 1;
+    const remainingRounds = Math.max(1, this.MAX_ROUNDS - round + 1);
+    return Math.max(0, Math.min(emptyCount - 1, 2 * remainingRounds - 1));
+  }
+
+  /**
+   * Cumulative distribution of the computer's reply to a candidate move
+   * @private
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {number} row - Candidate row
+   * @param {number} col - Candidate column
+   * @param {Object} [context] - Game context
+   * @returns {Array<[number, number]>} [cell index, cumulative probability] pairs
+   */
+  getReplyDistribution(board, row, col, context) {
+    const testBoard = this.applyMove(board, row, col, this.CELL_STATES.PLAYER);
+    const prediction = this.predictComputerMove(testBoard, context);
+
+    let cumulative = 0;
+    return this.getEmptyCells(testBoard).map(cell => {
+      cumulative += prediction[cell.row][cell.col];
+      return [cell.row * this.BOARD_SIZE + cell.col, cumulative];
+    });
+  }
+
+  /**
+   * Build the reusable occupancy state for a board
+   * @private
+   * @param {number[][]|Bitboard} board - Game board
+   * @returns {{filled: Uint8Array, lineFilled: Int32Array, emptyCells: number[]}} Playout state
+   */
+  createPlayoutState(board) {
+    const filled = new Uint8Array(this.BOARD_SIZE * this.BOARD_SIZE).fill(1);
+    const emptyCells = this.getEmptyCells(board).map(({ row, col }) => {
+      const cell = row * this.BOARD_SIZE + col;
+      filled[cell] = 0;
+      return cell;
+    });
+
+    const lineFilled = new Int32Array(this._lines.length);
+    this._lines.forEach((line, lineIndex) => {
+      lineFilled[lineIndex] = line.cells.filter(
+        ([row, col]) => filled[row * this.BOARD_SIZE + col]
+      ).length;
+    });
+
+    return { filled, lineFilled, emptyCells };
+  }
+
+  /**
+   * Play one game to the end and count completed lines
+   * Only occupancy matters for lines, so player and computer cells are not
+   * distinguished. The computer plays randomly; the player follows the policy.
+   * @private
+   * @param {Object} state - State from createPlayoutState (not modified)
+   * @param {number} firstCell - Cell index of the candidate move
+   * @param {number} extraMoves - Moves to play after the candidate
+   * @param {boolean} [playerMovesFirst=false] - Whether the player moves next (the candidate is a computer move)
+   * @param {Array<[number, number]>|null} [reply=null] - Distribution of the computer's first reply (see getReplyDistribution)
+   * @returns {number} Completed lines at the end of the playout
+   */
+  playout(
+    state,
+    firstCell,
+    extraMoves,
+    playerMovesFirst = false,
+    reply = null
+  ) {
+    const lineFilled = state.lineFilled.slice();
+    const empty = state.emptyCells.filter(cell => cell !== firstCell);
+    this.fillCell(lineFilled, firstCell);
+
+    // Player and computer alternate after the candidate
+    const firstPlayerMove = playerMovesFirst ? 0 : 1;
+    for (let move = 0; move < extraMoves && empty.length > 0; move++) {
+      const isPlayer = move % 2 === firstPlayerMove;
+      let index;
+      if (isPlayer && this.options.policy === 'greedy') {
+        index = this.pickGreedyIndex(empty, lineFilled);
+      } else if (!isPlayer && move === 0 && reply) {
+        index = empty.indexOf(this.sampleReply(reply));
+      } else {
+        index = this.random.nextInt(empty.length);
+      }
+
+      const cell = empty[index];
+      empty[index] = empty[empty.length - 1];
+      empty.pop();
+      this.fillCell(lineFilled, cell);
+    }
+
+    let completed = 0;
+    for (let i = 0; i < lineFilled.length; i++) {
+      if (lineFilled[i] === this.LINE_LENGTH) completed++;
+    }
+    return completed;
+  }
+
+  /**
+   * Draw a cell from a cumulative reply distribution
+   * @private
+   * @param {Array<[number, number]>} reply - [cell index, cumulative probability] pairs
+   * @returns {number} Cell index
+   */
+  sampleReply(reply) {
+    const target = this.random.next() * reply[reply.length - 1][1];
+    const entry = reply.find(([, cumulative]) => target < cumulative);
+    return (entry || reply[reply.length - 1])[0];
+  }
+
+  /**
+   * Mark a cell as filled in the per-line counters
+   * @private
+   * @param {Int32Array} lineFilled - Filled cells per line
+   * @param {number} cell - Cell index
+   */
+  fillCell(lineFilled, cell) {
+    for (const lineIndex of this._cellLineIndices[cell]) {
+      lineFilled[lineIndex]++;
+    }
+  }
+
+  /**
+   * Greedy playout policy: prefer cells that complete or extend lines
+   * Ties are broken randomly.
+   * @private
+   * @param {number[]} empty - Empty cell indices
+   * @param {Int32Array} lineFilled - Filled cells per line
+   * @returns {number} Index into empty
+   */
+  pickGreedyIndex(empty, lineFilled) {
+    let bestScore = -1;
+    let bestIndex = 0;
+    let ties = 0;
+
+    for (let i = 0; i < empty.length; i++) {
+      let score = 0;
+      for (const lineIndex of this._cellLineIndices[empty[i]]) {
+        const count = lineFilled[lineIndex] + 1;
+        score += count === this.LINE_LENGTH ? this.LINE_LENGTH * 10 : count;
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = i;
+        ties = 1;
+      } else if (score === bestScore && this.random.nextInt(++ties) === 0) {
+        bestIndex = i;
+      }
+    }
+
+    return bestIndex;
+  }
+}
+
+// Default playout settings
+MonteCarloProbabilityCalculator.DEFAULTS = {
+  playouts: 200,
+  minPlayouts: 10,
+  timeBudget: 200,
+  policy: 'greedy'
+};
+
+// Supported playout policies
+MonteCarloProbabilityCalculator.POLICIES = ['greedy', 'random'];
+
+// z-score for a 95% confidence interval
+MonteCarloProbabilityCalculator.Z_95 = 1.96;
+
+  // Export for both Node.js and browser environments
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonteCarloProbabilityCalculator;
+  }
+
+  // In browser environment, add to global scope
+  if (typeof window !== 'undefined') {
+    window.MonteCarloProbabilityCalculator = MonteCarloProbabilityCalculator;
+  }
+
+  // Register as a suggestion strategy (see StrategyRegistry)
+  if (MonteCarloRegistry) {
+    MonteCarloRegistry.default.registerStrategy(
+      'monte-carlo',
+      (config, options) => new MonteCarloProbabilityCalculator(config, options),
+      {
+        order: 30,
+        script: './probabilityCalculator.montecarlo.js',
+        // 模擬結果不使用權重
+        tunable: false,
+        i18n: {
+          'zh-TW': {
+            name: '蒙地卡羅演算法',
+            description: '模擬剩餘回合，估計每格的最終連線期望值',
+            features: [
+              '隨機模擬至最後一回合',
+              '預期連線數與信賴區間',
+              '可設定時間預算'
+            ]
+          },
+          'en-US': {
+            name: 'Monte Carlo Algorithm',
+            description:
+              'Simulates the remaining rounds to estimate the expected final lines of each cell',
+            features: [
+              'Random playouts to the last round',
+              'Expected lines with a confidence interval',
+              'Configurable time budget'
+            ]
+          }
+        }
+      }
+    );
+  }
+
+})(); // End of IIFE
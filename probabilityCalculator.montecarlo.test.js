@@ -0,0 +1,103 @@
+/**
+ * MonteCarloProbabilityCalculator 單元測試
+ */
+const MonteCarloProbabilityCalculator = require('./probabilityCalculator.montecarlo.js');
+
+function createEmptyBoard() {
+  return Array(5)
+    .fill()
+    .map(() => Array(5).fill(0));
+}
+
+describe('MonteCarloProbabilityCalculator', () => {
+  test('should prefer the cell that completes a line in the last round', () => {
+    const calculator = new MonteCarloProbabilityCalculator(
+      {},
+      { random: 1, playouts: 40, timeBudget: 0 }
+    );
+    // 第 8 回合（已填 14 格），只有第 2 行差一格完成
+    const board = [
+      [1, 0, 2, 0, 1],
+      [1, 2, 1, 2, 0],
+      [0, 1, 0, 2, 0],
+      [2, 0, 1, 0, 2],
+      [0, 2, 0, 1, 0]
+    ];
+
+    const suggestion = calculator.getBestSuggestion(board);
+
+    expect(suggestion.row).toBe(1);
+    expect(suggestion.col).toBe(4);
+    expect(suggestion.expectedLines).toBe(suggestion.value);
+    expect(suggestion.expectedLines).toBeGreaterThanOrEqual(1);
+    expect(suggestion.confidence).toBe('very-high');
+  });
+
+  test('should report a confidence interval around the expected lines', () => {
+    const calculator = new MonteCarloProbabilityCalculator(
+      {},
+      { random: 3, playouts: 30, timeBudget: 0 }
+    );
+    const moves = calculator.simulateAllPossibleMoves(createEmptyBoard());
+
+    expect(moves).toHaveLength(25);
+    moves.forEach(move => {
+      expect(move.playouts).toBe(30);
+      expect(move.interval[0]).toBeLessThan(move.value + 1e-9);
+      expect(move.interval[1]).toBeGreaterThanOrEqual(move.value);
+    });
+    expect(moves[0].value).toBeGreaterThanOrEqual(moves[24].value);
+  });
+
+  test('should reproduce the same evaluation from the same seed', () => {
+    const options = { random: 42, playouts: 20, timeBudget: 0 };
+    const board = createEmptyBoard();
+    board[2][2] = 1;
+    board[0][0] = 2;
+
+    const first = new MonteCarloProbabilityCalculator({}, options);
+    const second = new MonteCarloProbabilityCalculator({}, options);
+
+    expect(first.simulateAllPossibleMoves(board)).toEqual(
+      second.simulateAllPossibleMoves(board)
+    );
+  });
+
+  test('should stop at the time budget after the minimum playouts', () => {
+    const calculator = new MonteCarloProbabilityCalculator(
+      {},
+      { random: 5, playouts: 100000, minPlayouts: 5, timeBudget: 20 }
+    );
+
+    const start = Date.now();
+    const moves = calculator.simulateAllPossibleMoves(createEmptyBoard());
+    const elapsed = Date.now() - start;
+
+    expect(elapsed).toBeLessThan(1000);
+    expect(moves[0].playouts).toBeGreaterThanOrEqual(5);
+    expect(moves[0].playouts).toBeLessThan(100000);
+  });
+
+  test('should count the remaining moves from the current round', () => {
+    const calculator = new MonteCarloProbabilityCalculator();
+
+    // 第 1 回合：候選移動之後還有 15 步
+    expect(calculator.getRemainingMoveCount(25)).toBe(15);
+    // 第 8 回合：只剩電腦的一步
+    expect(calculator.getRemainingMoveCount(11)).toBe(1);
+  });
+
+  test('should return -1 for occupied cells', () => {
+    const calculator = new MonteCarloProbabilityCalculator(
+      {},
+      { random: 1, playouts: 10, timeBudget: 0 }
+    );
+    const board = createEmptyBoard();
+    board[0][0] = 1;
+
+    expect(calculator.calculateMoveValue(board, 0, 0)).toBe(-1);
+    expect(calculator.calculateMoveValue(board, 2, 2)).toBeGreaterThanOrEqual(
+      0
+    );
+  });
+});
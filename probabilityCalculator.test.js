@@ -151,4 +151,222 @@ describe('ProbabilityCalculator', () => {
     const emptyCells = calculator.getEmptyCells(board);
     expect(emptyCells.length).toBe(23); // 25 - 2 = 23
   });
+
+  test('should share cached analysis across symmetric boards', () => {
+    const board = [
+      [1, 2, 0, 0, 0],
+      [0, 1, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 2, 0],
+      [0, 0, 0, 0, 0]
+    ];
+    // 將遊戲板順時針旋轉 90 度
+    const rotated = board.map((row, r) => row.map((_, c) => board[4 - c][r]));
+
+    // 第三回合的局面在開局庫中，不使用開局庫以比較啟發式評估的快取
+    const calculator = new ProbabilityCalculator({}, { openingBook: null });
+    const fresh = new ProbabilityCalculator(
+      {},
+      { openingBook: null }
+    ).getBestSuggestion(rotated);
+
+    calculator.getBestSuggestion(board);
+    const hitsBefore = calculator.getPerformanceMetrics().cacheHits;
+    const suggestion = calculator.getBestSuggestion(rotated);
+
+    expect(calculator.getPerformanceMetrics().cacheHits).toBeGreaterThan(
+      hitsBefore
+    );
+    expect(rotated[suggestion.row][suggestion.col]).toBe(0);
+    expect(suggestion.row).toBe(fresh.row);
+    expect(suggestion.col).toBe(fresh.col);
+    expect(suggestion.value).toBe(fresh.value);
+  });
+
+  test('should evaluate bitboards like number[][] boards', () => {
+    const board = [
+      [1, 2, 0, 0, 1],
+      [0, 1, 0, 2, 0],
+      [2, 0, 0, 0, 0],
+      [0, 0, 1, 0, 0],
+      [0, 0, 0, 0, 2]
+    ];
+    const bitboard = calculator.toBitboard(board);
+
+    for (const { row, col } of calculator.getEmptyCells(board)) {
+      expect(calculator.calculateMoveValue(bitboard, row, col)).toBe(
+        calculator.calculateMoveValue(board, row, col)
+      );
+    }
+    expect(calculator.calculateMoveValue(bitboard, 0, 0)).toBe(-1);
+
+    const suggestion = calculator.getBestSuggestion(bitboard);
+    const expected = new ProbabilityCalculator().getBestSuggestion(board);
+    expect(suggestion.row).toBe(expected.row);
+    expect(suggestion.col).toBe(expected.col);
+  });
+
+  test('should ignore lines that cannot be completed in the remaining moves', () => {
+    // 第 8 回合：第 1 行還差三格，第 5 行差一格
+    const board = [
+      [1, 2, 0, 0, 0],
+      [0, 1, 2, 0, 1],
+      [2, 0, 1, 0, 2],
+      [1, 0, 0, 2, 0],
+      [2, 1, 2, 1, 0]
+    ];
+    const context = { currentRound: 8, maxRounds: 8, turn: 'player' };
+
+    expect(calculator.calculateMoveValue(board, 0, 3, context)).toBe(0);
+    expect(calculator.calculateMoveValue(board, 0, 3)).toBeGreaterThan(0);
+
+    const suggestion = calculator.getBestSuggestion(board, context);
+    expect(suggestion.row).toBe(4);
+    expect(suggestion.col).toBe(4);
+  });
+
+  test('should prefer lines reachable within the horizon', () => {
+    const board = [
+      [1, 1, 1, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0]
+    ];
+
+    // 可完成的連線依剩餘步數完成的機率加權，不會低於未提供上下文時的分數
+    const early = calculator.calculateMoveValue(board, 0, 3, {
+      currentRound: 1
+    });
+    expect(early).toBeGreaterThanOrEqual(
+      calculator.calculateMoveValue(board, 0, 3)
+    );
+
+    // 越接近完成的連線越容易在剩餘步數內完成
+    const earlyRatio = early / calculator.calculateMoveValue(board, 0, 3);
+    const isolatedRatio =
+      calculator.calculateMoveValue(board, 3, 3, { currentRound: 1 }) /
+      calculator.calculateMoveValue(board, 3, 3);
+    expect(earlyRatio).toBeGreaterThan(isolatedRatio);
+
+    // 剩一回合時只有差兩格以內的線有價值
+    const late = calculator.calculateMoveValue(board, 0, 3, {
+      currentRound: 8
+    });
+    expect(late).toBeGreaterThan(0);
+    expect(
+      calculator.calculateMoveValue(board, 3, 3, { currentRound: 8 })
+    ).toBe(0);
+  });
+
+  test('should rank reachable lines above unreachable ones', () => {
+    // 第 7 回合：中心的四條線都還差四格，第 1 行只差兩格
+    const board = [
+      [0, 1, 0, 2, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0]
+    ];
+    const context = { currentRound: 7, maxRounds: 8, turn: 'player' };
+
+    expect(calculator.calculateMoveValue(board, 2, 2)).toBeGreaterThan(
+      calculator.calculateMoveValue(board, 0, 2)
+    );
+    expect(calculator.calculateMoveValue(board, 0, 2, context)).toBeGreaterThan(
+      calculator.calculateMoveValue(board, 2, 2, context)
+    );
+
+    const suggestion = calculator.getBestSuggestion(board, context);
+    expect(suggestion.row).toBe(0);
+  });
+
+  test('should explain a move value factor by factor', () => {
+    const board = [
+      [1, 2, 0, 1, 1],
+      [0, 1, 0, 2, 0],
+      [2, 0, 1, 0, 0],
+      [0, 0, 2, 0, 0],
+      [0, 0, 0, 0, 0]
+    ];
+    const context = { currentRound: 5, roundsLeft: 4, turn: 'player' };
+    const explanation = calculator.explainMoveValue(board, 0, 2, context);
+    const sum = factors =>
+      factors.reduce((total, factor) => total + factor.value, 0);
+
+    expect(explanation.value).toBe(
+      calculator.calculateMoveValue(board, 0, 2, context)
+    );
+    expect(Math.abs(sum(explanation.factors) - explanation.value)).toBeLessThan(
+      1e-9
+    );
+
+    // 完成第 1 行，第 3 列只差兩格
+    expect(explanation.completes.map(line => line.row)).toEqual([0]);
+    expect(
+      explanation.setsUp.map(({ type, col }) => ({ type, col }))
+    ).toEqual([{ type: 'vertical', col: 2 }]);
+    const completion = explanation.factors.find(
+      factor => factor.name === 'completion'
+    );
+    expect(completion.value).toBe(calculator.WEIGHTS.COMPLETE_LINE);
+    expect(completion.lines[0].type).toBe('horizontal');
+
+    expect(calculator.explainMoveValue(board, 0, 0, context)).toBe(null);
+  });
+
+  test('should report the computer policy adjustment as a factor', () => {
+    const ComputerPolicy = require('./computerPolicy.js');
+    const board = [
+      [1, 1, 0, 0, 0],
+      [0, 2, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0]
+    ];
+    calculator.setComputerPolicy(ComputerPolicy.create('heuristic'));
+
+    const explanation = calculator.explainMoveValue(board, 0, 2);
+    const names = explanation.factors.map(factor => factor.name);
+    expect(names[names.length - 1]).toBe('computerModel');
+    expect(
+      Math.abs(
+        explanation.factors.reduce((total, factor) => total + factor.value, 0) -
+          calculator.calculateMoveValue(board, 0, 2)
+      )
+    ).toBeLessThan(1e-9);
+  });
+
+  test('should evaluate moves on a bitboard when the board fits', () => {
+    const evaluatedOn = calc => {
+      const boards = [];
+      const calculateMoveValue = calc.calculateMoveValue.bind(calc);
+      calc.calculateMoveValue = (board, row, col, context) => {
+        boards.push(board);
+        return calculateMoveValue(board, row, col, context);
+      };
+      return boards;
+    };
+
+    const small = new ProbabilityCalculator();
+    const smallBoards = evaluatedOn(small);
+    small.simulateAllPossibleMoves(
+      Array(5)
+        .fill()
+        .map(() => Array(5).fill(0))
+    );
+    expect(smallBoards).toHaveLength(25);
+    expect(smallBoards.every(board => small.isBitboard(board))).toBeTruthy();
+
+    // 超過 30 格時使用原本的陣列
+    const large = new ProbabilityCalculator({ boardSize: 6, lineLength: 4 });
+    const largeBoards = evaluatedOn(large);
+    large.simulateAllPossibleMoves(
+      Array(6)
+        .fill()
+        .map(() => Array(6).fill(0))
+    );
+    expect(largeBoards).toHaveLength(36);
+    expect(largeBoards.some(board => large.isBitboard(board))).toBeFalsy();
+  });
 });
@@ -98,7 +98,8 @@
     INVALID_MOVE: 'invalid-move', // 無效移動
     CELL_OCCUPIED: 'cell-occupied', // 格子已被佔用
     GAME_OVER: 'game-over', // 遊戲已結束
-    INVALID_PHASE: 'invalid-phase' // 無效的遊戲階段
+    INVALID_PHASE: 'invalid-phase', // 無效的遊戲階段
+    CANCELLED: 'cancelled' // 已取消的請求
   };
 
   // ============================================================================
@@ -281,9 +282,47 @@
   let lineDetector = null;
   let probabilityCalculator = null;
 
+  // 建議在工作執行緒中計算（見 SuggestionWorkerHost）
+  let suggestionHost = null;
+  // useAlgorithmCalculator 建立的計算器與其策略，工作執行緒依此建立相同的計算器
+  let selectedCalculator = null;
+
+  // 自我對弈訓練的工作執行緒（見 SelfPlayTrainer），訓練期間不為 null
+  let selfPlayWorker = null;
+  const SELF_PLAY_GAMES = 1000;
+
   // 演算法實例管理
   let StandardProbabilityCalculator = null;
   let EnhancedProbabilityCalculator = null;
+  let currentAlgorithm = 'standard';
+
+  // 電腦隨機移動使用的隨機數來源（相同種子可重現相同的移動）
+  let randomSource = null;
+
+  // 電腦下棋使用的策略（見 ComputerPolicy），建議也會以此預測電腦的回應
+  let computerStrategy = 'random';
+  let computerPolicy = null;
+
+  // 策略選單的選項 -> ComputerPolicy 名稱
+  // learned：依 AI 學習系統記錄的電腦移動預測（見 GameEngine.useLearnedComputerPolicy）
+  const COMPUTER_STRATEGIES = {
+    random: 'random',
+    cooperative: 'heuristic',
+    obstructive: 'obstructive',
+    center: 'center',
+    learned: 'frequency'
+  };
+
+  // 自動保存目前遊戲的 localStorage 鍵
+  const SAVED_GAME_KEY = 'bingo-current-game';
+
+  // 最近一次的賽後分析報告
+  let lastAnalysisReport = null;
+
+  // 回放狀態
+  let activeReplay = null;
+  let replayTimer = null;
+  const REPLAY_INTERVAL = 1000; // 自動播放每步間隔（毫秒）
 
   /**
    * Initialize the game when DOM is loaded
@@ -327,38 +366,27 @@
   });
 
   /**
-   * Load enhanced algorithm asynchronously
+   * Get the shared registry of suggestion algorithms (see StrategyRegistry)
+   * @returns {StrategyRegistry} Registry
    */
-  function loadEnhancedAlgorithmAsync() {
-    return new Promise((resolve, reject) => {
-      // Check if enhanced algorithm is already loaded
-      if (
-        typeof EnhancedProbabilityCalculator !== 'undefined' &&
-        EnhancedProbabilityCalculator
-      ) {
-        resolve();
-        return;
-      }
-
-      const script = document.createElement('script');
-      script.src = './probabilityCalculator.enhanced.js';
-
-      script.onload = function () {
-        try {
-          // EnhancedProbabilityCalculator class is now available
-          // No need to manipulate ProbabilityCalculator variable
-          resolve();
-        } catch (error) {
-          reject(error);
-        }
-      };
+  function getStrategyRegistry() {
+    return getDependency('StrategyRegistry').default;
+  }
 
-      script.onerror = function () {
-        reject(new Error('Failed to load enhanced algorithm'));
-      };
+  /**
+   * Load an algorithm script on demand
+   * @param {string} algorithm - Strategy id in the registry
+   * @returns {Promise<Object>} Resolves with the registry entry once the strategy is available
+   */
+  function loadAlgorithmAsync(algorithm) {
+    return getStrategyRegistry().loadStrategy(algorithm);
+  }
 
-      document.head.appendChild(script);
-    });
+  /**
+   * Load enhanced algorithm asynchronously
+   */
+  function loadEnhancedAlgorithmAsync() {
+    return loadAlgorithmAsync('enhanced');
   }
 
   /**
@@ -628,7 +656,7 @@
 
       // Initialize AI learning system if available
       if (typeof AILearningSystem !== 'undefined') {
-        aiLearningSystem = new AILearningSystem();
+        aiLearningSystem = new AILearningSystem({}, { random: getSeedInput() });
         console.log('AI Learning System initialized');
       }
 
@@ -658,10 +686,12 @@
     const confirmComputerMoveButton = document.getElementById(
       'confirm-computer-move'
     );
-    const randomComputerMoveButton = document.getElementById(
-      'random-computer-move'
-    );
+    const computerMoveButton = document.getElementById('computer-move');
+    const computerStrategySelect = document.getElementById('computer-strategy');
+    const planningModeCheckbox = document.getElementById('planning-mode');
     const playAgainButton = document.getElementById('play-again');
+    const undoButton = document.getElementById('undo-move');
+    const redoButton = document.getElementById('redo-move');
 
     // 設置無障礙功能
     setupAccessibilityFeatures();
@@ -684,20 +714,74 @@
       confirmComputerMoveButton.addEventListener('click', handleComputerMove);
     }
 
-    if (randomComputerMoveButton) {
-      console.log('Found random computer move button, adding event listener');
-      randomComputerMoveButton.addEventListener('click', function () {
-        console.log('Random computer move button clicked');
-        makeRandomComputerMove();
+    if (computerMoveButton) {
+      console.log('Found computer move button, adding event listener');
+      computerMoveButton.addEventListener('click', function () {
+        console.log('Computer move button clicked');
+        makeComputerStrategyMove();
       });
     } else {
-      console.error('Random computer move button not found!');
+      console.error('Computer move button not found!');
+    }
+
+    if (computerStrategySelect) {
+      computerStrategySelect.addEventListener('change', function () {
+        useComputerStrategy(computerStrategySelect.value);
+      });
+      useComputerStrategy(computerStrategySelect.value);
+    }
+
+    if (planningModeCheckbox) {
+      planningModeCheckbox.addEventListener('change', updatePlanDisplay);
     }
 
     if (playAgainButton) {
       playAgainButton.addEventListener('click', handlePlayAgain);
     }
 
+    if (undoButton) {
+      undoButton.addEventListener('click', undoMove);
+    }
+
+    if (redoButton) {
+      redoButton.addEventListener('click', redoMove);
+    }
+
+    // 遊戲記錄：導出、導入、分享連結及自動恢復
+    setupGameRecordControls();
+
+    // 回放控制
+    setupReplayControls();
+
+    const exportAnalysisButton = document.getElementById('export-analysis');
+    if (exportAnalysisButton) {
+      exportAnalysisButton.addEventListener('click', exportAnalysisReport);
+    }
+
+    // 復原／重做快捷鍵：Ctrl+Z、Ctrl+Y 或 Ctrl+Shift+Z
+    document.addEventListener('keydown', function (event) {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+        return;
+      }
+
+      const target = event.target;
+      if (
+        target &&
+        (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA')
+      ) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoMove();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        redoMove();
+      }
+    });
+
     // AI 學習系統事件監聽器
     setupAILearningEventListeners();
 
@@ -978,13 +1062,30 @@
    */
   function setupAILearningEventListeners() {
     // 算法選擇器
-    const algorithmOptions = document.querySelectorAll('.algorithm-option');
-    algorithmOptions.forEach(option => {
-      option.addEventListener('click', function () {
-        const algorithm = this.dataset.algorithm;
-        selectAlgorithm(algorithm);
+    const algorithmOptions = document.querySelector('.algorithm-options');
+    renderAlgorithmOptions();
+    // 其他演算法的腳本載入並註冊自己後加入選單
+    getStrategyRegistry()
+      .loadScripts()
+      .catch(error => {
+        console.warn('Failed to load algorithm scripts:', error);
+      })
+      .then(renderAlgorithmOptions);
+    if (algorithmOptions) {
+      algorithmOptions.addEventListener('click', function (event) {
+        const option = event.target.closest('.algorithm-option');
+        if (option) {
+          selectAlgorithm(option.dataset.algorithm);
+        }
       });
-    });
+      algorithmOptions.addEventListener('keydown', function (event) {
+        const option = event.target.closest('.algorithm-option');
+        if (option && (event.key === 'Enter' || event.key === ' ')) {
+          event.preventDefault();
+          selectAlgorithm(option.dataset.algorithm);
+        }
+      });
+    }
 
     // AI 學習控制按鈕
     const resetAIButton = document.getElementById('reset-ai-learning');
@@ -1005,6 +1106,11 @@
       importDataButton.addEventListener('click', () => importDataInput.click());
       importDataInput.addEventListener('change', importLearningData);
     }
+
+    const trainButton = document.getElementById('train-ai-self-play');
+    if (trainButton) {
+      trainButton.addEventListener('click', startSelfPlayTraining);
+    }
   }
 
   /**
@@ -1087,11 +1193,86 @@
     }
   }
 
+  /**
+   * 依註冊表建立演算法選項（見 StrategyRegistry）
+   * 策略在 metadata.i18n 提供的名稱與說明會先加入翻譯
+   */
+  function renderAlgorithmOptions() {
+    const container = document.querySelector('.algorithm-options');
+    if (!container) {
+      return;
+    }
+
+    const registry = getStrategyRegistry();
+    const hasI18n = typeof i18n !== 'undefined' && i18n && i18n.translations;
+    if (hasI18n) {
+      Object.keys(i18n.translations).forEach(language => {
+        Object.assign(
+          i18n.translations[language],
+          registry.getTranslations(language)
+        );
+      });
+    }
+    // 沒有載入 i18n 時直接使用註冊表提供的頁面語言文字
+    const fallback = registry.getTranslations(
+      document.documentElement.lang || 'zh-TW'
+    );
+    const translate = key =>
+      hasI18n ? i18n.t(key) : fallback[key] || key;
+
+    const createText = (tagName, className, key) => {
+      const element = document.createElement(tagName);
+      if (className) {
+        element.className = className;
+      }
+      element.setAttribute('data-i18n', key);
+      element.textContent = translate(key);
+      return element;
+    };
+
+    SafeDOM.clearContent(container);
+    registry.listStrategies({ selectable: true }).forEach(({ id }) => {
+      const option = document.createElement('div');
+      option.className = 'algorithm-option';
+      option.classList.toggle('selected', id === currentAlgorithm);
+      option.dataset.algorithm = id;
+      option.setAttribute('tabindex', '0');
+      option.setAttribute('role', 'button');
+
+      option.appendChild(
+        createText('div', 'algorithm-name', `algorithm.${id}.name`)
+      );
+      option.appendChild(
+        createText(
+          'div',
+          'algorithm-description',
+          `algorithm.${id}.description`
+        )
+      );
+
+      // 特色清單：依序列出已有翻譯的 algorithm.<id>.features.<n>
+      const features = document.createElement('ul');
+      features.className = 'algorithm-features';
+      for (let n = 1; ; n++) {
+        const key = `algorithm.${id}.features.${n}`;
+        if (translate(key) === key) {
+          break;
+        }
+        features.appendChild(createText('li', null, key));
+      }
+      option.appendChild(features);
+
+      container.appendChild(option);
+    });
+  }
+
   /**
    * 選擇算法
-   * @param {string} algorithm - 算法類型
+   * @param {string} algorithm - 算法類型（StrategyRegistry 中的策略 id）
    */
   function selectAlgorithm(algorithm) {
+    currentAlgorithm = algorithm;
+
     // 更新 UI 選擇狀態
     document.querySelectorAll('.algorithm-option').forEach(option => {
       option.classList.remove('selected');
@@ -1108,21 +1289,26 @@
     const currentAlgorithmName = document.getElementById(
       'current-algorithm-name'
     );
-    const algorithmNames = {
-      standard: '標準演算法',
-      enhanced: '增強演算法',
-      'ai-learning': 'AI 學習演算法'
-    };
+    const nameElement = selectedOption
+      ? selectedOption.querySelector('.algorithm-name')
+      : null;
 
     if (currentAlgorithmName) {
-      currentAlgorithmName.textContent =
-        algorithmNames[algorithm] || '未知演算法';
+      currentAlgorithmName.setAttribute(
+        'data-i18n',
+        `algorithm.${algorithm}.name`
+      );
+      currentAlgorithmName.textContent = nameElement
+        ? nameElement.textContent.trim()
+        : '未知演算法';
     }
 
+    const isLearning = isLearningAlgorithm(algorithm);
+
     // 顯示或隱藏 AI 學習狀態面板
     const aiStatusPanel = document.getElementById('ai-learning-status');
     if (aiStatusPanel) {
-      if (algorithm === 'ai-learning') {
+      if (isLearning) {
         aiStatusPanel.classList.remove('hidden');
         updateAILearningStatus();
       } else {
@@ -1130,40 +1316,79 @@
       }
     }
 
-    // 更新遊戲引擎的算法設置
-    if (typeof gameEngine !== 'undefined' && gameEngine) {
-      switch (algorithm) {
-        case 'ai-learning':
-          gameEngine.setAILearningEnabled(true);
-          gameEngine.setLearningMode('personalized');
-          break;
-        case 'enhanced':
-          gameEngine.setAILearningEnabled(false);
-          // 這裡可以設置使用增強算法
-          break;
-        default:
-          gameEngine.setAILearningEnabled(false);
-          // 使用標準算法
-          break;
+    // 學習策略由遊戲引擎的 AI 學習系統提供建議（見 requestSuggestion）；
+    // 計算器在載入後由 useAlgorithmCalculator 切換，AI 學習系統仍記錄每局遊戲
+    if (isLearning) {
+      if (gameState) {
+        gameState.setSuggestionStrategy(algorithm);
+        if (gameState.gamePhase === GAME_PHASES.PLAYER_TURN) {
+          showPlayerSuggestion();
+        }
       }
+    } else {
+      useAlgorithmCalculator(algorithm);
     }
 
     console.log(`算法切換至: ${algorithm}`);
   }
 
+  /**
+   * 是否為 AI 學習系統提供建議的策略（registry 中 kind 為 learning）
+   * @param {string} algorithm - 算法類型
+   * @returns {boolean} 是否為學習策略
+   */
+  function isLearningAlgorithm(algorithm) {
+    const strategy = getStrategyRegistry().getStrategy(algorithm);
+    return Boolean(strategy && strategy.metadata.kind === 'learning');
+  }
+
+  /**
+   * 切換建議使用的機率計算器
+   * 延遲載入的演算法（如增強與蒙地卡羅演算法）在第一次選擇時才載入
+   * @param {string} algorithm - 算法類型
+   */
+  function useAlgorithmCalculator(algorithm) {
+    loadAlgorithmAsync(algorithm)
+      .then(() => {
+        // 載入期間使用者可能已切換到其他算法
+        if (currentAlgorithm !== algorithm) {
+          return;
+        }
+
+        const config = gameState ? gameState.getConfig() : undefined;
+
+        // 蒙地卡羅模擬以本局種子建立獨立的隨機數來源，不影響電腦移動的序列
+        const options = { random: randomSource ? randomSource.seed : undefined };
+        probabilityCalculator = getStrategyRegistry().createStrategy(
+          algorithm,
+          config,
+          options
+        );
+        selectedCalculator = {
+          calculator: probabilityCalculator,
+          algorithm,
+          options
+        };
+
+        if (gameState && gameState.gamePhase === GAME_PHASES.PLAYER_TURN) {
+          showPlayerSuggestion();
+        }
+      })
+      .catch(error => {
+        console.error('Failed to switch algorithm:', error);
+        showWarningMessage('演算法載入失敗，繼續使用目前的演算法');
+      });
+  }
+
   /**
    * 更新 AI 學習系統狀態顯示
    */
   function updateAILearningStatus() {
-    if (
-      typeof gameEngine === 'undefined' ||
-      !gameEngine ||
-      !gameEngine.aiLearningSystem
-    ) {
+    if (!gameState || !gameState.aiLearningSystem) {
       return;
     }
 
-    const learningStats = gameEngine.getAILearningStats();
+    const learningStats = gameState.getAILearningStats();
     if (!learningStats) return;
 
     // 更新技能等級
@@ -1210,8 +1435,8 @@
    */
   function resetAILearning() {
     if (confirm('確定要重置所有 AI 學習數據嗎？此操作無法撤銷。')) {
-      if (typeof gameEngine !== 'undefined' && gameEngine) {
-        gameEngine.resetAILearning();
+      if (gameState) {
+        gameState.resetAILearning();
         updateAILearningStatus();
         showSuccessMessage('AI 學習數據已重置');
       }
@@ -1222,12 +1447,12 @@
    * 導出學習數據
    */
   function exportLearningData() {
-    if (typeof gameEngine === 'undefined' || !gameEngine) {
+    if (!gameState) {
       showErrorMessage('遊戲引擎未初始化');
       return;
     }
 
-    const learningData = gameEngine.exportLearningData();
+    const learningData = gameState.exportLearningData();
     if (!learningData) {
       showErrorMessage('沒有學習數據可導出');
       return;
@@ -1257,10 +1482,11 @@
       try {
         const learningData = JSON.parse(e.target.result);
 
-        if (typeof gameEngine !== 'undefined' && gameEngine) {
-          gameEngine.importLearningData(learningData);
+        if (gameState && gameState.importLearningData(learningData)) {
           updateAILearningStatus();
           showSuccessMessage('學習數據導入成功');
+        } else {
+          showErrorMessage('學習數據格式錯誤');
         }
       } catch (error) {
         console.error('導入學習數據失敗:', error);
@@ -1275,35 +1501,174 @@
   }
 
   /**
-   * Check if auto random move is enabled and execute a random computer move if it is
+   * Train the AI learning system with self-play games in a Web Worker
+   * The worker starts from the current learning state and hands back the
+   * trained state, which replaces the current one (and is saved).
+   */
+  function startSelfPlayTraining() {
+    if (selfPlayWorker || !gameState) {
+      return;
+    }
+    if (typeof Worker === 'undefined' || !gameState.ensureAILearningSystem()) {
+      showErrorMessage(i18n.t('ai.training.unavailable'));
+      return;
+    }
+
+    const trainButton = document.getElementById('train-ai-self-play');
+    const panel = document.getElementById('self-play-training');
+    const progress = document.getElementById('self-play-progress');
+    const curve = [];
+    let baseline = null;
+
+    const finish = () => {
+      selfPlayWorker.terminate();
+      selfPlayWorker = null;
+      if (trainButton) {
+        trainButton.disabled = false;
+      }
+    };
+
+    selfPlayWorker = new Worker('./selfPlayWorker.js');
+    selfPlayWorker.onmessage = event => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        if (message.point) {
+          curve.push(message.point);
+          baseline = message.point.baseline;
+          renderSelfPlayCurve(curve, baseline);
+        }
+        if (progress) {
+          progress.textContent = i18n.t('ai.training.progress', {
+            completed: message.completed,
+            total: message.total
+          });
+        }
+      } else if (message.type === 'done') {
+        finish();
+        curve.splice(0, curve.length, ...message.result.curve);
+        renderSelfPlayCurve(curve, message.result.baseline.mean);
+        if (progress) {
+          const last = curve[curve.length - 1];
+          progress.textContent = i18n.t('ai.training.evaluation', {
+            games: last.games,
+            mean: last.mean.toFixed(2),
+            baseline: last.baseline.toFixed(2)
+          });
+        }
+        gameState.importLearningData(message.state);
+        updateAILearningStatus();
+        showSuccessMessage(i18n.t('ai.training.done'));
+      } else if (message.type === 'error') {
+        finish();
+        showErrorMessage(
+          i18n.t('ai.training.failed', { message: message.message })
+        );
+      }
+    };
+    selfPlayWorker.onerror = event => {
+      finish();
+      showErrorMessage(
+        i18n.t('ai.training.failed', { message: event.message })
+      );
+    };
+
+    if (trainButton) {
+      trainButton.disabled = true;
+    }
+    if (panel) {
+      panel.classList.remove('hidden');
+    }
+    renderSelfPlayCurve(curve, baseline);
+
+    selfPlayWorker.postMessage({
+      type: 'train',
+      games: SELF_PLAY_GAMES,
+      options: {
+        config: gameState.getConfig(),
+        computer: COMPUTER_STRATEGIES[computerStrategy] || 'random'
+      },
+      state: gameState.exportLearningData()
+    });
+  }
+
+  /**
+   * Draw the self-play learning curve: the mean lines of each evaluation
+   * against the enhanced calculator's mean (dashed)
+   * @param {Array<Object>} curve - Curve points (see SelfPlayTrainer.run)
+   * @param {number|null} baseline - Enhanced calculator mean
+   */
+  function renderSelfPlayCurve(curve, baseline) {
+    const svg = document.getElementById('self-play-curve');
+    if (!svg) {
+      return;
+    }
+
+    SafeDOM.clearContent(svg);
+    const width = 200;
+    const height = 80;
+    const maxGames = Math.max(
+      SELF_PLAY_GAMES,
+      ...curve.map(point => point.games)
+    );
+    const maxLines = Math.max(
+      1,
+      baseline || 0,
+      ...curve.map(point => point.mean)
+    );
+    const x = games => (games / maxGames) * width;
+    const y = lines => height - (lines / maxLines) * (height - 4);
+
+    const svgNS = 'http://www.w3.org/2000/svg';
+    if (baseline !== null) {
+      const line = document.createElementNS(svgNS, 'line');
+      line.setAttribute('class', 'self-play-baseline');
+      line.setAttribute('x1', 0);
+      line.setAttribute('x2', width);
+      line.setAttribute('y1', y(baseline));
+      line.setAttribute('y2', y(baseline));
+      svg.appendChild(line);
+    }
+
+    const polyline = document.createElementNS(svgNS, 'polyline');
+    polyline.setAttribute('class', 'self-play-line');
+    polyline.setAttribute(
+      'points',
+      curve.map(point => `${x(point.games)},${y(point.mean)}`).join(' ')
+    );
+    svg.appendChild(polyline);
+  }
+
+  /**
+   * Check if auto computer move is enabled and play the selected strategy's move if it is
    */
-  function checkAutoRandomMove() {
+  function checkAutoComputerMove() {
     try {
-      console.log('Checking auto random move setting');
-      const autoRandomCheckbox = document.getElementById('auto-random-move');
-      console.log('Auto random checkbox element:', autoRandomCheckbox);
+      console.log('Checking auto computer move setting');
+      const autoMoveCheckbox = document.getElementById('auto-computer-move');
       console.log(
-        'Auto random checkbox checked:',
-        autoRandomCheckbox ? autoRandomCheckbox.checked : 'element not found'
+        'Auto computer move checkbox checked:',
+        autoMoveCheckbox ? autoMoveCheckbox.checked : 'element not found'
       );
 
       if (
-        autoRandomCheckbox &&
-        autoRandomCheckbox.checked &&
+        autoMoveCheckbox &&
+        autoMoveCheckbox.checked &&
         gameState &&
         gameState.gamePhase === GAME_PHASES.COMPUTER_TURN
       ) {
-        console.log('Auto random move is enabled, executing after short delay');
+        console.log(
+          `Auto computer move is enabled (${computerStrategy}), executing after short delay`
+        );
 
         // 添加短暂延迟，让用户能看清楚玩家的移动
         setTimeout(() => {
-          makeRandomComputerMove();
+          makeComputerStrategyMove();
         }, 500);
       } else {
-        console.log('Auto random move is disabled or not applicable');
+        console.log('Auto computer move is disabled or not applicable');
       }
     } catch (error) {
-      console.error('Error checking auto random move:', error);
+      console.error('Error checking auto computer move:', error);
     }
   }
 
@@ -1361,6 +1726,12 @@
         return;
       }
 
+      // 回放模式中遊戲板僅供檢視
+      if (activeReplay) {
+        showWarningMessage('回放模式中無法移動，請先關閉回放');
+        return;
+      }
+
       // 如果游戏未开始或已结束，不处理点击
       if (!gameState || !gameState.gameStarted || gameState.gameEnded) {
         console.log('Game not started or already ended');
@@ -1391,6 +1762,9 @@
         // 使用 requestAnimationFrame 优化性能
         requestAnimationFrame(() => {
           try {
+            // 遊戲板即將改變，停止計算目前的建議
+            cancelSuggestion();
+
             // 执行玩家移动
             gameState.makePlayerMove(row, col);
 
@@ -1413,7 +1787,7 @@
             hideGameBoardLoading();
 
             // 检查是否需要自动随机下棋
-            checkAutoRandomMove();
+            checkAutoComputerMove();
           } catch (moveError) {
             hideGameBoardLoading();
             throw moveError;
@@ -1549,8 +1923,13 @@
         return;
       }
 
+      if (activeReplay) {
+        closeReplay();
+      }
+
       gameState.startGame();
       gameBoard.reset();
+      createRandomSource();
 
       // Update UI
       updateGameStatus();
@@ -1578,6 +1957,205 @@
     }
   }
 
+  /**
+   * Read the seed entered by the user
+   * @returns {string|undefined} Seed text, or undefined when the field is empty
+   */
+  function getSeedInput() {
+    const seedInput = document.getElementById('random-seed');
+    const seed = seedInput ? seedInput.value.trim() : '';
+    return seed === '' ? undefined : seed;
+  }
+
+  /**
+   * Create the random source for this game from the entered seed (or a fresh one)
+   * @returns {SeededRandom} Random source
+   */
+  function createRandomSource() {
+    const SeededRandom = getDependency('SeededRandom');
+    randomSource = new SeededRandom(getSeedInput());
+
+    // 顯示本局使用的種子，方便回報問題時重現
+    const currentSeed = document.getElementById('current-seed');
+    if (currentSeed) {
+      currentSeed.textContent = String(randomSource.seed);
+    }
+
+    // 電腦策略改用本局的隨機數來源，相同種子可重現相同的電腦移動
+    if (computerPolicy) {
+      computerPolicy.random = randomSource;
+    }
+
+    console.log(`Random seed: ${randomSource.seed}`);
+    return randomSource;
+  }
+
+  /**
+   * Create the computer policy for a strategy option
+   * The greedy cooperative strategy rates cells with the enhanced calculator,
+   * which is loaded on first use. The learned strategy is built by the game
+   * engine from the computer moves of the recorded games.
+   * @param {string} strategy - Strategy option (see COMPUTER_STRATEGIES)
+   * @returns {Promise<ComputerPolicy|null>} Policy, or null when ComputerPolicy is not loaded
+   */
+  function createComputerPolicy(strategy) {
+    const ComputerPolicy = getDependency('ComputerPolicy');
+    if (!ComputerPolicy) {
+      return Promise.resolve(null);
+    }
+
+    const config = gameState ? gameState.getConfig() : undefined;
+    const options = { random: randomSource || createRandomSource() };
+    if (strategy === 'learned') {
+      return Promise.resolve(
+        gameState ? gameState.useLearnedComputerPolicy(options) : null
+      );
+    }
+    if (strategy !== 'cooperative') {
+      return Promise.resolve(
+        ComputerPolicy.create(
+          COMPUTER_STRATEGIES[strategy] || 'random',
+          config,
+          options
+        )
+      );
+    }
+
+    return loadAlgorithmAsync('enhanced').then(() =>
+      ComputerPolicy.create('heuristic', config, {
+        ...options,
+        calculator: getStrategyRegistry().createStrategy('enhanced', config)
+      })
+    );
+  }
+
+  /**
+   * Switch the strategy the computer plays with
+   * @param {string} strategy - Strategy option (see COMPUTER_STRATEGIES)
+   * @returns {Promise<void>} Resolves once the policy is in use
+   */
+  function useComputerStrategy(strategy) {
+    computerStrategy = strategy;
+
+    return createComputerPolicy(strategy)
+      .then(policy => {
+        // 載入期間使用者可能已切換到其他策略
+        if (computerStrategy !== strategy) {
+          return;
+        }
+
+        computerPolicy = policy;
+        console.log(`Computer strategy: ${strategy}`);
+
+        if (gameState && gameState.gamePhase === GAME_PHASES.PLAYER_TURN) {
+          showPlayerSuggestion();
+        }
+      })
+      .catch(error => {
+        console.error('Failed to switch computer strategy:', error);
+        showWarningMessage('電腦策略載入失敗，繼續使用目前的策略');
+      });
+  }
+
+  /**
+   * Hand the computer policy to the suggestion calculator
+   * The calculator may have been replaced (algorithm switch, imported game), and
+   * a policy built for another board size is rebuilt first.
+   */
+  function syncComputerPolicy() {
+    if (!computerPolicy || !gameState || !probabilityCalculator) {
+      return;
+    }
+
+    const canModel = typeof probabilityCalculator.setComputerPolicy === 'function';
+    if (computerPolicy.BOARD_SIZE !== gameState.getConfig().boardSize) {
+      if (canModel) {
+        probabilityCalculator.setComputerPolicy(null);
+      }
+      useComputerStrategy(computerStrategy);
+      return;
+    }
+
+    if (canModel && probabilityCalculator.computerPolicy !== computerPolicy) {
+      probabilityCalculator.setComputerPolicy(computerPolicy);
+    }
+    // 遊戲結束時由引擎讓策略觀察本局的電腦移動
+    if (gameState.computerPolicy !== computerPolicy) {
+      gameState.setComputerPolicy(computerPolicy);
+    }
+  }
+
+  /**
+   * Get the host that calculates suggestions in a Web Worker
+   * Without SuggestionWorkerHost the suggestion is calculated on the main thread.
+   * @returns {SuggestionWorkerHost|null} Host, created on first use
+   */
+  function getSuggestionHost() {
+    const SuggestionWorkerHost = getDependency('SuggestionWorkerHost');
+    if (!suggestionHost && SuggestionWorkerHost) {
+      suggestionHost = new SuggestionWorkerHost({
+        fallback: () => probabilityCalculator
+      });
+    }
+    return suggestionHost;
+  }
+
+  /**
+   * Describe the active calculator so the worker can build the same one
+   * Calculators replaced outside useAlgorithmCalculator (new game, imported
+   * record) are standard calculators.
+   * @returns {Object} Strategy for SuggestionWorkerHost.setStrategy
+   */
+  function getSuggestionStrategy() {
+    const selected =
+      selectedCalculator &&
+      selectedCalculator.calculator === probabilityCalculator
+        ? selectedCalculator
+        : { algorithm: 'standard', options: {} };
+    const policy = probabilityCalculator.computerPolicy;
+
+    return {
+      algorithm: selected.algorithm,
+      config: probabilityCalculator.config,
+      options: selected.options,
+      computerPolicy: policy ? policy.name : null
+    };
+  }
+
+  /**
+   * Calculate the suggestion for a board, in the worker when available
+   * @param {number[][]} board - Current game board
+   * @param {Object} context - Game context
+   * @returns {Promise<Object|null>} Suggestion; rejected with a 'cancelled' error when superseded
+   */
+  function requestSuggestion(board, context) {
+    // 學習策略需要目前的 AI 學習狀態，在主執行緒計算
+    if (isLearningAlgorithm(currentAlgorithm)) {
+      return Promise.resolve(
+        gameState.getSuggestionProvider().getBestSuggestion(board, context)
+      );
+    }
+
+    const host = getSuggestionHost();
+    if (!host) {
+      return Promise.resolve(
+        probabilityCalculator.getBestSuggestion(board, context)
+      );
+    }
+
+    host.setStrategy(getSuggestionStrategy());
+    return host.requestSuggestion(board, context);
+  }
+
+  /**
+   * Stop calculating a suggestion for a board that is about to change
+   */
+  function cancelSuggestion() {
+    if (suggestionHost) {
+      suggestionHost.cancel();
+    }
+  }
+
   /**
    * Restart the current game
    */
@@ -1595,14 +2173,14 @@
         return;
       }
 
-      const currentBoard = gameState.getState().board;
+      const { board: currentBoard, boardSize } = gameState.getState();
       const suggestionDisplay = document.getElementById('suggestion-display');
 
       // Validate board state
       if (
         !currentBoard ||
         !Array.isArray(currentBoard) ||
-        currentBoard.length !== 5
+        currentBoard.length !== boardSize
       ) {
         console.error('Invalid board state');
         showWarningMessage('遊戲狀態異常，請重新開始遊戲');
@@ -1614,42 +2192,87 @@
         suggestionDisplay.classList.add('loading');
       }
 
+      // 規劃模式：電腦的移動可能已填入計畫中的格子，每回合重新規劃
+      updatePlanDisplay();
+
+      // 回合資訊讓計算器忽略剩餘步數內無法完成的連線
+      const context = gameState.getGameContext();
+      syncComputerPolicy();
+
       // 使用性能監控測量算法執行時間（如果可用）
-      let suggestion;
+      let request;
       if (typeof performanceMonitor !== 'undefined' && performanceMonitor.measureAlgorithmPerformance) {
-        suggestion = performanceMonitor.measureAlgorithmPerformance(
+        request = performanceMonitor.measureAlgorithmPerformance(
           'suggestion-calculation',
-          () => {
-            return probabilityCalculator.getBestSuggestion(currentBoard);
-          }
+          () => requestSuggestion(currentBoard, context)
         );
       } else {
-        suggestion = probabilityCalculator.getBestSuggestion(currentBoard);
-      }
-
-      // 移除載入狀態
-      if (suggestionDisplay) {
-        suggestionDisplay.classList.remove('loading');
+        request = requestSuggestion(currentBoard, context);
       }
 
-      if (
-        suggestion &&
-        typeof suggestion === 'object' &&
-        typeof suggestion.row === 'number' &&
-        typeof suggestion.col === 'number'
-      ) {
-        // Validate suggestion coordinates
+      // 計算期間遊戲板仍可操作；遊戲板改變後的結果不再顯示
+      const boardHash = currentBoard.flat().join('');
+      request
+        .then(suggestion => {
+          if (
+            gameState.gamePhase !== GAME_PHASES.PLAYER_TURN ||
+            gameState.getState().board.flat().join('') !== boardHash
+          ) {
+            if (suggestionDisplay) {
+              suggestionDisplay.classList.remove('loading');
+            }
+            return;
+          }
+          displayPlayerSuggestion(suggestion, boardSize);
+        })
+        .catch(error => {
+          // 被新的請求取代，由新的請求更新顯示
+          if (error && error.type === ERROR_TYPES.CANCELLED) {
+            return;
+          }
+          handleSuggestionError(error);
+        });
+    } catch (error) {
+      handleSuggestionError(error);
+    }
+  }
+
+  /**
+   * 顯示計算完成的建議
+   * @param {Object|null} suggestion - 計算器的建議
+   * @param {number} boardSize - 遊戲板大小
+   */
+  function displayPlayerSuggestion(suggestion, boardSize) {
+    // 移除載入狀態
+    const suggestionDisplay = document.getElementById('suggestion-display');
+    if (suggestionDisplay) {
+      suggestionDisplay.classList.remove('loading');
+    }
+
+    try {
+      if (
+        suggestion &&
+        typeof suggestion === 'object' &&
+        typeof suggestion.row === 'number' &&
+        typeof suggestion.col === 'number'
+      ) {
+        // Validate suggestion coordinates
         if (
           suggestion.row < 0 ||
-          suggestion.row >= 5 ||
+          suggestion.row >= boardSize ||
           suggestion.col < 0 ||
-          suggestion.col >= 5
+          suggestion.col >= boardSize
         ) {
           console.error('Invalid suggestion coordinates:', suggestion);
           updateSuggestionDisplay(null);
           return;
         }
 
+        // 記錄顯示的建議，以便保存在遊戲記錄中
+        if (typeof gameState.recordSuggestion === 'function') {
+          gameState.recordSuggestion(suggestion);
+        }
+
         // 使用性能監控測量渲染時間（如果可用）
         if (typeof performanceMonitor !== 'undefined' && performanceMonitor.measureRenderPerformance) {
           performanceMonitor.measureRenderPerformance(
@@ -1677,21 +2300,29 @@
         updateSuggestionDisplay(null);
       }
     } catch (error) {
-      console.error('Error showing player suggestion:', error);
+      handleSuggestionError(error);
+    }
+  }
 
-      // 移除載入狀態
-      const suggestionDisplay = document.getElementById('suggestion-display');
-      if (suggestionDisplay) {
-        suggestionDisplay.classList.remove('loading');
-      }
+  /**
+   * 建議計算或顯示失敗
+   * @param {Error} error - 錯誤
+   */
+  function handleSuggestionError(error) {
+    console.error('Error showing player suggestion:', error);
 
-      showErrorModal('建議生成失敗', '無法生成移動建議，請檢查遊戲狀態', {
-        showRetry: true,
-        onRetry: () => {
-          setTimeout(showPlayerSuggestion, 100);
-        }
-      });
+    // 移除載入狀態
+    const suggestionDisplay = document.getElementById('suggestion-display');
+    if (suggestionDisplay) {
+      suggestionDisplay.classList.remove('loading');
     }
+
+    showErrorModal('建議生成失敗', '無法生成移動建議，請檢查遊戲狀態', {
+      showRetry: true,
+      onRetry: () => {
+        setTimeout(showPlayerSuggestion, 100);
+      }
+    });
   }
 
   /**
@@ -1715,6 +2346,16 @@
         suggestionDisplay.classList.add(`confidence-${suggestion.confidence}`);
       }
 
+      // 開局庫的移動：標示為預先求解的精確建議
+      if (suggestion.source === 'book') {
+        suggestionDisplay.classList.add('from-book');
+        const bookLabel = document.createElement('div');
+        bookLabel.className = 'book-move-label';
+        bookLabel.textContent = '開局庫';
+        bookLabel.title = '此移動由開局庫預先精確求解，而非即時計算';
+        suggestionDisplay.appendChild(bookLabel);
+      }
+
       // 創建主要建議文本
       const mainSuggestion = document.createElement('div');
       mainSuggestion.id = 'suggestion-text';
@@ -1725,13 +2366,29 @@
       if (suggestion.value !== undefined) {
         const valueExplanation = document.createElement('div');
         valueExplanation.className = 'value-explanation';
-        valueExplanation.textContent = createValueExplanationText(
-          suggestion.value,
-          suggestion.confidence
-        );
+        valueExplanation.textContent =
+          suggestion.expectedLines !== undefined
+            ? createExpectedLinesText(suggestion)
+            : createValueExplanationText(
+                suggestion.value,
+                suggestion.confidence
+              );
         suggestionDisplay.appendChild(valueExplanation);
       }
 
+      // 啟發式計算器的分數組成（蒙地卡羅與開局庫的建議以預期連線說明）
+      if (suggestion.expectedLines === undefined) {
+        const explanation = explainSuggestion(suggestion);
+        const breakdown = explanation && createValueBreakdown(explanation);
+        if (breakdown) {
+          const moveExplanation = document.createElement('div');
+          moveExplanation.className = 'move-explanation';
+          moveExplanation.textContent = createMoveExplanationText(explanation);
+          suggestionDisplay.appendChild(moveExplanation);
+          suggestionDisplay.appendChild(breakdown);
+        }
+      }
+
       // 創建替代建議區域
       if (suggestion.alternatives && suggestion.alternatives.length > 0) {
         const alternativesContainer = document.createElement('div');
@@ -1917,6 +2574,245 @@
     return explanation;
   }
 
+  /**
+   * 創建蒙地卡羅或開局庫建議的預期連線說明
+   * @param {Object} suggestion - 含 expectedLines 的建議（蒙地卡羅另含 interval 與 playouts）
+   * @returns {string} 純文本解釋
+   */
+  function createExpectedLinesText(suggestion) {
+    if (suggestion.source === 'book') {
+      return `開局庫：精確預期最終連線 ${suggestion.expectedLines.toFixed(2)} 條`;
+    }
+
+    const [low, high] = suggestion.interval;
+    return (
+      `預期最終連線: ${suggestion.expectedLines.toFixed(2)} 條` +
+      ` (95% 信賴區間 ${low.toFixed(2)}–${high.toFixed(2)}，` +
+      `每格模擬 ${suggestion.playouts} 局)`
+    );
+  }
+
+  /**
+   * 取得建議移動的分數組成（見 ProbabilityCalculator.explainMoveValue）
+   * 只有提供 explainMoveValue 的計算器才有分數組成；說明文字需要 i18n。
+   * @param {Object} suggestion - 建議對象（可以是被選中的替代建議）
+   * @returns {Object|null} 分數組成
+   */
+  function explainSuggestion(suggestion) {
+    if (
+      typeof i18n === 'undefined' ||
+      !gameState ||
+      !probabilityCalculator ||
+      typeof probabilityCalculator.explainMoveValue !== 'function'
+    ) {
+      return null;
+    }
+
+    try {
+      return probabilityCalculator.explainMoveValue(
+        gameState.getState().board,
+        suggestion.row,
+        suggestion.col,
+        gameState.getGameContext()
+      );
+    } catch (error) {
+      console.warn('Failed to explain suggestion:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 連線名稱，如「第3行」或「主對角線」
+   * @param {{type: string, row: number, col: number, cells: Array}} line - explainMoveValue 列出的連線（row、col 為起點）
+   * @returns {string} 目前語言的連線名稱
+   */
+  function describeExplainedLine(line) {
+    if (line.type === 'horizontal') {
+      return i18n.t('explain.line.horizontal', { index: line.row + 1 });
+    }
+    if (line.type === 'vertical') {
+      return i18n.t('explain.line.vertical', { index: line.col + 1 });
+    }
+
+    const name = i18n.t(`explain.line.${line.type}`);
+    // 連線比遊戲板短時，同一方向有多條對角線，以起點區分
+    return line.cells.length < probabilityCalculator.BOARD_SIZE
+      ? i18n.t('explain.line.from', {
+          line: name,
+          position: i18n.formatPosition(line.row, line.col)
+        })
+      : name;
+  }
+
+  /**
+   * 將多條連線的名稱連成一句，如「第3行、第2列和主對角線」
+   * @param {Array} lines - 連線
+   * @returns {string} 連線名稱
+   */
+  function joinExplainedLines(lines) {
+    const names = lines.map(describeExplainedLine);
+    if (names.length <= 1) {
+      return names.join('');
+    }
+    return (
+      names.slice(0, -1).join(i18n.t('explain.separator')) +
+      i18n.t('explain.last-separator') +
+      names[names.length - 1]
+    );
+  }
+
+  /**
+   * 創建建議移動的說明句子，如「此移動完成第3行，並為主對角線鋪路。」
+   * @param {Object} explanation - explainMoveValue 的結果
+   * @returns {string} 目前語言的說明
+   */
+  function createMoveExplanationText(explanation) {
+    const parts = [];
+    if (explanation.completes.length > 0) {
+      parts.push(
+        i18n.t('explain.completes', {
+          lines: joinExplainedLines(explanation.completes)
+        })
+      );
+    }
+    if (explanation.setsUp.length > 0) {
+      parts.push(
+        i18n.t('explain.sets-up', {
+          lines: joinExplainedLines(explanation.setsUp)
+        })
+      );
+    }
+
+    return parts.length > 0
+      ? i18n.t('explain.sentence', {
+          parts: parts.join(i18n.t('explain.and'))
+        })
+      : i18n.t('explain.general');
+  }
+
+  /**
+   * 創建分數組成的長條圖，每個非零因素一列，滑鼠停留時顯示相關連線
+   * @param {Object} explanation - explainMoveValue 的結果
+   * @returns {HTMLElement|null} 長條圖，沒有非零因素時為 null
+   */
+  function createValueBreakdown(explanation) {
+    const factors = explanation.factors.filter(
+      factor => Math.abs(factor.value) >= 0.05
+    );
+    if (factors.length === 0) {
+      return null;
+    }
+
+    const maxValue = Math.max(...factors.map(factor => Math.abs(factor.value)));
+    const container = document.createElement('div');
+    container.className = 'value-breakdown';
+    container.setAttribute('role', 'list');
+    container.setAttribute('aria-label', i18n.t('explain.title'));
+
+    const title = document.createElement('div');
+    title.className = 'value-breakdown-title';
+    title.textContent = i18n.t('explain.title');
+    container.appendChild(title);
+
+    factors.forEach(factor => {
+      const item = document.createElement('div');
+      item.className = 'value-breakdown-row';
+      item.classList.toggle('negative', factor.value < 0);
+      item.setAttribute('role', 'listitem');
+      if (factor.lines.length > 0) {
+        item.title = joinExplainedLines(factor.lines);
+      }
+
+      const label = document.createElement('span');
+      label.className = 'value-breakdown-label';
+      label.textContent = i18n.t(`explain.factor.${factor.name}`);
+
+      const bar = document.createElement('span');
+      bar.className = 'value-breakdown-bar';
+      const fill = document.createElement('span');
+      fill.className = 'value-breakdown-fill';
+      fill.style.width = `${(Math.abs(factor.value) / maxValue) * 100}%`;
+      bar.appendChild(fill);
+
+      const value = document.createElement('span');
+      value.className = 'value-breakdown-value';
+      value.textContent = `${factor.value > 0 ? '+' : ''}${factor.value.toFixed(1)}`;
+
+      item.appendChild(label);
+      item.appendChild(bar);
+      item.appendChild(value);
+      container.appendChild(item);
+    });
+
+    return container;
+  }
+
+  /**
+   * 更新規劃模式的目標連線說明與棋盤標示（見 GameEngine.getPlan）
+   * 規劃模式關閉、遊戲未進行或沒有 i18n 時清除標示並隱藏說明。
+   */
+  function updatePlanDisplay() {
+    const checkbox = document.getElementById('planning-mode');
+    const planDisplay = document.getElementById('plan-display');
+    const playing =
+      gameState &&
+      (gameState.gamePhase === GAME_PHASES.PLAYER_TURN ||
+        gameState.gamePhase === GAME_PHASES.COMPUTER_TURN);
+    const plan =
+      checkbox &&
+      checkbox.checked &&
+      playing &&
+      !activeReplay &&
+      typeof i18n !== 'undefined' &&
+      typeof gameState.getPlan === 'function'
+        ? gameState.getPlan()
+        : null;
+
+    if (gameBoard) {
+      gameBoard.highlightPlan(plan ? plan.cells : []);
+    }
+    if (!planDisplay) {
+      return;
+    }
+
+    SafeDOM.clearContent(planDisplay);
+    planDisplay.classList.toggle('hidden', !plan);
+    if (!plan) {
+      return;
+    }
+
+    const goal = document.createElement('div');
+    goal.className = 'plan-goal';
+    planDisplay.appendChild(goal);
+    if (plan.lines.length === 0) {
+      goal.textContent = i18n.t('plan.none');
+      return;
+    }
+
+    goal.textContent = i18n.t('plan.goal', {
+      lines: plan.lines
+        .map(describeExplainedLine)
+        .join(i18n.t('plan.line-separator'))
+    });
+
+    const cells = document.createElement('div');
+    cells.className = 'plan-cells';
+    cells.textContent = i18n.t('plan.cells', {
+      count: plan.cells.length,
+      cells: plan.cells
+        .map(({ row, col }) => `(${row + 1}, ${col + 1})`)
+        .join(i18n.t('explain.separator'))
+    });
+    planDisplay.appendChild(cells);
+
+    if (plan.spareMoves > 0) {
+      const spare = document.createElement('div');
+      spare.className = 'plan-spare';
+      spare.textContent = i18n.t('plan.spare', { count: plan.spareMoves });
+      planDisplay.appendChild(spare);
+    }
+  }
+
   /**
    * 創建替代建議的安全文本版本
    * @param {Array} alternatives - 替代建議陣列
@@ -1932,7 +2828,11 @@
       .slice(0, 3)
       .map(
         alt =>
-          `第${alt.row + 1}行第${alt.col + 1}列 (${Math.round(alt.value)}分)`
+          `第${alt.row + 1}行第${alt.col + 1}列 (${
+            alt.interval || alt.expectedLines !== undefined
+              ? `${alt.value.toFixed(2)}條`
+              : `${Math.round(alt.value)}分`
+          })`
       );
 
     return text + altTexts.join(', ');
@@ -2224,11 +3124,11 @@
   }
 
   /**
-   * Make a random computer move (optimized with throttling)
+   * Make a computer move with the selected strategy (optimized with throttling)
    */
-  const makeRandomComputerMove = throttle(function () {
+  const makeComputerStrategyMove = throttle(function () {
     try {
-      console.log('Making random computer move');
+      console.log(`Making computer move (${computerStrategy})`);
 
       // 检查是否是电脑回合
       if (!gameState || gameState.gamePhase !== GAME_PHASES.COMPUTER_TURN) {
@@ -2238,7 +3138,7 @@
       }
 
       // 显示加载状态
-      showButtonLoading('random-computer-move');
+      showButtonLoading('computer-move');
       showGameBoardLoading();
 
       // 使用 requestAnimationFrame 优化性能
@@ -2248,30 +3148,34 @@
           const emptyCells = gameState.getEmptyCells();
           if (emptyCells.length === 0) {
             console.log('No empty cells available');
-            hideButtonLoading('random-computer-move');
+            hideButtonLoading('computer-move');
             hideGameBoardLoading();
             showWarningMessage('沒有可用的空格子');
             return;
           }
 
-          // 随机选择一个空格子
-          const randomIndex = Math.floor(Math.random() * emptyCells.length);
-          const randomCell = emptyCells[randomIndex];
+          // 依選擇的策略挑選格子，策略未載入時隨機選擇
+          const computerCell = computerPolicy
+            ? computerPolicy.chooseMove(
+                gameState.getBoardCopy(),
+                gameState.getGameContext()
+              )
+            : (randomSource || createRandomSource()).pick(emptyCells);
 
           console.log(
-            `Random computer move selected: (${randomCell.row}, ${randomCell.col})`
+            `Computer move selected: (${computerCell.row}, ${computerCell.col})`
           );
 
           // 添加短暂延迟以显示加载效果
           setTimeout(() => {
             try {
               // 执行电脑移动
-              gameState.makeComputerMove(randomCell.row, randomCell.col);
+              gameState.makeComputerMove(computerCell.row, computerCell.col);
 
               // 更新UI
               gameBoard.updateCell(
-                randomCell.row,
-                randomCell.col,
+                computerCell.row,
+                computerCell.col,
                 CELL_STATES.COMPUTER
               );
 
@@ -2282,7 +3186,7 @@
               updateGameStatus();
 
               // 隐藏加载状态
-              hideButtonLoading('random-computer-move');
+              hideButtonLoading('computer-move');
               hideGameBoardLoading();
 
               // 检查游戏是否结束
@@ -2295,31 +3199,31 @@
                 // 更新指示
                 updateInstructions('玩家回合 - 請選擇一個格子進行移動');
 
-                console.log('Random computer move completed, now player turn');
+                console.log('Computer move completed, now player turn');
               }
             } catch (moveError) {
-              hideButtonLoading('random-computer-move');
+              hideButtonLoading('computer-move');
               hideGameBoardLoading();
               throw moveError;
             }
           }, 300); // 300ms delay for better UX
         } catch (innerError) {
-          hideButtonLoading('random-computer-move');
+          hideButtonLoading('computer-move');
           hideGameBoardLoading();
           throw innerError;
         }
       });
     } catch (error) {
-      console.error('Error making random computer move:', error);
-      hideButtonLoading('random-computer-move');
+      console.error('Error making computer move:', error);
+      hideButtonLoading('computer-move');
       hideGameBoardLoading();
 
       if (error instanceof GameError) {
-        showWarningMessage(`電腦隨機移動失敗：${error.message}`);
+        showWarningMessage(`電腦移動失敗：${error.message}`);
       } else {
-        showErrorModal('電腦隨機移動失敗', error.message, {
+        showErrorModal('電腦移動失敗', error.message, {
           showRetry: true,
-          onRetry: makeRandomComputerMove
+          onRetry: makeComputerStrategyMove
         });
       }
     }
@@ -2409,11 +3313,562 @@
         }
         gamePhaseElement.textContent = phaseText;
       }
+
+      updateHistoryButtons();
+      saveCurrentGame();
     } catch (error) {
       console.error('Error updating game status:', error);
     }
   }
 
+  /**
+   * Wire the game record controls and resume a shared or saved game
+   */
+  function setupGameRecordControls() {
+    const exportButton = document.getElementById('export-game');
+    const importButton = document.getElementById('import-game-btn');
+    const importInput = document.getElementById('import-game');
+    const shareButton = document.getElementById('share-game');
+
+    if (exportButton) {
+      exportButton.addEventListener('click', exportGameRecord);
+    }
+
+    if (importButton && importInput) {
+      importButton.addEventListener('click', () => importInput.click());
+      importInput.addEventListener('change', importGameRecord);
+    }
+
+    if (shareButton) {
+      shareButton.addEventListener('click', shareGameLink);
+    }
+
+    if (!getDependency('GameRecord')) {
+      console.warn('GameRecord not available, saving games is disabled');
+      return;
+    }
+
+    window.addEventListener('hashchange', loadGameFromLink);
+
+    if (!loadGameFromLink()) {
+      restoreSavedGame();
+    }
+  }
+
+  /**
+   * Serialize the current game, or return null when there is none
+   */
+  function getCurrentGameRecord() {
+    if (
+      !gameState ||
+      !gameState.gameStarted ||
+      typeof gameState.serialize !== 'function'
+    ) {
+      return null;
+    }
+    return gameState.serialize({ algorithm: currentAlgorithm });
+  }
+
+  /**
+   * Save the in-progress game so it can be resumed after a reload
+   */
+  function saveCurrentGame() {
+    try {
+      const record = getCurrentGameRecord();
+      if (!record || gameState.isGameComplete()) {
+        localStorage.removeItem(SAVED_GAME_KEY);
+        return;
+      }
+      localStorage.setItem(SAVED_GAME_KEY, JSON.stringify(record));
+    } catch (error) {
+      console.warn('Failed to save current game:', error);
+    }
+  }
+
+  /**
+   * Resume the game saved by saveCurrentGame, if any
+   */
+  function restoreSavedGame() {
+    const GameRecord = getDependency('GameRecord');
+    try {
+      const saved = localStorage.getItem(SAVED_GAME_KEY);
+      if (saved) {
+        loadGameRecord(GameRecord.parse(saved));
+        showSuccessMessage('已恢復上次的遊戲');
+      }
+    } catch (error) {
+      console.warn('Failed to restore saved game:', error);
+      localStorage.removeItem(SAVED_GAME_KEY);
+    }
+  }
+
+  /**
+   * Load a game shared through the URL fragment
+   * @returns {boolean} Whether the fragment contained a game
+   */
+  function loadGameFromLink() {
+    const GameRecord = getDependency('GameRecord');
+    try {
+      const record = GameRecord.fromFragment(window.location.hash);
+      if (!record) {
+        return false;
+      }
+      loadGameRecord(record);
+
+      // 移除片段，之後重新整理時改為恢復自動保存的進度
+      window.history.replaceState(
+        null,
+        '',
+        window.location.pathname + window.location.search
+      );
+      showSuccessMessage('已載入分享的遊戲');
+      return true;
+    } catch (error) {
+      console.error('Failed to load shared game:', error);
+      showWarningMessage('分享連結中的遊戲記錄無效');
+      return false;
+    }
+  }
+
+  /**
+   * Replace the current game with one restored from a record
+   * @param {Object} record - Game record
+   */
+  function loadGameRecord(record) {
+    if (activeReplay) {
+      closeReplay();
+    }
+
+    const GameEngine = getDependency('GameEngine');
+    gameState = GameEngine.fromRecord(record);
+
+    const config = gameState.getConfig();
+    if (gameBoard && gameBoard.size !== config.boardSize) {
+      gameBoard.setSize(config.boardSize);
+    }
+
+    // Line length and rounds change line detection and suggestions too
+    const current = probabilityCalculator && probabilityCalculator.config;
+    if (
+      !current ||
+      ['boardSize', 'lineLength', 'maxRounds'].some(
+        key => current[key] !== config[key]
+      )
+    ) {
+      lineDetector = new (getDependency('LineDetector'))(config);
+      probabilityCalculator = new (getDependency('ProbabilityCalculator'))(
+        config
+      );
+    }
+
+    if (document.querySelector(`[data-algorithm="${record.algorithm}"]`)) {
+      selectAlgorithm(record.algorithm);
+    }
+
+    hideGameResults();
+    refreshAfterHistoryNavigation();
+  }
+
+  /**
+   * Download the current game as a JSON file
+   */
+  function exportGameRecord() {
+    const GameRecord = getDependency('GameRecord');
+    const record = getCurrentGameRecord();
+    if (!record) {
+      showWarningMessage('沒有可導出的遊戲');
+      return;
+    }
+
+    const dataBlob = new Blob([GameRecord.stringify(record)], {
+      type: 'application/json'
+    });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `bingo-game-${new Date().toISOString().split('T')[0]}.json`;
+    link.click();
+
+    showSuccessMessage('遊戲記錄已導出');
+  }
+
+  /**
+   * Load a game from a JSON file
+   * @param {Event} event - File selection event
+   */
+  function importGameRecord(event) {
+    const GameRecord = getDependency('GameRecord');
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function (e) {
+      try {
+        const record = GameRecord.parse(e.target.result);
+
+        // 已結束的遊戲直接進入回放，進行中的遊戲則恢復後繼續
+        if (GameRecord.isComplete(record)) {
+          startReplay(record);
+        } else {
+          loadGameRecord(record);
+        }
+        showSuccessMessage('遊戲記錄導入成功');
+      } catch (error) {
+        console.error('Failed to import game record:', error);
+        showWarningMessage('遊戲記錄格式錯誤');
+      }
+    };
+
+    reader.readAsText(file);
+
+    // 清除文件選擇
+    event.target.value = '';
+  }
+
+  /**
+   * Wire the replay panel controls
+   */
+  function setupReplayControls() {
+    const controls = {
+      'replay-game': () =>
+        startReplay(gameState.serialize({ algorithm: currentAlgorithm })),
+      'replay-first': () => seekReplay(0),
+      'replay-prev': () => seekReplay(activeReplay.position - 1),
+      'replay-play': toggleReplayPlayback,
+      'replay-next': () => seekReplay(activeReplay.position + 1),
+      'replay-last': () => seekReplay(activeReplay.length - 1),
+      'replay-close': closeReplay
+    };
+
+    Object.entries(controls).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', () => {
+          if (id === 'replay-game' || activeReplay) handler();
+        });
+      }
+    });
+
+    const scrubber = document.getElementById('replay-scrubber');
+    if (scrubber) {
+      scrubber.addEventListener('input', () => {
+        if (activeReplay) seekReplay(parseInt(scrubber.value, 10));
+      });
+    }
+  }
+
+  /**
+   * Enter replay mode for a game record
+   * @param {Object} record - Game record of the game to replay
+   */
+  function startReplay(record) {
+    try {
+      const GameReplay = getDependency('GameReplay');
+      const ProbabilityCalculator = getDependency('ProbabilityCalculator');
+      if (!GameReplay) {
+        throw new Error('GameReplay is not available');
+      }
+
+      pauseReplay();
+      gameBoard.clearPlanHighlight();
+      activeReplay = new GameReplay(record, {
+        calculator: ProbabilityCalculator
+          ? new ProbabilityCalculator(record.config)
+          : null
+      });
+
+      if (gameBoard.size !== record.config.boardSize) {
+        gameBoard.setSize(record.config.boardSize);
+      }
+
+      const gameActivePanel = document.getElementById('game-active-panel');
+      const gameResultPanel = document.getElementById('game-result-panel');
+      const replayPanel = document.getElementById('replay-panel');
+      if (gameActivePanel) gameActivePanel.classList.add('hidden');
+      if (gameResultPanel) gameResultPanel.classList.add('hidden');
+      if (replayPanel) replayPanel.classList.remove('hidden');
+
+      const scrubber = document.getElementById('replay-scrubber');
+      if (scrubber) scrubber.max = activeReplay.length - 1;
+
+      const summary = activeReplay.getSummary();
+      updateInstructions(
+        `回放模式：採納建議 ${summary.followedSuggestions}/${summary.comparedMoves} 次，共 ${summary.totalLines} 條連線`
+      );
+
+      seekReplay(0);
+    } catch (error) {
+      console.error('Error starting replay:', error);
+      activeReplay = null;
+      showWarningMessage('無法回放此遊戲');
+    }
+  }
+
+  /**
+   * Move the replay to a frame and render it
+   * @param {number} index - Frame index
+   */
+  function seekReplay(index) {
+    activeReplay.seek(index);
+    renderReplayFrame();
+  }
+
+  /**
+   * Render the current replay frame on the board and in the replay panel
+   */
+  function renderReplayFrame() {
+    const frame = activeReplay.getFrame();
+    const lastIndex = activeReplay.length - 1;
+
+    gameBoard.clearSuggestionHighlight();
+    gameBoard.updateBoard(frame.board);
+    gameBoard.forceRefreshLines(frame.completedLines);
+    if (frame.suggestion) {
+      gameBoard.highlightSuggestion(frame.suggestion.row, frame.suggestion.col);
+    }
+    if (frame.move) {
+      gameBoard.animateCell(frame.move.row, frame.move.col, 'placing', 400);
+    }
+
+    const scrubber = document.getElementById('replay-scrubber');
+    if (scrubber) scrubber.value = frame.index;
+
+    const stepLabel = document.getElementById('replay-step');
+    if (stepLabel) stepLabel.textContent = `${frame.index} / ${lastIndex}`;
+
+    const details = document.getElementById('replay-details');
+    if (details) {
+      details.textContent = '';
+      getReplayFrameDescription(frame).forEach(text => {
+        const line = document.createElement('p');
+        line.textContent = text;
+        details.appendChild(line);
+      });
+    }
+
+    const completedLinesElement = document.getElementById('completed-lines');
+    if (completedLinesElement) {
+      completedLinesElement.textContent = frame.completedLines.length;
+    }
+    announceGameStateChange(
+      `回放第 ${frame.index} 步，共 ${frame.completedLines.length} 條連線`
+    );
+  }
+
+  /**
+   * Describe a replay frame as lines of text
+   * @param {Object} frame - Replay frame
+   * @returns {string[]} Description lines
+   */
+  function getReplayFrameDescription(frame) {
+    if (!frame.move) {
+      return ['遊戲開始'];
+    }
+
+    const { move } = frame;
+    const who = move.type === 'player' ? '玩家' : '電腦';
+    const lines = [
+      `第 ${move.round} 回合：${who}選擇 (${move.row + 1}, ${move.col + 1})`
+    ];
+
+    if (frame.suggestion) {
+      const source = frame.suggestionSource === 'computed' ? '（重新計算）' : '';
+      lines.push(
+        `演算法建議${source}：(${frame.suggestion.row + 1}, ${frame.suggestion.col + 1})，${frame.followedSuggestion ? '已採納' : '未採納'}`
+      );
+    } else if (move.type === 'player') {
+      lines.push('此步沒有建議記錄');
+    }
+
+    const before = frame.completedLines.length - frame.newLines.length;
+    lines.push(
+      frame.newLines.length > 0
+        ? `連線數：${before} → ${frame.completedLines.length}（新增 ${frame.newLines.length} 條）`
+        : `連線數：${frame.completedLines.length}（無變化）`
+    );
+
+    return lines;
+  }
+
+  /**
+   * Start or pause automatic replay playback
+   */
+  function toggleReplayPlayback() {
+    if (replayTimer) {
+      pauseReplay();
+      return;
+    }
+
+    if (activeReplay.isAtEnd()) {
+      seekReplay(0);
+    }
+
+    replayTimer = setInterval(() => {
+      seekReplay(activeReplay.position + 1);
+      if (activeReplay.isAtEnd()) {
+        pauseReplay();
+      }
+    }, REPLAY_INTERVAL);
+    updateReplayPlayButton();
+  }
+
+  /**
+   * Stop automatic replay playback
+   */
+  function pauseReplay() {
+    if (replayTimer) {
+      clearInterval(replayTimer);
+      replayTimer = null;
+    }
+    updateReplayPlayButton();
+  }
+
+  /**
+   * Sync the play/pause button label with the playback state
+   */
+  function updateReplayPlayButton() {
+    const playButton = document.getElementById('replay-play');
+    if (playButton) {
+      playButton.textContent = replayTimer ? '暫停' : '播放';
+      playButton.setAttribute('aria-pressed', replayTimer ? 'true' : 'false');
+    }
+  }
+
+  /**
+   * Leave replay mode and show the current game again
+   */
+  function closeReplay() {
+    pauseReplay();
+    activeReplay = null;
+
+    const replayPanel = document.getElementById('replay-panel');
+    if (replayPanel) replayPanel.classList.add('hidden');
+
+    const state = gameState ? gameState.getState() : null;
+    if (state && gameBoard.size !== state.boardSize) {
+      gameBoard.setSize(state.boardSize);
+    }
+
+    if (!state || !gameState.gameStarted) {
+      gameBoard.reset();
+      hideGameResults();
+      updateInstructions('點擊「開始遊戲」按鈕開始新的遊戲');
+      return;
+    }
+
+    refreshAfterHistoryNavigation();
+    if (gameState.isGameComplete()) {
+      showGameResults(state);
+    }
+  }
+
+  /**
+   * Put the current position in the URL fragment and copy the link
+   */
+  function shareGameLink() {
+    const GameRecord = getDependency('GameRecord');
+    const record = getCurrentGameRecord();
+    if (!record) {
+      showWarningMessage('沒有可分享的遊戲');
+      return;
+    }
+
+    const url = new URL(window.location.href);
+    url.hash = GameRecord.toFragment(record);
+    window.history.replaceState(null, '', url.toString());
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard
+        .writeText(url.toString())
+        .then(() => showSuccessMessage('分享連結已複製'))
+        .catch(() => showSuccessMessage('分享連結已更新到網址列'));
+    } else {
+      showSuccessMessage('分享連結已更新到網址列');
+    }
+  }
+
+  /**
+   * Enable or disable the undo/redo buttons based on the move history
+   */
+  function updateHistoryButtons() {
+    const undoButton = document.getElementById('undo-move');
+    const redoButton = document.getElementById('redo-move');
+    const hasHistory = gameState && typeof gameState.canUndo === 'function';
+
+    if (undoButton) undoButton.disabled = !hasHistory || !gameState.canUndo();
+    if (redoButton) redoButton.disabled = !hasHistory || !gameState.canRedo();
+  }
+
+  /**
+   * Take back the last move
+   */
+  function undoMove() {
+    if (
+      activeReplay ||
+      !gameState ||
+      !gameState.gameStarted ||
+      !gameState.undo()
+    ) {
+      return;
+    }
+
+    refreshAfterHistoryNavigation();
+    announceGameStateChange('已復原上一步');
+  }
+
+  /**
+   * Replay the next undone move
+   */
+  function redoMove() {
+    if (
+      activeReplay ||
+      !gameState ||
+      !gameState.gameStarted ||
+      !gameState.redo()
+    ) {
+      return;
+    }
+
+    refreshAfterHistoryNavigation();
+    announceGameStateChange('已重做下一步');
+  }
+
+  /**
+   * Re-render the board and controls after moving through the history
+   */
+  function refreshAfterHistoryNavigation() {
+    const state = gameState.getState();
+
+    if (gameBoard) {
+      gameBoard.clearSuggestionHighlight();
+      gameBoard.updateBoard(state.board);
+    }
+
+    updateCompletedLines();
+    updateGameStatus();
+
+    const startBtn = document.getElementById('start-game');
+    const restartBtn = document.getElementById('restart-game');
+
+    if (gameState.isGameComplete()) {
+      updateInstructions('遊戲結束！', 'success');
+      if (startBtn) startBtn.disabled = false;
+      if (restartBtn) restartBtn.disabled = true;
+      return;
+    }
+
+    hideGameResults();
+    if (startBtn) startBtn.disabled = true;
+    if (restartBtn) restartBtn.disabled = false;
+
+    if (state.gamePhase === GAME_PHASES.PLAYER_TURN) {
+      showPlayerSuggestion();
+      updateInstructions('玩家回合 - 請選擇一個格子進行移動');
+    } else {
+      updateInstructions('電腦回合 - 請點擊一個空格子作為電腦的移動');
+    }
+  }
+
   /**
    * Update instructions display
    */
@@ -2455,12 +3910,20 @@
 
       // Update final game status display
       updateGameStatus();
+      updatePlanDisplay();
+      // 遊戲結果已交給 AI 學習系統：更新技能等級與遊戲風格
+      updateAILearningStatus();
 
       // 更新指示
       updateInstructions('遊戲結束！即將顯示結果...', 'success');
 
       // 延迟显示游戏结果，让用户有时间看到最后一步落子
       setTimeout(() => {
+        // 若玩家在等待期間復原了移動，則不顯示結果
+        if (!gameState.isGameComplete()) {
+          return;
+        }
+
         // Show game results
         const finalState = gameState.getState();
         showGameResults(finalState);
@@ -2514,12 +3977,134 @@
         computerMovesCount.textContent = gameState.computerMoves.length;
       }
 
+      showGameAnalysis();
+
       console.log('Game results displayed successfully');
     } catch (error) {
       console.error('Error showing game results:', error);
     }
   }
 
+  /**
+   * Analyze the finished game with every available calculator and show the report
+   */
+  function showGameAnalysis() {
+    const container = document.getElementById('analysis-report');
+    if (!container || !gameState || !gameState.gameStarted) {
+      return;
+    }
+
+    container.classList.add('loading');
+    lastAnalysisReport = null;
+
+    // 確保增強演算法已載入，兩個計算器都參與分析
+    const enhancedReady = getDependency('EnhancedProbabilityCalculator')
+      ? Promise.resolve()
+      : loadEnhancedAlgorithmAsync();
+
+    enhancedReady
+      .catch(error => {
+        console.warn('Analyzing without the enhanced algorithm:', error);
+      })
+      .then(() => {
+        const GameAnalyzer = getDependency('GameAnalyzer');
+        const analyzer = new GameAnalyzer();
+        lastAnalysisReport = analyzer.analyze(
+          gameState.serialize({ algorithm: currentAlgorithm })
+        );
+        renderAnalysisReport(lastAnalysisReport);
+      })
+      .catch(error => {
+        console.error('Error analyzing game:', error);
+        showWarningMessage('賽後分析失敗');
+      })
+      .finally(() => {
+        container.classList.remove('loading');
+      });
+  }
+
+  /**
+   * Render an analysis report in the results panel
+   * @param {Object} report - Report produced by GameAnalyzer
+   */
+  function renderAnalysisReport(report) {
+    const labels = {
+      best: '最佳',
+      good: '良好',
+      inaccuracy: '不精確',
+      blunder: '失誤'
+    };
+
+    const accuracyElement = document.getElementById('analysis-accuracy');
+    if (accuracyElement) {
+      accuracyElement.textContent = `${report.accuracy}%`;
+    }
+
+    const summaryElement = document.getElementById('analysis-summary');
+    if (summaryElement) {
+      summaryElement.textContent = Object.keys(labels)
+        .map(key => `${labels[key]} ${report.summary[key]}`)
+        .join(' · ');
+    }
+
+    const movesList = document.getElementById('analysis-moves');
+    if (movesList) {
+      movesList.textContent = '';
+      report.moves.forEach(move => {
+        const [firstEvaluation] = Object.values(move.evaluations);
+        const { bestMove } = firstEvaluation;
+        const item = document.createElement('li');
+        item.className = `analysis-move ${move.classification}`;
+        item.textContent =
+          `第 ${move.round} 回合 (${move.row + 1}, ${move.col + 1})：${labels[move.classification]}` +
+          (move.classification === 'best'
+            ? ''
+            : `，建議 (${bestMove.row + 1}, ${bestMove.col + 1})`);
+        movesList.appendChild(item);
+      });
+    }
+
+    const missedList = document.getElementById('analysis-missed-lines');
+    if (missedList) {
+      missedList.textContent = '';
+      report.missedLines.forEach(missed => {
+        const cells = missed.completingMoves
+          .map(({ row, col }) => `(${row + 1}, ${col + 1})`)
+          .join('、');
+        const item = document.createElement('li');
+        item.textContent = `第 ${missed.round} 回合錯失連線：可下在 ${cells}`;
+        missedList.appendChild(item);
+      });
+      if (report.missedLines.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = '沒有錯失任何可立即完成的連線';
+        missedList.appendChild(item);
+      }
+    }
+  }
+
+  /**
+   * Download the last analysis report as a JSON file
+   */
+  function exportAnalysisReport() {
+    if (!lastAnalysisReport) {
+      showWarningMessage('沒有可導出的分析報告');
+      return;
+    }
+
+    const GameAnalyzer = getDependency('GameAnalyzer');
+    const dataBlob = new Blob([GameAnalyzer.stringify(lastAnalysisReport)], {
+      type: 'application/json'
+    });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `bingo-game-analysis-${new Date().toISOString().split('T')[0]}.json`;
+    link.click();
+
+    showSuccessMessage('分析報告已導出');
+  }
+
   /**
    * Hide game results panel
    */
@@ -2846,7 +4431,9 @@
   global.initializeGameWithProgressiveLoading = initializeGameWithProgressiveLoading;
   global.startNewGame = startNewGame;
   global.handleCellClick = handleCellClick;
-  global.makeRandomComputerMove = makeRandomComputerMove;
+  global.makeComputerStrategyMove = makeComputerStrategyMove;
+  // 舊名稱，現在使用選擇的電腦策略
+  global.makeRandomComputerMove = makeComputerStrategyMove;
   global.gameState = gameState;
   global.probabilityCalculator = probabilityCalculator;
 
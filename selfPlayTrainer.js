@@ -0,0 +1,265 @@
+// 載入依賴模組
+let SelfPlayGameEngine,
+  SelfPlaySimulator,
+  SelfPlayLearningSystem,
+  SelfPlayComputerPolicy,
+  SelfPlayRandom,
+  SelfPlayUtils;
+if (typeof require !== 'undefined') {
+  SelfPlayGameEngine = require('./gameEngine.js');
+  SelfPlaySimulator = require('./gameSimulator.js');
+  SelfPlayLearningSystem = require('./aiLearningSystem.js');
+  SelfPlayComputerPolicy = require('./computerPolicy.js');
+  SelfPlayRandom = require('./utils/random.js');
+  SelfPlayUtils = require('./utils/common.js').Utils;
+} else if (typeof window !== 'undefined') {
+  SelfPlayGameEngine = window.GameEngine;
+  SelfPlaySimulator = window.GameSimulator;
+  SelfPlayLearningSystem = window.AILearningSystem;
+  SelfPlayComputerPolicy = window.ComputerPolicy;
+  SelfPlayRandom = window.SeededRandom;
+  SelfPlayUtils = window.Utils;
+}
+
+/**
+ * SelfPlayTrainer - 以自我對弈訓練 AI 學習系統
+ *
+ * AI 學習系統的策略（predictBestMove）擔任玩家，電腦依所選策略下棋（見 ComputerPolicy）。
+ * 每局結束後經由 GameEngine.recordGameDataForLearning 交給學習系統，與手動遊戲相同，
+ * 因此每局都會觸發一次訓練（見 AILearningSystem.train）。
+ * 玩家以 exploration 的機率改下隨機空格，讓網絡也能學到策略之外的移動。
+ *
+ * 每 evaluateEvery 局以固定種子的遊戲評估一次（不探索、不學習），
+ * 並與增強計算器在相同種子下的平均連線數比較，形成學習曲線。
+ * 在 Node.js（`bingo-sim train`）與瀏覽器的工作執行緒（selfPlayWorker.js）中執行。
+ *
+ * @class SelfPlayTrainer
+ * @version 1.0.0
+ */
+class SelfPlayTrainer {
+  /**
+   * 建立自我對弈訓練器
+   * @param {Object} [options] - 訓練選項
+   * @param {Object} [options.config] - 遊戲配置
+   * @param {string} [options.computer='random'] - 電腦策略（見 ComputerPolicy.NAMES）
+   * @param {SeededRandom|number|string} [options.seed] - 隨機數來源或種子
+   * @param {number} [options.exploration=0.1] - 訓練時玩家改下隨機空格的機率
+   * @param {number} [options.evaluateEvery=100] - 每幾局評估一次
+   * @param {number} [options.evaluationGames=50] - 每次評估的遊戲局數
+   * @param {string} [options.baseline='enhanced'] - 比較的計算器策略
+   * @param {AILearningSystem} [options.aiLearningSystem] - 要訓練的學習系統（預設建立新的）
+   * @param {Object} [options.training] - 新學習系統的訓練選項（見 AILearningSystem.trainingConfig）
+   * @throws {Error} 電腦策略未知時拋出
+   */
+  constructor(options = {}) {
+    this.config = SelfPlayUtils.createGameConfig(options.config);
+    this.computer = options.computer || 'random';
+    this.exploration =
+      options.exploration !== undefined ? options.exploration : 0.1;
+    this.evaluateEvery = Math.max(options.evaluateEvery || 100, 1);
+    this.evaluationGames = Math.max(options.evaluationGames || 50, 1);
+    this.baselineAlgorithm = options.baseline || 'enhanced';
+
+    this.random = SelfPlayRandom.from(options.seed);
+    // 評估使用固定種子的遊戲，學習曲線上的差異因此來自網絡而不是電腦移動的運氣
+    this.evaluationSeed = this.random.nextInt(0x7fffffff);
+
+    this.system =
+      options.aiLearningSystem ||
+      new SelfPlayLearningSystem(this.config, {
+        random: this.random.seed,
+        training: options.training
+      });
+    this.computerPolicy = this.createComputerPolicy(this.random);
+
+    // 遊戲引擎只負責規則與記錄；學習資料交給要訓練的學習系統
+    this.engine = new SelfPlayGameEngine(this.config);
+    this.engine.aiLearningSystem = this.system;
+
+    this.gamesPlayed = 0;
+    this.baseline = null;
+  }
+
+  /**
+   * 進行自我對弈訓練
+   * @param {number} games - 訓練局數
+   * @param {Function} [onProgress] - 每局結束後呼叫 (完成局數, 總局數, 本次評估的學習曲線點或 null)
+   * @returns {{options: Object, baseline: Object, curve: Array<Object>, stats: Object}} 訓練結果
+   */
+  run(games, onProgress) {
+    if (!this.baseline) {
+      this.baseline = {
+        algorithm: this.baselineAlgorithm,
+        mean: this.evaluateBaseline()
+      };
+    }
+
+    // 訓練前的表現是曲線的起點
+    const curve = [this.createCurvePoint()];
+    for (let i = 1; i <= games; i++) {
+      this.playGame({ explore: true, learn: true });
+      this.gamesPlayed++;
+
+      let point = null;
+      if (i % this.evaluateEvery === 0 || i === games) {
+        point = this.createCurvePoint();
+        curve.push(point);
+      }
+      if (onProgress) {
+        onProgress(i, games, point);
+      }
+    }
+
+    return {
+      options: {
+        games,
+        computer: this.computer,
+        seed: this.random.seed,
+        exploration: this.exploration,
+        evaluateEvery: this.evaluateEvery,
+        evaluationGames: this.evaluationGames,
+        config: this.config
+      },
+      baseline: this.baseline,
+      curve,
+      stats: this.system.getLearningStats()
+    };
+  }
+
+  /**
+   * 以學習系統的策略進行一局完整遊戲
+   * @param {Object} [options] - 選項
+   * @param {boolean} [options.explore=false] - 是否以 exploration 的機率下隨機空格
+   * @param {boolean} [options.learn=false] - 是否將本局交給學習系統訓練
+   * @param {ComputerPolicy} [options.policy] - 電腦策略（預設為訓練用的策略）
+   * @returns {number} 最終連線數
+   */
+  playGame(options = {}) {
+    const { engine } = this;
+    const policy = options.policy || this.computerPolicy;
+    engine.startGame();
+
+    while (!engine.isGameComplete()) {
+      const board = engine.getBoardCopy();
+      const move =
+        options.explore && this.random.next() < this.exploration
+          ? this.random.pick(engine.getEmptyCells())
+          : this.system.predictBestMove(board, engine.getGameContext()).move;
+      // 自我對弈的玩家不看建議，不計入採用建議的比例
+      engine.recordSuggestion(null);
+      engine.makePlayerMove(move.row, move.col);
+
+      const computerMove = policy.chooseMove(
+        engine.getBoardCopy(),
+        engine.getGameContext()
+      );
+      engine.placeComputerMove(computerMove.row, computerMove.col);
+    }
+
+    if (options.learn) {
+      // placeComputerMove 不經過 endGame，由訓練器記錄本局並讓電腦策略學習
+      engine.recordGameDataForLearning(engine.getGameStats());
+      policy.observeGame(engine.gameState.computerMoves);
+    }
+    return engine.gameState.completedLines.length;
+  }
+
+  /**
+   * 評估學習系統目前的策略（不探索、不學習）
+   * @returns {number} 固定種子的 evaluationGames 局平均連線數
+   */
+  evaluate() {
+    const policy = this.createComputerPolicy(this.evaluationSeed);
+    let total = 0;
+    for (let i = 0; i < this.evaluationGames; i++) {
+      total += this.playGame({ policy });
+    }
+    return total / this.evaluationGames;
+  }
+
+  /**
+   * 以比較的計算器進行相同種子的評估遊戲
+   * @returns {number} 平均連線數
+   */
+  evaluateBaseline() {
+    const simulator = new SelfPlaySimulator({
+      config: this.config,
+      algorithm: this.baselineAlgorithm,
+      computer: this.computer,
+      seed: this.evaluationSeed
+    });
+    return simulator.run(this.evaluationGames).summary.mean;
+  }
+
+  /**
+   * 評估並建立學習曲線的一個點
+   * @private
+   * @returns {{games: number, mean: number, baseline: number, trainLoss: number|null, validationLoss: number|null}} 學習曲線點
+   */
+  createCurvePoint() {
+    const metric = this.system.getLearningStats().training;
+    return {
+      games: this.gamesPlayed,
+      mean: this.evaluate(),
+      baseline: this.baseline.mean,
+      trainLoss: metric ? metric.trainLoss : null,
+      validationLoss: metric ? metric.validationLoss : null
+    };
+  }
+
+  /**
+   * @private
+   * @param {SeededRandom|number} random - 隨機數來源或種子
+   * @returns {ComputerPolicy} 電腦策略
+   */
+  createComputerPolicy(random) {
+    return SelfPlayComputerPolicy.create(this.computer, this.config, {
+      random
+    });
+  }
+
+  /**
+   * 建立工作執行緒的訊息處理函數（由 selfPlayWorker.js 使用）
+   * 'train' 訊息 { games, options, state } 以 state（AILearningSystem.exportState 的結果）還原學習系統後訓練，
+   * 訓練期間以 post 送出 { type: 'progress', completed, total, point }，
+   * 完成時送出 { type: 'done', result, state }，失敗時送出 { type: 'error', message }。
+   * @param {Function} post - 送出訊息的函數
+   * @returns {Function} (message) => void
+   */
+  static createWorkerHandler(post) {
+    return message => {
+      try {
+        if (message.type !== 'train') {
+          throw new Error(`Unknown message type: ${message.type}`);
+        }
+
+        const options = { ...message.options };
+        if (message.state) {
+          options.aiLearningSystem = new SelfPlayLearningSystem(
+            options.config,
+            { training: options.training }
+          );
+          options.aiLearningSystem.importState(message.state);
+        }
+
+        const trainer = new SelfPlayTrainer(options);
+        const result = trainer.run(message.games, (completed, total, point) =>
+          post({ type: 'progress', completed, total, point })
+        );
+        post({ type: 'done', result, state: trainer.system.exportState() });
+      } catch (error) {
+        post({ type: 'error', message: error.message });
+      }
+    };
+  }
+}
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelfPlayTrainer;
+}
+
+// 在瀏覽器環境中，將 SelfPlayTrainer 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.SelfPlayTrainer = SelfPlayTrainer;
+}
@@ -0,0 +1,121 @@
+/**
+ * SelfPlayTrainer 與 bingo-sim train 單元測試
+ */
+const SelfPlayTrainer = require('./selfPlayTrainer.js');
+const AILearningSystem = require('./aiLearningSystem.js');
+const LearningStore = require('./learningStore.js');
+const { parseArgs } = require('./bin/bingo-sim.js');
+
+function createTrainer(options = {}) {
+  return new SelfPlayTrainer({
+    seed: 5,
+    evaluateEvery: 4,
+    evaluationGames: 3,
+    ...options
+  });
+}
+
+describe('SelfPlayTrainer', () => {
+  test('should train on every game and evaluate periodically', () => {
+    const trainer = createTrainer();
+    const progress = [];
+    const result = trainer.run(10, (completed, total, point) =>
+      progress.push([completed, total, point ? point.games : null])
+    );
+
+    expect(trainer.system.gameHistory).toHaveLength(10);
+    expect(trainer.system.performanceMetrics.learningEfficiency).toHaveLength(
+      10
+    );
+    expect(progress).toHaveLength(10);
+    expect(progress[3]).toEqual([4, 10, 4]);
+    expect(progress[4]).toEqual([5, 10, null]);
+
+    // 訓練前、每 4 局與最後一局
+    expect(result.curve.map(point => point.games)).toEqual([0, 4, 8, 10]);
+    expect(result.curve[0].trainLoss).toBe(null);
+    expect(result.curve[3].trainLoss).toBeGreaterThan(0);
+    expect(result.baseline.algorithm).toBe('enhanced');
+    expect(result.baseline.mean).toBeGreaterThan(0);
+    expect(result.curve[3].baseline).toBe(result.baseline.mean);
+    expect(result.stats.gamesPlayed).toBe(10);
+  });
+
+  test('should replay the same training with the same seed', () => {
+    const first = createTrainer().run(6);
+    const second = createTrainer().run(6);
+
+    expect(second.curve).toEqual(first.curve);
+    expect(second.baseline).toEqual(first.baseline);
+  });
+
+  test('should evaluate without learning', () => {
+    const trainer = createTrainer({ computer: 'center' });
+    const mean = trainer.evaluate();
+
+    expect(trainer.system.gameHistory).toHaveLength(0);
+    expect(trainer.evaluate()).toBe(mean);
+  });
+
+  test('should continue from a state in the worker handler', () => {
+    const system = new AILearningSystem({}, { random: 1 });
+    createTrainer({ aiLearningSystem: system }).run(2);
+
+    const messages = [];
+    const handle = SelfPlayTrainer.createWorkerHandler(message =>
+      messages.push(message)
+    );
+    handle({
+      type: 'train',
+      games: 3,
+      options: { seed: 2, evaluateEvery: 10, evaluationGames: 2 },
+      state: JSON.parse(JSON.stringify(system.exportState()))
+    });
+
+    expect(messages.map(message => message.type)).toEqual([
+      'progress',
+      'progress',
+      'progress',
+      'done'
+    ]);
+    expect(messages[2].point.games).toBe(3);
+
+    const done = messages[3];
+    expect(done.result.curve).toHaveLength(2);
+    const state = LearningStore.deserialize(
+      JSON.parse(JSON.stringify(done.state))
+    );
+    expect(state.gameHistory).toHaveLength(5);
+  });
+
+  test('should report errors from the worker handler', () => {
+    const messages = [];
+    const handle = SelfPlayTrainer.createWorkerHandler(message =>
+      messages.push(message)
+    );
+    handle({ type: 'train', games: 1, options: { computer: 'unknown' } });
+    handle({ type: 'stop' });
+
+    expect(messages[0].type).toBe('error');
+    expect(messages[1]).toEqual({
+      type: 'error',
+      message: 'Unknown message type: stop'
+    });
+  });
+
+  test('should parse train options', () => {
+    const { command, options } = parseArgs([
+      'train',
+      '--games',
+      '1000',
+      '--evaluate-every=50',
+      '--evaluation-games',
+      '20'
+    ]);
+
+    expect(command).toBe('train');
+    expect(options.games).toBe(1000);
+    expect(options.evaluateEvery).toBe(50);
+    expect(options.evaluationGames).toBe(20);
+  });
+});
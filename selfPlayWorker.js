@@ -0,0 +1,38 @@
+/**
+ * 自我對弈訓練的 Web Worker 腳本（由 AI 學習面板的「訓練 1000 局」建立）
+ *
+ * 與 suggestionWorker.js 相同，先將全局作用域命名為 window 再載入與頁面相同的腳本。
+ * 遊戲引擎在瀏覽器中需要 window.logger，訓練期間不輸出遊戲記錄。
+ * 訊息格式見 SelfPlayTrainer.createWorkerHandler。
+ */
+self.window = self;
+
+importScripts(
+  './production-logger.js',
+  './utils/common.js',
+  './utils/bitboard.js',
+  './utils/random.js',
+  './utils/baseProbabilityCalculator.js',
+  './strategyRegistry.js',
+  './openingBook.data.js',
+  './openingBook.js',
+  './lineDetector.js',
+  './probabilityCalculator.js',
+  './computerPolicy.js',
+  './gameRecord.js',
+  './movePlanner.js',
+  './learningStore.js',
+  './featureEncoder.js',
+  './aiLearningSystem.js',
+  './gameEngine.js',
+  './gameSimulator.js',
+  './selfPlayTrainer.js'
+);
+
+self.logger.isDevelopment = false;
+
+const handleTrainingMessage = self.SelfPlayTrainer.createWorkerHandler(
+  message => self.postMessage(message)
+);
+
+self.onmessage = event => handleTrainingMessage(event.data);
@@ -0,0 +1,339 @@
+// 載入依賴模組
+let RegistryConstants, RegistryGameError;
+if (typeof require !== 'undefined') {
+  const common = require('./utils/common.js');
+  RegistryConstants = common.CONSTANTS;
+  RegistryGameError = common.GameError;
+} else if (typeof window !== 'undefined') {
+  RegistryConstants = window.CONSTANTS;
+  RegistryGameError = window.GameError;
+}
+
+/**
+ * StrategyRegistry - 建議演算法（策略）的註冊表
+ *
+ * 每個策略以 id 註冊一個工廠函數 factory(config, options)，返回提供
+ * getBestSuggestion(board, context) 的物件（機率計算器或學習系統的包裝）。
+ * GameEngine、演算法選擇介面、AlgorithmComparison 與手勢切換演算法都從註冊表讀取策略。
+ *
+ * 每個策略檔案在載入時自行註冊工廠函數與 metadata（順序、翻譯等），註冊表只保存策略腳本的清單，
+ * 在需要時載入尚未註冊的腳本（見 addScripts、loadScripts），因此新增演算法只需要一個註冊自己的檔案。
+ *
+ * @class StrategyRegistry
+ * @version 1.0.0
+ */
+class StrategyRegistry {
+  /**
+   * @param {string[]} [scripts] - 策略腳本的路徑（見 addScripts）
+   */
+  constructor(scripts = []) {
+    this.strategies = new Map();
+    // 註冊順序，作為 metadata.order 相同時的排序依據
+    this.registrations = 0;
+    // 策略腳本的清單，以及已載入（或已有策略以 metadata.script 宣告）的腳本
+    this.scripts = [];
+    this.loadedScripts = new Set();
+    // 瀏覽器中載入中的腳本 -> Promise
+    this.scriptLoads = new Map();
+    this.addScripts(scripts);
+  }
+
+  /**
+   * 註冊策略
+   * 相同 id 再次註冊時合併 metadata。
+   * @param {string} id - 策略 id（也是 i18n 鍵 algorithm.<id>.* 的一部分）
+   * @param {Function} factory - (config, options) => 策略實例
+   * @param {Object} [metadata] - 策略資訊
+   * @param {string} [metadata.kind='calculator'] - 'calculator'（機率計算器）或 'learning'（AI 學習系統）
+   * @param {number} [metadata.order] - 排序（小的在前）
+   * @param {string} [metadata.script] - 註冊此策略的腳本（與 addScripts 的路徑相同），註冊後不會再載入
+   * @param {boolean} [metadata.selectable=true] - 是否顯示在演算法選擇介面
+   * @param {boolean} [metadata.comparable] - 是否參與 AlgorithmComparison（計算器預設參與）
+   * @param {boolean} [metadata.tunable] - 設為 false 表示計算器不使用權重，WeightTuner 不調整
+   * @param {string} [metadata.learningMode] - 學習策略對應的 GameEngine 學習模式
+   * @param {Object} [metadata.i18n] - 語言 -> {name, description, features[]}，載入後加入 i18n 翻譯
+   * @returns {Object} 註冊項目 {id, factory, metadata}
+   * @throws {GameError} id 或 factory 無效時拋出
+   */
+  registerStrategy(id, factory, metadata = {}) {
+    if (typeof id !== 'string' || id.trim() === '') {
+      throw new RegistryGameError(
+        'Strategy id must be a non-empty string',
+        RegistryConstants.ERROR_TYPES.INVALID_CONFIG
+      );
+    }
+    if (typeof factory !== 'function') {
+      throw new RegistryGameError(
+        `Strategy factory for ${id} must be a function`,
+        RegistryConstants.ERROR_TYPES.INVALID_CONFIG
+      );
+    }
+
+    const existing = this.strategies.get(id);
+    const entry = {
+      id,
+      factory,
+      metadata: {
+        kind: 'calculator',
+        selectable: true,
+        ...(existing ? existing.metadata : {}),
+        ...metadata
+      },
+      index: existing ? existing.index : this.registrations++
+    };
+
+    if (entry.metadata.script) {
+      this.loadedScripts.add(entry.metadata.script);
+    }
+    this.strategies.set(id, entry);
+    return entry;
+  }
+
+  /**
+   * 移除策略
+   * @param {string} id - 策略 id
+   * @returns {boolean} 是否曾經註冊
+   */
+  unregisterStrategy(id) {
+    return this.strategies.delete(id);
+  }
+
+  /**
+   * 加入策略腳本
+   * 腳本在第一次需要時才載入，載入後以 registerStrategy 註冊自己的策略。
+   * @param {string[]} scripts - 腳本路徑（Node.js 中相對於本檔案，瀏覽器中相對於頁面）
+   */
+  addScripts(scripts) {
+    scripts.forEach(script => {
+      if (!this.scripts.includes(script)) {
+        this.scripts.push(script);
+      }
+    });
+  }
+
+  /**
+   * @returns {string[]} 尚未載入的腳本
+   */
+  getPendingScripts() {
+    return this.scripts.filter(script => !this.loadedScripts.has(script));
+  }
+
+  /**
+   * 載入所有尚未載入的腳本
+   * Node.js 中以 require、Web Worker 中以 importScripts 載入，瀏覽器中加入 script 標籤。
+   * @returns {Promise<Array<Object>>} 完成時返回所有註冊項目
+   */
+  loadScripts() {
+    if (this.canLoadSynchronously()) {
+      try {
+        this.requireScripts();
+        return Promise.resolve(this.listStrategies());
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    return Promise.all(
+      this.getPendingScripts().map(script => this.appendScript(script))
+    ).then(() => this.listStrategies());
+  }
+
+  /**
+   * @param {string} id - 策略 id
+   * @returns {boolean} 是否已註冊（Node.js 與 Web Worker 中會先載入腳本）
+   */
+  hasStrategy(id) {
+    return this.getStrategy(id) !== null;
+  }
+
+  /**
+   * @param {string} id - 策略 id
+   * @returns {Object|null} 註冊項目（Node.js 與 Web Worker 中會先載入腳本）
+   */
+  getStrategy(id) {
+    if (!this.strategies.has(id) && this.canLoadSynchronously()) {
+      this.requireScripts(id);
+    }
+    return this.strategies.get(id) || null;
+  }
+
+  /**
+   * 依 metadata.order 與註冊順序列出策略
+   * Node.js 與 Web Worker 中會先載入所有腳本；瀏覽器中只列出已載入的策略（見 loadScripts）。
+   * @param {Object} [filter] - 篩選條件
+   * @param {string} [filter.kind] - 只列出此類型
+   * @param {boolean} [filter.selectable] - 只列出（不）顯示在選擇介面的策略
+   * @returns {Array<Object>} 註冊項目
+   */
+  listStrategies(filter = {}) {
+    if (this.canLoadSynchronously()) {
+      this.requireScripts();
+    }
+
+    const order = entry =>
+      entry.metadata.order !== undefined ? entry.metadata.order : Infinity;
+
+    return [...this.strategies.values()]
+      .filter(
+        entry =>
+          (filter.kind === undefined || entry.metadata.kind === filter.kind) &&
+          (filter.selectable === undefined ||
+            entry.metadata.selectable === filter.selectable)
+      )
+      .sort((a, b) => order(a) - order(b) || a.index - b.index);
+  }
+
+  /**
+   * 取得策略（需要時先載入腳本）
+   * @param {string} id - 策略 id
+   * @returns {Promise<Object>} 完成時返回註冊項目
+   */
+  loadStrategy(id) {
+    if (this.strategies.has(id)) {
+      return Promise.resolve(this.strategies.get(id));
+    }
+
+    return this.loadScripts().then(() => {
+      if (!this.strategies.has(id)) {
+        throw this.createUnknownError(id);
+      }
+      return this.strategies.get(id);
+    });
+  }
+
+  /**
+   * 建立策略實例
+   * Node.js 與 Web Worker 中尚未載入的腳本會同步載入；瀏覽器中需先呼叫 loadStrategy 或 loadScripts。
+   * @param {string} id - 策略 id
+   * @param {Object} [config] - 遊戲配置
+   * @param {Object} [options] - 策略選項（如蒙地卡羅的 playouts、學習策略的 aiLearningSystem）
+   * @returns {Object} 提供 getBestSuggestion 的策略實例
+   * @throws {GameError} 策略未知或尚未載入時拋出
+   */
+  createStrategy(id, config = {}, options = {}) {
+    const entry = this.getStrategy(id);
+    if (entry) {
+      return entry.factory(config, options);
+    }
+    if (this.canLoadSynchronously() || this.getPendingScripts().length === 0) {
+      throw this.createUnknownError(id);
+    }
+
+    throw new RegistryGameError(
+      `Strategy ${id} is not loaded yet (call loadStrategy first)`,
+      RegistryConstants.ERROR_TYPES.INVALID_CONFIG
+    );
+  }
+
+  /**
+   * 取得一種語言中所有策略提供的翻譯（i18n 鍵 -> 文字）
+   * @param {string} language - 語言代碼（如 'zh-TW'）
+   * @returns {Object<string, string>} algorithm.<id>.name、.description 與 .features.<n>
+   */
+  getTranslations(language) {
+    const translations = {};
+    for (const { id, metadata } of this.listStrategies()) {
+      const text = metadata.i18n && metadata.i18n[language];
+      if (!text) {
+        continue;
+      }
+
+      const prefix = `algorithm.${id}`;
+      if (text.name) translations[`${prefix}.name`] = text.name;
+      if (text.description) {
+        translations[`${prefix}.description`] = text.description;
+      }
+      (text.features || []).forEach((feature, index) => {
+        translations[`${prefix}.features.${index + 1}`] = feature;
+      });
+    }
+    return translations;
+  }
+
+  /**
+   * 是否能同步載入腳本（Node.js 的 require 或 Web Worker 的 importScripts）
+   * @private
+   * @returns {boolean} 是否能同步載入
+   */
+  canLoadSynchronously() {
+    return typeof require === 'function' || typeof importScripts === 'function';
+  }
+
+  /**
+   * 同步載入尚未載入的腳本（Node.js 中 require，Web Worker 中 importScripts）
+   * @private
+   * @param {string} [id] - 載入到此策略註冊為止；省略時載入全部
+   */
+  requireScripts(id) {
+    for (const script of this.getPendingScripts()) {
+      if (id !== undefined && this.strategies.has(id)) {
+        return;
+      }
+
+      // 先標記為已載入，腳本載入期間再查詢註冊表時不會重複載入
+      this.loadedScripts.add(script);
+      if (typeof require === 'function') {
+        require(script);
+      } else {
+        importScripts(script);
+      }
+    }
+  }
+
+  /**
+   * 在瀏覽器中以 script 標籤載入腳本
+   * @private
+   * @param {string} script - 腳本路徑
+   * @returns {Promise<void>} 腳本載入完成
+   */
+  appendScript(script) {
+    if (!this.scriptLoads.has(script)) {
+      const load = new Promise((resolve, reject) => {
+        const element = document.createElement('script');
+        element.src = script;
+        element.onload = () => {
+          this.loadedScripts.add(script);
+          resolve();
+        };
+        element.onerror = () => {
+          this.scriptLoads.delete(script);
+          reject(new Error(`Failed to load ${script}`));
+        };
+        document.head.appendChild(element);
+      });
+      this.scriptLoads.set(script, load);
+    }
+    return this.scriptLoads.get(script);
+  }
+
+  /**
+   * @private
+   * @param {string} id - 策略 id
+   * @returns {GameError} 策略未知的錯誤
+   */
+  createUnknownError(id) {
+    const ids = this.listStrategies().map(entry => entry.id);
+    return new RegistryGameError(
+      `Unknown algorithm: ${id} (expected ${ids.join(', ')})`,
+      RegistryConstants.ERROR_TYPES.INVALID_CONFIG
+    );
+  }
+}
+
+// 共用的註冊表；內建策略在各自的腳本中註冊（metadata 見各檔案末尾的 registerStrategy）
+StrategyRegistry.default = new StrategyRegistry([
+  './probabilityCalculator.js',
+  './probabilityCalculator.enhanced.js',
+  './probabilityCalculator.montecarlo.js',
+  './aiLearningSystem.js'
+]);
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StrategyRegistry;
+}
+
+// 在瀏覽器環境中，將 StrategyRegistry 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.StrategyRegistry = StrategyRegistry;
+}
@@ -0,0 +1,231 @@
+/**
+ * StrategyRegistry 的單元測試
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyRegistry = require('./strategyRegistry.js');
+const ProbabilityCalculator = require('./probabilityCalculator.js');
+const GameEngine = require('./gameEngine.js');
+
+function createEmptyBoard() {
+  return Array(5)
+    .fill()
+    .map(() => Array(5).fill(0));
+}
+
+// 永遠建議左上角的測試策略
+function createCornerStrategy() {
+  return {
+    getBestSuggestion: () => ({ row: 0, col: 0, value: 1 })
+  };
+}
+
+function captureError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('StrategyRegistry', () => {
+  test('should list strategies by order and then by registration', () => {
+    const registry = new StrategyRegistry();
+    registry.registerStrategy('late', createCornerStrategy, { order: 20 });
+    registry.registerStrategy('unordered', createCornerStrategy);
+    registry.registerStrategy('early', createCornerStrategy, { order: 10 });
+    registry.registerStrategy('hidden', createCornerStrategy, {
+      order: 5,
+      selectable: false
+    });
+
+    expect(registry.listStrategies().map(entry => entry.id)).toEqual([
+      'hidden',
+      'early',
+      'late',
+      'unordered'
+    ]);
+    expect(
+      registry.listStrategies({ selectable: true }).map(entry => entry.id)
+    ).toEqual(['early', 'late', 'unordered']);
+    expect(registry.getStrategy('early').metadata.kind).toBe('calculator');
+  });
+
+  test('should load a strategy file that registers itself', () => {
+    // 一個自行註冊的演算法檔案：註冊表只需要知道它的路徑
+    const script = path.join(os.tmpdir(), `corner-strategy-${process.pid}.js`);
+    fs.writeFileSync(
+      script,
+      `require(${JSON.stringify(require.resolve('./strategyRegistry.js'))})
+        .default.registerStrategy(
+          'test-corner-file',
+          () => ({ getBestSuggestion: () => ({ row: 0, col: 0, value: 1 }) }),
+          { order: 35, script: ${JSON.stringify(script)} }
+        );`
+    );
+
+    const registry = StrategyRegistry.default;
+    try {
+      registry.addScripts([script]);
+      expect(registry.getPendingScripts().includes(script)).toBeTruthy();
+
+      expect(
+        registry.listStrategies({ selectable: true }).map(entry => entry.id)
+      ).toEqual([
+        'standard',
+        'enhanced',
+        'monte-carlo',
+        'test-corner-file',
+        'ai-learning'
+      ]);
+      expect(registry.getPendingScripts()).toEqual([]);
+      expect(
+        registry
+          .createStrategy('test-corner-file')
+          .getBestSuggestion(createEmptyBoard())
+      ).toEqual({ row: 0, col: 0, value: 1 });
+    } finally {
+      registry.unregisterStrategy('test-corner-file');
+      registry.scripts = registry.scripts.filter(entry => entry !== script);
+      fs.unlinkSync(script);
+    }
+  });
+
+  test('should merge metadata when a strategy registers again', () => {
+    const registry = new StrategyRegistry();
+    registry.registerStrategy('corner', createCornerStrategy, { order: 1 });
+    registry.registerStrategy('corner', createCornerStrategy, {
+      comparable: false
+    });
+
+    const entry = registry.getStrategy('corner');
+    expect(entry.metadata.order).toBe(1);
+    expect(entry.metadata.comparable).toBe(false);
+    expect(registry.listStrategies()).toHaveLength(1);
+  });
+
+  test('should reject invalid registrations and unknown strategies', () => {
+    const registry = new StrategyRegistry();
+
+    expect(
+      captureError(() => registry.registerStrategy('', createCornerStrategy))
+        .type
+    ).toBe('invalid-config');
+    expect(
+      captureError(() => registry.registerStrategy('corner', 'factory')).type
+    ).toBe('invalid-config');
+    expect(
+      captureError(() => registry.registerStrategy('corner', null)).type
+    ).toBe('invalid-config');
+
+    registry.registerStrategy('corner', createCornerStrategy);
+    const error = captureError(() => registry.createStrategy('mirror'));
+    expect(error.type).toBe('invalid-config');
+    expect(error.message).toBe('Unknown algorithm: mirror (expected corner)');
+  });
+
+  test('should load built-in strategies from their scripts', () => {
+    const registry = StrategyRegistry.default;
+
+    expect(
+      registry.listStrategies({ selectable: true }).map(entry => entry.id)
+    ).toEqual(['standard', 'enhanced', 'monte-carlo', 'ai-learning']);
+    expect(registry.getStrategy('monte-carlo').metadata.script).toBe(
+      './probabilityCalculator.montecarlo.js'
+    );
+    expect(registry.getStrategy('monte-carlo').metadata.tunable).toBe(false);
+
+    // Node.js 中 createStrategy 會先 require 尚未載入的腳本
+    const calculator = registry.createStrategy(
+      'monte-carlo',
+      {},
+      { random: 3, playouts: 5, timeBudget: 0 }
+    );
+    expect(calculator.options.playouts).toBe(5);
+    expect(
+      registry.createStrategy('standard') instanceof ProbabilityCalculator
+    ).toBeTruthy();
+  });
+
+  test('should provide translations for each language', () => {
+    const registry = new StrategyRegistry();
+    registry.registerStrategy('corner', createCornerStrategy, {
+      i18n: {
+        'en-US': {
+          name: 'Corner',
+          description: 'Always the top-left cell',
+          features: ['Predictable', 'Fast']
+        }
+      }
+    });
+
+    expect(registry.getTranslations('en-US')).toEqual({
+      'algorithm.corner.name': 'Corner',
+      'algorithm.corner.description': 'Always the top-left cell',
+      'algorithm.corner.features.1': 'Predictable',
+      'algorithm.corner.features.2': 'Fast'
+    });
+    expect(registry.getTranslations('zh-TW')).toEqual({});
+    expect(
+      StrategyRegistry.default.getTranslations('zh-TW')[
+        'algorithm.monte-carlo.name'
+      ]
+    ).toBe('蒙地卡羅演算法');
+  });
+});
+
+describe('GameEngine with registered strategies', () => {
+  test('should suggest moves with the selected strategy', () => {
+    StrategyRegistry.default.registerStrategy('test-corner', () => ({
+      getBestSuggestion: board => ({
+        row: 0,
+        col: 0,
+        value: board[0][0] === 0 ? 1 : 0
+      })
+    }));
+
+    try {
+      const engine = new GameEngine();
+      engine.setSuggestionStrategy('test-corner');
+
+      expect(engine.suggestionStrategy).toBe('test-corner');
+      expect(engine.useAILearning).toBeFalsy();
+
+      engine.startGame();
+      expect(engine.gameState.lastSuggestion).toEqual({
+        row: 0,
+        col: 0,
+        value: 1
+      });
+      expect(engine.serialize().algorithm).toBe('test-corner');
+    } finally {
+      StrategyRegistry.default.unregisterStrategy('test-corner');
+    }
+  });
+
+  test('should switch to the learning mode of a learning strategy', () => {
+    const engine = new GameEngine();
+    engine.setSuggestionStrategy('standard');
+    expect(engine.getSuggestionProvider()).toBe(engine.probabilityCalculator);
+
+    engine.setSuggestionStrategy('ai-learning');
+
+    expect(engine.useAILearning).toBeTruthy();
+    expect(engine.learningMode).toBe('personalized');
+    expect(engine.getSuggestionProvider().aiLearningSystem).toBe(
+      engine.aiLearningSystem
+    );
+
+    // 與計算器相同的建議格式，遊戲板與頁面可以直接顯示
+    engine.startGame();
+    const suggestion = engine.getState().lastSuggestion;
+    expect(suggestion.source).toBe('learning');
+    expect(engine.isCellEmpty(suggestion.row, suggestion.col)).toBeTruthy();
+    expect(typeof suggestion.value).toBe('number');
+    expect(
+      ['very-high', 'high', 'medium', 'low'].includes(suggestion.confidence)
+    ).toBeTruthy();
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * 建議計算的 Web Worker 腳本（由 SuggestionWorkerHost 建立）
+ *
+ * 計算器模組在瀏覽器中註冊到 window，工作執行緒沒有 window，
+ * 因此先將全局作用域命名為 window 再載入與頁面相同的腳本。
+ * 其他演算法（如蒙地卡羅）由 StrategyRegistry 在第一次使用時以 importScripts 載入。
+ */
+self.window = self;
+
+importScripts(
+  './utils/common.js',
+  './utils/bitboard.js',
+  './utils/random.js',
+  './utils/baseProbabilityCalculator.js',
+  './strategyRegistry.js',
+  './openingBook.data.js',
+  './openingBook.js',
+  './probabilityCalculator.js',
+  './computerPolicy.js',
+  './suggestionWorkerHost.js'
+);
+
+const handleSuggestionMessage = self.SuggestionWorkerHost.createWorkerHandler();
+
+self.onmessage = event => {
+  const response = handleSuggestionMessage(event.data);
+  if (response) {
+    self.postMessage(response);
+  }
+};
@@ -0,0 +1,320 @@
+// 載入依賴模組
+let HostConstants, HostGameError, HostRegistry, HostComputerPolicy;
+if (typeof require !== 'undefined') {
+  const common = require('./utils/common.js');
+  HostConstants = common.CONSTANTS;
+  HostGameError = common.GameError;
+  HostRegistry = require('./strategyRegistry.js');
+  HostComputerPolicy = require('./computerPolicy.js');
+} else if (typeof window !== 'undefined') {
+  HostConstants = window.CONSTANTS;
+  HostGameError = window.GameError;
+  HostRegistry = window.StrategyRegistry;
+  HostComputerPolicy = window.ComputerPolicy;
+}
+
+/**
+ * SuggestionWorkerHost - 在專用 Web Worker 中計算移動建議
+ *
+ * 主執行緒只描述要使用的計算器（setStrategy：演算法 id、遊戲配置、選項與電腦策略名稱），
+ * 工作執行緒（suggestionWorker.js）以 StrategyRegistry 建立相同的計算器並回答 requestSuggestion。
+ * 計算期間遊戲板仍可操作，蒙地卡羅等較慢的演算法不會讓低階手機的畫面凍結。
+ *
+ * - 新的請求或 cancel() 會取消尚未完成的請求：Promise 以 type 為 'cancelled' 的 GameError 拒絕，
+ *   正在計算的工作執行緒會被終止（計算無法中途停止），下一次請求時重新建立
+ * - 不支援 Web Worker、工作執行緒載入失敗或無法計算時，改用 fallback 返回的計算器在主執行緒同步計算
+ *
+ * @class SuggestionWorkerHost
+ * @version 1.0.0
+ */
+class SuggestionWorkerHost {
+  /**
+   * 建立建議計算的工作執行緒主機
+   * @param {Object} [options] - 主機選項
+   * @param {string} [options.scriptUrl='./suggestionWorker.js'] - 工作執行緒腳本
+   * @param {Function} [options.createWorker] - (scriptUrl) => Worker，預設為 new Worker(scriptUrl)
+   * @param {Function} [options.fallback] - () => 計算器，沒有工作執行緒時在主執行緒使用
+   */
+  constructor(options = {}) {
+    this.scriptUrl = options.scriptUrl || './suggestionWorker.js';
+    this.createWorker = options.createWorker || (url => new Worker(url));
+    this.fallback = options.fallback || (() => null);
+    this.workerAvailable = Boolean(
+      options.createWorker || typeof Worker !== 'undefined'
+    );
+
+    this.worker = null;
+    this.strategy = null;
+    // 目前的工作執行緒已建立的策略（序列化後比較）
+    this.workerStrategy = null;
+    this.pending = null;
+    this.nextId = 1;
+  }
+
+  /**
+   * 設定計算建議的策略
+   * 只在策略改變時重新建立工作執行緒中的計算器。
+   * @param {Object} strategy - 策略描述（必須可序列化）
+   * @param {string} strategy.algorithm - 計算器策略 id（見 StrategyRegistry）
+   * @param {Object} [strategy.config] - 遊戲配置
+   * @param {Object} [strategy.options] - 計算器選項（如蒙地卡羅的 random 種子或 weights）
+   * @param {string|null} [strategy.computerPolicy] - 計算器預測電腦回應使用的 ComputerPolicy 名稱
+   */
+  setStrategy(strategy) {
+    this.strategy = strategy;
+  }
+
+  /**
+   * 是否在工作執行緒中計算建議
+   * @returns {boolean} 工作執行緒可用時為 true
+   */
+  isUsingWorker() {
+    return this.workerAvailable;
+  }
+
+  /**
+   * 請求移動建議
+   * 先取消尚未完成的請求。
+   * @param {number[][]|Bitboard} board - 當前遊戲板
+   * @param {Object} [context] - 遊戲上下文（見 GameEngine.getGameContext）
+   * @returns {Promise<Object|null>} 計算器的 getBestSuggestion 結果；被取消時以 'cancelled' 錯誤拒絕
+   */
+  requestSuggestion(board, context) {
+    this.cancel();
+
+    const grid = typeof board.toArray === 'function' ? board.toArray() : board;
+    if (!this.strategy || !this.ensureWorker()) {
+      return this.suggestSynchronously(grid, context);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending = { id, resolve, reject, board: grid, context };
+      this.configureWorker();
+      this.worker.postMessage({ type: 'suggest', id, board: grid, context });
+    });
+  }
+
+  /**
+   * 取消尚未完成的請求（例如遊戲板已改變時）
+   * @returns {boolean} 是否有請求被取消
+   */
+  cancel() {
+    if (!this.pending) {
+      return false;
+    }
+
+    const { reject } = this.pending;
+    this.pending = null;
+    // 工作執行緒正在計算，只能終止後重新建立
+    this.terminate();
+    reject(
+      new HostGameError(
+        'Suggestion request cancelled',
+        HostConstants.ERROR_TYPES.CANCELLED
+      )
+    );
+    return true;
+  }
+
+  /**
+   * 終止工作執行緒（下一次請求時重新建立）
+   * 尚未完成的請求不會被完成，請先呼叫 cancel。
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+      this.workerStrategy = null;
+    }
+  }
+
+  /**
+   * 建立工作執行緒（已建立或不可用時不做任何事）
+   * @private
+   * @returns {boolean} 工作執行緒是否可用
+   */
+  ensureWorker() {
+    if (this.worker || !this.workerAvailable) {
+      return Boolean(this.worker);
+    }
+
+    try {
+      this.worker = this.createWorker(this.scriptUrl);
+    } catch (error) {
+      // 例如以 file:// 開啟頁面時瀏覽器不允許建立工作執行緒
+      console.warn('Suggestion worker unavailable:', error.message);
+      this.workerAvailable = false;
+      return false;
+    }
+
+    this.worker.onmessage = event => this.handleMessage(event.data);
+    this.worker.onerror = event => this.handleWorkerError(event);
+    return true;
+  }
+
+  /**
+   * 策略改變時通知工作執行緒重新建立計算器
+   * @private
+   */
+  configureWorker() {
+    const key = JSON.stringify(this.strategy);
+    if (key !== this.workerStrategy) {
+      this.worker.postMessage({ type: 'configure', strategy: this.strategy });
+      this.workerStrategy = key;
+    }
+  }
+
+  /**
+   * 處理工作執行緒的回應
+   * 工作執行緒無法計算時（例如只在頁面中註冊、沒有 metadata.script 的演算法）改在主執行緒計算。
+   * @private
+   * @param {{type: string, id: number, suggestion?: Object, message?: string}} response - 回應
+   */
+  handleMessage(response) {
+    if (!this.pending || !response || response.id !== this.pending.id) {
+      return;
+    }
+
+    const { resolve, reject, board, context } = this.pending;
+    this.pending = null;
+    if (response.type === 'suggestion') {
+      resolve(response.suggestion);
+    } else {
+      console.warn('Suggestion worker failed:', response.message);
+      this.suggestSynchronously(board, context).then(resolve, reject);
+    }
+  }
+
+  /**
+   * 工作執行緒無法執行（如腳本載入失敗）時改為在主執行緒計算
+   * @private
+   * @param {ErrorEvent} event - 錯誤事件
+   */
+  handleWorkerError(event) {
+    console.warn(
+      'Suggestion worker failed, calculating on the main thread:',
+      event && event.message
+    );
+    if (event && typeof event.preventDefault === 'function') {
+      event.preventDefault();
+    }
+
+    this.workerAvailable = false;
+    this.terminate();
+
+    const pending = this.pending;
+    this.pending = null;
+    if (pending) {
+      this.suggestSynchronously(pending.board, pending.context).then(
+        pending.resolve,
+        pending.reject
+      );
+    }
+  }
+
+  /**
+   * 在主執行緒以 fallback 計算器計算建議
+   * @private
+   * @param {number[][]} board - 當前遊戲板
+   * @param {Object} [context] - 遊戲上下文
+   * @returns {Promise<Object|null>} 建議
+   */
+  suggestSynchronously(board, context) {
+    try {
+      const calculator = this.fallback();
+      return Promise.resolve(
+        calculator ? calculator.getBestSuggestion(board, context) : null
+      );
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * 建立工作執行緒的訊息處理函數（由 suggestionWorker.js 使用）
+   * 'configure' 訊息建立計算器，'suggest' 訊息返回 { type: 'suggestion', id, suggestion }，
+   * 失敗時返回 { type: 'error', id, message }。
+   * @param {StrategyRegistry} [registry] - 策略註冊表
+   * @returns {Function} (message) => 回應或 null
+   */
+  static createWorkerHandler(registry = HostRegistry.default) {
+    let calculator = null;
+    let configureError = null;
+
+    return message => {
+      try {
+        if (message.type === 'configure') {
+          calculator = null;
+          configureError = null;
+          try {
+            calculator = SuggestionWorkerHost.createCalculator(
+              message.strategy,
+              registry
+            );
+          } catch (error) {
+            // 錯誤在下一個建議請求時回報
+            configureError = error;
+          }
+          return null;
+        }
+
+        if (message.type === 'suggest') {
+          if (!calculator) {
+            throw configureError || new Error('No strategy configured');
+          }
+          return {
+            type: 'suggestion',
+            id: message.id,
+            suggestion: calculator.getBestSuggestion(
+              message.board,
+              message.context
+            )
+          };
+        }
+
+        throw new Error(`Unknown message type: ${message.type}`);
+      } catch (error) {
+        return { type: 'error', id: message.id, message: error.message };
+      }
+    };
+  }
+
+  /**
+   * 依策略描述建立計算器
+   * 合作型（heuristic）電腦策略以另一個增強計算器評價格子，與主執行緒相同。
+   * @param {Object} strategy - 策略描述（見 setStrategy）
+   * @param {StrategyRegistry} [registry] - 策略註冊表
+   * @returns {Object} 計算器
+   */
+  static createCalculator(strategy, registry = HostRegistry.default) {
+    const { algorithm, config, options, computerPolicy } = strategy;
+    const calculator = registry.createStrategy(algorithm, config, options);
+
+    if (
+      computerPolicy &&
+      HostComputerPolicy &&
+      typeof calculator.setComputerPolicy === 'function'
+    ) {
+      const policyOptions =
+        computerPolicy === 'heuristic'
+          ? { calculator: registry.createStrategy('enhanced', config) }
+          : {};
+      calculator.setComputerPolicy(
+        HostComputerPolicy.create(computerPolicy, config, policyOptions)
+      );
+    }
+
+    return calculator;
+  }
+}
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SuggestionWorkerHost;
+}
+
+// 在瀏覽器環境中，將 SuggestionWorkerHost 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.SuggestionWorkerHost = SuggestionWorkerHost;
+}
@@ -0,0 +1,235 @@
+/**
+ * SuggestionWorkerHost 單元測試
+ * 測試以假的工作執行緒代替 Web Worker；訊息處理函數與 suggestionWorker.js 中的相同。
+ */
+const SuggestionWorkerHost = require('./suggestionWorkerHost.js');
+const ProbabilityCalculator = require('./probabilityCalculator.js');
+const Bitboard = require('./utils/bitboard.js');
+
+// 第五回合的局面（不在開局庫中）
+function createBoard() {
+  return [
+    [1, 2, 0, 0, 1],
+    [0, 1, 0, 2, 0],
+    [2, 0, 1, 0, 0],
+    [0, 0, 2, 0, 0],
+    [0, 0, 0, 0, 0]
+  ];
+}
+
+const context = { currentRound: 5, roundsLeft: 4, turn: 'player' };
+
+// 記錄訊息，respond() 時以 suggestionWorker.js 的處理函數回應
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+    this.handler = SuggestionWorkerHost.createWorkerHandler();
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  respond() {
+    const responses = this.messages
+      .map(message => this.handler(message))
+      .filter(Boolean);
+    this.messages = [];
+    responses.forEach(response => this.onmessage({ data: response }));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+function createHost(options = {}) {
+  const workers = [];
+  const host = new SuggestionWorkerHost({
+    createWorker: () => {
+      const worker = new FakeWorker();
+      workers.push(worker);
+      return worker;
+    },
+    ...options
+  });
+  host.setStrategy({ algorithm: 'standard', config: {}, options: {} });
+  return { host, workers };
+}
+
+// 避免未處理的拒絕（被取消的請求）
+function ignoreResult(promise) {
+  promise.catch(() => {});
+  return promise;
+}
+
+describe('SuggestionWorkerHost worker handler', () => {
+  test('should suggest the same move as the calculator', () => {
+    const handler = SuggestionWorkerHost.createWorkerHandler();
+    const board = createBoard();
+
+    expect(
+      handler({
+        type: 'configure',
+        strategy: { algorithm: 'standard', config: {} }
+      })
+    ).toBe(null);
+    const response = handler({ type: 'suggest', id: 7, board, context });
+
+    expect(response.type).toBe('suggestion');
+    expect(response.id).toBe(7);
+    expect(response.suggestion).toEqual(
+      new ProbabilityCalculator().getBestSuggestion(board, context)
+    );
+  });
+
+  test('should report errors for the request that fails', () => {
+    const handler = SuggestionWorkerHost.createWorkerHandler();
+    const board = createBoard();
+
+    expect(handler({ type: 'suggest', id: 1, board }).message).toBe(
+      'No strategy configured'
+    );
+
+    handler({ type: 'configure', strategy: { algorithm: 'mirror' } });
+    const response = handler({ type: 'suggest', id: 2, board });
+    expect(response.type).toBe('error');
+    expect(response.id).toBe(2);
+    expect(response.message.startsWith('Unknown algorithm: mirror')).toBe(true);
+  });
+
+  test('should model the computer policy in the worker calculator', () => {
+    const calculator = SuggestionWorkerHost.createCalculator({
+      algorithm: 'standard',
+      config: {},
+      computerPolicy: 'heuristic'
+    });
+
+    expect(calculator.computerPolicy.name).toBe('heuristic');
+    expect(calculator.computerPolicy.calculator.constructor.name).toBe(
+      'EnhancedProbabilityCalculator'
+    );
+  });
+});
+
+describe('SuggestionWorkerHost', () => {
+  test('should configure the worker only when the strategy changes', () => {
+    const { host, workers } = createHost();
+    const board = Bitboard.fromArray(createBoard());
+
+    ignoreResult(host.requestSuggestion(board, context));
+    const [worker] = workers;
+    expect(worker.messages.map(message => message.type)).toEqual([
+      'configure',
+      'suggest'
+    ]);
+    expect(worker.messages[1].board).toEqual(createBoard());
+
+    worker.respond();
+    expect(host.pending).toBe(null);
+
+    ignoreResult(host.requestSuggestion(createBoard(), context));
+    expect(worker.messages.map(message => message.type)).toEqual(['suggest']);
+
+    worker.respond();
+    host.setStrategy({ algorithm: 'enhanced', config: {}, options: {} });
+    ignoreResult(host.requestSuggestion(createBoard(), context));
+    expect(worker.messages.map(message => message.type)).toEqual([
+      'configure',
+      'suggest'
+    ]);
+    expect(workers).toHaveLength(1);
+  });
+
+  test('should cancel the running request when a new one starts', () => {
+    const { host, workers } = createHost();
+
+    ignoreResult(host.requestSuggestion(createBoard(), context));
+    ignoreResult(host.requestSuggestion(createBoard(), context));
+
+    // 正在計算的工作執行緒被終止，新的請求使用新的工作執行緒
+    expect(workers).toHaveLength(2);
+    expect(workers[0].terminated).toBeTruthy();
+    expect(workers[1].messages[0].type).toBe('configure');
+    expect(host.pending.id).toBe(2);
+
+    // 舊請求的回應不會完成新的請求
+    host.handleMessage({ type: 'suggestion', id: 1, suggestion: null });
+    expect(host.pending.id).toBe(2);
+
+    expect(host.cancel()).toBeTruthy();
+    expect(host.cancel()).toBeFalsy();
+    expect(workers[1].terminated).toBeTruthy();
+  });
+
+  test('should calculate on the main thread without workers', () => {
+    let calls = 0;
+    const calculator = {
+      getBestSuggestion: () => {
+        calls++;
+        return { row: 0, col: 0, value: 1 };
+      }
+    };
+
+    const host = new SuggestionWorkerHost({
+      createWorker: () => {
+        throw new Error('Workers are not allowed');
+      },
+      fallback: () => calculator
+    });
+    host.setStrategy({ algorithm: 'standard' });
+
+    ignoreResult(host.requestSuggestion(createBoard(), context));
+    expect(host.isUsingWorker()).toBeFalsy();
+    expect(calls).toBe(1);
+
+    // Node.js 中沒有 Worker
+    expect(new SuggestionWorkerHost().isUsingWorker()).toBeFalsy();
+  });
+
+  test('should calculate on the main thread what the worker cannot', () => {
+    let calls = 0;
+    const { host, workers } = createHost({
+      fallback: () => ({
+        getBestSuggestion: () => {
+          calls++;
+          return null;
+        }
+      })
+    });
+
+    // 只在頁面中註冊的演算法不在工作執行緒的註冊表中
+    host.setStrategy({ algorithm: 'page-only', config: {} });
+    ignoreResult(host.requestSuggestion(createBoard(), context));
+    workers[0].respond();
+
+    expect(calls).toBe(1);
+    expect(host.pending).toBe(null);
+    expect(host.isUsingWorker()).toBeTruthy();
+  });
+
+  test('should fall back when the worker fails to run', () => {
+    let calls = 0;
+    const { host, workers } = createHost({
+      fallback: () => ({
+        getBestSuggestion: () => {
+          calls++;
+          return null;
+        }
+      })
+    });
+
+    ignoreResult(host.requestSuggestion(createBoard(), context));
+    workers[0].onerror({ message: 'importScripts failed' });
+
+    expect(calls).toBe(1);
+    expect(host.pending).toBe(null);
+    expect(host.isUsingWorker()).toBeFalsy();
+    expect(workers[0].terminated).toBeTruthy();
+
+    ignoreResult(host.requestSuggestion(createBoard(), context));
+    expect(calls).toBe(2);
+    expect(workers).toHaveLength(1);
+  });
+});
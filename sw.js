@@ -18,15 +18,31 @@ const STATIC_ASSETS = [
   './script.js',
   './gameBoard.js',
   './gameEngine.js',
+  './gameRecord.js',
+  './gameReplay.js',
+  './gameAnalyzer.js',
   './lineDetector.js',
+  './strategyRegistry.js',
+  './openingBook.js',
+  './openingBook.data.js',
   './probabilityCalculator.js',
   './probabilityCalculator.enhanced.js',
+  './probabilityCalculator.montecarlo.js',
+  './computerPolicy.js',
+  './suggestionWorkerHost.js',
+  './suggestionWorker.js',
+  './movePlanner.js',
   './mobile-touch.js',
   './gesture-support.js',
   './performance-monitor.js',
   './loading-functions.js',
   './algorithmComparison.js',
   './aiLearningSystem.js',
+  './learningStore.js',
+  './featureEncoder.js',
+  './gameSimulator.js',
+  './selfPlayTrainer.js',
+  './selfPlayWorker.js',
   './security-utils.js',
   './error-boundary.js',
   './manifest.json'
@@ -19,7 +19,10 @@ export type ErrorType =
   | 'invalid-move'
   | 'cell-occupied'
   | 'game-over'
-  | 'invalid-phase';
+  | 'invalid-phase'
+  | 'invalid-config'
+  | 'invalid-record'
+  | 'cancelled';
 export type ConfidenceLevel = 'very-high' | 'high' | 'medium' | 'low';
 
 // Board and position types
@@ -38,6 +41,7 @@ export interface GameState {
   completedLines: Line[];
   gameStarted: boolean;
   gameEnded: boolean;
+  resultRecorded?: boolean;
   boardSize: number;
 }
 
@@ -78,6 +82,214 @@ export interface MoveEvaluation {
   position: string;
 }
 
+export interface GameContext {
+  currentRound?: number;
+  maxRounds?: number;
+  roundsLeft?: number;
+  turn?: 'player' | 'computer';
+  gamePhase?: GamePhase;
+  [key: string]: unknown;
+}
+
+export type ComputerPolicyName =
+  | 'random'
+  | 'heuristic'
+  | 'frequency'
+  | 'adversarial'
+  | 'obstructive'
+  | 'center';
+
+export interface ComputerPolicyOptions {
+  random?: number | string | object;
+  calculator?: IProbabilityCalculator;
+  history?: Array<{ computerMoves: Array<Position & { round?: number }> }>;
+  smoothing?: number;
+}
+
+export interface IComputerPolicy {
+  name: ComputerPolicyName | string;
+  isUniform: boolean;
+  version: number;
+  predict(board: Board, context?: GameContext): number[][];
+  chooseMove(board: Board, context?: GameContext): Position | null;
+  observeGame(computerMoves: Array<Position & { round?: number }>): void;
+}
+
+export interface MonteCarloOptions {
+  playouts?: number;
+  minPlayouts?: number;
+  timeBudget?: number;
+  policy?: 'greedy' | 'random';
+  random?: number | string | object;
+  openingBook?: IOpeningBook | null;
+}
+
+export interface MonteCarloMoveEvaluation extends MoveEvaluation {
+  interval: [number, number];
+  playouts: number;
+}
+
+export interface MonteCarloSuggestion extends Suggestion {
+  expectedLines: number;
+  interval: [number, number];
+  playouts: number;
+}
+
+export interface BookSuggestion extends Suggestion {
+  expectedLines: number;
+  source: 'book';
+}
+
+export type MoveFactorName =
+  | 'completion'
+  | 'intersection'
+  | 'nearCompletion'
+  | 'multiLine'
+  | 'cooperative'
+  | 'potential'
+  | 'center'
+  | 'computerModel';
+
+// A line through an explained move; row and col are its first cell
+export interface ExplainedLine {
+  type: LineType;
+  row: number;
+  col: number;
+  cells: [number, number][];
+}
+
+export interface MoveFactor {
+  name: MoveFactorName;
+  value: number;
+  lines: ExplainedLine[];
+}
+
+export interface MoveExplanation {
+  row: number;
+  col: number;
+  position: string;
+  value: number;
+  factors: MoveFactor[];
+  completes: ExplainedLine[];
+  setsUp: ExplainedLine[];
+}
+
+export interface MovePlan {
+  lines: ExplainedLine[];
+  cells: Position[];
+  movesLeft: number;
+  spareMoves: number;
+  nextMove: Position | null;
+}
+
+export interface IMovePlanner {
+  config: GameConfig;
+  createPlan(
+    board: Board,
+    context?: GameContext,
+    previousPlan?: MovePlan | null
+  ): MovePlan | null;
+  getMovesLeft(board: Board, context?: GameContext): number;
+}
+
+export interface OpeningBookData {
+  version: number;
+  config: Pick<GameConfig, 'boardSize' | 'maxRounds' | 'lineLength'>;
+  rounds: number;
+  // canonical occupancy mask -> [cell, expected lines, cell, expected lines, ...]
+  positions: Record<string, number[]>;
+}
+
+export interface IOpeningBook {
+  config: Pick<GameConfig, 'boardSize' | 'maxRounds' | 'lineLength'>;
+  rounds: number;
+  supports(config?: Partial<GameConfig>): boolean;
+  lookup(board: Board, roundsLeft?: number): BookSuggestion | null;
+}
+
+export interface SuggestionStrategy {
+  getBestSuggestion(board: Board, context?: GameContext): Suggestion | null;
+}
+
+export type StrategyFactory = (
+  config?: Partial<GameConfig>,
+  options?: Record<string, unknown>
+) => SuggestionStrategy;
+
+export interface StrategyTranslation {
+  name?: string;
+  description?: string;
+  features?: string[];
+}
+
+export interface StrategyMetadata {
+  kind?: 'calculator' | 'learning';
+  order?: number;
+  script?: string;
+  selectable?: boolean;
+  comparable?: boolean;
+  tunable?: boolean;
+  learningMode?: 'adaptive' | 'personalized' | 'traditional';
+  i18n?: Record<string, StrategyTranslation>;
+  [key: string]: unknown;
+}
+
+export interface StrategyEntry {
+  id: string;
+  factory: StrategyFactory;
+  metadata: StrategyMetadata;
+  index: number;
+}
+
+export interface IStrategyRegistry {
+  registerStrategy(
+    id: string,
+    factory: StrategyFactory,
+    metadata?: StrategyMetadata
+  ): StrategyEntry;
+  unregisterStrategy(id: string): boolean;
+  addScripts(scripts: string[]): void;
+  getPendingScripts(): string[];
+  loadScripts(): Promise<StrategyEntry[]>;
+  hasStrategy(id: string): boolean;
+  getStrategy(id: string): StrategyEntry | null;
+  listStrategies(filter?: {
+    kind?: StrategyMetadata['kind'];
+    selectable?: boolean;
+  }): StrategyEntry[];
+  loadStrategy(id: string): Promise<StrategyEntry>;
+  createStrategy(
+    id: string,
+    config?: Partial<GameConfig>,
+    options?: Record<string, unknown>
+  ): SuggestionStrategy;
+  getTranslations(language: string): Record<string, string>;
+}
+
+export interface WorkerSuggestionStrategy {
+  algorithm: string;
+  config?: Partial<GameConfig>;
+  options?: Record<string, unknown>;
+  computerPolicy?: ComputerPolicyName | null;
+}
+
+export interface SuggestionWorkerHostOptions {
+  scriptUrl?: string;
+  createWorker?: (scriptUrl: string) => Worker;
+  fallback?: () => SuggestionStrategy | null;
+}
+
+export interface ISuggestionWorkerHost {
+  setStrategy(strategy: WorkerSuggestionStrategy): void;
+  requestSuggestion(
+    board: Board,
+    context?: GameContext
+  ): Promise<Suggestion | null>;
+  cancel(): boolean;
+  terminate(): void;
+  isUsingWorker(): boolean;
+}
+
 // Performance and metrics types
 export interface PerformanceMetrics {
   cacheHitRate: string;
@@ -109,12 +321,132 @@ export interface AILearningStats {
   playStyle: 'aggressive' | 'defensive' | 'balanced' | 'strategic';
   difficultyLevel: 'easy' | 'medium' | 'hard' | 'expert';
   gamesPlayed: number;
+  training: TrainingMetric | null;
+}
+
+export interface TrainingOptions {
+  learningRate: number;
+  batchSize: number;
+  epochs: number;
+  windowSize: number;
+  validationSplit: number;
+  target: 'outcome' | 'calculator';
+  maxMetrics: number;
+}
+
+export interface TrainingMetric {
+  timestamp: number;
+  games: number;
+  trainingExamples: number;
+  validationExamples: number;
+  trainLoss: number;
+  validationLoss: number | null;
+}
+
+// Saved AI learning state (see LearningStore); maps are encoded as { $map: [key, value][] }
+export interface LearningStateRecord {
+  schemaVersion: number;
+  savedAt: string;
+  state: Record<string, unknown>;
+}
+
+export interface LearningBackend {
+  name: string;
+  get(key: string): Promise<unknown | null>;
+  set(key: string, value: unknown): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+export interface ILearningStore {
+  backends: LearningBackend[];
+  readonly backend: LearningBackend;
+  key: string;
+  save(state: object): Promise<void>;
+  load(): Promise<Record<string, unknown> | null>;
+  clear(): Promise<void>;
+}
+
+// Input encoding a saved model declares (see FeatureEncoder)
+export interface FeatureEncoderDescription {
+  name: string;
+  version: number;
+  size: number;
+}
+
+export interface IFeatureEncoder {
+  config: GameConfig;
+  name: string;
+  version: number;
+  size: number;
+  describe(): FeatureEncoderDescription;
+  encode(
+    board: Board,
+    context?: { skillLevel?: number; adaptationCounter?: number }
+  ): number[];
+}
+
+export interface SelfPlayOptions {
+  config?: Partial<GameConfig>;
+  computer?: ComputerPolicyName;
+  seed?: number | string;
+  exploration?: number;
+  evaluateEvery?: number;
+  evaluationGames?: number;
+  baseline?: string;
+  training?: Partial<TrainingOptions>;
+}
+
+// One evaluation on the self-play learning curve (see SelfPlayTrainer.run)
+export interface LearningCurvePoint {
+  games: number;
+  mean: number;
+  baseline: number;
+  trainLoss: number | null;
+  validationLoss: number | null;
+}
+
+export interface SelfPlayResult {
+  options: {
+    games: number;
+    computer: ComputerPolicyName;
+    seed: number;
+    exploration: number;
+    evaluateEvery: number;
+    evaluationGames: number;
+    config: GameConfig;
+  };
+  baseline: { algorithm: string; mean: number };
+  curve: LearningCurvePoint[];
+  stats: AILearningStats;
+}
+
+export type SelfPlayWorkerMessage =
+  | {
+      type: 'progress';
+      completed: number;
+      total: number;
+      point: LearningCurvePoint | null;
+    }
+  | { type: 'done'; result: SelfPlayResult; state: LearningStateRecord }
+  | { type: 'error'; message: string };
+
+export interface ISelfPlayTrainer {
+  run(
+    games: number,
+    onProgress?: (
+      completed: number,
+      total: number,
+      point: LearningCurvePoint | null
+    ) => void
+  ): SelfPlayResult;
+  evaluate(): number;
 }
 
 export interface GameData {
   board: Board;
   playerMoves: Move[];
   computerMoves: Move[];
+  suggestions?: Array<Position | null>;
   finalScore: number;
   completedLines: Line[];
   gameOutcome: 'excellent' | 'good' | 'average' | 'poor';
@@ -132,10 +464,48 @@ export interface ILineDetector {
   isValidBoard(board: Board): boolean;
 }
 
+export type AlgorithmWeights = Record<string, number>;
+
+export interface WeightsFile {
+  version: number;
+  algorithm: string;
+  weights: AlgorithmWeights;
+  score: {
+    mean: number;
+    baseline: number;
+    holdout: { seed: number; baseline: number; score: number };
+  };
+  games: number;
+  seed: number;
+  computer: string;
+  config: Pick<GameConfig, 'boardSize' | 'maxRounds' | 'lineLength'>;
+  createdAt: string;
+}
+
 export interface IProbabilityCalculator {
-  calculateMoveValue(board: Board, row: number, col: number): number;
-  simulateAllPossibleMoves(board: Board): MoveEvaluation[];
-  getBestSuggestion(board: Board): Suggestion | null;
+  WEIGHTS: AlgorithmWeights;
+  setWeights(weights: AlgorithmWeights): void;
+  calculateMoveValue(
+    board: Board,
+    row: number,
+    col: number,
+    context?: GameContext
+  ): number;
+  explainMoveValue?(
+    board: Board,
+    row: number,
+    col: number,
+    context?: GameContext
+  ): MoveExplanation | null;
+  simulateAllPossibleMoves(
+    board: Board,
+    context?: GameContext
+  ): MoveEvaluation[];
+  getBestSuggestion(board: Board, context?: GameContext): Suggestion | null;
+  setComputerPolicy(policy: IComputerPolicy | null): void;
+  openingBook: IOpeningBook | null;
+  setOpeningBook(book: IOpeningBook | null): void;
+  getBookSuggestion(board: Board, context?: GameContext): BookSuggestion | null;
   isValidMove(board: Board, row: number, col: number): boolean;
   isCenterPosition(row: number, col: number): boolean;
   copyBoard(board: Board): Board;
@@ -152,9 +522,55 @@ export interface IGameEngine {
   getCurrentPhase(): GamePhase;
   isGameComplete(): boolean;
   getBestMove(): Suggestion | null;
+  getPlan(): MovePlan | null;
+  getGameContext(): GameContext;
+  ensureAILearningSystem(): boolean;
+  exportLearningData(): LearningStateRecord | null;
+  importLearningData(learningData: object): boolean;
+  resetAILearning(): void;
+  setComputerPolicy(policy: IComputerPolicy | null): void;
+  useLearnedComputerPolicy(
+    options?: Record<string, unknown>
+  ): IComputerPolicy | null;
+  setSuggestionStrategy(id: string, options?: Record<string, unknown>): void;
+  getSuggestionProvider(): SuggestionStrategy;
+  getConfig(): Pick<GameConfig, 'boardSize' | 'maxRounds' | 'lineLength'>;
+  undo(): boolean;
+  redo(): boolean;
+  jumpTo(moveIndex: number): boolean;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  getHistory(): MoveHistory;
+  recordSuggestion(suggestion: Suggestion | null): void;
+  serialize(options?: { algorithm?: string }): GameRecordData;
   reset(): void;
 }
 
+export interface GameRecordMove extends HistoryMove {
+  suggestion?: { row: number; col: number; value?: number };
+}
+
+export interface GameRecordData {
+  format: 'bingo-game-record';
+  version: number;
+  config: Pick<GameConfig, 'boardSize' | 'maxRounds' | 'lineLength'>;
+  algorithm: string;
+  moves: GameRecordMove[];
+  savedAt: string | null;
+}
+
+export interface HistoryMove {
+  type: 'player' | 'computer';
+  row: number;
+  col: number;
+  round: number;
+}
+
+export interface MoveHistory {
+  moves: HistoryMove[];
+  currentIndex: number;
+}
+
 export interface IGameBoard {
   updateCell(row: number, col: number, state: CellState): void;
   updateBoard(board: Board): void;
@@ -166,6 +582,9 @@ export interface IGameBoard {
   highlightLines(lines: Line[]): void;
   clearSuggestionHighlight(): void;
   clearLineHighlights(): void;
+  highlightPlan(cells: Position[]): void;
+  clearPlanHighlight(): void;
+  getPlannedCells(): Position[];
   clearAllHighlights(): void;
   reset(): void;
   setClickHandler(handler: CellClickHandler): void;
@@ -196,13 +615,14 @@ export interface UIState {
   currentRound: number;
   totalRounds: number;
   showSuggestions: boolean;
-  algorithmType: 'standard' | 'enhanced' | 'ai-learning';
+  algorithmType: 'standard' | 'enhanced' | 'monte-carlo' | 'ai-learning';
 }
 
 // Configuration types
 export interface GameConfig {
   boardSize: number;
   maxRounds: number;
+  lineLength: number;
   enableAI: boolean;
   enableSuggestions: boolean;
   autoRandomMove: boolean;
@@ -250,11 +670,66 @@ declare global {
     CONSTANTS: typeof import('./utils/common.js').CONSTANTS;
     Utils: typeof import('./utils/common.js').Utils;
     GameError: typeof import('./utils/common.js').GameError;
-    GameEngine: new () => IGameEngine;
+    GameEngine: new (config?: Partial<GameConfig>) => IGameEngine;
     GameBoard: new (containerId: string, size?: number) => IGameBoard;
-    LineDetector: new () => ILineDetector;
-    ProbabilityCalculator: new () => IProbabilityCalculator;
-    EnhancedProbabilityCalculator: new () => IProbabilityCalculator;
+    LineDetector: new (config?: Partial<GameConfig>) => ILineDetector;
+    StrategyRegistry: {
+      new (scripts?: string[]): IStrategyRegistry;
+      default: IStrategyRegistry;
+    };
+    ProbabilityCalculator: new (
+      config?: Partial<GameConfig>
+    ) => IProbabilityCalculator;
+    EnhancedProbabilityCalculator: new (
+      config?: Partial<GameConfig>
+    ) => IProbabilityCalculator;
+    MonteCarloProbabilityCalculator: new (
+      config?: Partial<GameConfig>,
+      options?: MonteCarloOptions
+    ) => IProbabilityCalculator;
+    SuggestionWorkerHost: new (
+      options?: SuggestionWorkerHostOptions
+    ) => ISuggestionWorkerHost;
+    MovePlanner: new (config?: Partial<GameConfig>) => IMovePlanner;
+    LearningStore: {
+      new (options?: {
+        backends?: LearningBackend[];
+        key?: string;
+      }): ILearningStore;
+      SCHEMA_VERSION: number;
+      MIGRATIONS: Record<number, (state: any) => any>;
+      createDefault(options?: { key?: string }): ILearningStore;
+      serialize(state: object): LearningStateRecord;
+      deserialize(record: object): Record<string, unknown>;
+    };
+    FeatureEncoder: {
+      create(version?: number, config?: Partial<GameConfig>): IFeatureEncoder;
+      TYPES: Record<number, new (config?: Partial<GameConfig>) => IFeatureEncoder>;
+      LATEST: number;
+    };
+    SelfPlayTrainer: {
+      new (options?: SelfPlayOptions): ISelfPlayTrainer;
+      createWorkerHandler(
+        post: (message: SelfPlayWorkerMessage) => void
+      ): (message: {
+        type: 'train';
+        games: number;
+        options?: SelfPlayOptions;
+        state?: LearningStateRecord;
+      }) => void;
+    };
+    ComputerPolicy: {
+      new (
+        config?: Partial<GameConfig>,
+        options?: ComputerPolicyOptions
+      ): IComputerPolicy;
+      create(
+        name: ComputerPolicyName,
+        config?: Partial<GameConfig>,
+        options?: ComputerPolicyOptions
+      ): IComputerPolicy;
+      NAMES: ComputerPolicyName[];
+    };
   }
 }
 
@@ -10,6 +10,7 @@
  * - Consistent move evaluation structure
  * - Reusable caching mechanisms
  * - Standard error handling
+ * - Accepts boards as number[][] or Bitboard (see utils/bitboard.js)
  *
  * @abstract
  * @class BaseProbabilityCalculator
@@ -17,22 +18,25 @@
  */
 
 // Import common utilities
-let BaseProbConstants, BaseProbUtils;
+let BaseProbConstants, BaseProbUtils, BaseProbBitboard;
 if (typeof require !== 'undefined') {
   const common = require('./common.js');
   BaseProbConstants = common.CONSTANTS;
   BaseProbUtils = common.Utils;
+  BaseProbBitboard = require('./bitboard.js');
 } else if (typeof window !== 'undefined' && window.CONSTANTS) {
   BaseProbConstants = window.CONSTANTS;
   BaseProbUtils = window.Utils;
+  BaseProbBitboard = window.Bitboard;
 }
 
 class BaseProbabilityCalculator {
   /**
    * Create base probability calculator instance
    * @param {Object} weights - Algorithm-specific weights
+   * @param {Object} [config] - Game configuration ({ boardSize, maxRounds, lineLength })
    */
-  constructor(weights) {
+  constructor(weights, config = {}) {
     // Use imported constants or fallback values
     const constants = BaseProbConstants || {
       BOARD_SIZE: 5,
@@ -69,6 +73,12 @@ class BaseProbabilityCalculator {
         return empty;
       },
       getBoardHash: board => board.flat().join(''),
+      getCanonicalBoard: board => ({
+        hash: board.flat().join(''),
+        transform: 0
+      }),
+      transformPosition: (row, col) => ({ row, col }),
+      inverseTransform: transform => transform,
       isCenterPosition: (row, col, boardSize) =>
         row === Math.floor(boardSize / 2) && col === Math.floor(boardSize / 2),
       getLineCells: (row, col, lineType, boardSize) => {
@@ -116,6 +126,37 @@ class BaseProbabilityCalculator {
         return board.every(
           row => Array.isArray(row) && row.length === expectedSize
         );
+      },
+      createGameConfig: (options = {}) => {
+        const boardSize = options.boardSize || 5;
+        return {
+          boardSize,
+          maxRounds: options.maxRounds || 8,
+          lineLength: options.lineLength || boardSize
+        };
+      },
+      generateLines: (boardSize, lineLength = boardSize) => {
+        const lines = [];
+        const directions = [
+          ['horizontal', 0, 1],
+          ['vertical', 1, 0],
+          ['diagonal-main', 1, 1],
+          ['diagonal-anti', 1, -1]
+        ];
+        for (const [type, dr, dc] of directions) {
+          for (let r = 0; r < boardSize; r++) {
+            for (let c = 0; c < boardSize; c++) {
+              const endR = r + dr * (lineLength - 1);
+              const endC = c + dc * (lineLength - 1);
+              if (endR >= boardSize || endC < 0 || endC >= boardSize) continue;
+              const cells = [];
+              for (let i = 0; i < lineLength; i++)
+                cells.push([r + dr * i, c + dc * i]);
+              lines.push({ type, cells });
+            }
+          }
+        }
+        return lines;
       }
     };
 
@@ -123,18 +164,50 @@ class BaseProbabilityCalculator {
     this.Utils = utils;
 
     // Board configuration
-    this.BOARD_SIZE = constants.BOARD_SIZE;
+    this.config = utils.createGameConfig(config);
+    this.BOARD_SIZE = this.config.boardSize;
+    this.MAX_ROUNDS = this.config.maxRounds;
+    this.LINE_LENGTH = this.config.lineLength;
     this.CELL_STATES = constants.CELL_STATES;
     this.LINE_TYPES = constants.LINE_TYPES;
+    this._initializeLines();
 
     // Algorithm weights
     this.WEIGHTS = { ...(weights || constants.ALGORITHM_WEIGHTS.STANDARD) };
 
+    // Model of where the computer plays next (see setComputerPolicy)
+    this.computerPolicy = null;
+
+    // Precomputed best moves for the first rounds (see setOpeningBook)
+    this.openingBook = null;
+
+    // Whether simulateAllPossibleMoves may pass bitboards to calculateMoveValue.
+    // Subclasses enable it when they only use the board helpers of this class.
+    this.evaluatesBitboards = false;
+
     // Performance optimization
     this._initializeCache();
     this._initializePerformanceMetrics();
   }
 
+  /**
+   * Pre-compute every line and index them by cell
+   * @private
+   */
+  _initializeLines() {
+    this._lines = this.Utils.generateLines(this.BOARD_SIZE, this.LINE_LENGTH);
+    this._cellLines = Array.from(
+      { length: this.BOARD_SIZE * this.BOARD_SIZE },
+      () => []
+    );
+
+    for (const line of this._lines) {
+      for (const [row, col] of line.cells) {
+        this._cellLines[row * this.BOARD_SIZE + col].push(line);
+      }
+    }
+  }
+
   /**
    * Initialize caching system
    * @private
@@ -142,6 +215,8 @@ class BaseProbabilityCalculator {
   _initializeCache() {
     this._valueCache = new Map();
     this._lineCache = new Map();
+    this._canonicalCache = new Map();
+    this._predictionCache = new Map();
     this._maxCacheSize =
       (BaseProbConstants &&
         BaseProbConstants.PERFORMANCE &&
@@ -165,9 +240,10 @@ class BaseProbabilityCalculator {
   /**
    * Abstract method - must be implemented by subclasses
    * @abstract
-   * @param {number[][]} board - Game board
+   * @param {number[][]|Bitboard} board - Game board
    * @param {number} row - Row position
    * @param {number} col - Column position
+   * @param {Object} [context] - Game context (see getHorizon)
    * @returns {number} Move value
    */
   calculateMoveValue(board, row, col) {
@@ -176,12 +252,16 @@ class BaseProbabilityCalculator {
 
   /**
    * Validate move position
-   * @param {number[][]} board - Game board
+   * @param {number[][]|Bitboard} board - Game board
    * @param {number} row - Row position
    * @param {number} col - Column position
    * @returns {boolean} Whether move is valid
    */
   isValidMove(board, row, col) {
+    if (this.isBitboard(board)) {
+      return board.isEmpty(row, col);
+    }
+
     return (
       this.Utils.isValidPosition(row, col, this.BOARD_SIZE) &&
       this.Utils.isCellEmpty(board, row, col)
@@ -200,31 +280,131 @@ class BaseProbabilityCalculator {
 
   /**
    * Copy board safely
-   * @param {number[][]} board - Original board
-   * @returns {number[][]} Copied board
+   * @param {number[][]|Bitboard} board - Original board
+   * @returns {number[][]|Bitboard} Copied board
    */
   copyBoard(board) {
+    if (this.isBitboard(board)) {
+      return board.copy();
+    }
     return this.Utils.copyBoard(board);
   }
 
+  /**
+   * Create a copy of the board with one move applied
+   * Bitboards avoid allocating a new 2D array.
+   * @param {number[][]|Bitboard} board - Game board
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @param {number} state - Cell state to place
+   * @returns {number[][]|Bitboard} New board in the same representation
+   */
+  applyMove(board, row, col, state) {
+    if (this.isBitboard(board)) {
+      return board.withMove(row, col, state);
+    }
+
+    const testBoard = this.copyBoard(board);
+    testBoard[row][col] = state;
+    return testBoard;
+  }
+
+  /**
+   * Check whether a board uses the bitboard representation
+   * @param {*} board - Game board
+   * @returns {boolean} Whether board is a Bitboard
+   */
+  isBitboard(board) {
+    return Boolean(BaseProbBitboard && board instanceof BaseProbBitboard);
+  }
+
+  /**
+   * Convert a number[][] board to a bitboard for this configuration
+   * @param {number[][]|Bitboard} board - Game board
+   * @returns {Bitboard|null} Bitboard, or null when the board is too large
+   */
+  toBitboard(board) {
+    if (!BaseProbBitboard || !BaseProbBitboard.supports(this.BOARD_SIZE)) {
+      return null;
+    }
+    return BaseProbBitboard.fromArray(board, this.LINE_LENGTH);
+  }
+
   /**
    * Get empty cells from board
-   * @param {number[][]} board - Game board
+   * @param {number[][]|Bitboard} board - Game board
    * @returns {Array} Array of empty cell positions
    */
   getEmptyCells(board) {
+    if (this.isBitboard(board)) {
+      return board.getEmptyCells();
+    }
     return this.Utils.getEmptyCells(board);
   }
 
   /**
    * Get board hash for caching
-   * @param {number[][]} board - Game board
+   * @param {number[][]|Bitboard} board - Game board
    * @returns {string} Board hash
    */
   getBoardHash(board) {
+    if (this.isBitboard(board)) {
+      return board.hash;
+    }
     return this.Utils.getBoardHash(board);
   }
 
+  /**
+   * Get the symmetry-reduced form of a board for caching
+   * Rotations and reflections of a position share the same canonical hash.
+   * @param {number[][]|Bitboard} board - Game board
+   * @returns {{hash: string, transform: number}} Canonical hash and transform
+   */
+  getCanonicalForm(board) {
+    const rawHash = this.getBoardHash(board);
+    let canonical = this._canonicalCache.get(rawHash);
+
+    if (canonical === undefined) {
+      canonical = this.isBitboard(board)
+        ? board.getCanonical()
+        : this.Utils.getCanonicalBoard(board);
+      if (this._canonicalCache.size >= this._maxCacheSize) {
+        const firstKey = this._canonicalCache.keys().next().value;
+        this._canonicalCache.delete(firstKey);
+      }
+      this._canonicalCache.set(rawHash, canonical);
+    }
+
+    return canonical;
+  }
+
+  /**
+   * Map a position on the original board into canonical space
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @param {number} transform - Transform returned by getCanonicalForm
+   * @returns {{row: number, col: number}} Canonical position
+   */
+  toCanonicalPosition(row, col, transform) {
+    return this.Utils.transformPosition(row, col, transform, this.BOARD_SIZE);
+  }
+
+  /**
+   * Map a canonical position back to the original orientation
+   * @param {number} row - Canonical row
+   * @param {number} col - Canonical column
+   * @param {number} transform - Transform returned by getCanonicalForm
+   * @returns {{row: number, col: number}} Original position
+   */
+  fromCanonicalPosition(row, col, transform) {
+    return this.Utils.transformPosition(
+      row,
+      col,
+      this.Utils.inverseTransform(transform),
+      this.BOARD_SIZE
+    );
+  }
+
   /**
    * Get line cells for specific line type
    * @param {number} row - Reference row
@@ -233,7 +413,27 @@ class BaseProbabilityCalculator {
    * @returns {Array} Array of cell positions
    */
   getLineCells(row, col, lineType) {
-    return this.Utils.getLineCells(row, col, lineType, this.BOARD_SIZE);
+    const line = this.getLinesThroughCell(row, col).find(
+      candidate => candidate.type === lineType
+    );
+    return line
+      ? line.cells
+      : this.Utils.getLineCells(row, col, lineType, this.BOARD_SIZE);
+  }
+
+  /**
+   * Get every line that passes through a position
+   * When the line length is shorter than the board there can be several
+   * lines of the same type through one cell.
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @returns {Array<{type: string, cells: Array}>} Line descriptors
+   */
+  getLinesThroughCell(row, col) {
+    if (!this.Utils.isValidPosition(row, col, this.BOARD_SIZE)) {
+      return [];
+    }
+    return this._cellLines[row * this.BOARD_SIZE + col];
   }
 
   /**
@@ -243,42 +443,53 @@ class BaseProbabilityCalculator {
    * @returns {Array} Array of relevant line types
    */
   getRelevantLines(row, col) {
-    return this.Utils.getRelevantLineTypes(row, col, this.BOARD_SIZE);
+    return [
+      ...new Set(this.getLinesThroughCell(row, col).map(line => line.type))
+    ];
   }
 
   /**
    * Check if line is complete
-   * @param {number[][]} board - Game board
+   * @param {number[][]|Bitboard} board - Game board
    * @param {Array} cells - Array of cell positions
    * @returns {boolean} Whether line is complete
    */
   isLineComplete(board, cells) {
+    if (this.isBitboard(board)) {
+      return board.isLineComplete(cells);
+    }
     return this.Utils.isLineComplete(board, cells);
   }
 
   /**
    * Count filled cells in line
-   * @param {number[][]} board - Game board
+   * @param {number[][]|Bitboard} board - Game board
    * @param {Array} cells - Array of cell positions
    * @returns {number} Number of filled cells
    */
   countFilledCells(board, cells) {
+    if (this.isBitboard(board)) {
+      return board.countFilled(cells);
+    }
     return this.Utils.countFilledCells(board, cells);
   }
 
   /**
    * Count empty cells in line
-   * @param {number[][]} board - Game board
+   * @param {number[][]|Bitboard} board - Game board
    * @param {Array} cells - Array of cell positions
    * @returns {number} Number of empty cells
    */
   countEmptyCells(board, cells) {
+    if (this.isBitboard(board)) {
+      return board.countEmpty(cells);
+    }
     return this.Utils.countEmptyCells(board, cells);
   }
 
   /**
    * Check line completion for specific position and type
-   * @param {number[][]} board - Game board
+   * @param {number[][]|Bitboard} board - Game board
    * @param {number} row - Row position
    * @param {number} col - Column position
    * @param {string} lineType - Line type
@@ -289,17 +500,358 @@ class BaseProbabilityCalculator {
     return this.isLineComplete(board, cells);
   }
 
+  /**
+   * Resolve a game context into the number of moves left in the game
+   * Accepts the object built by GameEngine.getGameContext() or any object with
+   * { currentRound, roundsLeft, turn }. Each round fills one player cell and
+   * one computer cell, so a line that needs more cells than will be filled
+   * after this move can no longer be completed.
+   * Without a context there is no horizon and every line counts fully.
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {Object} [context] - Game context
+   * @param {number} [context.currentRound] - Current round (1-based)
+   * @param {number} [context.roundsLeft] - Rounds left, including the current one
+   * @param {string} [context.turn] - Whose move is evaluated: 'player' or 'computer'
+   * @param {string} [context.gamePhase] - Engine phase, used when turn is missing
+   * @param {number} [context.maxRounds] - Rounds per game (default: config)
+   * @returns {{currentRound: number, roundsLeft: number, turn: string, movesAfter: number, emptyAfter: number}|null} Horizon, or null without a context
+   */
+  getHorizon(board, context) {
+    if (!context) {
+      return null;
+    }
+
+    const maxRounds = context.maxRounds || this.MAX_ROUNDS;
+    const roundsLeft = Math.max(
+      0,
+      context.roundsLeft !== undefined
+        ? context.roundsLeft
+        : maxRounds - (context.currentRound || 1) + 1
+    );
+    const turn =
+      context.turn ||
+      (context.gamePhase === 'computer-turn' ? 'computer' : 'player');
+
+    // The computer's move is the last one of its round
+    const movesLeft = roundsLeft * 2 - (turn === 'computer' ? 1 : 0);
+    const emptyCount = this.getEmptyCells(board).length;
+
+    return {
+      currentRound: context.currentRound || maxRounds - roundsLeft + 1,
+      roundsLeft,
+      turn,
+      movesAfter: Math.max(0, Math.min(movesLeft, emptyCount) - 1),
+      emptyAfter: Math.max(0, emptyCount - 1)
+    };
+  }
+
+  /**
+   * Cache key suffix for a horizon
+   * @param {Object|null} horizon - Horizon from getHorizon
+   * @returns {string} Key suffix (empty without a horizon)
+   */
+  getHorizonKey(horizon) {
+    return horizon ? `-h${horizon.movesAfter}` : '';
+  }
+
+  /**
+   * Weight of a line given the moves left after this one
+   * A line that needs more cells than the horizon allows counts zero. A
+   * reachable line counts fully plus the chance that the remaining fills
+   * (a random subset of the empty cells) complete it, so reachable lines
+   * outrank unreachable ones and lines closer to completion come first.
+   * @param {number} missing - Empty cells left in the line after the move
+   * @param {Object|null} horizon - Horizon from getHorizon
+   * @returns {number} 0 when unreachable, otherwise in [1, 2] (1 without a horizon)
+   */
+  getLineReachability(missing, horizon) {
+    if (!horizon) {
+      return 1;
+    }
+    if (missing > horizon.movesAfter) {
+      return 0;
+    }
+
+    let chance = 1;
+    for (let i = 0; i < missing; i++) {
+      chance *= (horizon.movesAfter - i) / (horizon.emptyAfter - i);
+    }
+    return 1 + chance;
+  }
+
+  /**
+   * Check whether a line can still be completed within the horizon
+   * @param {number[][]|Bitboard} testBoard - Board with the move applied
+   * @param {Array} cells - Line cells
+   * @param {Object|null} horizon - Horizon from getHorizon
+   * @returns {boolean} Whether the remaining moves can fill the line
+   */
+  isLineReachable(testBoard, cells, horizon) {
+    return (
+      !horizon || this.countEmptyCells(testBoard, cells) <= horizon.movesAfter
+    );
+  }
+
+  /**
+   * Replace some or all algorithm weights
+   * Cached move values depend on the weights, so every cache is cleared.
+   * @param {Object<string, number>} weights - Weight name -> value (e.g. from a tuned weights file)
+   * @throws {Error} When a weight is unknown or not a non-negative number
+   */
+  setWeights(weights) {
+    Object.assign(
+      this.WEIGHTS,
+      BaseProbabilityCalculator.validateWeights(weights, this.WEIGHTS)
+    );
+    this.clearCache();
+  }
+
+  /**
+   * Load weights from a weights file written by WeightTuner or a plain weight map
+   * A file path is only read in Node.js; browsers pass the parsed JSON.
+   * @static
+   * @param {string|Object} source - File path, parsed weights file ({ weights }) or weight map
+   * @returns {Object<string, number>} Weight name -> value, ready for setWeights
+   * @throws {Error} When the file cannot be read or holds invalid weights
+   */
+  static loadWeights(source) {
+    let data = source;
+    if (typeof source === 'string') {
+      if (typeof require === 'undefined') {
+        throw new Error('Weights files can only be read from disk in Node.js');
+      }
+      data = JSON.parse(require('fs').readFileSync(source, 'utf8'));
+    }
+
+    const weights =
+      data && typeof data.weights === 'object' ? data.weights : data;
+    return BaseProbabilityCalculator.validateWeights(weights);
+  }
+
+  /**
+   * Check a weight map
+   * @static
+   * @param {Object<string, number>} weights - Weight name -> value
+   * @param {Object<string, number>} [known] - Allowed weight names; any name when omitted
+   * @returns {Object<string, number>} Copy of the weights
+   * @throws {Error} When a weight is unknown or not a non-negative number
+   */
+  static validateWeights(weights, known) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      throw new Error('Weights must be an object of weight name -> number');
+    }
+
+    const validated = {};
+    for (const [name, value] of Object.entries(weights)) {
+      if (known && !(name in known)) {
+        throw new Error(
+          `Unknown weight: ${name} (expected ${Object.keys(known).join(', ')})`
+        );
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`Weight ${name} must be a non-negative number`);
+      }
+      validated[name] = value;
+    }
+    return validated;
+  }
+
+  /**
+   * Use a computer policy to predict the computer's reply to each move
+   * @param {ComputerPolicy|null} policy - Policy with predict(board, context); null restores the uniform default
+   */
+  setComputerPolicy(policy) {
+    this.computerPolicy = policy || null;
+    this._predictionCache.clear();
+  }
+
+  /**
+   * Answer early positions from an opening book before evaluating every move
+   * @param {OpeningBook|null} book - Book with lookup(board, roundsLeft); null evaluates every position
+   */
+  setOpeningBook(book) {
+    this.openingBook = book || null;
+  }
+
+  /**
+   * Look up the board in the opening book
+   * Book values assume a uniformly random computer, so the book is skipped
+   * while a non-uniform computer policy is active, and it only answers
+   * positions where the player is to move.
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {Object} [context] - Game context (see getHorizon)
+   * @returns {Object|null} Book suggestion (source: 'book') or null
+   */
+  getBookSuggestion(board, context) {
+    if (!this.openingBook || this.hasComputerModel()) {
+      return null;
+    }
+
+    const horizon = this.getHorizon(board, context);
+    if (horizon && horizon.turn !== 'player') {
+      return null;
+    }
+
+    return this.openingBook.lookup(
+      this.isBitboard(board) ? board.toArray() : board,
+      horizon ? horizon.roundsLeft : undefined
+    );
+  }
+
+  /**
+   * Check whether move values depend on a non-uniform computer policy
+   * Canonical caches cannot be shared across symmetric boards in that case,
+   * because the prediction depends on the absolute position of each cell.
+   * @returns {boolean} Whether a non-uniform policy is active
+   */
+  hasComputerModel() {
+    return Boolean(this.computerPolicy && !this.computerPolicy.isUniform);
+  }
+
+  /**
+   * Adjust a move value for the computer policy's predictions
+   * A move into a cell the computer is expected to take anyway is worth less,
+   * and a move into lines the computer is expected to fill is worth more.
+   * Both are measured against a uniformly random computer, which the
+   * heuristics already assume, so the uniform policy leaves values unchanged.
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @param {number} value - Move value under a random computer
+   * @param {Object} [context] - Game context (see getHorizon)
+   * @returns {number} Adjusted move value
+   */
+  applyComputerModel(board, row, col, value, context) {
+    if (!this.hasComputerModel()) {
+      return value;
+    }
+
+    // The computer only replies to player moves that leave moves to play
+    const horizon = this.getHorizon(board, context);
+    if (horizon && (horizon.turn === 'computer' || horizon.movesAfter === 0)) {
+      return value;
+    }
+
+    // Computer moves left after this one (the computer moves first)
+    const computerMoves = horizon ? Math.ceil(horizon.movesAfter / 2) : 1;
+    const emptyAfter = this.getEmptyCells(board).length - 1;
+    if (emptyAfter <= 0) {
+      return value;
+    }
+
+    const uniformChance = Math.min(1, computerMoves / emptyAfter);
+    const ownChance = Math.min(
+      1,
+      computerMoves * this.predictComputerMove(board, context)[row][col]
+    );
+    const ownFactor =
+      uniformChance < 1
+        ? Math.max(0, (1 - ownChance) / (1 - uniformChance))
+        : 1;
+
+    // Nothing the move adds counts if the computer would take the cell anyway
+    const replyValue = this.calculateReplyValue(board, row, col, context, {
+      horizon,
+      computerMoves,
+      uniformChance
+    });
+    return (value + replyValue) * ownFactor;
+  }
+
+  /**
+   * Predicted distribution of the computer's next move on a board
+   * Predictions are cached per board, since every candidate move asks for
+   * the prediction on the current board and on the board after the move.
+   * @param {number[][]|Bitboard} board - Game board
+   * @param {Object} [context] - Game context
+   * @returns {number[][]} Probability of each cell
+   */
+  predictComputerMove(board, context) {
+    const round = context ? context.currentRound : '';
+    const key = `${this.getBoardHash(board)}-${round}-${this.computerPolicy.version}`;
+    let prediction = this._predictionCache.get(key);
+
+    if (prediction === undefined) {
+      prediction = this.computerPolicy.predict(
+        this.isBitboard(board) ? board.toArray() : board,
+        context ? { ...context, turn: 'computer' } : context
+      );
+      if (this._predictionCache.size >= this._maxCacheSize) {
+        this._predictionCache.clear();
+      }
+      this._predictionCache.set(key, prediction);
+    }
+
+    return prediction;
+  }
+
+  /**
+   * Value of the lines the computer is expected to fill after a move
+   * For each line through the move, compares the line cells the policy is
+   * expected to fill over the computer's remaining moves with the number a
+   * uniformly random computer would fill.
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @param {Object} [context] - Game context (see getHorizon)
+   * @param {{horizon: Object|null, computerMoves: number, uniformChance: number}} model - Values from applyComputerModel
+   * @returns {number} Reply value
+   */
+  calculateReplyValue(board, row, col, context, model) {
+    const { horizon, computerMoves, uniformChance } = model;
+    const moved = this.applyMove(board, row, col, this.CELL_STATES.PLAYER);
+    const testBoard = this.isBitboard(moved) ? moved.toArray() : moved;
+    const prediction = this.predictComputerMove(testBoard, context);
+
+    let value = 0;
+    for (const { cells } of this.getLinesThroughCell(row, col)) {
+      const emptyCells = cells.filter(([r, c]) => testBoard[r][c] === 0);
+      if (
+        emptyCells.length === 0 ||
+        (horizon && emptyCells.length > horizon.movesAfter)
+      ) {
+        continue;
+      }
+
+      // Expected line cells the computer fills if it keeps to the prediction
+      const predicted = emptyCells.reduce(
+        (sum, [r, c]) => sum + Math.min(1, computerMoves * prediction[r][c]),
+        0
+      );
+      const uniform = emptyCells.length * uniformChance;
+
+      // A computer move into a line one cell short completes it
+      const weight =
+        emptyCells.length === 1
+          ? this.WEIGHTS.COMPLETE_LINE
+          : (this.WEIGHTS.COOPERATIVE_LINE *
+              (this.LINE_LENGTH - emptyCells.length + 1)) /
+            this.LINE_LENGTH;
+      value += weight * (predicted - uniform);
+    }
+
+    return value;
+  }
+
   /**
    * Simulate all possible moves
-   * @param {number[][]} board - Current game board
+   * With evaluatesBitboards a number[][] board is converted to a bitboard
+   * once, so evaluating each move applies it to two masks instead of copying
+   * the 2D array.
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {Object} [context] - Game context (see getHorizon)
    * @returns {Array} Array of move evaluations
    */
-  simulateAllPossibleMoves(board) {
+  simulateAllPossibleMoves(board, context) {
     const moves = [];
-    const emptyCells = this.getEmptyCells(board);
+    const evaluated =
+      this.evaluatesBitboards && !this.isBitboard(board)
+        ? this.toBitboard(board) || board
+        : board;
+    const emptyCells = this.getEmptyCells(evaluated);
 
     for (const { row, col } of emptyCells) {
-      const value = this.calculateMoveValue(board, row, col);
+      const value = this.calculateMoveValue(evaluated, row, col, context);
       moves.push({
         row,
         col,
@@ -316,11 +868,17 @@ class BaseProbabilityCalculator {
 
   /**
    * Get best move suggestion
-   * @param {number[][]} board - Current game board
+   * @param {number[][]|Bitboard} board - Current game board
+   * @param {Object} [context] - Game context (see getHorizon)
    * @returns {Object|null} Best move suggestion or null
    */
-  getBestSuggestion(board) {
-    const allMoves = this.simulateAllPossibleMoves(board);
+  getBestSuggestion(board, context) {
+    const bookMove = this.getBookSuggestion(board, context);
+    if (bookMove) {
+      return bookMove;
+    }
+
+    const allMoves = this.simulateAllPossibleMoves(board, context);
 
     if (allMoves.length === 0) {
       return null;
@@ -383,6 +941,8 @@ class BaseProbabilityCalculator {
   clearCache() {
     this._valueCache.clear();
     this._lineCache.clear();
+    this._canonicalCache.clear();
+    this._predictionCache.clear();
   }
 
   /**
@@ -446,26 +1006,31 @@ class BaseProbabilityCalculator {
 
   /**
    * Validate board format
-   * @param {number[][]} board - Board to validate
+   * @param {number[][]|Bitboard} board - Board to validate
    * @returns {boolean} Whether board is valid
    */
   isValidBoard(board) {
+    if (this.isBitboard(board)) {
+      return (
+        board.size === this.BOARD_SIZE &&
+        board.layout.lineLength === this.LINE_LENGTH
+      );
+    }
     return this.Utils.isValidBoard(board, this.BOARD_SIZE);
   }
 
   /**
    * Calculate basic line completion value
-   * @param {number[][]} testBoard - Test board with simulated move
+   * @param {number[][]|Bitboard} testBoard - Test board with simulated move
    * @param {number} row - Move row
    * @param {number} col - Move column
    * @returns {number} Line completion value
    */
   calculateBasicCompletionValue(testBoard, row, col) {
     let value = 0;
-    const relevantLines = this.getRelevantLines(row, col);
 
-    for (const lineType of relevantLines) {
-      if (this.checkLineCompletion(testBoard, row, col, lineType)) {
+    for (const line of this.getLinesThroughCell(row, col)) {
+      if (this.isLineComplete(testBoard, line.cells)) {
         value += this.WEIGHTS.COMPLETE_LINE;
       }
     }
@@ -475,31 +1040,33 @@ class BaseProbabilityCalculator {
 
   /**
    * Calculate cooperative line value (mixed player/computer lines)
-   * @param {number[][]} board - Current board
+   * @param {number[][]|Bitboard} board - Current board
    * @param {number} row - Move row
    * @param {number} col - Move column
+   * @param {Object|null} [horizon] - Horizon from getHorizon; lines are weighted by reachability
    * @returns {number} Cooperative value
    */
-  calculateCooperativeValue(board, row, col) {
+  calculateCooperativeValue(board, row, col, horizon = null) {
     let value = 0;
-    const relevantLines = this.getRelevantLines(row, col);
 
-    for (const lineType of relevantLines) {
-      const cells = this.getLineCells(row, col, lineType);
+    for (const { cells } of this.getLinesThroughCell(row, col)) {
       const filledCount = this.countFilledCells(board, cells);
       const emptyCount = this.countEmptyCells(board, cells);
 
+      // The move itself fills one of the empty cells
+      const reachability = this.getLineReachability(emptyCount - 1, horizon);
+
       // If line has some filled cells and empty cells, it has cooperative potential
       if (filledCount > 0 && emptyCount > 0) {
-        if (filledCount === 4) {
+        if (filledCount === this.LINE_LENGTH - 1) {
           // One cell away from completion
-          value += this.WEIGHTS.COOPERATIVE_LINE * 2;
+          value += this.WEIGHTS.COOPERATIVE_LINE * 2 * reachability;
         } else if (filledCount >= 2) {
           // Multiple cells filled
-          value += this.WEIGHTS.COOPERATIVE_LINE;
+          value += this.WEIGHTS.COOPERATIVE_LINE * reachability;
         } else {
           // Single cell filled
-          value += this.WEIGHTS.COOPERATIVE_LINE * 0.5;
+          value += this.WEIGHTS.COOPERATIVE_LINE * 0.5 * reachability;
         }
       }
     }
@@ -509,23 +1076,25 @@ class BaseProbabilityCalculator {
 
   /**
    * Calculate potential line value
-   * @param {number[][]} testBoard - Test board with simulated move
+   * @param {number[][]|Bitboard} testBoard - Test board with simulated move
    * @param {number} row - Move row
    * @param {number} col - Move column
+   * @param {Object|null} [horizon] - Horizon from getHorizon; lines are weighted by reachability
    * @returns {number} Potential value
    */
-  calculatePotentialValue(testBoard, row, col) {
+  calculatePotentialValue(testBoard, row, col, horizon = null) {
     let value = 0;
-    const relevantLines = this.getRelevantLines(row, col);
 
-    for (const lineType of relevantLines) {
-      const cells = this.getLineCells(row, col, lineType);
+    for (const { cells } of this.getLinesThroughCell(row, col)) {
       const filledCount = this.countFilledCells(testBoard, cells);
       const emptyCount = this.countEmptyCells(testBoard, cells);
 
       // Potential increases with more filled cells
       if (emptyCount > 0) {
-        value += (filledCount + 1) * this.WEIGHTS.POTENTIAL_LINE;
+        value +=
+          (filledCount + 1) *
+          this.WEIGHTS.POTENTIAL_LINE *
+          this.getLineReachability(emptyCount, horizon);
       }
     }
 
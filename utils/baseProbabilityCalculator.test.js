@@ -57,6 +57,8 @@ function runBaseProbabilityCalculatorTests() {
     testPerformanceMetrics,
     testMoveSimulation,
     testSuggestionGeneration,
+    testGameContextHorizon,
+    testWeights,
     testAbstractMethods
   ];
 
@@ -393,6 +395,91 @@ function testSuggestionGeneration() {
     throw new Error('Full board should have no suggestions');
 }
 
+/**
+ * Test game context to move horizon conversion
+ */
+function testGameContextHorizon() {
+  const calculator = new TestProbabilityCalculator();
+  const board = Utils.createEmptyBoard();
+
+  if (calculator.getHorizon(board) !== null)
+    throw new Error('No context should mean no horizon');
+
+  // Round 8 of 8, player to move: only the computer moves after this
+  const lastRound = calculator.getHorizon(board, {
+    currentRound: 8,
+    maxRounds: 8
+  });
+  if (lastRound.movesAfter !== 1 || lastRound.turn !== 'player')
+    throw new Error('Last round should leave one move after the player');
+
+  // Computer to move in the last round: nothing follows
+  const computerTurn = calculator.getHorizon(board, {
+    roundsLeft: 1,
+    turn: 'computer'
+  });
+  if (computerTurn.movesAfter !== 0 || computerTurn.currentRound !== 8)
+    throw new Error('Computer move in the last round should end the game');
+
+  // Engine phases are accepted in place of turn
+  const phase = calculator.getHorizon(board, {
+    currentRound: 1,
+    gamePhase: 'computer-turn'
+  });
+  if (phase.turn !== 'computer' || phase.movesAfter !== 14)
+    throw new Error('gamePhase should set whose turn it is');
+
+  // Lines needing more cells than remain are unreachable
+  const cells = calculator.getLineCells(0, 0, 'horizontal');
+  if (calculator.isLineReachable(board, cells, lastRound))
+    throw new Error('Empty line should not be reachable with one move left');
+  if (!calculator.isLineReachable(board, cells, null))
+    throw new Error('Every line is reachable without a horizon');
+}
+
+/**
+ * Test replacing and loading weights
+ */
+function testWeights() {
+  const calculator = new TestProbabilityCalculator();
+  const board = Utils.createEmptyBoard();
+  const before = calculator.calculateMoveValue(board, 2, 2);
+  calculator._setCachedValue('key', 1);
+
+  calculator.setWeights({ CENTER_BONUS: 50 });
+  if (calculator.WEIGHTS.CENTER_BONUS !== 50)
+    throw new Error('setWeights should replace the given weight');
+  if (calculator.WEIGHTS.COMPLETE_LINE !== 100)
+    throw new Error('setWeights should keep the other weights');
+  if (calculator._valueCache.size !== 0)
+    throw new Error('setWeights should clear cached values');
+  if (calculator.calculateMoveValue(board, 2, 2) !== before + 45)
+    throw new Error('Move values should use the new weights');
+
+  // Weights files written by WeightTuner hold the map under "weights"
+  const loaded = BaseProbabilityCalculator.loadWeights({
+    version: 1,
+    weights: { COMPLETE_LINE: 90.5 }
+  });
+  if (loaded.COMPLETE_LINE !== 90.5)
+    throw new Error('loadWeights should read the weights of a weights file');
+
+  const invalid = [
+    () => calculator.setWeights({ UNKNOWN_BONUS: 1 }),
+    () => calculator.setWeights({ CENTER_BONUS: -1 }),
+    () => BaseProbabilityCalculator.loadWeights({ weights: [1, 2] })
+  ];
+  invalid.forEach((fn, index) => {
+    let threw = false;
+    try {
+      fn();
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error(`Invalid weights ${index} should be rejected`);
+  });
+}
+
 /**
  * Test abstract method enforcement
  */
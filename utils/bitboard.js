@@ -0,0 +1,420 @@
+/**
+ * Bitboard - Bitmask board representation
+ *
+ * Stores a board as two integer masks (player cells and computer cells), one
+ * bit per cell in row-major order. Lines are pre-computed as masks, so line
+ * checks become a single AND instead of scanning arrays, and simulated moves
+ * create a small object instead of copying a 2D array.
+ *
+ * Masks use 32-bit integer operations, so bitboards support boards of up to
+ * 30 cells (the standard 5x5 board uses 25 bits). Use Bitboard.supports()
+ * before converting larger boards.
+ *
+ * @class Bitboard
+ * @version 1.0.0
+ */
+
+// Import common utilities
+let BitboardConstants, BitboardUtils;
+if (typeof require !== 'undefined') {
+  const common = require('./common.js');
+  BitboardConstants = common.CONSTANTS;
+  BitboardUtils = common.Utils;
+} else if (typeof window !== 'undefined') {
+  BitboardConstants = window.CONSTANTS;
+  BitboardUtils = window.Utils;
+}
+
+// Pre-computed layouts keyed by "boardSize-lineLength"
+const bitboardLayouts = new Map();
+
+// Cell-list masks, cached per cells array
+const cellMaskCache = new WeakMap();
+
+class Bitboard {
+  /**
+   * Create a bitboard
+   * @param {number} boardSize - Board size (default: 5)
+   * @param {number} lineLength - Cells per line (default: boardSize)
+   * @param {number} player - Player cell mask
+   * @param {number} computer - Computer cell mask
+   * @throws {Error} When the board has more cells than the masks can hold
+   */
+  constructor(
+    boardSize = BitboardConstants.BOARD_SIZE,
+    lineLength = boardSize,
+    player = 0,
+    computer = 0
+  ) {
+    this.layout = Bitboard.getLayout(boardSize, lineLength);
+    this.player = player;
+    this.computer = computer;
+  }
+
+  /**
+   * Check whether a board size fits in a bitboard
+   * @param {number} boardSize - Board size
+   * @returns {boolean} Whether bitboards can represent the board
+   */
+  static supports(boardSize) {
+    return boardSize * boardSize <= Bitboard.MAX_CELLS;
+  }
+
+  /**
+   * Get (and cache) the pre-computed line masks for a board configuration
+   * @param {number} boardSize - Board size
+   * @param {number} lineLength - Cells per line
+   * @returns {Object} Layout with line descriptors, masks and symmetry tables
+   */
+  static getLayout(boardSize, lineLength = boardSize) {
+    const key = `${boardSize}-${lineLength}`;
+    let layout = bitboardLayouts.get(key);
+    if (layout) {
+      return layout;
+    }
+
+    if (!Bitboard.supports(boardSize)) {
+      throw new Error(
+        `Bitboards support at most ${Bitboard.MAX_CELLS} cells, got ${boardSize}x${boardSize}`
+      );
+    }
+
+    const cellCount = boardSize * boardSize;
+    const lines = BitboardUtils.generateLines(boardSize, lineLength).map(
+      line => ({
+        ...line,
+        mask: Bitboard.maskOf(line.cells, boardSize)
+      })
+    );
+
+    // Cell index permutation for each symmetry transform
+    const permutations = BitboardConstants.SYMMETRY_TRANSFORMS.map(
+      (_, transform) =>
+        Array.from({ length: cellCount }, (_, index) => {
+          const target = BitboardUtils.transformPosition(
+            Math.floor(index / boardSize),
+            index % boardSize,
+            transform,
+            boardSize
+          );
+          return target.row * boardSize + target.col;
+        })
+    );
+
+    layout = {
+      boardSize,
+      lineLength,
+      cellCount,
+      fullMask: (1 << cellCount) - 1,
+      lines,
+      permutations
+    };
+    bitboardLayouts.set(key, layout);
+    return layout;
+  }
+
+  /**
+   * Build a mask from a list of cells
+   * @param {Array} cells - Array of [row, col] positions
+   * @param {number} boardSize - Board size
+   * @returns {number} Cell mask
+   */
+  static maskOf(cells, boardSize = BitboardConstants.BOARD_SIZE) {
+    let mask = 0;
+    for (const [row, col] of cells) {
+      mask |= 1 << (row * boardSize + col);
+    }
+    return mask;
+  }
+
+  /**
+   * Count set bits
+   * @param {number} mask - Bit mask
+   * @returns {number} Number of set bits
+   */
+  static popcount(mask) {
+    let n = mask - ((mask >>> 1) & 0x55555555);
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  }
+
+  /**
+   * Create a bitboard from the number[][] format
+   * @param {number[][]} board - Game board
+   * @param {number} lineLength - Cells per line (default: board size)
+   * @returns {Bitboard} Equivalent bitboard
+   */
+  static fromArray(board, lineLength = board.length) {
+    const size = board.length;
+    let player = 0;
+    let computer = 0;
+
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const bit = 1 << (row * size + col);
+        if (board[row][col] === BitboardConstants.CELL_STATES.PLAYER) {
+          player |= bit;
+        } else if (board[row][col] === BitboardConstants.CELL_STATES.COMPUTER) {
+          computer |= bit;
+        }
+      }
+    }
+
+    return new Bitboard(size, lineLength, player, computer);
+  }
+
+  /**
+   * Convert back to the number[][] format
+   * @returns {number[][]} Game board
+   */
+  toArray() {
+    const size = this.layout.boardSize;
+    const board = BitboardUtils.createEmptyBoard(size);
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        board[row][col] = this.getCell(row, col);
+      }
+    }
+    return board;
+  }
+
+  /**
+   * Board size
+   * @returns {number} Board size
+   */
+  get size() {
+    return this.layout.boardSize;
+  }
+
+  /**
+   * Mask of all filled cells
+   * @returns {number} Occupied mask
+   */
+  get occupied() {
+    return this.player | this.computer;
+  }
+
+  /**
+   * Hash of the exact position
+   * @returns {string} Position hash
+   */
+  get hash() {
+    return `${this.player}.${this.computer}`;
+  }
+
+  /**
+   * Get the state of a cell
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @returns {number} Cell state (CELL_STATES value)
+   */
+  getCell(row, col) {
+    const bit = 1 << (row * this.layout.boardSize + col);
+    if (this.player & bit) return BitboardConstants.CELL_STATES.PLAYER;
+    if (this.computer & bit) return BitboardConstants.CELL_STATES.COMPUTER;
+    return BitboardConstants.CELL_STATES.EMPTY;
+  }
+
+  /**
+   * Check whether a cell is empty
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @returns {boolean} Whether the cell is inside the board and empty
+   */
+  isEmpty(row, col) {
+    return (
+      BitboardUtils.isValidPosition(row, col, this.layout.boardSize) &&
+      (this.occupied & (1 << (row * this.layout.boardSize + col))) === 0
+    );
+  }
+
+  /**
+   * Return a new bitboard with a move applied
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @param {number} state - CELL_STATES.PLAYER or CELL_STATES.COMPUTER
+   * @returns {Bitboard} New bitboard
+   */
+  withMove(row, col, state) {
+    const bit = 1 << (row * this.layout.boardSize + col);
+    const clear = ~bit;
+    const player =
+      state === BitboardConstants.CELL_STATES.PLAYER
+        ? this.player | bit
+        : this.player & clear;
+    const computer =
+      state === BitboardConstants.CELL_STATES.COMPUTER
+        ? this.computer | bit
+        : this.computer & clear;
+    return this._derive(player, computer);
+  }
+
+  /**
+   * Copy the bitboard
+   * @returns {Bitboard} Copy
+   */
+  copy() {
+    return this._derive(this.player, this.computer);
+  }
+
+  /**
+   * Get empty cell positions in row-major order
+   * @returns {Array<{row: number, col: number}>} Empty cells
+   */
+  getEmptyCells() {
+    const size = this.layout.boardSize;
+    const occupied = this.occupied;
+    const empty = [];
+    for (let index = 0; index < this.layout.cellCount; index++) {
+      if ((occupied & (1 << index)) === 0) {
+        empty.push({ row: Math.floor(index / size), col: index % size });
+      }
+    }
+    return empty;
+  }
+
+  /**
+   * Count filled cells in a line
+   * @param {number|Array} cells - Line mask or array of [row, col] positions
+   * @returns {number} Number of filled cells
+   */
+  countFilled(cells) {
+    return Bitboard.popcount(this.occupied & this._toMask(cells));
+  }
+
+  /**
+   * Count empty cells in a line
+   * @param {number|Array} cells - Line mask or array of [row, col] positions
+   * @returns {number} Number of empty cells
+   */
+  countEmpty(cells) {
+    const mask = this._toMask(cells);
+    return Bitboard.popcount(mask & ~this.occupied);
+  }
+
+  /**
+   * Check whether every cell in a line is filled
+   * @param {number|Array} cells - Line mask or array of [row, col] positions
+   * @returns {boolean} Whether the line is complete
+   */
+  isLineComplete(cells) {
+    const mask = this._toMask(cells);
+    return (this.occupied & mask) === mask;
+  }
+
+  /**
+   * Get the pre-computed lines that are complete
+   * @returns {Array<Object>} Completed line descriptors ({ type, cells, mask, row?, col? })
+   */
+  getCompletedLines() {
+    const occupied = this.occupied;
+    return this.layout.lines.filter(
+      line => (occupied & line.mask) === line.mask
+    );
+  }
+
+  /**
+   * Count completed lines
+   * @returns {number} Number of completed lines
+   */
+  countCompletedLines() {
+    const occupied = this.occupied;
+    let count = 0;
+    for (const line of this.layout.lines) {
+      if ((occupied & line.mask) === line.mask) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Apply a symmetry transform
+   * @param {number} transform - Index into CONSTANTS.SYMMETRY_TRANSFORMS
+   * @returns {Bitboard} Transformed bitboard
+   */
+  transform(transform) {
+    const permutation = this.layout.permutations[transform];
+    let player = 0;
+    let computer = 0;
+    for (let index = 0; index < this.layout.cellCount; index++) {
+      const bit = 1 << index;
+      if (this.player & bit) player |= 1 << permutation[index];
+      else if (this.computer & bit) computer |= 1 << permutation[index];
+    }
+    return this._derive(player, computer);
+  }
+
+  /**
+   * Map the position to the representative of its symmetry class
+   * Follows the same contract as Utils.getCanonicalBoard.
+   * @returns {{hash: string, transform: number}} Canonical hash and transform
+   */
+  getCanonical() {
+    let best = null;
+    for (
+      let transform = 0;
+      transform < this.layout.permutations.length;
+      transform++
+    ) {
+      const candidate = transform === 0 ? this : this.transform(transform);
+      if (
+        best === null ||
+        candidate.player < best.player ||
+        (candidate.player === best.player && candidate.computer < best.computer)
+      ) {
+        best = {
+          player: candidate.player,
+          computer: candidate.computer,
+          transform
+        };
+      }
+    }
+    return {
+      hash: `${best.player}.${best.computer}`,
+      transform: best.transform
+    };
+  }
+
+  /**
+   * Create a bitboard with the same layout
+   * @private
+   * @param {number} player - Player mask
+   * @param {number} computer - Computer mask
+   * @returns {Bitboard} New bitboard
+   */
+  _derive(player, computer) {
+    const board = Object.create(Bitboard.prototype);
+    board.layout = this.layout;
+    board.player = player;
+    board.computer = computer;
+    return board;
+  }
+
+  /**
+   * Resolve a mask from a mask or cell list
+   * @private
+   * @param {number|Array} cells - Line mask or array of [row, col] positions
+   * @returns {number} Mask
+   */
+  _toMask(cells) {
+    if (typeof cells === 'number') {
+      return cells;
+    }
+    let mask = cellMaskCache.get(cells);
+    if (mask === undefined) {
+      mask = Bitboard.maskOf(cells, this.layout.boardSize);
+      cellMaskCache.set(cells, mask);
+    }
+    return mask;
+  }
+}
+
+// Largest board (in cells) whose masks fit in 32-bit integer operations
+Bitboard.MAX_CELLS = 30;
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Bitboard;
+} else if (typeof window !== 'undefined') {
+  // Only assign if not already defined to prevent redeclaration
+  if (!window.Bitboard) window.Bitboard = Bitboard;
+}
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for Bitboard
+ * Tests the bitmask board representation and its array adapters
+ */
+
+// Import dependencies
+let Bitboard, CONSTANTS, Utils;
+if (typeof require !== 'undefined') {
+  Bitboard = require('./bitboard.js');
+  const common = require('./common.js');
+  CONSTANTS = common.CONSTANTS;
+  Utils = common.Utils;
+} else {
+  // Browser environment
+  Bitboard = window.Bitboard;
+  CONSTANTS = window.CONSTANTS;
+  Utils = window.Utils;
+}
+
+/**
+ * Test runner for Bitboard
+ */
+function runBitboardTests() {
+  console.log('Running Bitboard Tests...');
+
+  const tests = [
+    testArrayRoundTrip,
+    testMoves,
+    testLineCounting,
+    testLayouts,
+    testCanonicalForm
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  tests.forEach(test => {
+    try {
+      test();
+      console.log(`✓ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}: ${error.message}`);
+      failed++;
+    }
+  });
+
+  console.log(`\nBitboard Tests: ${passed} passed, ${failed} failed`);
+  return { passed, failed };
+}
+
+/**
+ * Test conversion to and from number[][]
+ */
+function testArrayRoundTrip() {
+  const board = Utils.createEmptyBoard();
+  board[0][0] = CONSTANTS.CELL_STATES.PLAYER;
+  board[2][3] = CONSTANTS.CELL_STATES.COMPUTER;
+  board[4][4] = CONSTANTS.CELL_STATES.PLAYER;
+
+  const bitboard = Bitboard.fromArray(board);
+  if (bitboard.player !== ((1 << 0) | (1 << 24)))
+    throw new Error('Player mask should contain cells 0 and 24');
+  if (bitboard.computer !== 1 << 13)
+    throw new Error('Computer mask should contain cell 13');
+
+  const restored = bitboard.toArray();
+  if (Utils.getBoardHash(restored) !== Utils.getBoardHash(board))
+    throw new Error('Round trip should preserve the board');
+}
+
+/**
+ * Test applying moves without mutating the original
+ */
+function testMoves() {
+  const empty = new Bitboard();
+  const moved = empty.withMove(2, 2, CONSTANTS.CELL_STATES.PLAYER);
+
+  if (!empty.isEmpty(2, 2)) throw new Error('Original should stay empty');
+  if (moved.isEmpty(2, 2)) throw new Error('Move should fill the cell');
+  if (moved.getCell(2, 2) !== CONSTANTS.CELL_STATES.PLAYER)
+    throw new Error('Cell should belong to the player');
+  if (moved.isEmpty(5, 0)) throw new Error('Out of range cells are not empty');
+  if (moved.getEmptyCells().length !== 24)
+    throw new Error('24 cells should remain empty');
+}
+
+/**
+ * Test line masks and counting helpers
+ */
+function testLineCounting() {
+  const board = Utils.createEmptyBoard();
+  for (let col = 0; col < 5; col++) board[1][col] = 1 + (col % 2);
+  board[0][0] = CONSTANTS.CELL_STATES.PLAYER;
+
+  const bitboard = Bitboard.fromArray(board);
+  const rowCells = Utils.getLineCells(1, 0, CONSTANTS.LINE_TYPES.HORIZONTAL);
+  const colCells = Utils.getLineCells(0, 0, CONSTANTS.LINE_TYPES.VERTICAL);
+
+  if (!bitboard.isLineComplete(rowCells))
+    throw new Error('Row 1 should be complete');
+  if (bitboard.countFilled(colCells) !== 2)
+    throw new Error('Column 0 should have 2 filled cells');
+  if (bitboard.countEmpty(colCells) !== 3)
+    throw new Error('Column 0 should have 3 empty cells');
+  if (bitboard.countCompletedLines() !== 1)
+    throw new Error('Exactly one line should be complete');
+  if (Bitboard.popcount(0x1ffffff) !== 25)
+    throw new Error('Popcount should count all 25 bits');
+}
+
+/**
+ * Test layout caching and size limits
+ */
+function testLayouts() {
+  if (Bitboard.getLayout(5) !== Bitboard.getLayout(5, 5))
+    throw new Error('Layouts should be cached');
+  if (Bitboard.getLayout(5).lines.length !== 12)
+    throw new Error('Standard board should have 12 lines');
+  if (Bitboard.getLayout(4, 3).lines.length !== 24)
+    throw new Error('4x4 board with 3-cell lines should have 24 lines');
+  if (Bitboard.supports(6)) throw new Error('6x6 does not fit in 30 bits');
+
+  let threw = false;
+  try {
+    new Bitboard(6);
+  } catch {
+    threw = true;
+  }
+  if (!threw) throw new Error('Oversized boards should be rejected');
+}
+
+/**
+ * Test symmetry-reduced hashing
+ */
+function testCanonicalForm() {
+  const board = Utils.createEmptyBoard();
+  board[0][1] = CONSTANTS.CELL_STATES.PLAYER;
+  board[3][4] = CONSTANTS.CELL_STATES.COMPUTER;
+  const expected = Bitboard.fromArray(board).getCanonical();
+
+  for (let t = 0; t < CONSTANTS.SYMMETRY_TRANSFORMS.length; t++) {
+    const variant = Bitboard.fromArray(Utils.transformBoard(board, t));
+    if (variant.getCanonical().hash !== expected.hash)
+      throw new Error(`Transform ${t} should share the canonical hash`);
+  }
+
+  const representative = Bitboard.fromArray(board).transform(
+    expected.transform
+  );
+  if (representative.hash !== expected.hash)
+    throw new Error('Canonical transform should produce the representative');
+}
+
+// Run tests if in Node.js environment
+if (typeof module !== 'undefined' && require.main === module) {
+  runBitboardTests();
+}
+
+// Export for both environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { runBitboardTests };
+} else if (typeof window !== 'undefined') {
+  window.runBitboardTests = runBitboardTests;
+}
@@ -7,6 +7,26 @@
 const CONSTANTS = {
   BOARD_SIZE: 5,
   MAX_ROUNDS: 8,
+  LINE_LENGTH: 5,
+
+  // Symmetries of the square board (dihedral group D4), indexed by transform id
+  SYMMETRY_TRANSFORMS: [
+    'identity',
+    'rotate-90',
+    'rotate-180',
+    'rotate-270',
+    'flip-horizontal',
+    'flip-vertical',
+    'transpose',
+    'anti-transpose'
+  ],
+
+  // Bounds for configurable game variants (see Utils.createGameConfig)
+  GAME_CONFIG_LIMITS: {
+    MIN_BOARD_SIZE: 3,
+    MAX_BOARD_SIZE: 9,
+    MIN_LINE_LENGTH: 3
+  },
 
   CELL_STATES: {
     EMPTY: 0,
@@ -32,7 +52,10 @@ const CONSTANTS = {
     INVALID_MOVE: 'invalid-move',
     CELL_OCCUPIED: 'cell-occupied',
     GAME_OVER: 'game-over',
-    INVALID_PHASE: 'invalid-phase'
+    INVALID_PHASE: 'invalid-phase',
+    INVALID_CONFIG: 'invalid-config',
+    INVALID_RECORD: 'invalid-record',
+    CANCELLED: 'cancelled'
   },
 
   // Algorithm weights for consistent configuration
@@ -96,12 +119,123 @@ const Utils = {
    * @returns {boolean} Whether cell is empty
    */
   isCellEmpty(board, row, col) {
-    if (!this.isValidPosition(row, col)) {
+    if (!this.isValidPosition(row, col, board.length)) {
       return false;
     }
     return board[row][col] === CONSTANTS.CELL_STATES.EMPTY;
   },
 
+  /**
+   * Normalize a game configuration object
+   * Missing fields fall back to the standard 5x5, 8 round game. When only
+   * the board size is given, the round count is capped so that both players
+   * can still move in every round.
+   * @param {Object} config - Partial game configuration
+   * @param {number} config.boardSize - Board size (3-9)
+   * @param {number} config.maxRounds - Number of rounds
+   * @param {number} config.lineLength - Consecutive cells needed for a line
+   * @returns {{boardSize: number, maxRounds: number, lineLength: number}} Validated configuration
+   * @throws {GameError} When a value is out of range
+   */
+  createGameConfig(config = {}) {
+    const limits = CONSTANTS.GAME_CONFIG_LIMITS;
+    const options = config || {};
+
+    const boardSize =
+      options.boardSize !== undefined
+        ? options.boardSize
+        : CONSTANTS.BOARD_SIZE;
+    if (
+      !Number.isInteger(boardSize) ||
+      boardSize < limits.MIN_BOARD_SIZE ||
+      boardSize > limits.MAX_BOARD_SIZE
+    ) {
+      throw new GameError(
+        `Board size must be an integer between ${limits.MIN_BOARD_SIZE} and ${limits.MAX_BOARD_SIZE}`,
+        CONSTANTS.ERROR_TYPES.INVALID_CONFIG
+      );
+    }
+
+    const lineLength =
+      options.lineLength !== undefined ? options.lineLength : boardSize;
+    if (
+      !Number.isInteger(lineLength) ||
+      lineLength < limits.MIN_LINE_LENGTH ||
+      lineLength > boardSize
+    ) {
+      throw new GameError(
+        `Line length must be an integer between ${limits.MIN_LINE_LENGTH} and ${boardSize}`,
+        CONSTANTS.ERROR_TYPES.INVALID_CONFIG
+      );
+    }
+
+    // 每回合玩家與電腦各佔一格
+    const maxPossibleRounds = Math.floor((boardSize * boardSize) / 2);
+    const maxRounds =
+      options.maxRounds !== undefined
+        ? options.maxRounds
+        : Math.min(CONSTANTS.MAX_ROUNDS, maxPossibleRounds);
+    if (
+      !Number.isInteger(maxRounds) ||
+      maxRounds < 1 ||
+      maxRounds > maxPossibleRounds
+    ) {
+      throw new GameError(
+        `Round count must be an integer between 1 and ${maxPossibleRounds}`,
+        CONSTANTS.ERROR_TYPES.INVALID_CONFIG
+      );
+    }
+
+    return { boardSize, maxRounds, lineLength };
+  },
+
+  /**
+   * Generate every line on the board
+   * A line is any run of `lineLength` consecutive cells in a row, column or
+   * diagonal. With the default configuration this yields the 12 classic
+   * lines (5 rows, 5 columns, 2 diagonals).
+   * @param {number} boardSize - Board size
+   * @param {number} lineLength - Cells per line (default: boardSize)
+   * @returns {Array<{type: string, cells: Array, row?: number, col?: number}>} Line descriptors
+   */
+  generateLines(boardSize = CONSTANTS.BOARD_SIZE, lineLength = boardSize) {
+    const directions = [
+      { type: CONSTANTS.LINE_TYPES.HORIZONTAL, dRow: 0, dCol: 1 },
+      { type: CONSTANTS.LINE_TYPES.VERTICAL, dRow: 1, dCol: 0 },
+      { type: CONSTANTS.LINE_TYPES.DIAGONAL_MAIN, dRow: 1, dCol: 1 },
+      { type: CONSTANTS.LINE_TYPES.DIAGONAL_ANTI, dRow: 1, dCol: -1 }
+    ];
+    const lines = [];
+
+    for (const { type, dRow, dCol } of directions) {
+      // 橫線依行排序，其餘依列排序，保持與 LineDetector 相同的輸出順序
+      const outer = dRow === 0 ? 'row' : 'col';
+      for (let a = 0; a < boardSize; a++) {
+        for (let b = 0; b < boardSize; b++) {
+          const row = outer === 'row' ? a : b;
+          const col = outer === 'row' ? b : a;
+          const endRow = row + dRow * (lineLength - 1);
+          const endCol = col + dCol * (lineLength - 1);
+          if (!this.isValidPosition(endRow, endCol, boardSize)) {
+            continue;
+          }
+
+          const cells = [];
+          for (let i = 0; i < lineLength; i++) {
+            cells.push([row + dRow * i, col + dCol * i]);
+          }
+
+          const line = { type, cells };
+          if (type === CONSTANTS.LINE_TYPES.HORIZONTAL) line.row = row;
+          if (type === CONSTANTS.LINE_TYPES.VERTICAL) line.col = col;
+          lines.push(line);
+        }
+      }
+    }
+
+    return lines;
+  },
+
   /**
    * Create empty board
    * @param {number} size - Board size
@@ -131,6 +265,101 @@ const Utils = {
     return board.flat().join('');
   },
 
+  /**
+   * Map a position through one of the 8 board symmetries
+   * @param {number} row - Row position
+   * @param {number} col - Column position
+   * @param {number} transform - Index into CONSTANTS.SYMMETRY_TRANSFORMS
+   * @param {number} boardSize - Board size
+   * @returns {{row: number, col: number}} Transformed position
+   */
+  transformPosition(row, col, transform, boardSize = CONSTANTS.BOARD_SIZE) {
+    const last = boardSize - 1;
+    switch (transform) {
+      case 1:
+        return { row: col, col: last - row };
+      case 2:
+        return { row: last - row, col: last - col };
+      case 3:
+        return { row: last - col, col: row };
+      case 4:
+        return { row, col: last - col };
+      case 5:
+        return { row: last - row, col };
+      case 6:
+        return { row: col, col: row };
+      case 7:
+        return { row: last - col, col: last - row };
+      default:
+        return { row, col };
+    }
+  },
+
+  /**
+   * Get the transform that undoes another transform
+   * Only the two quarter turns are not their own inverse.
+   * @param {number} transform - Index into CONSTANTS.SYMMETRY_TRANSFORMS
+   * @returns {number} Inverse transform index
+   */
+  inverseTransform(transform) {
+    if (transform === 1) return 3;
+    if (transform === 3) return 1;
+    return transform;
+  },
+
+  /**
+   * Apply a symmetry transform to a whole board
+   * @param {number[][]} board - Game board
+   * @param {number} transform - Index into CONSTANTS.SYMMETRY_TRANSFORMS
+   * @returns {number[][]} New transformed board
+   */
+  transformBoard(board, transform) {
+    const size = board.length;
+    const result = this.createEmptyBoard(size);
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const target = this.transformPosition(row, col, transform, size);
+        result[target.row][target.col] = board[row][col];
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Map a board to the representative of its symmetry class
+   * The representative is the transformed board with the smallest hash, so
+   * all 8 rotations and reflections of a position share the same hash.
+   * Positions are mapped into canonical space with transformPosition(…,
+   * transform) and back with inverseTransform(transform).
+   * @param {number[][]} board - Game board
+   * @returns {{hash: string, transform: number}} Canonical hash and the transform that produces it
+   */
+  getCanonicalBoard(board) {
+    const size = board.length;
+    let best = null;
+
+    for (
+      let transform = 0;
+      transform < CONSTANTS.SYMMETRY_TRANSFORMS.length;
+      transform++
+    ) {
+      const cells = new Array(size * size);
+      for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+          const target = this.transformPosition(row, col, transform, size);
+          cells[target.row * size + target.col] = board[row][col];
+        }
+      }
+
+      const hash = cells.join('');
+      if (best === null || hash < best.hash) {
+        best = { hash, transform };
+      }
+    }
+
+    return best;
+  },
+
   /**
    * Get empty cells from board
    * @param {number[][]} board - Game board
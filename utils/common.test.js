@@ -31,7 +31,8 @@ function runCommonUtilsTests() {
     testCacheOperations,
     testUtilityFunctions,
     testErrorHandling,
-    testPerformanceHelpers
+    testPerformanceHelpers,
+    testSymmetryOperations
   ];
 
   let passed = 0;
@@ -405,6 +406,41 @@ function testPerformanceHelpers() {
   if (ids.size !== 100) throw new Error('Generated IDs should be unique');
 }
 
+/**
+ * Test symmetry transforms and canonical hashing
+ */
+function testSymmetryOperations() {
+  const board = Utils.createEmptyBoard();
+  board[0][1] = CONSTANTS.CELL_STATES.PLAYER;
+  board[3][4] = CONSTANTS.CELL_STATES.COMPUTER;
+
+  const expected = Utils.getCanonicalBoard(board);
+
+  // Every symmetric variant must share the canonical hash
+  for (let t = 0; t < CONSTANTS.SYMMETRY_TRANSFORMS.length; t++) {
+    const variant = Utils.transformBoard(board, t);
+    const canonical = Utils.getCanonicalBoard(variant);
+    if (canonical.hash !== expected.hash)
+      throw new Error(`Transform ${t} should share the canonical hash`);
+
+    // Positions must round-trip through a transform and its inverse
+    const moved = Utils.transformPosition(0, 1, t, 5);
+    const back = Utils.transformPosition(
+      moved.row,
+      moved.col,
+      Utils.inverseTransform(t),
+      5
+    );
+    if (back.row !== 0 || back.col !== 1)
+      throw new Error(`Transform ${t} should be invertible`);
+  }
+
+  // Canonical transform maps the board onto its representative
+  const representative = Utils.transformBoard(board, expected.transform);
+  if (Utils.getBoardHash(representative) !== expected.hash)
+    throw new Error('Canonical transform should produce the representative');
+}
+
 // Run tests if in Node.js environment
 if (typeof module !== 'undefined' && require.main === module) {
   runCommonUtilsTests();
@@ -0,0 +1,120 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number source
+ *
+ * Implements the mulberry32 generator: a 32-bit state advanced by a fixed
+ * increment and mixed with integer multiplications. Two sources created with
+ * the same seed produce the same sequence, so computer moves, benchmark
+ * boards and network weights can be reproduced from a bug report.
+ *
+ * Seeds may be numbers or strings (strings are hashed with FNV-1a). Without
+ * a seed, one is picked at random and exposed via `seed` so it can be shown
+ * to the user and entered again later.
+ *
+ * @class SeededRandom
+ * @version 1.0.0
+ */
+class SeededRandom {
+  /**
+   * Create a random source
+   * @param {number|string} [seed] - Seed (default: a random seed)
+   */
+  constructor(seed) {
+    this.seed =
+      seed === undefined || seed === null || seed === ''
+        ? SeededRandom.generateSeed()
+        : SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Turn a number or string into a 32-bit unsigned seed
+   * @param {number|string} seed - Seed value
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static normalizeSeed(seed) {
+    const text = String(seed).trim();
+    if (/^-?\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for arbitrary text
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Pick a fresh seed when none is given
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Return an existing source or create one from a seed
+   * @param {SeededRandom|number|string} [source] - Source or seed
+   * @returns {SeededRandom} Random source
+   */
+  static from(source) {
+    return source instanceof SeededRandom ? source : new SeededRandom(source);
+  }
+
+  /**
+   * Next float in [0, 1), a drop-in replacement for Math.random()
+   * @returns {number} Random float
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Next integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Random integer
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Next float in [min, max)
+   * @param {number} min - Inclusive lower bound
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Random float
+   */
+  nextRange(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Pick a random element
+   * @param {Array} items - Items to choose from
+   * @returns {*} Chosen item, or undefined for an empty array
+   */
+  pick(items) {
+    return items.length === 0 ? undefined : items[this.nextInt(items.length)];
+  }
+
+  /**
+   * Restart the sequence from the original seed
+   */
+  reset() {
+    this.state = this.seed;
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SeededRandom;
+} else if (typeof window !== 'undefined') {
+  // Only assign if not already defined to prevent redeclaration
+  if (!window.SeededRandom) window.SeededRandom = SeededRandom;
+}
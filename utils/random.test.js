@@ -0,0 +1,156 @@
+/**
+ * Unit tests for SeededRandom
+ * Tests the deterministic random source and its use by seeded components
+ */
+
+// Import dependencies
+let SeededRandom, AILearningSystem;
+if (typeof require !== 'undefined') {
+  SeededRandom = require('./random.js');
+  AILearningSystem = require('../aiLearningSystem.js');
+} else {
+  // Browser environment
+  SeededRandom = window.SeededRandom;
+  AILearningSystem = window.AILearningSystem;
+}
+
+/**
+ * Test runner for SeededRandom
+ */
+function runSeededRandomTests() {
+  console.log('Running SeededRandom Tests...');
+
+  const tests = [
+    testSameSeedSameSequence,
+    testSeedNormalization,
+    testRanges,
+    testPickAndReset,
+    testSeededWeights
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  tests.forEach(test => {
+    try {
+      test();
+      console.log(`✓ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}: ${error.message}`);
+      failed++;
+    }
+  });
+
+  console.log(`\nSeededRandom Tests: ${passed} passed, ${failed} failed`);
+  return { passed, failed };
+}
+
+/**
+ * Take the next few values from a source
+ * @param {SeededRandom} random - Random source
+ * @param {number} count - Number of values
+ * @returns {number[]} Values
+ */
+function take(random, count) {
+  return Array.from({ length: count }, () => random.next());
+}
+
+/**
+ * Test that equal seeds reproduce the same values
+ */
+function testSameSeedSameSequence() {
+  const first = take(new SeededRandom(42), 10);
+  const second = take(new SeededRandom(42), 10);
+  const other = take(new SeededRandom(43), 10);
+
+  if (first.join() !== second.join())
+    throw new Error('Equal seeds should produce equal sequences');
+  if (first.join() === other.join())
+    throw new Error('Different seeds should produce different sequences');
+  if (new Set(first).size !== first.length)
+    throw new Error('Sequence should not repeat immediately');
+}
+
+/**
+ * Test numeric, string and missing seeds
+ */
+function testSeedNormalization() {
+  if (new SeededRandom('123').seed !== 123)
+    throw new Error('Numeric strings should be used as numbers');
+  if (new SeededRandom('bug-42').seed !== new SeededRandom('bug-42').seed)
+    throw new Error('Text seeds should hash consistently');
+  if (new SeededRandom(-1).seed !== 0xffffffff)
+    throw new Error('Seeds should wrap to 32 bits');
+
+  const generated = new SeededRandom();
+  const replay = new SeededRandom(generated.seed);
+  if (take(generated, 5).join() !== take(replay, 5).join())
+    throw new Error('Generated seeds should be reusable');
+}
+
+/**
+ * Test value ranges of the helpers
+ */
+function testRanges() {
+  const random = new SeededRandom(7);
+  for (let i = 0; i < 1000; i++) {
+    const value = random.next();
+    if (value < 0 || value >= 1)
+      throw new Error(`next() out of range: ${value}`);
+
+    const integer = random.nextInt(5);
+    if (!Number.isInteger(integer) || integer < 0 || integer >= 5)
+      throw new Error(`nextInt() out of range: ${integer}`);
+
+    const ranged = random.nextRange(-0.1, 0.1);
+    if (ranged < -0.1 || ranged >= 0.1)
+      throw new Error(`nextRange() out of range: ${ranged}`);
+  }
+}
+
+/**
+ * Test picking elements and restarting the sequence
+ */
+function testPickAndReset() {
+  const random = new SeededRandom(99);
+  const items = ['a', 'b', 'c', 'd'];
+  const picks = Array.from({ length: 8 }, () => random.pick(items));
+
+  random.reset();
+  const repeated = Array.from({ length: 8 }, () => random.pick(items));
+
+  if (picks.join() !== repeated.join())
+    throw new Error('reset() should restart the sequence');
+  if (random.pick([]) !== undefined)
+    throw new Error('Picking from an empty array should return undefined');
+  if (SeededRandom.from(random) !== random)
+    throw new Error('from() should reuse an existing source');
+}
+
+/**
+ * Test that seeded components initialize identically
+ */
+function testSeededWeights() {
+  const first = new AILearningSystem({}, { random: 2024 });
+  const second = new AILearningSystem({}, { random: 2024 });
+  const other = new AILearningSystem({}, { random: 2025 });
+
+  const weights = system => JSON.stringify(system.predictionModel);
+  if (weights(first) !== weights(second))
+    throw new Error('Equal seeds should produce equal network weights');
+  if (weights(first) === weights(other))
+    throw new Error('Different seeds should produce different weights');
+}
+
+// Run tests if in Node.js environment
+if (typeof module !== 'undefined' && require.main === module) {
+  runSeededRandomTests();
+}
+
+// Export for both environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { runSeededRandomTests };
+} else if (typeof window !== 'undefined') {
+  window.runSeededRandomTests = runSeededRandomTests;
+}
@@ -0,0 +1,309 @@
+// 載入依賴模組
+let TunerSimulator, TunerStrategyRegistry, TunerRandom, TunerUtils;
+if (typeof require !== 'undefined') {
+  TunerSimulator = require('./gameSimulator.js');
+  TunerStrategyRegistry = require('./strategyRegistry.js');
+  TunerRandom = require('./utils/random.js');
+  TunerUtils = require('./utils/common.js').Utils;
+} else if (typeof window !== 'undefined') {
+  TunerSimulator = window.GameSimulator;
+  TunerStrategyRegistry = window.StrategyRegistry;
+  TunerRandom = window.SeededRandom;
+  TunerUtils = window.Utils;
+}
+
+/**
+ * WeightTuner - 以遺傳演算法離線調整演算法權重
+ *
+ * 每組權重（如 COMPLETE_LINE、INTERSECTION_BONUS）以 GameSimulator 模擬多局遊戲，
+ * 以平均最終連線數評分。所有權重組合都使用同一個種子的遊戲（共同隨機數），
+ * 分數差異因此來自權重而不是電腦移動的運氣。
+ *
+ * 每一代保留最好的幾組權重，其餘由錦標賽選出的兩組權重交叉產生，
+ * 再將部分權重乘上 exp(N(0, mutationScale)) 突變（權重因此保持非負）。
+ * 最佳權重最後以另一個種子的遊戲驗證，避免只是剛好適合評分用的那組遊戲。
+ *
+ * 結果可用 WeightTuner.toWeightsFile 寫成權重檔案，
+ * 再以 BaseProbabilityCalculator.loadWeights 載入。命令列介面為 `bingo-sim tune`。
+ *
+ * @class WeightTuner
+ * @version 1.0.0
+ */
+class WeightTuner {
+  /**
+   * 建立權重調整器
+   * @param {Object} [options] - 調整選項
+   * @param {string} [options.algorithm='enhanced'] - 要調整的演算法（見 WeightTuner.ALGORITHMS）
+   * @param {string} [options.computer='random'] - 模擬使用的電腦策略
+   * @param {Object} [options.config] - 遊戲配置
+   * @param {number} [options.games=200] - 每組權重模擬的遊戲局數
+   * @param {number} [options.populationSize=12] - 每一代的權重組數
+   * @param {number} [options.generations=10] - 演化的代數
+   * @param {number} [options.eliteCount=2] - 直接保留到下一代的最佳權重組數
+   * @param {number} [options.mutationRate=0.3] - 每個權重突變的機率
+   * @param {number} [options.mutationScale=0.3] - 突變幅度（對數尺度的標準差）
+   * @param {Object<string, number>} [options.weights] - 起始權重（預設為演算法目前的權重）
+   * @param {string[]} [options.keys] - 要調整的權重名稱（預設全部）
+   * @param {SeededRandom|number|string} [options.seed] - 隨機數來源或種子，相同種子會重現相同的搜尋
+   * @throws {Error} 演算法無法調整或權重名稱未知時拋出
+   */
+  constructor(options = {}) {
+    this.algorithm = options.algorithm || 'enhanced';
+    this.computer = options.computer || 'random';
+    this.config = TunerUtils.createGameConfig(options.config);
+    this.games = options.games || 200;
+    this.populationSize = Math.max(options.populationSize || 12, 2);
+    this.generations = Math.max(options.generations || 10, 1);
+    this.eliteCount = Math.min(
+      options.eliteCount !== undefined ? options.eliteCount : 2,
+      this.populationSize - 1
+    );
+    this.mutationRate =
+      options.mutationRate !== undefined ? options.mutationRate : 0.3;
+    this.mutationScale =
+      options.mutationScale !== undefined ? options.mutationScale : 0.3;
+
+    if (!WeightTuner.ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(
+        `Cannot tune algorithm: ${this.algorithm} (expected ${WeightTuner.ALGORITHMS.join(', ')})`
+      );
+    }
+
+    this.random = TunerRandom.from(options.seed);
+    // 評分與驗證使用不同種子的遊戲
+    this.gameSeed = this.random.seed;
+    this.holdoutSeed = this.random.nextInt(0x7fffffff);
+
+    this.baseWeights = {
+      ...this.createCalculator().WEIGHTS,
+      ...options.weights
+    };
+    this.keys = options.keys || Object.keys(this.baseWeights);
+    this.keys.forEach(key => {
+      if (!(key in this.baseWeights)) {
+        throw new Error(
+          `Unknown weight: ${key} (expected ${Object.keys(this.baseWeights).join(', ')})`
+        );
+      }
+    });
+
+    // 權重組合 -> 平均連線數，相同的權重不重複模擬
+    this.scores = new Map();
+  }
+
+  /**
+   * 可調整的演算法：使用權重的計算器策略（metadata.tunable 不為 false，見 StrategyRegistry）
+   * @returns {string[]} 演算法 id
+   */
+  static get ALGORITHMS() {
+    return TunerStrategyRegistry.default
+      .listStrategies({ kind: 'calculator' })
+      .filter(entry => entry.metadata.tunable !== false)
+      .map(entry => entry.id);
+  }
+
+  /**
+   * 進行演化搜尋
+   * @param {Function} [onProgress] - 每一代結束後呼叫 (完成代數, 總代數, 目前最佳 {weights, score})
+   * @returns {Object} 結果 {algorithm, computer, config, games, seed, weights, score, baseline, holdout, history, evaluations}
+   */
+  run(onProgress) {
+    const baseline = this.evaluate(this.baseWeights);
+    let best = { weights: this.baseWeights, score: baseline };
+    const history = [];
+
+    // 第一代：起始權重與其突變（每個權重都突變以增加多樣性）
+    let population = [this.baseWeights];
+    while (population.length < this.populationSize) {
+      population.push(this.mutate(this.baseWeights, 1));
+    }
+
+    for (let generation = 1; generation <= this.generations; generation++) {
+      const scored = population
+        .map(weights => ({ weights, score: this.evaluate(weights) }))
+        .sort((a, b) => b.score - a.score);
+
+      if (scored[0].score > best.score) {
+        best = scored[0];
+      }
+      history.push({
+        generation,
+        best: scored[0].score,
+        mean:
+          scored.reduce((sum, entry) => sum + entry.score, 0) / scored.length
+      });
+      if (onProgress) {
+        onProgress(generation, this.generations, best);
+      }
+
+      if (generation < this.generations) {
+        population = this.breed(scored);
+      }
+    }
+
+    return {
+      algorithm: this.algorithm,
+      computer: this.computer,
+      config: this.config,
+      games: this.games,
+      seed: this.gameSeed,
+      weights: best.weights,
+      score: best.score,
+      baseline,
+      holdout: {
+        seed: this.holdoutSeed,
+        baseline: this.evaluate(this.baseWeights, this.holdoutSeed),
+        score: this.evaluate(best.weights, this.holdoutSeed)
+      },
+      history,
+      evaluations: this.scores.size
+    };
+  }
+
+  /**
+   * 評估一組權重：模擬遊戲的平均最終連線數
+   *
+   * 模擬時不使用開局庫，否則前幾回合的移動與權重無關。
+   * @param {Object<string, number>} weights - 權重
+   * @param {number} [seed] - 遊戲種子（預設為評分用的種子）
+   * @returns {number} 平均連線數
+   */
+  evaluate(weights, seed = this.gameSeed) {
+    const key = JSON.stringify([seed, this.keys.map(name => weights[name])]);
+    if (!this.scores.has(key)) {
+      const simulator = new TunerSimulator({
+        config: this.config,
+        algorithm: this.algorithm,
+        computer: this.computer,
+        seed,
+        calculator: { weights, openingBook: null }
+      });
+      this.scores.set(key, simulator.run(this.games).summary.mean);
+    }
+    return this.scores.get(key);
+  }
+
+  /**
+   * 由評分後的族群產生下一代
+   * @private
+   * @param {Array<{weights: Object, score: number}>} scored - 依分數由高到低排序的族群
+   * @returns {Array<Object>} 下一代的權重
+   */
+  breed(scored) {
+    const next = scored.slice(0, this.eliteCount).map(entry => entry.weights);
+    while (next.length < this.populationSize) {
+      const child = this.crossover(
+        this.tournament(scored),
+        this.tournament(scored)
+      );
+      next.push(this.mutate(child, this.mutationRate));
+    }
+    return next;
+  }
+
+  /**
+   * 錦標賽選擇：隨機取兩組權重，返回分數較高的一組
+   * @private
+   * @param {Array<{weights: Object, score: number}>} scored - 族群
+   * @returns {Object} 權重
+   */
+  tournament(scored) {
+    const first = this.random.pick(scored);
+    const second = this.random.pick(scored);
+    return (first.score >= second.score ? first : second).weights;
+  }
+
+  /**
+   * 均勻交叉：每個權重隨機取自其中一組
+   * @private
+   * @param {Object} first - 權重
+   * @param {Object} second - 權重
+   * @returns {Object} 新的權重
+   */
+  crossover(first, second) {
+    const child = { ...first };
+    this.keys.forEach(key => {
+      if (this.random.next() < 0.5) {
+        child[key] = second[key];
+      }
+    });
+    return child;
+  }
+
+  /**
+   * 突變：以 rate 的機率將權重乘上 exp(N(0, mutationScale))，結果取到小數點後兩位
+   * @private
+   * @param {Object} weights - 權重
+   * @param {number} rate - 每個權重突變的機率
+   * @returns {Object} 新的權重
+   */
+  mutate(weights, rate) {
+    const mutated = { ...weights };
+    this.keys.forEach(key => {
+      if (this.random.next() < rate) {
+        const factor = Math.exp(this.nextGaussian() * this.mutationScale);
+        mutated[key] = Math.round(weights[key] * factor * 100) / 100;
+      }
+    });
+    return mutated;
+  }
+
+  /**
+   * 標準常態分佈的隨機數（Box-Muller 轉換）
+   * @private
+   * @returns {number} 隨機數
+   */
+  nextGaussian() {
+    const u = 1 - this.random.next();
+    const v = this.random.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * 建立要調整的演算法的計算器
+   * @private
+   * @returns {BaseProbabilityCalculator} 計算器
+   */
+  createCalculator() {
+    return TunerStrategyRegistry.default.createStrategy(
+      this.algorithm,
+      this.config
+    );
+  }
+
+  /**
+   * 將調整結果轉為權重檔案（BaseProbabilityCalculator.loadWeights 可載入）
+   * @param {Object} result - run() 的結果
+   * @returns {Object} 權重檔案內容
+   */
+  static toWeightsFile(result) {
+    return {
+      version: WeightTuner.FILE_VERSION,
+      algorithm: result.algorithm,
+      weights: result.weights,
+      score: {
+        mean: result.score,
+        baseline: result.baseline,
+        holdout: result.holdout
+      },
+      games: result.games,
+      seed: result.seed,
+      computer: result.computer,
+      config: result.config,
+      createdAt: new Date().toISOString()
+    };
+  }
+}
+
+// 權重檔案格式版本
+WeightTuner.FILE_VERSION = 1;
+
+// 如果在Node.js環境中，導出模組
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeightTuner;
+}
+
+// 在瀏覽器環境中，將 WeightTuner 添加到全局作用域
+if (typeof window !== 'undefined') {
+  window.WeightTuner = WeightTuner;
+}
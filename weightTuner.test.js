@@ -0,0 +1,123 @@
+/**
+ * WeightTuner 與 bingo-sim tune 單元測試
+ */
+const WeightTuner = require('./weightTuner.js');
+const ProbabilityCalculator = require('./probabilityCalculator.js');
+const GameSimulator = require('./gameSimulator.js');
+const BaseProbabilityCalculator = require('./utils/baseProbabilityCalculator.js');
+const { parseArgs } = require('./bin/bingo-sim.js');
+
+function createTuner(options = {}) {
+  return new WeightTuner({
+    seed: 11,
+    games: 4,
+    populationSize: 3,
+    generations: 2,
+    ...options
+  });
+}
+
+describe('WeightTuner', () => {
+  test('should start from the current weights of the algorithm', () => {
+    const tuner = createTuner({ weights: { CENTER_BONUS: 1 } });
+
+    expect(tuner.algorithm).toBe('enhanced');
+    expect(tuner.baseWeights.COMPLETE_LINE).toBe(
+      new ProbabilityCalculator().WEIGHTS.COMPLETE_LINE
+    );
+    expect(tuner.baseWeights.CENTER_BONUS).toBe(1);
+    expect(tuner.keys).toHaveLength(7);
+  });
+
+  test('should reject algorithms without weights and unknown weights', () => {
+    const errors = [
+      () => createTuner({ algorithm: 'monte-carlo' }),
+      () => createTuner({ keys: ['UNKNOWN_BONUS'] })
+    ].map(fn => {
+      try {
+        fn();
+      } catch (error) {
+        return error;
+      }
+      return null;
+    });
+
+    expect(WeightTuner.ALGORITHMS).toEqual(['standard', 'enhanced']);
+    expect(errors[0]).toBeTruthy();
+    expect(errors[1]).toBeTruthy();
+  });
+
+  test('should score weight sets on the same seeded games', () => {
+    const tuner = createTuner();
+    const score = tuner.evaluate(tuner.baseWeights);
+
+    expect(score).toBeGreaterThan(0);
+    expect(tuner.evaluate({ ...tuner.baseWeights })).toBe(score);
+    expect(tuner.scores.size).toBe(1);
+  });
+
+  test('should score weight sets without the opening book', () => {
+    const run = GameSimulator.prototype.run;
+    const books = [];
+    GameSimulator.prototype.run = function (...args) {
+      books.push(this.engine.probabilityCalculator.openingBook);
+      return run.apply(this, args);
+    };
+    try {
+      createTuner().evaluate(createTuner().baseWeights);
+    } finally {
+      GameSimulator.prototype.run = run;
+    }
+
+    expect(books).toEqual([null]);
+  });
+
+  test('should only mutate the chosen weights and keep them non-negative', () => {
+    const tuner = createTuner({ keys: ['CENTER_BONUS'] });
+    const mutated = tuner.mutate(tuner.baseWeights, 1);
+
+    expect(mutated.CENTER_BONUS).toBeGreaterThanOrEqual(0);
+    expect(mutated.COMPLETE_LINE).toBe(tuner.baseWeights.COMPLETE_LINE);
+  });
+
+  test('should reproduce the same search from the same seed', () => {
+    const first = createTuner().run();
+    const second = createTuner().run();
+
+    expect(first.weights).toEqual(second.weights);
+    expect(first.history).toHaveLength(2);
+    expect(first.score).toBeGreaterThanOrEqual(first.baseline);
+    expect(first.evaluations).toBeGreaterThan(1);
+  });
+
+  test('should write weights files that calculators can load', () => {
+    const result = createTuner().run();
+    const file = JSON.parse(JSON.stringify(WeightTuner.toWeightsFile(result)));
+
+    expect(file.version).toBe(WeightTuner.FILE_VERSION);
+    expect(file.score.mean).toBe(result.score);
+
+    const calculator = new ProbabilityCalculator(
+      {},
+      { weights: BaseProbabilityCalculator.loadWeights(file) }
+    );
+    expect(calculator.WEIGHTS).toEqual(result.weights);
+  });
+
+  test('should parse tune options', () => {
+    const { command, options } = parseArgs([
+      'tune',
+      '--generations',
+      '5',
+      '--population=8',
+      '--weights',
+      'weights.json'
+    ]);
+
+    expect(command).toBe('tune');
+    expect(options.generations).toBe(5);
+    expect(options.population).toBe(8);
+    expect(options.weights).toBe('weights.json');
+    expect(parseArgs(['simulate', '--no-book']).options.noBook).toBe(true);
+  });
+});